@@ -56,15 +56,10 @@ exports.generatePreview = async (req, res) => {
             });
         }
 
-        // Check cache first
-        const cacheKey = cacheService.generateKey({
-            type,
-            data,
-            design,
-            size,
-            quality,
-            source: use_laravel ? 'laravel' : 'node',
-        });
+        // Check cache first (Laravel renders the design as sent, so only
+        // Node renders share entries between equivalent designs)
+        const cacheParams = { type, data, design, size, quality, source: use_laravel ? 'laravel' : 'node' };
+        const cacheKey = cacheService.generateKey(use_laravel ? cacheParams : generator.canonicalizeRequest(cacheParams));
 
         const cachedPng = await cacheService.get(cacheKey);
         if (cachedPng) {
@@ -5,20 +5,60 @@
  * without depending on Laravel for image generation.
  *
  * Endpoints:
- * - POST /api/v2/qr/generate     - Generate QR code (SVG + PNG)
+ * - POST /api/v2/qr/generate     - Generate QR code (SVG + PNG, or print-ready PDF / EPS)
+ * - GET  /api/v2/qr/generate     - Same, from query parameters, returning the raw image
  * - POST /api/v2/qr/preview      - Quick preview
  * - GET  /api/v2/qr/capabilities - Get supported features
  * - POST /api/v2/qr/validate     - Validate design before generation
+ * - POST /api/v2/qr/plan         - Payload size, segments and version per error correction level
  * - POST /api/v2/qr/batch        - Generate multiple QR codes
+ * - GET  /api/v2/qr/app          - App-download smart link: redirect to the scanning device's store
+ * - GET  /api/v2/qr/r/:hash.:ext - Stored render (permanent URL returned by /generate)
  */
 const QRCodeGenerator = require('../services/qr/QRCodeGenerator');
 const QRDataEncoder = require('../services/qr/QRDataEncoder');
+const QRCapacity = require('../services/qr/QRCapacity');
+const QRDataSchema = require('../services/qr/QRDataSchema');
+const AppLinkEncoder = require('../services/qr/encoders/AppLinkEncoder');
+const PrintLayout = require('../services/qr/exporters/PrintLayout');
+const VectorExporter = require('../services/qr/exporters/VectorExporter');
 const cacheService = require('../services/cacheService');
+const renderStore = require('../services/renderStore');
 const logger = require('../utils/logger');
 
 // Create singleton generator instance
 const generator = new QRCodeGenerator();
 
+const OUTPUT_FORMATS = ['svg', 'both', ...QRCodeGenerator.RASTER_FORMATS, ...QRCodeGenerator.VECTOR_FORMATS];
+
+// Content types for binary responses (png first: it is what `Accept: image/*` gets)
+const MIME_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    tiff: 'image/tiff',
+    gif: 'image/gif',
+    pdf: 'application/pdf',
+    eps: 'application/postscript',
+};
+
+// GET /generate query keys that are options rather than data fields
+const QUERY_OPTION_KEYS = [
+    'type', 'data', 'design', 'size', 'format', 'quality', 'transparent', 'dpi',
+    'verifyScannability', 'requireScannable', 'print', 'colorSpace',
+];
+
+// GET responses are fully determined by the URL, so CDNs may keep them
+const GET_CACHE_CONTROL = 'public, max-age=86400';
+
+// Versions above this get hard to scan from print (/plan warns)
+const DENSE_VERSION = 10;
+
+// Smart-link redirects depend only on the URL and the device
+const APP_LINK_CACHE_CONTROL = 'public, max-age=3600';
+
 /**
  * Generate a full QR code with all styling
  *
@@ -26,22 +66,88 @@ const generator = new QRCodeGenerator();
  *
  * Body:
  * {
- *   type: "url" | "text" | "email" | "phone" | "sms" | "wifi" | "vcard" | "location" | "event" | "whatsapp" | "social" | "crypto" | "upi" | "pix",
+ *   type: "url" | "text" | "email" | "phone" | "sms" | "wifi" | "vcard" | "location" | "event" | "whatsapp" | "social" | "crypto" | "upi" | "pix" | "emvco" | "epc" | "swissqr" | "gs1"
+ *         | "app" | "telegram" | "signal" | "viber" | "meeting" | "paypal",
  *   data: { ... },  // Type-specific data
  *   design: { ... }, // Design configuration
  *   options: {
  *     size: 512,      // Output size
- *     format: "both", // "svg" | "png" | "both"
- *     quality: 90,    // PNG quality (1-100)
- *     transparent: false, // Transparent background for PNG
+ *     format: "both", // "svg" | "both" (svg + png) | "png" | "jpeg" | "webp" | "avif" | "tiff" | "gif" | "pdf" | "eps"
+ *     quality: 90,    // Raster quality (1-100); 100 = lossless for webp/avif
+ *     transparent: false, // Transparent background (rejected for jpeg)
+ *     dpi: 300,       // Resolution written into raster metadata
+ *     verifyScannability: true, // Decode the result and report meta.scannable
+ *     requireScannable: false,  // Fail with UNSCANNABLE instead of returning an unreadable code
+ *     print: {        // pdf/eps only
+ *       width: 50,    // Trim size (height defaults to width)
+ *       unit: "mm",   // "mm" | "cm" | "in" | "pt"
+ *       bleed: 3,     // Bleed on each side, same unit
+ *       cropMarks: true,
+ *     },
+ *     colorSpace: "cmyk", // pdf/eps: "cmyk" | "rgb"
+ *     structuredAppend: { maxSymbols: 16, columns: 4 }, // or true: split across linked symbols
  *   }
  * }
+ *
+ * With `Accept: image/png` (or any type in MIME_TYPES) the raw image is
+ * returned instead of JSON, in that format, with meta in X-QR-* headers.
+ * Structured Append responses are JSON only: images.symbols in sequence
+ * order plus images.sheet, an SVG laying them out in a grid.
  */
 async function generate(req, res) {
+    res.vary('Accept');
+    return handleGenerate(req, res, req.body, negotiateImageFormat(req));
+}
+
+/**
+ * Generate a QR code from query parameters and return the raw image
+ *
+ * GET /api/v2/qr/generate?type=url&url=https://example.com&size=300&format=png
+ *
+ * data and design may be passed as JSON strings (data=..., design=...);
+ * otherwise every query key that is not an option becomes a data field.
+ * Usable directly as an <img src> and cacheable by CDNs.
+ */
+async function generateFromQuery(req, res) {
+    let body;
+    try {
+        body = parseQueryRequest(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...(error.details && { details: error.details }),
+        });
+    }
+
+    const format = body.options.format || 'png';
+    if (format === 'both') {
+        return res.status(400).json({
+            success: false,
+            error: 'GET /generate returns a single image; choose one format',
+            code: 'INVALID_FORMAT',
+            supportedFormats: Object.keys(MIME_TYPES),
+        });
+    }
+
+    return handleGenerate(req, res, body, format, GET_CACHE_CONTROL);
+}
+
+/**
+ * Shared implementation of POST and GET /generate
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} body - { type, data, design, options }
+ * @param {string|null} binaryFormat - Send this format as raw bytes instead of JSON
+ * @param {string} cacheControl - Cache-Control header for binary responses
+ */
+async function handleGenerate(req, res, body, binaryFormat = null, cacheControl = null) {
     const startTime = Date.now();
 
     try {
-        const { type, data, design = {}, options = {} } = req.body;
+        const { type, data, design = {}, options = {} } = body || {};
 
         // Validate required fields
         if (!type) {
@@ -71,45 +177,144 @@ async function generate(req, res) {
         }
 
         // Parse size and validate
-        const size = parseInt(options.size) || 512;
-        if (size < 64 || size > 2048) {
+        const size = options.size === undefined || options.size === null ? 512 : Number(options.size);
+        if (!isValidSize(size)) {
             return res.status(400).json({
                 success: false,
                 error: 'Size must be between 64 and 2048',
                 code: 'INVALID_SIZE',
+                details: [{ field: 'options.size', message: 'Must be a whole number of pixels between 64 and 2048' }],
+            });
+        }
+
+        const requestedFormat = binaryFormat || options.format;
+        const format = requestedFormat === 'jpg' ? 'jpeg' : requestedFormat || 'both';
+        if (!OUTPUT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported format: ${format}`,
+                code: 'INVALID_FORMAT',
+                supportedFormats: OUTPUT_FORMATS,
+            });
+        }
+
+        const printErrors = validatePrintOptions(options);
+        if (printErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid print options',
+                code: 'INVALID_PRINT_OPTIONS',
+                details: printErrors,
+            });
+        }
+
+        const structuredAppend = getStructuredAppendOptions(options);
+        if (structuredAppend && binaryFormat) {
+            return res.status(400).json({
+                success: false,
+                error: 'Structured Append returns several images; request JSON',
+                code: 'INVALID_FORMAT',
             });
         }
 
+        const verifyScannability = options.verifyScannability !== false;
+        const requireScannable = options.requireScannable === true;
+        const quality = options.quality || 90;
+        const transparent = options.transparent || false;
+        const dpi = options.dpi !== undefined ? Number(options.dpi) : undefined;
+        const print = options.print || null;
+        const colorSpace = options.colorSpace || null;
+
+        // Structured Append sequences are not kept in the render store
+        const renderHash = structuredAppend ? null : renderStore.hashRequest(generator.canonicalizeRequest({
+            type,
+            data,
+            design,
+            options: { size, quality, transparent, dpi, print, colorSpace, verifyScannability, requireScannable },
+        }));
+
         // Check cache
-        const cacheKey = cacheService.generateKey({ type, data, design, size });
+        const cacheKey = cacheService.generateKey(generator.canonicalizeRequest({
+            type, data, design, size, format, quality, transparent, dpi, print, colorSpace, verifyScannability, requireScannable,
+            ...(structuredAppend && { structuredAppend }),
+        }));
         const cachedResult = await cacheService.get(cacheKey);
 
         if (cachedResult) {
             logger.debug(`Cache hit for QR generation: ${cacheKey}`);
+            const cached = JSON.parse(cachedResult);
+            const cachedResponse = {
+                ...cached,
+                meta: {
+                    ...cached.meta,
+                    cached: true,
+                    totalMs: Date.now() - startTime,
+                },
+            };
+
+            if (binaryFormat) {
+                return sendImage(res, cachedResponse, format, cacheControl);
+            }
+
             return res.json({
                 success: true,
-                data: {
-                    ...JSON.parse(cachedResult),
-                    meta: {
-                        ...JSON.parse(cachedResult).meta,
-                        cached: true,
-                        totalMs: Date.now() - startTime,
-                    },
+                data: cachedResponse,
+            });
+        }
+
+        const stored = renderHash && await renderStore.load(renderHash, getImageFormats(format));
+        if (stored) {
+            const storedResponse = {
+                images: toResponseImages(stored.images),
+                urls: renderStore.getUrls(renderHash, Object.keys(stored.images)),
+                meta: {
+                    ...stored.meta,
+                    format,
+                    cached: true,
+                    totalMs: Date.now() - startTime,
                 },
+            };
+            await cacheService.set(cacheKey, JSON.stringify(storedResponse), 300);
+
+            if (binaryFormat) {
+                return sendImage(res, storedResponse, format, cacheControl);
+            }
+
+            return res.json({
+                success: true,
+                data: storedResponse,
             });
         }
 
-        // Generate QR code
-        const result = await generator.generate(type, data, design, {
+        const generateOptions = {
             size,
-            quality: options.quality || 90,
-            transparent: options.transparent || false,
-        });
+            quality,
+            transparent,
+            dpi,
+            verifyScannability,
+            requireScannable,
+            format: format === 'both' || format === 'svg' ? 'png' : format,
+            print: print || undefined,
+            colorSpace: colorSpace || undefined,
+        };
+
+        // Generate QR code (or a Structured Append sequence)
+        const result = structuredAppend
+            ? await generator.generateStructuredAppend(type, data, design, { ...generateOptions, structuredAppend })
+            : await generator.generate(type, data, design, generateOptions);
 
         // Prepare response based on format requested
-        const format = options.format || 'both';
         const response = {
-            images: {},
+            images: structuredAppend
+                ? {
+                    symbols: result.symbols.map((symbol, index) => ({
+                        index,
+                        ...pickImages(symbol, format),
+                        meta: symbol.meta,
+                    })),
+                    sheet: result.sheet,
+                }
+                : pickImages(result, format),
             meta: {
                 ...result.meta,
                 format,
@@ -118,19 +323,22 @@ async function generate(req, res) {
             },
         };
 
-        if (format === 'svg' || format === 'both') {
-            response.images.svg = result.svg;
-            response.images.svgBase64 = result.svgBase64;
-        }
-
-        if (format === 'png' || format === 'both') {
-            response.images.pngBase64 = result.pngBase64;
+        // Keep every image of the render under permanent URLs
+        if (renderHash) {
+            const urls = await renderStore.save(renderHash, getResultImages(result), result.meta, MIME_TYPES);
+            if (urls) {
+                response.urls = urls;
+            }
         }
 
         // Cache the result
         const cacheData = JSON.stringify(response);
         await cacheService.set(cacheKey, cacheData, 300); // 5 minute TTL
 
+        if (binaryFormat) {
+            return sendImage(res, response, format, cacheControl);
+        }
+
         return res.json({
             success: true,
             data: response,
@@ -139,10 +347,11 @@ async function generate(req, res) {
     } catch (error) {
         logger.error(`QR generation error: ${error.message}`, { error: error.stack });
 
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
             error: error.message,
-            code: 'GENERATION_ERROR',
+            code: error.code || 'GENERATION_ERROR',
+            ...(error.details && { details: error.details }),
         });
     }
 }
@@ -173,21 +382,32 @@ async function preview(req, res) {
         const size = parseInt(options.size) || 256;
 
         // Check cache
-        const cacheKey = cacheService.generateKey({ type, data, design, size, preview: true });
+        const cacheKey = cacheService.generateKey(generator.canonicalizeRequest({ type, data, design, size, preview: true }));
         const cachedResult = await cacheService.get(cacheKey);
 
+        // Previews are PNG only; `Accept: image/png` returns the raw bytes
+        res.vary('Accept');
+        const binary = negotiateImageFormat(req) === 'png';
+
         if (cachedResult) {
             logger.debug(`Cache hit for preview: ${cacheKey}`);
+            const cached = JSON.parse(cachedResult);
+            const cachedResponse = {
+                ...cached,
+                meta: {
+                    ...cached.meta,
+                    cached: true,
+                    totalMs: Date.now() - startTime,
+                },
+            };
+
+            if (binary) {
+                return sendImage(res, cachedResponse, 'png');
+            }
+
             return res.json({
                 success: true,
-                data: {
-                    ...JSON.parse(cachedResult),
-                    meta: {
-                        ...JSON.parse(cachedResult).meta,
-                        cached: true,
-                        totalMs: Date.now() - startTime,
-                    },
-                },
+                data: cachedResponse,
             });
         }
 
@@ -212,6 +432,10 @@ async function preview(req, res) {
         // Cache preview for shorter time
         await cacheService.set(cacheKey, JSON.stringify(response), 120); // 2 minute TTL
 
+        if (binary) {
+            return sendImage(res, response, 'png');
+        }
+
         return res.json({
             success: true,
             data: response,
@@ -220,10 +444,11 @@ async function preview(req, res) {
     } catch (error) {
         logger.error(`Preview generation error: ${error.message}`);
 
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
             error: error.message,
-            code: 'PREVIEW_ERROR',
+            code: error.code || 'PREVIEW_ERROR',
+            ...(error.details && { details: error.details }),
         });
     }
 }
@@ -239,7 +464,10 @@ async function getCapabilities(req, res) {
 
         return res.json({
             success: true,
-            data: capabilities,
+            data: {
+                ...capabilities,
+                renderStore: renderStore.getInfo(),
+            },
         });
 
     } catch (error) {
@@ -281,9 +509,11 @@ async function validateDesign(req, res) {
             });
         }
 
-        // Validate data
+        // Validate data against the type's schema (encoding below adds the encoder's own checks)
         if (!data) {
             errors.push({ field: 'data', message: 'Data is required' });
+        } else if (type && QRDataEncoder.isTypeSupported(type)) {
+            errors.push(...QRDataSchema.validate(type, data));
         }
 
         // Validate design fields
@@ -299,12 +529,7 @@ async function validateDesign(req, res) {
         if (design.fillType === 'gradient' || design.gradientFill) {
             const gradient = design.gradientFill || design.gradient_fill;
             if (gradient) {
-                if (!gradient.colors || !Array.isArray(gradient.colors) || gradient.colors.length < 2) {
-                    errors.push({
-                        field: 'design.gradientFill.colors',
-                        message: 'Gradient must have at least 2 color stops',
-                    });
-                }
+                errors.push(...validateGradient(gradient, 'design.gradientFill'));
             } else {
                 warnings.push({
                     field: 'design.gradientFill',
@@ -313,15 +538,63 @@ async function validateDesign(req, res) {
             }
         }
 
-        // Validate error correction
-        const validErrorCorrection = ['L', 'M', 'Q', 'H'];
-        if (design.errorCorrection && !validErrorCorrection.includes(design.errorCorrection.toUpperCase())) {
+        // Validate eye and background gradients
+        const gradientFields = {
+            eyeExternalGradient: design.eyeExternalGradient || design.eye_external_gradient,
+            eyeInternalGradient: design.eyeInternalGradient || design.eye_internal_gradient,
+            backgroundGradient: design.backgroundGradient || design.background_gradient,
+        };
+        for (const [name, gradient] of Object.entries(gradientFields)) {
+            if (gradient) {
+                errors.push(...validateGradient(gradient, `design.${name}`));
+            }
+        }
+
+        // Validate function module styling
+        const capabilities = QRCodeGenerator.getCapabilities().features.modules;
+        const alignmentShape = design.alignmentShape || design.alignment_shape;
+        const alignmentColor = design.alignmentColor || design.alignment_color;
+        const functionModuleShape = design.functionModuleShape || design.function_module_shape;
+
+        if (alignmentShape && !capabilities.alignmentShapes.includes(String(alignmentShape).toLowerCase())) {
+            errors.push({
+                field: 'design.alignmentShape',
+                message: `Invalid alignment shape. Must be one of: ${capabilities.alignmentShapes.join(', ')}`,
+            });
+        }
+        if (alignmentColor && !isValidColor(alignmentColor)) {
+            errors.push({ field: 'design.alignmentColor', message: 'Invalid color format' });
+        }
+        if (functionModuleShape && !capabilities.shapes.includes(functionModuleShape)) {
+            errors.push({ field: 'design.functionModuleShape', message: 'Unsupported module shape' });
+        }
+
+        // Validate error correction ('auto' lets the generator pick from L upwards)
+        const validErrorCorrection = ['L', 'M', 'Q', 'H', 'AUTO'];
+        if (design.errorCorrection && !validErrorCorrection.includes(String(design.errorCorrection).toUpperCase())) {
             errors.push({
                 field: 'design.errorCorrection',
                 message: `Invalid error correction level. Must be one of: ${validErrorCorrection.join(', ')}`,
             });
         }
 
+        // Validate per-eye overrides
+        if (design.eyes !== undefined && design.eyes !== null) {
+            errors.push(...validateEyes(design.eyes));
+        }
+
+        // Symbology, version, mask pattern and manual segments
+        const mergedDesign = generator.mergeDesign(design);
+        errors.push(...generator.validateSymbolOptions(mergedDesign));
+
+        const excavateMargin = design.logoExcavateMargin ?? design.logo_excavate_margin;
+        if (excavateMargin !== undefined && (typeof excavateMargin !== 'number' || excavateMargin < 0 || excavateMargin > 5)) {
+            errors.push({
+                field: 'design.logoExcavateMargin',
+                message: 'Excavation margin must be a number of modules between 0 and 5',
+            });
+        }
+
         // Check for advanced features that are not yet implemented
         const advancedFeatures = [];
         if (design.module && design.module !== 'square') {
@@ -348,12 +621,58 @@ async function validateDesign(req, res) {
         // Try to encode data to check for issues
         if (type && data && errors.length === 0) {
             try {
-                QRDataEncoder.encode(type, data);
+                const errorCorrection = design.errorCorrection || design.error_correction;
+                const { content, meta: encoding } = QRDataEncoder.encodeDetailed(type, data, { errorCorrection });
+
+                if (design.segments) {
+                    errors.push(...QRCapacity.validateSegments(design.segments, content));
+                }
+
+                if (mergedDesign.symbology !== 'qr' && errors.length === 0) {
+                    // Micro QR and rMQR hold little; build the matrix to see whether the content fits
+                    const level = String(errorCorrection || 'M').toLowerCase() === 'auto'
+                        ? generator.getSymbologyLevels(mergedDesign.symbology)[0]
+                        : errorCorrection;
+                    try {
+                        await generator.generateQRMatrix(content, { ...mergedDesign, errorCorrection: level });
+                    } catch (symbolError) {
+                        errors.push({ field: design.version ? 'design.version' : 'data', message: symbolError.message });
+                    }
+                } else if (design.version && errors.length === 0) {
+                    const level = QRCapacity.normalizeLevel(errorCorrection || encoding.errorCorrection);
+                    const minimumVersion = QRCapacity.getMinimumVersion(content, level, design.segments || null);
+                    if (!minimumVersion || minimumVersion > design.version) {
+                        errors.push({
+                            field: 'design.version',
+                            message: minimumVersion
+                                ? `The content needs version ${minimumVersion} at error correction ${level}`
+                                : `The content does not fit any QR version at error correction ${level}`,
+                        });
+                    }
+                }
+
+                if (encoding.errorCorrection && errorCorrection && errorCorrection !== encoding.errorCorrection) {
+                    warnings.push({
+                        field: 'design.errorCorrection',
+                        message: `The ${type} specification requires error correction ${encoding.errorCorrection}`,
+                    });
+                }
+
+                if (encoding.droppedFields && encoding.droppedFields.length > 0) {
+                    warnings.push({
+                        field: 'data',
+                        message: `Left out of the ${encoding.contactFormat} payload: ${encoding.droppedFields.join(', ')}`,
+                    });
+                }
             } catch (encodeError) {
-                errors.push({
-                    field: 'data',
-                    message: `Data encoding error: ${encodeError.message}`,
-                });
+                if (Array.isArray(encodeError.details)) {
+                    errors.push(...encodeError.details);
+                } else {
+                    errors.push({
+                        field: 'data',
+                        message: `Data encoding error: ${encodeError.message}`,
+                    });
+                }
             }
         }
 
@@ -378,6 +697,142 @@ async function validateDesign(req, res) {
     }
 }
 
+/**
+ * Plan a QR code before generating it
+ *
+ * POST /api/v2/qr/plan
+ *
+ * Body:
+ * {
+ *   type: "vcard",
+ *   data: { ... },
+ *   design: { errorCorrection: "M", margin: 4, version: 5, segments: [...] }, // Optional
+ *   options: {
+ *     scanDistance: 30, // Distance the code is scanned from (default 30 cm)
+ *     unit: "cm",       // "mm" | "cm" | "m" | "in"; also the unit of minPrintSize
+ *   }
+ * }
+ *
+ * Response data:
+ * {
+ *   bytes: 212, characters: 208, errorCorrection: "M",
+ *   segments: [{ mode: "byte", text: "BEGIN:VCARD...", length: 212, bits: 1696 }],
+ *   versions: {
+ *     L: { version: 8, moduleCount: 49, fits: true, capacityBytes: 230,
+ *          minPrintSize: { symbol: 4.9, withQuietZone: 5.7 } },
+ *     M: { ... }, Q: { ... }, H: { version: null, moduleCount: null, fits: false }
+ *   },
+ *   scan: { distance: 30, unit: "cm", moduleSize: 0.1 },
+ *   warnings: ["..."]
+ * }
+ *
+ * A logo or sticker may raise the level at generation time; versions lists
+ * every level so the client can look it up.
+ */
+async function plan(req, res) {
+    try {
+        const { type, data, design = {}, options = {} } = req.body || {};
+
+        if (!type || !data) {
+            return res.status(400).json({
+                success: false,
+                error: 'Type and data are required',
+                code: 'MISSING_FIELDS',
+            });
+        }
+
+        if (!QRDataEncoder.isTypeSupported(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported QR type: ${type}`,
+                code: 'UNSUPPORTED_TYPE',
+                supportedTypes: QRDataEncoder.getSupportedTypes(),
+            });
+        }
+
+        const unit = options.unit || 'cm';
+        const scanDistance = options.scanDistance !== undefined ? Number(options.scanDistance) : undefined;
+        const margin = design.margin !== undefined ? Number(design.margin) : undefined;
+        const optionErrors = [];
+
+        if (!QRCapacity.DISTANCE_UNITS.includes(unit)) {
+            optionErrors.push({ field: 'options.unit', message: `Unit must be one of ${QRCapacity.DISTANCE_UNITS.join(', ')}` });
+        }
+        if (scanDistance !== undefined && !(scanDistance > 0)) {
+            optionErrors.push({ field: 'options.scanDistance', message: 'scanDistance must be a positive number' });
+        }
+        if (margin !== undefined && !(margin >= 0)) {
+            optionErrors.push({ field: 'design.margin', message: 'Margin must be a non-negative number of modules' });
+        }
+
+        if (optionErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid plan options',
+                code: 'INVALID_OPTIONS',
+                details: optionErrors,
+            });
+        }
+
+        // Spec-mandated levels (epc, swissqr) apply unless the design sets one, as in generate()
+        const requestedLevel = design.errorCorrection || design.error_correction;
+        const { content, meta: encoding } = QRDataEncoder.encodeDetailed(type, data, { errorCorrection: requestedLevel });
+        const errorCorrection = requestedLevel || encoding.errorCorrection;
+
+        if (design.segments) {
+            const segmentErrors = QRCapacity.validateSegments(design.segments, content);
+            if (segmentErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: segmentErrors[0].message,
+                    code: 'INVALID_SEGMENTS',
+                    details: segmentErrors,
+                });
+            }
+        }
+
+        const result = QRCapacity.plan(content, { errorCorrection, margin, scanDistance, unit, segments: design.segments || null });
+        const chosen = result.versions[result.errorCorrection];
+        const warnings = [];
+
+        if (!chosen.fits) {
+            const fitting = Object.keys(result.versions).filter(level => result.versions[level].fits);
+            warnings.push(fitting.length > 0
+                ? `Too much data for error correction ${result.errorCorrection}; it fits at ${fitting.join(', ')}`
+                : `Too much data for a QR code (${result.bytes} bytes)`);
+        } else if (design.version && chosen.version > design.version) {
+            warnings.push(`The content needs version ${chosen.version} at error correction ${result.errorCorrection}; design.version ${design.version} is too small`);
+        } else if (chosen.version > DENSE_VERSION) {
+            warnings.push(`Version ${chosen.version} (${chosen.moduleCount} x ${chosen.moduleCount} modules) is hard to scan from print; shorten the content`);
+        }
+
+        if (encoding.droppedFields && encoding.droppedFields.length > 0) {
+            warnings.push(`Left out of the ${encoding.contactFormat} payload: ${encoding.droppedFields.join(', ')}`);
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                type,
+                ...result,
+                ...(encoding.errorCorrection && { recommendedErrorCorrection: encoding.errorCorrection }),
+                ...(encoding.droppedFields && { droppedFields: encoding.droppedFields }),
+                warnings,
+            },
+        });
+
+    } catch (error) {
+        logger.error(`Plan error: ${error.message}`);
+
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code || 'PLAN_ERROR',
+            ...(error.details && { details: error.details }),
+        });
+    }
+}
+
 /**
  * Generate multiple QR codes in batch
  *
@@ -387,7 +842,7 @@ async function validateDesign(req, res) {
  * {
  *   items: [
  *     { type, data, design, options },
- *     { type, data, design, options },
+ *     { type, data, design, options: { structuredAppend: true } }, // images.symbols + images.sheet
  *     ...
  *   ],
  *   options: {
@@ -432,22 +887,48 @@ async function batch(req, res) {
                     throw new Error('Type and data are required');
                 }
 
-                const result = await generator.generate(type, data, design, {
+                const itemOptions = {
                     size: options.size || 512,
                     quality: options.quality || 90,
-                });
-
-                results.push({
-                    index: i,
-                    success: true,
-                    data: {
-                        images: {
-                            svgBase64: result.svgBase64,
-                            pngBase64: result.pngBase64,
+                    verifyScannability: options.verifyScannability !== false,
+                    requireScannable: options.requireScannable === true,
+                };
+                const structuredAppend = getStructuredAppendOptions(options);
+
+                if (structuredAppend) {
+                    const result = await generator.generateStructuredAppend(type, data, design, { ...itemOptions, structuredAppend });
+
+                    results.push({
+                        index: i,
+                        success: true,
+                        data: {
+                            images: {
+                                symbols: result.symbols.map((symbol, index) => ({
+                                    index,
+                                    svgBase64: symbol.svgBase64,
+                                    pngBase64: symbol.pngBase64,
+                                    meta: symbol.meta,
+                                })),
+                                sheet: { svgBase64: result.sheet.svgBase64 },
+                            },
+                            meta: result.meta,
                         },
-                        meta: result.meta,
-                    },
-                });
+                    });
+                } else {
+                    const result = await generator.generate(type, data, design, itemOptions);
+
+                    results.push({
+                        index: i,
+                        success: true,
+                        data: {
+                            images: {
+                                svgBase64: result.svgBase64,
+                                pngBase64: result.pngBase64,
+                            },
+                            meta: result.meta,
+                        },
+                    });
+                }
 
                 successCount++;
 
@@ -458,6 +939,8 @@ async function batch(req, res) {
                     index: i,
                     success: false,
                     error: itemError.message,
+                    ...(itemError.code && { code: itemError.code }),
+                    ...(itemError.details && { details: itemError.details }),
                 });
 
                 if (stopOnError) {
@@ -490,6 +973,203 @@ async function batch(req, res) {
     }
 }
 
+/**
+ * Serve a stored render
+ *
+ * GET /api/v2/qr/r/:hash.:ext
+ *
+ * The URL names a render that never changes, so the response carries a
+ * strong ETag and immutable Cache-Control; If-None-Match gets a 304.
+ */
+async function getRender(req, res) {
+    const { hash } = req.params;
+    const format = req.params.ext === 'jpg' ? 'jpeg' : req.params.ext;
+
+    const notFound = () => res.status(404).json({
+        success: false,
+        error: 'Render not found',
+        code: 'RENDER_NOT_FOUND',
+    });
+
+    if (!renderStore.isValidHash(hash) || !MIME_TYPES[format]) {
+        return notFound();
+    }
+
+    const etag = `"${hash}.${format}"`;
+    const cacheHeaders = {
+        'ETag': etag,
+        'Cache-Control': renderStore.cacheControl,
+        // helmet defaults to same-origin, which blocks <img> embeds on other sites
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+    };
+
+    try {
+        // Only a stored object may answer 304; "*" matches any that exists
+        if (!await renderStore.hasObject(hash, format)) {
+            return notFound();
+        }
+
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag))) {
+            return res.set(cacheHeaders).status(304).end();
+        }
+
+        const image = await renderStore.getObject(hash, format);
+        if (!image) {
+            return notFound();
+        }
+
+        return res.set({
+            ...cacheHeaders,
+            'Content-Type': MIME_TYPES[format],
+            'Content-Length': image.length,
+        }).send(image);
+
+    } catch (error) {
+        logger.error(`Render store error: ${error.message}`);
+
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code || 'RENDER_STORE_ERROR',
+        });
+    }
+}
+
+/**
+ * Send a scanning phone to its app store (smart link of the "app" type)
+ *
+ * GET /api/v2/qr/app?ios=284882215&android=com.facebook.katana
+ *
+ * iOS and Android get a 302 to the App Store / Google Play listing;
+ * other devices a small page linking both.
+ */
+async function appRedirect(req, res) {
+    try {
+        const target = AppLinkEncoder.resolve(req.query, req.get('User-Agent') || '');
+
+        res.set('Cache-Control', APP_LINK_CACHE_CONTROL);
+        res.vary('User-Agent');
+
+        if (target.location) {
+            return res.redirect(302, target.location);
+        }
+        return res.type('html').send(AppLinkEncoder.renderChooser(target.links));
+
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            code: error.code || 'APP_LINK_ERROR',
+            ...(error.details && { details: error.details }),
+        });
+    }
+}
+
+/**
+ * Images of one generate() result in the requested response format
+ *
+ * @param {Object} result - QRCodeGenerator.generate() result
+ * @param {string} format - svg | both | png | any other output format
+ * @returns {Object} - svg / svgBase64 / pngBase64 / <format>Base64
+ */
+function pickImages(result, format) {
+    const images = {};
+
+    if (format === 'svg' || format === 'both') {
+        images.svg = result.svg;
+        images.svgBase64 = result.svgBase64;
+    }
+
+    if (format === 'png' || format === 'both') {
+        images.pngBase64 = result.pngBase64;
+    }
+
+    if (format !== 'svg' && format !== 'both' && format !== 'png') {
+        images[`${format}Base64`] = result[`${format}Base64`];
+    }
+
+    return images;
+}
+
+/**
+ * Render store formats a response format needs
+ *
+ * @param {string} format - svg | both | any other output format
+ * @returns {Array<string>}
+ */
+function getImageFormats(format) {
+    if (format === 'both') {
+        return ['svg', 'png'];
+    }
+    return [format];
+}
+
+/**
+ * Every image of a generate() result as bytes, for the render store
+ *
+ * @param {Object} result - QRCodeGenerator.generate() result
+ * @returns {Object} - { format: Buffer }
+ */
+function getResultImages(result) {
+    const images = {};
+
+    if (result.svg) {
+        images.svg = Buffer.from(result.svg);
+    }
+    for (const format of Object.keys(MIME_TYPES)) {
+        if (format !== 'svg' && result[`${format}Base64`]) {
+            images[format] = Buffer.from(result[`${format}Base64`], 'base64');
+        }
+    }
+
+    return images;
+}
+
+/**
+ * Stored image bytes in the shape of pickImages()
+ *
+ * @param {Object} images - { format: Buffer }
+ * @returns {Object} - svg / svgBase64 / <format>Base64
+ */
+function toResponseImages(images) {
+    const response = {};
+
+    for (const [format, image] of Object.entries(images)) {
+        if (format === 'svg') {
+            response.svg = image.toString('utf8');
+        }
+        response[`${format}Base64`] = image.toString('base64');
+    }
+
+    return response;
+}
+
+/**
+ * Structured Append settings from request options
+ *
+ * @param {Object} options - Request options; structuredAppend is true or { maxSymbols, columns }
+ * @returns {Object|null} - { maxSymbols, columns }, or null when not requested
+ */
+function getStructuredAppendOptions(options = {}) {
+    const value = options.structuredAppend;
+    if (!value) {
+        return null;
+    }
+
+    return value === true ? {} : value;
+}
+
+/**
+ * Check an output size in pixels
+ *
+ * @param {number} size
+ * @returns {boolean}
+ */
+function isValidSize(size) {
+    return Number.isInteger(size) && size >= 64 && size <= 2048;
+}
+
 /**
  * Helper to validate color format
  */
@@ -515,10 +1195,282 @@ function isValidColor(color) {
     return false;
 }
 
+/**
+ * Validate a gradient config ({ type, angle, colors, cx, cy, r })
+ *
+ * @param {Object} gradient
+ * @param {string} field - Field path used in error messages
+ * @returns {Array} - Validation errors ({ field, message })
+ */
+function validateGradient(gradient, field) {
+    if (typeof gradient !== 'object' || Array.isArray(gradient)) {
+        return [{ field, message: 'Gradient must be an object with type and colors' }];
+    }
+
+    const errors = [];
+
+    if (gradient.type && !['LINEAR', 'RADIAL'].includes(String(gradient.type).toUpperCase())) {
+        errors.push({ field: `${field}.type`, message: 'Gradient type must be LINEAR or RADIAL' });
+    }
+
+    if (gradient.angle !== undefined && typeof gradient.angle !== 'string' && !Number.isFinite(gradient.angle)) {
+        errors.push({ field: `${field}.angle`, message: 'Gradient angle must be a number of degrees' });
+    }
+
+    const colors = gradient.colors || gradient.stops;
+    if (!Array.isArray(colors) || colors.length < 2) {
+        errors.push({ field: `${field}.colors`, message: 'Gradient must have at least 2 color stops' });
+        return errors;
+    }
+
+    colors.forEach((colorStop, index) => {
+        const color = typeof colorStop === 'string' ? colorStop : colorStop && (colorStop.color || colorStop.value);
+        if (!isValidColor(color)) {
+            errors.push({ field: `${field}.colors[${index}]`, message: 'Invalid color format' });
+        }
+
+        const stop = colorStop && typeof colorStop === 'object' ? colorStop.stop ?? colorStop.offset : undefined;
+        if (stop !== undefined && (!Number.isFinite(stop) || stop < 0 || stop > 100)) {
+            errors.push({ field: `${field}.colors[${index}].stop`, message: 'Color stop must be between 0 and 100' });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate per-eye finder overrides (design.eyes)
+ *
+ * @param {Object} eyes
+ * @returns {Array} - Validation errors ({ field, message })
+ */
+function validateEyes(eyes) {
+    const errors = [];
+
+    if (typeof eyes !== 'object' || Array.isArray(eyes)) {
+        return [{ field: 'design.eyes', message: 'eyes must be an object keyed by topLeft, topRight, bottomLeft' }];
+    }
+
+    const finderShapes = QRCodeGenerator.getCapabilities().features.finders;
+
+    for (const [position, eye] of Object.entries(eyes)) {
+        const key = position.replace(/[-_]([a-z])/g, (match, letter) => letter.toUpperCase());
+        const field = `design.eyes.${position}`;
+
+        if (!finderShapes.perEye.includes(key)) {
+            errors.push({ field, message: `Unknown eye position. Must be one of: ${finderShapes.perEye.join(', ')}` });
+            continue;
+        }
+
+        if (!eye || typeof eye !== 'object') {
+            errors.push({ field, message: 'Eye override must be an object' });
+            continue;
+        }
+
+        const finder = eye.finder;
+        const finderDot = eye.finderDot || eye.finder_dot;
+        const externalColor = eye.externalColor || eye.external_color;
+        const internalColor = eye.internalColor || eye.internal_color;
+
+        if (finder && !finderShapes.shapes.includes(String(finder).toLowerCase().replace(/_/g, '-'))) {
+            errors.push({ field: `${field}.finder`, message: 'Unsupported finder shape' });
+        }
+        if (finderDot && !finderShapes.dotShapes.includes(String(finderDot).toLowerCase().replace(/_/g, '-'))) {
+            errors.push({ field: `${field}.finderDot`, message: 'Unsupported finder dot shape' });
+        }
+        if (externalColor && !isValidColor(externalColor)) {
+            errors.push({ field: `${field}.externalColor`, message: 'Invalid color format' });
+        }
+        if (internalColor && !isValidColor(internalColor)) {
+            errors.push({ field: `${field}.internalColor`, message: 'Invalid color format' });
+        }
+        const eyeGradients = {
+            gradient: eye.gradient,
+            externalGradient: eye.externalGradient || eye.external_gradient,
+            internalGradient: eye.internalGradient || eye.internal_gradient,
+        };
+        for (const [name, gradient] of Object.entries(eyeGradients)) {
+            if (gradient) {
+                errors.push(...validateGradient(gradient, `${field}.${name}`));
+            }
+        }
+        if (eye.rotate !== undefined && !finderShapes.rotations.includes(Number(eye.rotate))) {
+            errors.push({ field: `${field}.rotate`, message: `Rotation must be one of: ${finderShapes.rotations.join(', ')}` });
+        }
+        if (eye.mirror !== undefined && !finderShapes.mirror.includes(eye.mirror)) {
+            errors.push({ field: `${field}.mirror`, message: `Mirror must be one of: ${finderShapes.mirror.join(', ')}` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Pick the image format the client asked for in the Accept header
+ *
+ * JSON wins ties, so clients sending a wildcard or no Accept header
+ * keep getting the JSON response.
+ *
+ * @param {Object} req
+ * @returns {string|null} - Format key of MIME_TYPES, or null for JSON
+ */
+function negotiateImageFormat(req) {
+    const accepted = req.accepts(['application/json', ...Object.values(MIME_TYPES)]);
+
+    if (!accepted || accepted === 'application/json') {
+        return null;
+    }
+
+    return Object.keys(MIME_TYPES).find(format => MIME_TYPES[format] === accepted);
+}
+
+/**
+ * Send one generated image as raw bytes, with meta in X-QR-* headers
+ *
+ * @param {Object} res
+ * @param {Object} response - { images, urls, meta } as built by handleGenerate
+ * @param {string} format
+ * @param {string} cacheControl
+ */
+function sendImage(res, response, format, cacheControl) {
+    const { images, meta } = response;
+    const image = format === 'svg' ?
+        Buffer.from(images.svg) :
+        Buffer.from(images[`${format}Base64`], 'base64');
+
+    const headers = {
+        'Content-Type': MIME_TYPES[format],
+        'Content-Length': image.length,
+        'Content-Disposition': `inline; filename="qr-${meta.type}.${format}"`,
+        // Permanent URL of the same image in the render store
+        'Content-Location': response.urls && response.urls[format],
+        // helmet defaults to same-origin, which blocks <img> embeds on other sites
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+        'X-QR-Type': meta.type,
+        'X-QR-Size': meta.size,
+        'X-QR-Module-Count': meta.moduleCount,
+        'X-QR-Error-Correction': meta.errorCorrection,
+        'X-QR-Scannable': meta.scannable,
+        'X-QR-Scan-Confidence': meta.scanConfidence,
+        'X-QR-Cached': meta.cached,
+        'X-Generation-Time': `${meta.totalMs}ms`,
+        'Cache-Control': cacheControl || undefined,
+    };
+
+    for (const [name, value] of Object.entries(headers)) {
+        if (value !== undefined && value !== null) {
+            res.set(name, String(value));
+        }
+    }
+
+    return res.send(image);
+}
+
+/**
+ * Turn GET /generate query parameters into a generate request body
+ *
+ * @param {Object} query - req.query
+ * @returns {Object} - { type, data, design, options }
+ * @throws {Error} INVALID_QUERY when data/design/print is not valid JSON
+ */
+function parseQueryRequest(query) {
+    const parseJson = (value, field) => {
+        if (value === undefined || typeof value === 'object') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (parseError) {
+            const error = new Error(`Query parameter "${field}" must be valid JSON`);
+            error.code = 'INVALID_QUERY';
+            throw error;
+        }
+    };
+
+    const fields = Object.fromEntries(
+        Object.entries(query).filter(([key]) => !QUERY_OPTION_KEYS.includes(key))
+    );
+    const data = parseJson(query.data, 'data') || (Object.keys(fields).length > 0 ? fields : undefined);
+    const toNumber = value => (value === undefined ? undefined : Number(value));
+
+    // A bad size must not fall back to the default: the response is cached under this URL
+    const size = toNumber(query.size);
+    if (size !== undefined && (String(query.size).trim() === '' || !isValidSize(size))) {
+        const error = new Error('Size must be between 64 and 2048');
+        error.code = 'INVALID_SIZE';
+        error.details = [{ field: 'size', message: 'Must be a whole number of pixels between 64 and 2048' }];
+        throw error;
+    }
+
+    return {
+        type: query.type,
+        data,
+        design: parseJson(query.design, 'design') || {},
+        options: {
+            size,
+            format: query.format,
+            quality: toNumber(query.quality),
+            transparent: query.transparent === 'true',
+            dpi: toNumber(query.dpi),
+            verifyScannability: query.verifyScannability !== 'false',
+            requireScannable: query.requireScannable === 'true',
+            print: parseJson(query.print, 'print'),
+            colorSpace: query.colorSpace,
+        },
+    };
+}
+
+/**
+ * Validate print export options (options.print, options.colorSpace)
+ *
+ * @param {Object} options - Request options
+ * @returns {Array} - Validation errors ({ field, message })
+ */
+function validatePrintOptions(options) {
+    const errors = [];
+    const print = options.print;
+
+    if (options.colorSpace !== undefined && !VectorExporter.getSupportedColorSpaces().includes(options.colorSpace)) {
+        errors.push({ field: 'options.colorSpace', message: `Color space must be one of: ${VectorExporter.getSupportedColorSpaces().join(', ')}` });
+    }
+
+    if (print === undefined || print === null) {
+        return errors;
+    }
+
+    if (typeof print !== 'object' || Array.isArray(print)) {
+        return [...errors, { field: 'options.print', message: 'print must be an object with width, unit, bleed and cropMarks' }];
+    }
+
+    for (const dimension of ['width', 'height']) {
+        if (print[dimension] !== undefined && (!Number.isFinite(print[dimension]) || print[dimension] <= 0)) {
+            errors.push({ field: `options.print.${dimension}`, message: `${dimension} must be a positive number` });
+        }
+    }
+
+    if (print.unit !== undefined && !PrintLayout.getSupportedUnits().includes(print.unit)) {
+        errors.push({ field: 'options.print.unit', message: `Unit must be one of: ${PrintLayout.getSupportedUnits().join(', ')}` });
+    }
+
+    if (print.bleed !== undefined && (!Number.isFinite(print.bleed) || print.bleed < 0)) {
+        errors.push({ field: 'options.print.bleed', message: 'Bleed must be a number of 0 or more' });
+    }
+
+    if (print.cropMarks !== undefined && typeof print.cropMarks !== 'boolean') {
+        errors.push({ field: 'options.print.cropMarks', message: 'cropMarks must be true or false' });
+    }
+
+    return errors;
+}
+
 module.exports = {
     generate,
+    generateFromQuery,
     preview,
     getCapabilities,
     validateDesign,
+    plan,
     batch,
+    appRedirect,
+    getRender,
 };
@@ -14,6 +14,7 @@ const qrController = require('../controllers/qrController');
 const previewController = require('../controllers/previewController');
 const proxyController = require('../controllers/proxyController');
 const qrV2Controller = require('../controllers/qrV2Controller');
+const QRCodeGenerator = require('../services/qr/QRCodeGenerator');
 
 // ============================================================
 // V2 API Routes - Standalone QR generation (no Laravel dependency)
@@ -22,6 +23,9 @@ const qrV2Controller = require('../controllers/qrV2Controller');
 // Generate full QR code with all styling
 router.post('/v2/qr/generate', qrV2Controller.generate);
 
+// Generate from query parameters, returning the raw image (<img src>, CDNs)
+router.get('/v2/qr/generate', qrV2Controller.generateFromQuery);
+
 // Quick preview (optimized for speed)
 router.post('/v2/qr/preview', qrV2Controller.preview);
 
@@ -31,9 +35,18 @@ router.get('/v2/qr/capabilities', qrV2Controller.getCapabilities);
 // Validate design before generation
 router.post('/v2/qr/validate', qrV2Controller.validateDesign);
 
+// Payload size and version planning (live editor feedback)
+router.post('/v2/qr/plan', qrV2Controller.plan);
+
 // Batch generation
 router.post('/v2/qr/batch', qrV2Controller.batch);
 
+// Stored renders under permanent, immutable URLs
+router.get('/v2/qr/r/:hash.:ext', qrV2Controller.getRender);
+
+// App-download smart links (type "app"): redirect to the device's store
+router.get('/v2/qr/app', qrV2Controller.appRedirect);
+
 // ============================================================
 // V1 API Routes - Laravel-dependent (legacy)
 // ============================================================
@@ -71,7 +84,7 @@ router.get('/features', (req, res) => {
                 standalone_generation: true,
                 caching: process.env.CACHE_ENABLED === 'true',
                 max_size: parseInt(process.env.MAX_PNG_SIZE) || 2048,
-                supported_formats: ['png', 'jpeg', 'webp'],
+                supported_formats: QRCodeGenerator.getCapabilities().features.output.formats,
             },
             endpoints: {
                 // V2 API - Standalone (recommended)
@@ -79,6 +92,7 @@ router.get('/features', (req, res) => {
                 v2_preview: '/api/v2/qr/preview',
                 v2_capabilities: '/api/v2/qr/capabilities',
                 v2_validate: '/api/v2/qr/validate',
+                v2_plan: '/api/v2/qr/plan',
                 v2_batch: '/api/v2/qr/batch',
                 // V1 API - Laravel-dependent (legacy)
                 preview: '/api/qr/preview',
@@ -35,14 +35,53 @@ const qrV2Controller = require('../controllers/qrV2Controller');
  *     },
  *     "eyeInternalColor": "#000000",
  *     "eyeExternalColor": "#000000",
- *     "errorCorrection": "M",
+ *     "eyeExternalGradient": { "type": "LINEAR", "angle": 90, "colors": ["#000000", "#0044FF"] }, // Eye rings
+ *     "eyeInternalGradient": { "type": "RADIAL", "colors": ["#FF0000", "#000000"] },            // Eye dots
+ *     "backgroundGradient": { "type": "LINEAR", "angle": 180, "colors": ["#FFFFFF", "#E0F0FF"] },
+ *     "eyes": {             // Optional per-eye overrides (topLeft, topRight, bottomLeft)
+ *       "topLeft": { "finder": "leaf", "finderDot": "circle", "externalColor": "#FF0000" },
+ *       "topRight": { "gradient": { "type": "LINEAR", "angle": 45, "colors": ["#FF0000", "#0000FF"] } }, // Ring and dot
+ *       // Per part: "externalGradient" / "internalGradient" (win over externalColor / internalColor)
+ *       "bottomLeft": { "rotate": 90, "mirror": "horizontal" } // mirror: none|horizontal|vertical|both
+ *     },
+ *     "alignmentShape": "circle", // Draw alignment patterns as 5x5 units: square|rounded|extra-rounded|circle|diamond
+ *     "alignmentColor": "#000000",
+ *     "functionModuleShape": "square", // Plain shape for timing/format/version modules
+ *     "eyeAutoOrient": false, // Mirror leaf/water-drop/eye-shaped eyes so they point toward the center
+ *     "logoExcavate": false,   // Leave modules under the logo background out instead of painting over them
+ *     "logoExcavateMargin": 1, // Extra modules cleared around the logo when excavating
+ *     "symbology": "qr",    // "qr", "micro" (Micro QR M1-M4) or "rmqr" (rectangular Micro QR, R7x43-R17x139)
+ *                           // micro/rmqr: 2-module quiet zone by default, no logo, sticker or frame
+ *     "errorCorrection": "M", // Minimum level ("auto" = start at L); raised when a logo/sticker hides modules
+ *                           // micro: L/M/Q (M1 L only, Q only on M4); rmqr: M/H
+ *     "version": 5,         // Fixed symbol version 1-40 (same module grid across a series); default: smallest that fits
+ *                           // micro: "M1"-"M4"; rmqr: "R11x43", or "R11" for the narrowest that fits that height
+ *     "maskPattern": 2,     // Fixed mask pattern 0-7 (micro: 0-3; rmqr has one) for reproducible output; default: best score
+ *     "segments": [         // Manual segment modes; data must join to the encoded content (see /plan)
+ *       { "mode": "alphanumeric", "data": "HTTPS://EX.COM/" },
+ *       { "mode": "numeric", "data": "1234567890" }
+ *     ],
  *     "margin": 4
  *   },
  *   "options": {            // Optional: Output options
  *     "size": 512,          // Image size (64-2048)
- *     "format": "both",     // "svg", "png", or "both"
- *     "quality": 90,        // PNG quality (1-100)
- *     "transparent": false  // Transparent PNG background
+ *     "format": "both",     // "svg", "both" (svg + png), "png", "jpeg", "webp", "avif", "tiff", "gif", "pdf" or "eps"
+ *     "quality": 90,        // Raster quality (1-100); 100 = lossless webp/avif
+ *     "transparent": false, // Transparent background (400 INVALID_OPTIONS with jpeg)
+ *     "dpi": 300,           // Raster only: resolution stored in the file metadata
+ *     "verifyScannability": true, // Decode the output and report scannability
+ *     "requireScannable": false,  // Return 422 UNSCANNABLE instead of an unreadable code
+ *     "print": {            // pdf/eps: physical size (defaults to the pixel size at 96 DPI)
+ *       "width": 50,        // Trim width; height defaults to width
+ *       "unit": "mm",       // "mm", "cm", "in" or "pt"
+ *       "bleed": 3,         // Background extended past the trim on each side
+ *       "cropMarks": true   // Trim marks outside the bleed
+ *     },
+ *     "colorSpace": "cmyk", // pdf/eps: "cmyk" (default) or "rgb"
+ *     "structuredAppend": { // Or true: split content too large for one code across linked symbols
+ *       "maxSymbols": 16,   // 2-16
+ *       "columns": 4        // Sheet grid columns (default: square-ish grid)
+ *     }
  *   }
  * }
  *
@@ -54,26 +93,192 @@ const qrV2Controller = require('../controllers/qrV2Controller');
  *       "svg": "<svg>...</svg>",
  *       "svgBase64": "PHN2Zy...",
  *       "pngBase64": "iVBORw0KGgo..."
+ *       // Other formats return "<format>Base64", e.g. "jpegBase64", "pdfBase64", "epsBase64"
+ *     },
+ *     "urls": {             // Permanent URLs of every image of this render (render store; not for Structured Append)
+ *       "svg": "/api/v2/qr/r/5bae2875...cb77.svg",
+ *       "png": "/api/v2/qr/r/5bae2875...cb77.png"
  *     },
  *     "meta": {
  *       "type": "url",
  *       "size": 512,
  *       "generationMs": 45,
- *       "moduleCount": 25,
- *       "errorCorrection": "M",
- *       "cached": false,
+ *       "symbology": "qr",
+ *       "moduleCount": 25,    // Columns for rmqr
+ *       "height": 140, "moduleRows": 11, // rmqr only: image height in px and module rows
+ *       "version": 2,         // "M2" / "R11x43" for micro / rmqr
+ *       "maskPattern": 4,
+ *       "errorCorrection": "Q",
+ *       "recommendedErrorCorrection": "M", // Only for types whose spec mandates a level (epc, swissqr)
+ *       "occlusion": {        // Only when a logo or sticker covers modules
+ *         "percent": 12.3,
+ *         "modules": 69,
+ *         "codewords": 14,
+ *         "requestedLevel": "M",
+ *         "escalated": true,
+ *         "sources": ["logo"]
+ *       },
+ *       "excavatedModules": 52, // Only when logoExcavate removed modules
+ *       "contactFormat": "vcard3", // vcard only: vcard3 | vcard4 | mecard (data.format)
+ *       "targetVersion": 10, // Only with data.compact
+ *       "droppedFields": ["photo", "note"], // vcard only: fields left out by compact mode or unsupported by MeCard
+ *       "gs1Format": "element-string", // gs1 only: "digital-link" | "element-string" (data.format)
+ *       "humanReadable": "(01)09506000134352(17)251231(10)ABC123", // gs1 only: text to print under the code
+ *       "fnc1": true,         // Only for GS1 element strings: encoded in FNC1 mode (not verified by decoding)
+ *       "dpi": 300, "physicalSizeMm": 43.35, // Only when options.dpi is set (raster formats)
+ *       "print": {            // Only for pdf/eps; swissqr defaults to a 46 mm symbol
+ *         "widthMm": 50, "heightMm": 50, "bleedMm": 3, "cropMarks": true, "colorSpace": "cmyk"
+ *       },
+ *       "scannable": true,
+ *       "scanConfidence": 1,
+ *       "warnings": ["The epc specification requires error correction M; this code uses Q"], // Only when present
+ *       "cached": false,      // true when served from the cache or the render store
  *       "totalMs": 50
  *     }
  *   }
  * }
+ *
+ * Renders are kept in the render store under a hash of type, data, design
+ * and the render options, so repeating a request reads the stored images
+ * instead of rendering again. Cache keys and hashes use the canonical
+ * request: key order, snake_case aliases, color spellings (#000, black,
+ * #000000) and values equal to the defaults make no difference, and the
+ * renderer version (rendererVersion in /capabilities) is included, so a
+ * renderer update starts new entries. Binary responses name the
+ * stored image in the Content-Location header.
+ *
+ * Structured Append Response (options.structuredAppend; JSON only):
+ * Every symbol uses the same design and version; readers that support
+ * Structured Append join them in sequence order. Content that fits one
+ * code yields a single plain symbol.
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "images": {
+ *       "symbols": [
+ *         { "index": 0, "svg": "<svg>...</svg>", "svgBase64": "...", "pngBase64": "...",
+ *           "meta": { "version": 34, "structuredAppend": { "index": 0, "total": 3, "parity": 106 }, ... } },
+ *         ...
+ *       ],
+ *       "sheet": { "svg": "<svg>...</svg>", "svgBase64": "..." } // Grid of all symbols captioned "1 / 3", ...
+ *     },
+ *     "meta": { "type": "text", "symbols": 3, "version": 34, "errorCorrection": "M", "parity": 106, "bytes": 5002, ... }
+ *   }
+ * }
+ * Content that does not fit maxSymbols symbols fails with 422 CONTENT_TOO_LARGE
+ * ({ bytes, maxSymbols, version, errorCorrection }); manual segments and
+ * non-qr symbologies are rejected with 400.
+ *
+ * Error Response (requireScannable: true, 422):
+ * {
+ *   "success": false,
+ *   "error": "Generated QR code could not be decoded; ...",
+ *   "code": "UNSCANNABLE",
+ *   "details": { "scannable": false, "confidence": 0, "decoded": null }
+ * }
+ *
+ * Error Response (data rejected by the type's schema or encoder, 400):
+ * {
+ *   "success": false,
+ *   "error": "Invalid PIX data: data.city: Must be at most 15 characters (got 25)",
+ *   "code": "INVALID_DATA",
+ *   "details": [{ "field": "data.city", "message": "Must be at most 15 characters (got 25)" }]
+ * }
+ *
+ * GS1 data (type "gs1"): AIs by name or as "ais", validated (check digits, formats, YYMMDD dates)
+ * {
+ *   "gtin": "9506000134352", "batch": "ABC123", "expiry": "2025-12-31", "serial": "SN42",
+ *   "ais": { "3103": "000525" },  // Any other supported AI
+ *   "format": "digital-link",     // Or "element-string": FNC1-mode symbol for point-of-sale scanners
+ *   "domain": "https://id.example.com" // Digital Link resolver (default GS1_RESOLVER_DOMAIN, then https://id.gs1.org)
+ * }
+ * Element strings need symbology "qr" without manual segments (400 INVALID_DESIGN otherwise).
+ *
+ * Crypto data (type "crypto"): a payment URI in each chain's own standard, with the address checked
+ * (Base58Check, Bech32/Bech32m, CashAddr, EIP-55, Monero)
+ * {
+ *   "currency": "bitcoin",          // Chain or alias; see features.payments.crypto in /capabilities
+ *   "address": "bc1q...", "amount": "0.0015", "label": "Shop", "message": "Order 42",
+ *   "lightning": "lnbc..."          // BOLT11 fallback (bitcoin only); alone it makes a lightning: URI
+ * }
+ * { "currency": "polygon", "address": "0x...", "amount": "25", "token": "USDC" }
+ *   // EIP-681: ethereum:<contract>@137/transfer?address=<recipient>&uint256=25000000 (amounts in base units / wei)
+ *   // "token": { "address": "0x...", "decimals": 18 } for unlisted tokens, "chainId" for other EVM chains
+ * { "currency": "solana", "address": "...", "amount": "12.5", "token": "USDC", "reference": ["..."], "memo": "#42" }
+ * Monero writes tx_amount / recipient_name / tx_description; Zcash (ZIP-321) memos need a shielded address.
+ *
+ * Other types (see dataSchemas in /capabilities for every field):
+ *   app       { "ios": "id284882215", "android": "com.facebook.katana" } // Or "url": own smart link; both stores need APP_LINK_BASE_URL
+ *   wifi      { "ssid": "Corp", "encryption": "WPA2-EAP", "eap": "PEAP", "phase2": "MSCHAPV2", "identity": "jane", "password": "..." }
+ *   email     { "to": ["a@example.com", "b@example.com"], "cc": "c@example.com", "subject": "Hi", "format": "mailto" } // Or "matmsg" (one recipient, no cc/bcc)
+ *   telegram  { "username": "durov", "message": "Hi" } or { "phone": "+4412345678" }
+ *   signal    { "phone": "+4412345678" } or { "url": "https://signal.group/#..." }
+ *   viber     { "phone": "+4412345678", "message": "Hi" }
+ *   meeting   { "platform": "zoom", "meetingId": "123 4567 8901", "pwd": "<token from the invite>" } or { "platform": "meet", "code": "abc-defg-hij" } or { "url": "..." }
+ *   paypal    { "username": "jane", "amount": 25, "currency": "EUR" } // https://paypal.me/jane/25EUR
+ *
+ * Error Response (content does not fit design.version, 422):
+ * {
+ *   "success": false,
+ *   "error": "The content needs version 3 at error correction M; version 1 is too small",
+ *   "code": "VERSION_TOO_SMALL",
+ *   "details": { "version": 1, "minimumVersion": 3, "errorCorrection": "M", "bytes": 34 }
+ * }
+ * Micro QR and rMQR add "symbology" to the details and also fail this way when
+ * the content fits no symbol of that symbology ("minimumVersion": null).
+ *
+ * Invalid version / maskPattern fail with 400 INVALID_DESIGN, and segments that
+ * do not match the content with 400 INVALID_SEGMENTS (both with field details).
+ *
+ * Error Response (logo/sticker too large even for level H, 422):
+ * {
+ *   "success": false,
+ *   "code": "OCCLUSION_TOO_LARGE",
+ *   "details": { "occlusionPercent": 27.6, "occludedModules": 221, "strongestLevel": "H", "worstBlock": 11, "blockCapacity": 8 }
+ * }
+ * With design.version, escalation stops at the strongest level that still fits that version.
+ *
+ * Binary Response (Accept: image/png, image/svg+xml, image/webp, application/pdf, ...):
+ * The image bytes in the accepted format (overrides options.format), with meta as headers:
+ *   Content-Type: image/png
+ *   X-QR-Type: url
+ *   X-QR-Size: 512
+ *   X-QR-Module-Count: 25
+ *   X-QR-Error-Correction: Q
+ *   X-QR-Scannable: true
+ *   X-QR-Scan-Confidence: 1
+ *   X-QR-Cached: false
+ *   X-Generation-Time: 50ms
+ * Errors are still returned as JSON.
  */
 router.post('/generate', qrV2Controller.generate);
 
+/**
+ * GET /api/v2/qr/generate
+ *
+ * Same as POST /generate, driven by query parameters and always returning
+ * the raw image (usable as <img src>, cacheable by CDNs for a day).
+ *
+ * Query:
+ *   type=url                     Required
+ *   url=https://example.com      Data fields as plain parameters, or data={...} as JSON
+ *   design={"foregroundColor":"#1A1A1A"}  Optional JSON (or design[foregroundColor]=...)
+ *   size, format (default png; not "both"), quality, transparent, dpi,
+ *   verifyScannability, requireScannable, print (JSON), colorSpace
+ *
+ * Example:
+ *   <img src="/api/v2/qr/generate?type=url&url=https%3A%2F%2Fexample.com&size=300">
+ *
+ * Response: image bytes with the same X-QR-* headers as the binary POST response
+ */
+router.get('/generate', qrV2Controller.generateFromQuery);
+
 /**
  * POST /api/v2/qr/preview
  *
  * Generate a quick preview (optimized for speed).
  * Uses smaller default size (256px) and returns only PNG.
+ * Send `Accept: image/png` to receive the PNG bytes instead of JSON.
  *
  * Request Body: Same as /generate
  *
@@ -107,7 +312,27 @@ router.post('/preview', qrV2Controller.preview);
  *   "success": true,
  *   "data": {
  *     "version": "2.0.0",
+ *     "rendererVersion": 1, // Part of every cache key and render hash
  *     "types": ["url", "text", "email", ...],
+ *     "dataSchemas": {      // The data fields of each type, enforced by /validate and /generate
+ *       "formats": {
+ *         "e164": { "pattern": "^\\+?[1-9]\\d{6,14}$", "ignore": "[\\s\\-().]", "message": "Must be an international phone number (E.164), ..." },
+ *         "iban": { "pattern": "...", "checkDigit": true, "message": "Must be a valid IBAN" }
+ *       },
+ *       "types": {
+ *         "location": {
+ *           "label": "Location",
+ *           "requireOneOf": [["latitude", "longitude"], ["query"]], // All fields of one group are required
+ *           "fields": {
+ *             "latitude": { "label": "Latitude", "type": "number", "aliases": ["lat"], "min": -90, "max": 90 },
+ *             "query": { "label": "Place or address", "aliases": ["address", "name"], "maxLength": 500 }
+ *           }
+ *         }
+ *         // Field keys: type (default "string", or a list), aliases, required, format, maxLength,
+ *         // min, max, enum (case-insensitive), fields (objects), items / maxItems (lists).
+ *         // Schema keys: primary (field a plain string fills), passthrough (finished payload fields)
+ *       }
+ *     },
  *     "features": {
  *       "colors": { ... },
  *       "modules": { ... },
@@ -115,6 +340,12 @@ router.post('/preview', qrV2Controller.preview);
  *       "logo": { ... },
  *       "advancedShapes": { ... },
  *       "output": { ... },
+ *       "payments": {
+ *         "crypto": {       // Chains of the crypto type; standard: bip21 | eip681 | solana | monero | zip321 | lightning
+ *           "polygon": { "name": "Polygon", "aliases": ["matic", "pol"], "standard": "eip681", "chainId": 137 },
+ *           "ethereum": { "name": "Ethereum", "aliases": ["eth"], "standard": "eip681", "chainId": 1, "tokens": ["USDC", "USDT", "DAI"] }
+ *         }
+ *       },
  *       "errorCorrection": ["L", "M", "Q", "H"]
  *     }
  *   }
@@ -152,9 +383,57 @@ router.get('/capabilities', qrV2Controller.getCapabilities);
  *     ]
  *   }
  * }
+ *
+ * Data is checked against the type's schema (see /capabilities dataSchemas),
+ * then by the type's encoder; both report field paths:
+ *   "errors": [{ "field": "data.phones[0].number", "message": "Must be a phone number" }]
+ * /generate, /plan and /batch reject the same data with 400 INVALID_DATA and these details.
  */
 router.post('/validate', qrV2Controller.validateDesign);
 
+/**
+ * POST /api/v2/qr/plan
+ *
+ * Estimate the payload before generating: byte length, the mode segments
+ * the encoder will use, the minimum version for each error correction level
+ * and the smallest printable size for a scanning distance. Cheap enough to
+ * call on every keystroke.
+ *
+ * Request Body:
+ * {
+ *   "type": "vcard",
+ *   "data": { "firstName": "Ana", "phone": "+5511999990000" },
+ *   "design": { "errorCorrection": "M", "margin": 4 },
+ *   "options": { "scanDistance": 30, "unit": "cm" } // unit: mm | cm | m | in
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "type": "vcard",
+ *     "bytes": 98,
+ *     "characters": 98,
+ *     "errorCorrection": "M",
+ *     "segments": [
+ *       { "mode": "byte", "text": "BEGIN:VCARD...", "length": 98, "bits": 784 }
+ *     ],
+ *     "versions": {
+ *       "L": { "version": 5, "moduleCount": 37, "fits": true, "capacityBytes": 106,
+ *              "minPrintSize": { "symbol": 3.7, "withQuietZone": 4.5 } },
+ *       "M": { ... }, "Q": { ... }, "H": { ... }
+ *     },
+ *     "scan": { "distance": 30, "unit": "cm", "moduleSize": 0.1 },
+ *     "warnings": []
+ *   }
+ * }
+ *
+ * Modes: numeric | alphanumeric | byte | kanji. A level that cannot hold the
+ * payload has "version": null and "fits": false. Invalid data fails with
+ * INVALID_DATA and field details, as in /generate.
+ */
+router.post('/plan', qrV2Controller.plan);
+
 /**
  * POST /api/v2/qr/batch
  *
@@ -165,7 +444,8 @@ router.post('/validate', qrV2Controller.validateDesign);
  * {
  *   "items": [
  *     { "type": "url", "data": { "url": "https://a.com" } },
- *     { "type": "text", "data": { "text": "Hello" } }
+ *     { "type": "text", "data": { "text": "Hello" } },
+ *     { "type": "text", "data": { "text": "..." }, "options": { "structuredAppend": true } }
  *   ],
  *   "options": {
  *     "stopOnError": false  // Continue even if one fails
@@ -178,7 +458,8 @@ router.post('/validate', qrV2Controller.validateDesign);
  *   "data": {
  *     "results": [
  *       { "index": 0, "success": true, "data": { ... } },
- *       { "index": 1, "success": true, "data": { ... } }
+ *       { "index": 1, "success": true, "data": { ... } },
+ *       { "index": 2, "success": true, "data": { "images": { "symbols": [...], "sheet": { "svgBase64": "..." } }, "meta": { ... } } }
  *     ],
  *     "summary": {
  *       "total": 2,
@@ -191,4 +472,33 @@ router.post('/validate', qrV2Controller.validateDesign);
  */
 router.post('/batch', qrV2Controller.batch);
 
+/**
+ * GET /api/v2/qr/r/:hash.:ext
+ *
+ * A stored render, as linked from "urls" in /generate responses.
+ * ext: svg | png | jpeg (or jpg) | webp | avif | tiff | gif | pdf | eps
+ *
+ * Response: the image, with
+ * - ETag: "<hash>.<ext>" (strong; If-None-Match answers 304)
+ * - Cache-Control: public, max-age=31536000, immutable
+ *
+ * Unknown hash or format not rendered yet: 404 { "success": false, "code": "RENDER_NOT_FOUND" }
+ */
+router.get('/r/:hash.:ext', qrV2Controller.getRender);
+
+/**
+ * GET /api/v2/qr/app
+ *
+ * Smart link encoded by "app" codes that list both stores. Set
+ * APP_LINK_BASE_URL to this endpoint's public address.
+ *
+ * Query: ?ios=284882215&android=com.facebook.katana (App Store id, Play package)
+ *
+ * Response:
+ * - iOS / Android devices: 302 to https://apps.apple.com/app/id... or https://play.google.com/store/apps/details?id=...
+ * - Other devices: HTML page linking both stores
+ * - No valid store link: 400 { "success": false, "code": "INVALID_DATA", "details": [...] }
+ */
+router.get('/app', qrV2Controller.appRedirect);
+
 module.exports = router;
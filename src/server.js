@@ -25,6 +25,11 @@ app.use(cors({
     origin: '*', // Allow Flutter app from any origin
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-ID'],
+    exposedHeaders: [
+        'X-QR-Type', 'X-QR-Size', 'X-QR-Module-Count', 'X-QR-Error-Correction',
+        'X-QR-Scannable', 'X-QR-Scan-Confidence', 'X-QR-Cached', 'X-Generation-Time',
+        'Content-Location', 'ETag',
+    ],
 }));
 
 // Rate limiting
@@ -8,6 +8,7 @@
 const Redis = require('ioredis');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const stableStringify = require('../utils/stableStringify');
 
 class CacheService {
     constructor() {
@@ -57,11 +58,18 @@ class CacheService {
 
     /**
      * Generate cache key from parameters
+     *
+     * Key order does not matter; renders pass their parameters through
+     * QRCodeGenerator.canonicalizeRequest() first so aliases, color
+     * spellings and default values share one entry.
+     *
+     * @param {Object} params
+     * @returns {string}
      */
     generateKey(params) {
         const hash = crypto
             .createHash('md5')
-            .update(JSON.stringify(params))
+            .update(stableStringify(params))
             .digest('hex');
         return `qr_support:${hash}`;
     }
@@ -0,0 +1,124 @@
+/**
+ * ModuleRoles - Classifies every matrix cell by its role in the symbol
+ *
+ * Roles:
+ * - finder:    the three 7x7 corner patterns (one in Micro QR and rMQR)
+ * - separator: the light border around each finder pattern
+ * - alignment: the 5x5 alignment patterns (version 2+) and the rMQR sub-finder
+ * - timing:    the alternating row 6 / column 6 lines between the finders
+ *              (edge lines in Micro QR and rMQR, incl. rMQR corner patterns)
+ * - format:    format information next to the finders (incl. the dark module)
+ * - version:   version information blocks (version 7+)
+ * - data:      everything else (data and error correction codewords)
+ *
+ * Positions follow ISO/IEC 18004 and the qrcode library's own placement
+ * (setupFinderPattern, setupTimingPattern, setupAlignmentPattern, ...).
+ * Micro QR and rMQR matrices carry the roles their generators recorded
+ * while placing the patterns (see symbologies/).
+ */
+const AlignmentPattern = require('qrcode/lib/core/alignment-pattern');
+
+const ROLES = ['data', 'finder', 'separator', 'timing', 'alignment', 'format', 'version'];
+
+class ModuleRoles {
+    /**
+     * Classify every cell of a matrix
+     *
+     * @param {Object} qrMatrix - Matrix from QRCodeGenerator.generateQRMatrix()
+     * @returns {Array<Array<string>>} - Role per [row][col]
+     */
+    static classify(qrMatrix) {
+        if (qrMatrix.roles) {
+            return qrMatrix.roles;
+        }
+
+        const { size, version } = qrMatrix;
+        const roles = [];
+
+        for (let row = 0; row < size; row++) {
+            roles[row] = new Array(size).fill('data');
+        }
+
+        const set = (row, col, role) => {
+            if (row >= 0 && row < size && col >= 0 && col < size) {
+                roles[row][col] = role;
+            }
+        };
+
+        // Timing patterns (alignment patterns placed later may overwrite them)
+        for (let i = 8; i < size - 8; i++) {
+            set(6, i, 'timing');
+            set(i, 6, 'timing');
+        }
+
+        // Alignment patterns
+        for (const [centerRow, centerCol] of this.getAlignmentCenters(qrMatrix)) {
+            for (let r = -2; r <= 2; r++) {
+                for (let c = -2; c <= 2; c++) {
+                    set(centerRow + r, centerCol + c, 'alignment');
+                }
+            }
+        }
+
+        // Finder patterns with their separators
+        for (const { row: top, col: left } of this.getFinderOrigins(qrMatrix)) {
+            for (let r = -1; r <= 7; r++) {
+                for (let c = -1; c <= 7; c++) {
+                    const inPattern = r >= 0 && r <= 6 && c >= 0 && c <= 6;
+                    set(top + r, left + c, inPattern ? 'finder' : 'separator');
+                }
+            }
+        }
+
+        // Format information (around the top-left finder and split across the other two)
+        for (let i = 0; i <= 8; i++) {
+            if (i === 6) continue;
+            set(8, i, 'format');
+            set(i, 8, 'format');
+        }
+        for (let i = 0; i < 8; i++) {
+            set(8, size - 1 - i, 'format');
+            set(size - 1 - i, 8, 'format');
+        }
+
+        // Version information (two 6x3 blocks)
+        if (version >= 7) {
+            for (let i = 0; i < 18; i++) {
+                const row = Math.floor(i / 3);
+                const col = i % 3 + size - 11;
+                set(row, col, 'version');
+                set(col, row, 'version');
+            }
+        }
+
+        return roles;
+    }
+
+    /**
+     * Get the center [row, col] of every 5x5 alignment pattern
+     *
+     * @param {Object} qrMatrix
+     * @returns {Array<Array<number>>}
+     */
+    static getAlignmentCenters(qrMatrix) {
+        return qrMatrix.alignmentCenters || AlignmentPattern.getPositions(qrMatrix.version);
+    }
+
+    /**
+     * Get the top-left module of every 7x7 finder pattern, keyed like design.eyes
+     *
+     * @param {Object} qrMatrix
+     * @returns {Array<Object>} - [{ key, row, col }]
+     */
+    static getFinderOrigins(qrMatrix) {
+        return qrMatrix.finders || [
+            { key: 'topLeft', row: 0, col: 0 },
+            { key: 'topRight', row: 0, col: qrMatrix.size - 7 },
+            { key: 'bottomLeft', row: qrMatrix.size - 7, col: 0 },
+        ];
+    }
+}
+
+ModuleRoles.ROLES = ROLES;
+
+module.exports = ModuleRoles;
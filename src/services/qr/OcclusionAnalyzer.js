@@ -0,0 +1,183 @@
+/**
+ * OcclusionAnalyzer - Measures how much of a QR symbol an overlay destroys
+ *
+ * Every data module belongs to one codeword, and every codeword belongs to
+ * one Reed-Solomon block. A block can recover at most
+ * floor((ecCodewords - p) / 2) damaged codewords, p being the codewords the
+ * small symbols keep for misdecode protection, so an overlay is survivable
+ * only when no block loses more codewords than that.
+ *
+ * The codeword layout is rebuilt from the qrcode library's own tables (the
+ * same zig-zag placement and block interleaving it uses in createSymbol()).
+ */
+const ECLevel = require('qrcode/lib/core/error-correction-level');
+const ECCode = require('qrcode/lib/core/error-correction-code');
+const Utils = require('qrcode/lib/core/utils');
+const OverlayGeometry = require('./OverlayGeometry');
+
+// Misdecode protection codewords p (ISO/IEC 18004 table 9), by version and
+// level; every other symbol has p = 0
+const MISDECODE_PROTECTION = {
+    1: { L: 3, M: 2, Q: 1, H: 1 },
+    2: { L: 2 },
+    3: { L: 1 },
+};
+
+class OcclusionAnalyzer {
+    /**
+     * Analyze the occlusion of a matrix by overlay regions
+     *
+     * @param {Object} qrMatrix - Matrix from QRCodeGenerator.generateQRMatrix()
+     * @param {Array<Object>} regions - Regions from OverlayGeometry.getRegions()
+     * @param {Object} layout - { moduleSize, startX, startY }
+     * @returns {Object} - { modules, dataModules, percent, codewords, recoverable, worstBlock }
+     */
+    static analyze(qrMatrix, regions, layout) {
+        const { moduleSize, startX, startY } = layout;
+        const codewordMap = this.getCodewordMap(qrMatrix);
+        const blocks = this.getBlockLayout(qrMatrix.version, qrMatrix.errorCorrection);
+
+        let occludedModules = 0;
+        const damagedCodewords = new Set();
+
+        for (let row = 0; row < qrMatrix.size; row++) {
+            for (let col = 0; col < qrMatrix.size; col++) {
+                const codeword = codewordMap[row][col];
+                if (codeword === -1) continue;
+
+                const x = startX + col * moduleSize;
+                const y = startY + row * moduleSize;
+
+                if (OverlayGeometry.overlapsAny(regions, x, y, moduleSize)) {
+                    occludedModules++;
+                    if (codeword !== null) {
+                        damagedCodewords.add(codeword);
+                    }
+                }
+            }
+        }
+
+        // Count damaged codewords per Reed-Solomon block
+        const damagedPerBlock = new Array(blocks.count).fill(0);
+        for (const codeword of damagedCodewords) {
+            damagedPerBlock[blocks.codewordBlock[codeword]]++;
+        }
+
+        const worstBlock = Math.max(0, ...damagedPerBlock);
+        const dataModules = blocks.totalCodewords * 8;
+
+        return {
+            modules: occludedModules,
+            dataModules,
+            percent: Number((occludedModules / dataModules * 100).toFixed(2)),
+            codewords: damagedCodewords.size,
+            worstBlock,
+            blockCapacity: blocks.correctablePerBlock,
+            recoverable: worstBlock <= blocks.correctablePerBlock,
+        };
+    }
+
+    /**
+     * Map each matrix cell to the codeword index its bit belongs to
+     *
+     * Function modules are -1, remainder bits (not part of any codeword) null.
+     *
+     * @param {Object} qrMatrix
+     * @returns {Array<Array<number|null>>}
+     */
+    static getCodewordMap(qrMatrix) {
+        const { size, reserved, version } = qrMatrix;
+        const totalBits = Utils.getSymbolTotalCodewords(version) * 8;
+        const map = [];
+
+        for (let row = 0; row < size; row++) {
+            map[row] = new Array(size).fill(-1);
+        }
+
+        // Same traversal as setupData() in qrcode/lib/core/qrcode.js
+        let inc = -1;
+        let row = size - 1;
+        let bitIndex = 0;
+
+        for (let col = size - 1; col > 0; col -= 2) {
+            if (col === 6) col--;
+
+            while (true) {
+                for (let c = 0; c < 2; c++) {
+                    if (!reserved[row * size + col - c]) {
+                        map[row][col - c] = bitIndex < totalBits ? Math.floor(bitIndex / 8) : null;
+                        bitIndex++;
+                    }
+                }
+
+                row += inc;
+
+                if (row < 0 || size <= row) {
+                    row -= inc;
+                    inc = -inc;
+                    break;
+                }
+            }
+        }
+
+        return map;
+    }
+
+    /**
+     * Work out which Reed-Solomon block each interleaved codeword belongs to
+     *
+     * @param {number} version
+     * @param {string} level - L, M, Q or H
+     * @returns {Object} - { count, totalCodewords, correctablePerBlock, codewordBlock }
+     */
+    static getBlockLayout(version, level) {
+        const ecLevel = ECLevel.from(level, ECLevel.M);
+        const totalCodewords = Utils.getSymbolTotalCodewords(version);
+        const ecTotalCodewords = ECCode.getTotalCodewordsCount(version, ecLevel);
+        const dataTotalCodewords = totalCodewords - ecTotalCodewords;
+        const blockCount = ECCode.getBlocksCount(version, ecLevel);
+
+        const blocksInGroup2 = totalCodewords % blockCount;
+        const blocksInGroup1 = blockCount - blocksInGroup2;
+        const dataInGroup1 = Math.floor(dataTotalCodewords / blockCount);
+        const ecPerBlock = Math.floor(totalCodewords / blockCount) - dataInGroup1;
+        const maxData = blocksInGroup2 > 0 ? dataInGroup1 + 1 : dataInGroup1;
+
+        // Replays the interleaving done in createCodewords()
+        const codewordBlock = [];
+        for (let i = 0; i < maxData; i++) {
+            for (let b = 0; b < blockCount; b++) {
+                const blockData = b < blocksInGroup1 ? dataInGroup1 : dataInGroup1 + 1;
+                if (i < blockData) {
+                    codewordBlock.push(b);
+                }
+            }
+        }
+        for (let i = 0; i < ecPerBlock; i++) {
+            for (let b = 0; b < blockCount; b++) {
+                codewordBlock.push(b);
+            }
+        }
+
+        return {
+            count: blockCount,
+            totalCodewords,
+            correctablePerBlock: Math.floor((ecPerBlock - this.getMisdecodeProtection(version, ecLevel)) / 2),
+            codewordBlock,
+        };
+    }
+
+    /**
+     * Error correction codewords kept for misdecode protection
+     *
+     * @param {number} version
+     * @param {Object} ecLevel - qrcode error correction level
+     * @returns {number}
+     */
+    static getMisdecodeProtection(version, ecLevel) {
+        const level = ['L', 'M', 'Q', 'H'].find(name => ECLevel[name] === ecLevel);
+        return (MISDECODE_PROTECTION[version] && MISDECODE_PROTECTION[version][level]) || 0;
+    }
+}
+
+module.exports = OcclusionAnalyzer;
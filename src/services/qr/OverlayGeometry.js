@@ -0,0 +1,145 @@
+/**
+ * OverlayGeometry - Areas of the symbol covered by logos and stickers
+ *
+ * LogoProcessor and StickerProcessor paint on top of the module grid. This
+ * helper derives the covered areas straight from the design (before any
+ * processor runs), so the generator can reason about which modules end up
+ * hidden.
+ *
+ * Regions are expressed in SVG pixel coordinates:
+ * { source: 'logo' | 'sticker', shape: 'circle' | 'square' | 'rounded', x, y, width, height,
+ *   excavate: boolean, clearance: number (extra margin around the region, in modules) }
+ */
+const LogoProcessor = require('./processors/LogoProcessor');
+const StickerProcessor = require('./processors/StickerProcessor');
+
+const logoProcessor = new LogoProcessor();
+const stickerProcessor = new StickerProcessor();
+
+class OverlayGeometry {
+    /**
+     * Get the regions covered by the logo and sticker for a design
+     *
+     * Mirrors the geometry used by LogoProcessor.process()/generateLogoSVG()
+     * and StickerProcessor.process().
+     *
+     * @param {Object} design - Merged design
+     * @param {number} size - SVG size in pixels
+     * @param {number} moduleCount - Modules per side, when known (sizes the Swiss cross exactly)
+     * @returns {Array<Object>}
+     */
+    static getRegions(design, size, moduleCount = null) {
+        const regions = [];
+
+        if (logoProcessor.shouldProcess({ design })) {
+            const logoScale = logoProcessor.getDesignValue(design, 'logoScale', 0.2);
+            const logoSize = size * logoScale;
+            const centerX = size * logoProcessor.getDesignValue(design, 'logoPositionX', 0.5);
+            const centerY = size * logoProcessor.getDesignValue(design, 'logoPositionY', 0.5);
+
+            const hasBackground = logoProcessor.getDesignValue(design, 'logoBackground', true);
+            const backgroundShape = logoProcessor.getDesignValue(design, 'logoBackgroundShape', 'circle');
+            const excavate = logoProcessor.getDesignValue(design, 'logoExcavate', false) === true;
+            const clearance = excavate ? Number(logoProcessor.getDesignValue(design, 'logoExcavateMargin', 0)) || 0 : 0;
+
+            if (hasBackground && backgroundShape !== 'none') {
+                const backgroundScale = logoProcessor.getDesignValue(design, 'logoBackgroundScale', 1.3);
+                const backgroundSize = logoSize * backgroundScale;
+
+                regions.push({
+                    source: 'logo',
+                    shape: backgroundShape,
+                    x: centerX - backgroundSize / 2,
+                    y: centerY - backgroundSize / 2,
+                    width: backgroundSize,
+                    height: backgroundSize,
+                    excavate,
+                    clearance,
+                });
+            } else {
+                // Without a background the image itself hides the modules
+                regions.push({
+                    source: 'logo',
+                    shape: 'square',
+                    x: centerX - logoSize / 2,
+                    y: centerY - logoSize / 2,
+                    width: logoSize,
+                    height: logoSize,
+                    excavate,
+                    clearance,
+                });
+            }
+        }
+
+        if (stickerProcessor.shouldProcess({ design })) {
+            const symbolSize = moduleCount ? size * moduleCount / (moduleCount + 2 * design.margin) : null;
+            const sticker = stickerProcessor.getStickerBox(design, size, symbolSize);
+
+            regions.push({
+                source: 'sticker',
+                shape: 'square',
+                x: sticker.x,
+                y: sticker.y,
+                width: sticker.size,
+                height: sticker.size,
+                excavate: false,
+                clearance: 0,
+            });
+        }
+
+        return regions;
+    }
+
+    /**
+     * Check whether a module square overlaps a region (including its clearance)
+     *
+     * @param {Object} region
+     * @param {number} x - Module left edge
+     * @param {number} y - Module top edge
+     * @param {number} moduleSize
+     * @returns {boolean}
+     */
+    static overlapsModule(region, x, y, moduleSize) {
+        const margin = (region.clearance || 0) * moduleSize;
+        const left = region.x - margin;
+        const top = region.y - margin;
+        const right = region.x + region.width + margin;
+        const bottom = region.y + region.height + margin;
+
+        // Bounding boxes must overlap (strictly, touching edges do not count)
+        if (x + moduleSize <= left || x >= right || y + moduleSize <= top || y >= bottom) {
+            return false;
+        }
+
+        if (region.shape !== 'circle') {
+            return true;
+        }
+
+        // Circle: closest point of the module square to the circle center
+        const cx = region.x + region.width / 2;
+        const cy = region.y + region.height / 2;
+        const r = Math.max(region.width, region.height) / 2 + margin;
+
+        const nearestX = Math.max(x, Math.min(cx, x + moduleSize));
+        const nearestY = Math.max(y, Math.min(cy, y + moduleSize));
+        const dx = nearestX - cx;
+        const dy = nearestY - cy;
+
+        return dx * dx + dy * dy < r * r;
+    }
+
+    /**
+     * Check whether a module overlaps any of the regions
+     *
+     * @param {Array<Object>} regions
+     * @param {number} x
+     * @param {number} y
+     * @param {number} moduleSize
+     * @returns {boolean}
+     */
+    static overlapsAny(regions, x, y, moduleSize) {
+        return regions.some(region => this.overlapsModule(region, x, y, moduleSize));
+    }
+}
+
+module.exports = OverlayGeometry;
@@ -0,0 +1,220 @@
+/**
+ * QRCapacity - How much data fits a QR version at an error correction level
+ *
+ * Byte capacities come from the qrcode library's own tables and assume byte
+ * mode, the mode used for UTF-8 text. The library may pack digit runs more
+ * tightly, so a payload that fits here always fits the real symbol.
+ *
+ * plan() mirrors how qrcode.create() segments a string and picks a version,
+ * so its answers match what generateQRMatrix() will produce.
+ */
+const Version = require('qrcode/lib/core/version');
+const ECLevel = require('qrcode/lib/core/error-correction-level');
+const Mode = require('qrcode/lib/core/mode');
+const Segments = require('qrcode/lib/core/segments');
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Characters each manual segment mode accepts (kanji needs a Shift JIS converter the library is not given)
+const SEGMENT_PATTERNS = {
+    numeric: /^\d+$/,
+    alphanumeric: /^[0-9A-Z $%*+\-./:]+$/,
+    byte: /^[\s\S]+$/,
+};
+
+// A phone camera resolves a module about 1/300 of the scanning distance away
+// (the usual "10:1" rule for a version 2-3 code); printers need at least 0.25 mm
+const DISTANCE_PER_MODULE = 300;
+const MIN_MODULE_SIZE_MM = 0.25;
+
+const UNIT_TO_MM = {
+    mm: 1,
+    cm: 10,
+    m: 1000,
+    in: 25.4,
+};
+
+class QRCapacity {
+    /**
+     * Number of bytes a version holds
+     *
+     * @param {number} version - 1-40
+     * @param {string} level - L | M | Q | H
+     * @returns {number}
+     */
+    static getByteCapacity(version, level) {
+        return Version.getCapacity(version, ECLevel.from(this.normalizeLevel(level)), Mode.BYTE);
+    }
+
+    /**
+     * Smallest version that holds a number of bytes
+     *
+     * @param {number} bytes
+     * @param {string} level - L | M | Q | H
+     * @returns {number|null} - null when even version 40 is too small
+     */
+    static getVersionForBytes(bytes, level) {
+        for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+            if (bytes <= this.getByteCapacity(version, level)) {
+                return version;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Modules per side of a version
+     *
+     * @param {number} version
+     * @returns {number}
+     */
+    static getModuleCount(version) {
+        return version * 4 + 17;
+    }
+
+    /**
+     * Describe how a payload will be encoded at every error correction level
+     *
+     * @param {string} content - Encoded payload (QRDataEncoder.encode())
+     * @param {Object} options
+     * @param {string} options.errorCorrection - Level whose segments are reported (default M)
+     * @param {number} options.margin - Quiet zone in modules (default 4)
+     * @param {number} options.scanDistance - Scanning distance in `unit` (default 30 cm)
+     * @param {string} options.unit - mm | cm | m | in (default cm)
+     * @param {Array<Object>} options.segments - Manual segments (see validateSegments)
+     * @returns {Object} - { bytes, characters, errorCorrection, segments, versions, scan }
+     */
+    static plan(content, options = {}) {
+        const level = this.normalizeLevel(options.errorCorrection);
+        const margin = options.margin ?? 4;
+        const unit = options.unit || 'cm';
+        const scanDistance = options.scanDistance ?? (30 * UNIT_TO_MM.cm / UNIT_TO_MM[unit]);
+        const moduleSizeMm = Math.max(MIN_MODULE_SIZE_MM, scanDistance * UNIT_TO_MM[unit] / DISTANCE_PER_MODULE);
+        const toUnit = (mm) => Number((mm / UNIT_TO_MM[unit]).toPrecision(3));
+
+        const versions = {};
+        for (const candidate of LEVELS) {
+            const version = this.getMinimumVersion(content, candidate, options.segments);
+            const moduleCount = version ? this.getModuleCount(version) : null;
+
+            versions[candidate] = {
+                version,
+                moduleCount,
+                fits: version !== null,
+                ...(version && {
+                    capacityBytes: this.getByteCapacity(version, candidate),
+                    minPrintSize: {
+                        symbol: toUnit(moduleCount * moduleSizeMm),
+                        withQuietZone: toUnit((moduleCount + 2 * margin) * moduleSizeMm),
+                    },
+                }),
+            };
+        }
+
+        return {
+            bytes: Buffer.byteLength(content, 'utf8'),
+            characters: [...content].length,
+            errorCorrection: level,
+            segments: this.getSegments(content, level, options.segments).map(segment => ({
+                mode: segment.mode.id.toLowerCase(),
+                text: segment.mode === Mode.BYTE ? Buffer.from(segment.data).toString('utf8') : segment.data,
+                length: segment.getLength(),
+                bits: segment.getBitsLength(),
+            })),
+            versions,
+            scan: {
+                distance: scanDistance,
+                unit,
+                moduleSize: toUnit(moduleSizeMm),
+            },
+        };
+    }
+
+    /**
+     * Segments qrcode.create() builds for a string, or for a manual segment list
+     * (Kanji segments only appear when the library has a Shift JIS converter)
+     *
+     * @param {string} content
+     * @param {string} level - L | M | Q | H
+     * @param {Array<Object>|null} manual - [{ mode, data }] from validateSegments()
+     * @returns {Array<Object>} - qrcode segment objects
+     */
+    static getSegments(content, level, manual = null) {
+        if (manual) {
+            return Segments.fromArray(manual);
+        }
+
+        const ecl = ECLevel.from(this.normalizeLevel(level));
+        const estimated = Version.getBestVersionForData(Segments.rawSplit(content), ecl);
+        return Segments.fromString(content, estimated || MAX_VERSION);
+    }
+
+    /**
+     * Smallest version qrcode.create() would choose for a string
+     *
+     * @param {string} content
+     * @param {string} level - L | M | Q | H
+     * @param {Array<Object>|null} manual - Manual segments
+     * @returns {number|null} - null when the payload does not fit version 40
+     */
+    static getMinimumVersion(content, level, manual = null) {
+        const ecl = ECLevel.from(this.normalizeLevel(level));
+        return Version.getBestVersionForData(this.getSegments(content, level, manual), ecl) || null;
+    }
+
+    /**
+     * Validate manual segments against the encoded content
+     *
+     * @param {Array<Object>} segments - [{ mode: numeric | alphanumeric | byte, data }]
+     * @param {string} content - Encoded payload; the segment data must join to exactly this
+     * @returns {Array<Object>} - { field, message } errors
+     */
+    static validateSegments(segments, content) {
+        if (!Array.isArray(segments) || segments.length === 0) {
+            return [{ field: 'design.segments', message: 'Segments must be a non-empty array of { mode, data }' }];
+        }
+
+        const errors = [];
+
+        segments.forEach((segment, index) => {
+            const mode = String((segment && segment.mode) || '').toLowerCase();
+            const data = segment && typeof segment.data === 'string' ? segment.data : '';
+
+            if (!SEGMENT_PATTERNS[mode]) {
+                errors.push({ field: `design.segments[${index}].mode`, message: `Mode must be one of ${Object.keys(SEGMENT_PATTERNS).join(', ')}` });
+            } else if (!SEGMENT_PATTERNS[mode].test(data)) {
+                errors.push({
+                    field: `design.segments[${index}].data`,
+                    message: mode === 'byte' ? 'Data must be a non-empty string' : `Data contains characters that ${mode} mode cannot encode`,
+                });
+            }
+        });
+
+        if (errors.length === 0 && segments.map(segment => segment.data).join('') !== content) {
+            errors.push({ field: 'design.segments', message: 'Segment data must join to exactly the encoded content (see /plan for it)' });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Normalize a design level; 'auto' starts at L like QRCodeGenerator.resolveErrorCorrection()
+     *
+     * @param {string} level
+     * @returns {string} - L | M | Q | H
+     */
+    static normalizeLevel(level) {
+        const value = String(level || 'M').toUpperCase();
+        if (value === 'AUTO') return 'L';
+        return LEVELS.includes(value) ? value : 'M';
+    }
+}
+
+QRCapacity.MIN_VERSION = MIN_VERSION;
+QRCapacity.MAX_VERSION = MAX_VERSION;
+QRCapacity.DISTANCE_UNITS = Object.keys(UNIT_TO_MM);
+QRCapacity.SEGMENT_PATTERNS = SEGMENT_PATTERNS;
+
+module.exports = QRCapacity;
@@ -14,6 +14,7 @@
 const QRCode = require('qrcode');
 const sharp = require('sharp');
 const QRDataEncoder = require('./QRDataEncoder');
+const QRDataSchema = require('./QRDataSchema');
 const SVGBuilder = require('./SVGBuilder');
 const ColorProcessor = require('./processors/ColorProcessor');
 const ModuleProcessor = require('./processors/ModuleProcessor');
@@ -21,8 +22,65 @@ const FinderProcessor = require('./processors/FinderProcessor');
 const LogoProcessor = require('./processors/LogoProcessor');
 const FrameProcessor = require('./processors/FrameProcessor');
 const StickerProcessor = require('./processors/StickerProcessor');
+const ScannabilityVerifier = require('./ScannabilityVerifier');
+const OverlayGeometry = require('./OverlayGeometry');
+const ModuleRoles = require('./ModuleRoles');
+const OcclusionAnalyzer = require('./OcclusionAnalyzer');
+const VectorExporter = require('./exporters/VectorExporter');
+const CSSColor = require('./exporters/CSSColor');
+const PrintLayout = require('./exporters/PrintLayout');
+const EMVCoMerchantEncoder = require('./encoders/EMVCoMerchantEncoder');
+const CryptoEncoder = require('./encoders/CryptoEncoder');
+const AppLinkEncoder = require('./encoders/AppLinkEncoder');
+const QRCapacity = require('./QRCapacity');
+const MicroQRGenerator = require('./symbologies/MicroQRGenerator');
+const RMQRGenerator = require('./symbologies/RMQRGenerator');
+const StructuredAppend = require('./StructuredAppend');
+const QRSymbolBuilder = require('./QRSymbolBuilder');
 const logger = require('../../utils/logger');
 
+/**
+ * Error correction levels from weakest to strongest
+ */
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Output formats rendered by VectorExporter instead of Sharp
+const VECTOR_FORMATS = ['pdf', 'eps'];
+
+// Raster formats encoded by Sharp
+const RASTER_FORMATS = ['png', 'jpeg', 'webp', 'avif', 'tiff', 'gif'];
+
+// Density the SVG is rasterized at before resizing (oversampling, not output DPI)
+const RENDER_DENSITY = 150;
+
+// Accepted range for options.dpi
+const MIN_DPI = 72;
+const MAX_DPI = 2400;
+
+// Matrix generators for the symbologies the qrcode library does not build
+const SYMBOLOGY_GENERATORS = {
+    micro: MicroQRGenerator,
+    rmqr: RMQRGenerator,
+};
+const SYMBOLOGIES = ['qr', ...Object.keys(SYMBOLOGY_GENERATORS)];
+
+// Quiet zone the Micro QR and rMQR specifications require (QR needs 4)
+const SMALL_SYMBOL_MARGIN = 2;
+
+// Version of the rendering output. Bump it whenever a change alters the image
+// produced for an unchanged request: it is part of every cache key and render
+// store hash, so entries made by older renderers are no longer hit.
+const RENDERER_VERSION = 3;
+
+// Design keys holding a color / a gradient, compared in canonical form
+const DESIGN_COLOR_KEYS = [
+    'foregroundColor', 'backgroundColor', 'eyeInternalColor', 'eyeExternalColor', 'alignmentColor',
+    'logoBackgroundFill', 'advancedShapeFrameColor', 'advancedShapeTextColor',
+];
+const DESIGN_GRADIENT_KEYS = ['gradientFill', 'eyeExternalGradient', 'eyeInternalGradient', 'backgroundGradient'];
+const EYE_COLOR_KEYS = ['externalColor', 'internalColor'];
+const EYE_GRADIENT_KEYS = ['gradient', 'externalGradient', 'internalGradient'];
+
 /**
  * Default design configuration
  * Matches Laravel's design schema exactly
@@ -40,6 +98,9 @@ const DEFAULT_DESIGN = {
 
     // Gradient
     gradientFill: null,
+    eyeExternalGradient: null,   // Same shape as gradientFill, for the eye outer rings
+    eyeInternalGradient: null,   // Same shape as gradientFill, for the eye dots
+    backgroundGradient: null,    // Same shape as gradientFill, spans the whole canvas
 
     // Module Shape
     module: 'square',            // square|dots|rounded|rhombus|diamond|vertical|horizontal|extra-rounded
@@ -59,9 +120,30 @@ const DEFAULT_DESIGN = {
     logoBackgroundFill: '#FFFFFF',
     logoBackgroundScale: 1.5,
     logoBackgroundShape: 'circle', // 'circle' | 'square'
+    // Per-eye overrides: { topLeft, topRight, bottomLeft } of
+    // { finder, finderDot, externalColor, internalColor, gradient,
+    //   externalGradient, internalGradient, rotate, mirror }
+    eyes: null,
+    eyeAutoOrient: false,        // Mirror asymmetric eye shapes so they point toward the center
+
+    // Function modules (null = drawn with the module shape)
+    alignmentShape: null,        // square|rounded|extra-rounded|circle|diamond, drawn as one 5x5 unit
+    alignmentColor: null,        // Defaults to the foreground fill
+    functionModuleShape: null,   // Module shape for timing/format/version modules, e.g. 'square'
+
+    logoExcavate: false,         // Leave modules under the logo out instead of painting over them
+    logoExcavateMargin: 0,       // Extra modules cleared around the logo when excavating
 
     // Error Correction
-    errorCorrection: 'M',        // L, M, Q, H
+    // Minimum level; raised automatically when a logo/sticker hides modules.
+    // 'auto' starts the search at L.
+    errorCorrection: 'M',        // L, M, Q, H, auto
+
+    // Symbol (null = chosen by the qrcode library)
+    symbology: 'qr',             // qr, micro (Micro QR M1-M4), rmqr (rectangular Micro QR)
+    version: null,               // 1-40 (micro: M1-M4, rmqr: R{rows}x{columns} or R{rows}); fixed module grid
+    maskPattern: null,           // 0-7 (micro: 0-3, rmqr: fixed); pinned for reproducible output
+    segments: null,              // [{ mode: numeric|alphanumeric|byte, data }] joining to the encoded content
 
     // Size and Margins
     margin: 4,
@@ -97,6 +179,12 @@ class QRCodeGenerator {
         this.logoProcessor = new LogoProcessor();
         this.frameProcessor = new FrameProcessor();
         this.stickerProcessor = new StickerProcessor();
+
+        // Decodes the final SVG to confirm the styled code still scans
+        this.scannabilityVerifier = new ScannabilityVerifier();
+
+        // Print-ready PDF / EPS output
+        this.vectorExporter = new VectorExporter();
     }
 
     /**
@@ -106,27 +194,104 @@ class QRCodeGenerator {
      * @param {Object} data - Data to encode
      * @param {Object} design - Design configuration
      * @param {Object} options - Additional options (size, format, etc.)
-     * @returns {Promise<Object>} - {svg: string, png: Buffer, base64: string}
+     * @param {boolean} options.verifyScannability - Decode the output before returning it (default true)
+     * @param {boolean} options.requireScannable - Throw an UNSCANNABLE error instead of returning an unreadable code
+     * @param {string} options.format - Raster format (png, jpeg, webp, avif, tiff, gif), or 'pdf' | 'eps' for a print file
+     * @param {number} options.dpi - Resolution written into raster metadata
+     * @param {Object} options.print - Physical size, bleed and crop marks for pdf/eps (see PrintLayout.compute)
+     * @param {string} options.colorSpace - 'cmyk' | 'rgb' for pdf/eps (default cmyk)
+     * @param {Object} options.part - One symbol of a Structured Append sequence (see generateStructuredAppend)
+     * @returns {Promise<Object>} - {svg, svgBase64, png, pngBase64, meta}; the png keys are named after options.format
      */
     async generate(type, data, design = {}, options = {}) {
         const startTime = Date.now();
 
         try {
+            this.validateOutputOptions(options);
+
             // Merge design with defaults
             const mergedDesign = this.mergeDesign(design);
             const size = options.size || mergedDesign.size || 512;
 
+            // Micro QR and rMQR only need a 2-module quiet zone
+            if (mergedDesign.symbology !== 'qr' && (!design || design.margin === undefined)) {
+                mergedDesign.margin = SMALL_SYMBOL_MARGIN;
+            }
+
+            const symbolErrors = this.validateSymbolOptions(mergedDesign);
+            if (symbolErrors.length > 0) {
+                const error = new Error(symbolErrors[0].message);
+                error.code = 'INVALID_DESIGN';
+                error.status = 400;
+                error.details = symbolErrors;
+                throw error;
+            }
+
             logger.debug(`Generating QR code: type=${type}, size=${size}`);
 
-            // Step 1: Encode data based on type
-            const qrContent = QRDataEncoder.encode(type, data);
+            // Step 1: Encode data based on type (compact contacts size themselves to the design's level)
+            const encoded = QRDataEncoder.encodeDetailed(type, data, {
+                errorCorrection: mergedDesign.errorCorrection,
+            });
+            const encoding = encoded.meta;
+
+            // A Structured Append symbol carries its part of the content behind the sequence header
+            const qrContent = options.part ? options.part.content : encoded.content;
+            mergedDesign.structuredAppend = options.part
+                ? { index: options.part.index, total: options.part.total, parity: options.part.parity }
+                : null;
             logger.debug(`Encoded QR content: ${qrContent.substring(0, 100)}...`);
 
-            // Step 2: Generate QR matrix
-            const qrMatrix = await this.generateQRMatrix(qrContent, mergedDesign);
+            const warnings = [];
+
+            // GS1 element strings are marked by the FNC1 mode indicator
+            mergedDesign.fnc1 = encoding.fnc1 === true;
+            if (mergedDesign.fnc1 && (mergedDesign.symbology !== 'qr' || mergedDesign.segments)) {
+                const field = mergedDesign.symbology !== 'qr' ? 'design.symbology' : 'design.segments';
+                const error = new Error(`GS1 element strings are encoded in FNC1 mode, which needs a standard QR code without manual segments; remove ${field} or use data.format "digital-link"`);
+                error.code = 'INVALID_DESIGN';
+                error.status = 400;
+                error.details = [{ field, message: error.message }];
+                throw error;
+            }
+
+            // Types whose spec mandates a level (EPC: M) use it unless the design sets one
+            if (encoding.errorCorrection && design.errorCorrection === undefined && design.error_correction === undefined) {
+                mergedDesign.errorCorrection = encoding.errorCorrection;
+            }
+
+            // ... and a mandated center overlay (Swiss QR-bill cross) replaces any sticker
+            if (encoding.sticker && mergedDesign.symbology !== 'qr') {
+                const error = new Error(`The ${type} specification requires a standard QR code; remove design.symbology`);
+                error.code = 'INVALID_DESIGN';
+                error.status = 400;
+                error.details = [{ field: 'design.symbology', message: error.message }];
+                throw error;
+            }
+            if (encoding.sticker) {
+                if (mergedDesign.sticker && mergedDesign.sticker !== 'none' && mergedDesign.sticker !== encoding.sticker) {
+                    warnings.push(`The ${type} specification requires the ${encoding.sticker} overlay; sticker "${mergedDesign.sticker}" was replaced`);
+                }
+                if (this.logoProcessor.shouldProcess({ design: mergedDesign })) {
+                    warnings.push(`The ${type} specification reserves the center for the ${encoding.sticker} overlay; remove the logo`);
+                }
+                mergedDesign.sticker = encoding.sticker;
+            }
 
-            // Step 3: Create SVG builder
-            const svgBuilder = new SVGBuilder(size, size);
+            // Step 2: Generate QR matrix, escalating error correction when
+            // a logo or sticker hides more modules than the level recovers
+            const { qrMatrix, occlusion } = await this.resolveErrorCorrection(qrContent, mergedDesign, size);
+            mergedDesign.errorCorrection = qrMatrix.errorCorrection;
+
+            // Step 3: Create SVG builder (rMQR symbols are wider than high).
+            // Micro QR and rMQR readers miss the antialiased edges of square
+            // modules at fractional module sizes, so those render unsmoothed
+            const moduleSize = this.calculateModuleSize(qrMatrix.size, size, mergedDesign.margin);
+            const height = qrMatrix.height === qrMatrix.size
+                ? size
+                : Math.round(moduleSize * (qrMatrix.height + mergedDesign.margin * 2));
+            const crisp = qrMatrix.symbology !== 'qr' && (mergedDesign.module || 'square') === 'square';
+            const svgBuilder = new SVGBuilder(size, height, crisp ? { shapeRendering: 'crispEdges' } : {});
 
             // Step 4: Create processing payload
             const payload = {
@@ -138,7 +303,8 @@ class QRCodeGenerator {
                 qrMatrix,
                 svgBuilder,
                 size,
-                moduleSize: this.calculateModuleSize(qrMatrix.size, size, mergedDesign.margin),
+                height,
+                moduleSize,
                 startX: 0,
                 startY: 0,
             };
@@ -158,24 +324,71 @@ class QRCodeGenerator {
             // Step 6: Build SVG from matrix and payload
             const svg = this.buildSVG(payload);
 
-            // Step 7: Convert to PNG if requested
-            const pngBuffer = await this.convertToPNG(svg, size, options);
-            const pngBase64 = pngBuffer.toString('base64');
+            // Step 7: Decode the result to make sure styling did not break it
+            // (the decoders do not return GS1 element strings as encoded)
+            const scan = qrMatrix.fnc1 ? null : await this.verifyScannability(svg, qrContent, size, {
+                ...options,
+                symbology: qrMatrix.symbology,
+                sequence: qrMatrix.structuredAppend,
+            });
+            if (qrMatrix.fnc1 && options.verifyScannability === true) {
+                warnings.push('Scannability verification cannot decode GS1 (FNC1) symbols; it was skipped');
+            }
+
+            // Readers locate a single-finder symbol by the square rings of its finder
+            const eye = payload.eyes?.topLeft;
+            if (qrMatrix.symbology !== 'qr' && eye && (eye.finderShape !== 'square' || eye.finderDotShape !== 'square')) {
+                warnings.push(`Many ${qrMatrix.symbology} readers only detect a square finder pattern; finder "${eye.finderShape}" / "${eye.finderDotShape}" may not scan`);
+            }
+
+            // Step 8: Export the print file, or rasterize (PNG unless another format was requested)
+            const outputKey = [...VECTOR_FORMATS, ...RASTER_FORMATS].includes(options.format) ? options.format : 'png';
+            const outputOptions = this.applySymbolPrintSize(options, encoding, qrMatrix.size, mergedDesign.margin);
+            const output = VECTOR_FORMATS.includes(outputKey) ?
+                await this.convertToVector(svg, payload, outputOptions) :
+                await this.convertToRaster(svg, size, { ...outputOptions, format: outputKey, height });
 
             const generationTime = Date.now() - startTime;
             logger.info(`QR code generated in ${generationTime}ms`);
 
+            if (encoding.errorCorrection && qrMatrix.errorCorrection !== encoding.errorCorrection) {
+                warnings.push(`The ${type} specification requires error correction ${encoding.errorCorrection}; this code uses ${qrMatrix.errorCorrection}`);
+            }
+
             return {
                 svg,
                 svgBase64: Buffer.from(svg).toString('base64'),
-                png: pngBuffer,
-                pngBase64,
+                [outputKey]: output,
+                [`${outputKey}Base64`]: output.toString('base64'),
                 meta: {
                     type,
                     size,
                     generationMs: generationTime,
+                    symbology: qrMatrix.symbology,
                     moduleCount: qrMatrix.size,
+                    ...(height !== size && { height, moduleRows: qrMatrix.height }),
+                    version: qrMatrix.version,
+                    maskPattern: qrMatrix.maskPattern,
                     errorCorrection: mergedDesign.errorCorrection,
+                    ...(qrMatrix.structuredAppend && { structuredAppend: qrMatrix.structuredAppend }),
+                    ...(qrMatrix.fnc1 && { fnc1: true }),
+                    ...(encoding.gs1Format && { gs1Format: encoding.gs1Format, humanReadable: encoding.humanReadable }),
+                    ...(encoding.errorCorrection && { recommendedErrorCorrection: encoding.errorCorrection }),
+                    ...(encoding.contactFormat && { contactFormat: encoding.contactFormat }),
+                    ...(encoding.targetVersion && { targetVersion: encoding.targetVersion }),
+                    ...(encoding.droppedFields && { droppedFields: encoding.droppedFields }),
+                    ...(occlusion && { occlusion }),
+                    ...(payload.excavatedModules && { excavatedModules: payload.excavatedModules }),
+                    ...(VECTOR_FORMATS.includes(outputKey) && { print: this.describePrint(size, outputOptions, height) }),
+                    ...(options.dpi && !VECTOR_FORMATS.includes(outputKey) && {
+                        dpi: options.dpi,
+                        physicalSizeMm: Math.round(size / options.dpi * 25.4 * 100) / 100,
+                    }),
+                    ...(scan && {
+                        scannable: scan.scannable,
+                        scanConfidence: scan.confidence,
+                    }),
+                    ...(warnings.length > 0 && { warnings }),
                 }
             };
 
@@ -185,6 +398,41 @@ class QRCodeGenerator {
         }
     }
 
+    /**
+     * Decode the generated SVG and compare it with the encoded content
+     *
+     * @param {string} svg
+     * @param {string} qrContent
+     * @param {number} size
+     * @param {Object} options - Generation options, plus the symbology and Structured Append sequence of the symbol
+     * @returns {Promise<Object|null>} - Verification result, or null when skipped
+     */
+    async verifyScannability(svg, qrContent, size, options = {}) {
+        if (options.verifyScannability === false && !options.requireScannable) {
+            return null;
+        }
+
+        const scan = await this.scannabilityVerifier.verify(svg, qrContent, {
+            size,
+            symbology: options.symbology,
+            structuredAppend: options.sequence,
+        });
+
+        if (!scan.scannable && options.requireScannable) {
+            const error = new Error('Generated QR code could not be decoded; reduce the logo/sticker size or increase contrast');
+            error.code = 'UNSCANNABLE';
+            error.status = 422;
+            error.details = {
+                scannable: false,
+                confidence: scan.confidence,
+                decoded: scan.decoded,
+            };
+            throw error;
+        }
+
+        return scan;
+    }
+
     /**
      * Generate a quick preview (optimized for speed)
      *
@@ -200,13 +448,118 @@ class QRCodeGenerator {
             ...options,
             size: options.size || 256,
             quality: options.quality || 80,
+            verifyScannability: options.verifyScannability === true,
         };
 
         return this.generate(type, data, design, previewOptions);
     }
 
     /**
-     * Generate QR code matrix using qrcode library
+     * Split content that is too large for one symbol across up to 16
+     * Structured Append symbols rendered with the same design, plus a
+     * sheet that lays them out in sequence order
+     *
+     * Content that fits one symbol yields a single plain symbol.
+     *
+     * @param {string} type
+     * @param {Object} data
+     * @param {Object} design - Applied to every symbol; design.version fixes the version of all of them
+     * @param {Object} options - As for generate()
+     * @param {Object} options.structuredAppend - { maxSymbols: 2-16 (default 16), columns: sheet columns }
+     * @returns {Promise<Object>} - { symbols: [generate() results], sheet: { svg, svgBase64 }, meta }
+     */
+    async generateStructuredAppend(type, data, design = {}, options = {}) {
+        const startTime = Date.now();
+        const structuredAppend = options.structuredAppend || {};
+
+        try {
+            this.validateOutputOptions(options);
+
+            const mergedDesign = this.mergeDesign(design);
+            const designErrors = this.validateSymbolOptions(mergedDesign);
+            if (mergedDesign.symbology !== 'qr') {
+                designErrors.push({ field: 'design.symbology', message: 'Structured Append links standard QR codes only' });
+            }
+            if (mergedDesign.segments) {
+                designErrors.push({ field: 'design.segments', message: 'Manual segments cannot be combined with Structured Append' });
+            }
+            if (designErrors.length > 0) {
+                const error = new Error(designErrors[0].message);
+                error.code = 'INVALID_DESIGN';
+                error.status = 400;
+                error.details = designErrors;
+                throw error;
+            }
+
+            // Split at the level every symbol starts from (generate() applies the same rules)
+            const { content, meta: encoding } = QRDataEncoder.encodeDetailed(type, data, {
+                errorCorrection: mergedDesign.errorCorrection,
+            });
+            if (encoding.sticker) {
+                const error = new Error(`The ${type} specification requires a single symbol; Structured Append cannot be used`);
+                error.code = 'INVALID_DESIGN';
+                error.status = 400;
+                error.details = [{ field: 'options.structuredAppend', message: error.message }];
+                throw error;
+            }
+
+            const mandated = encoding.errorCorrection && design.errorCorrection === undefined && design.error_correction === undefined;
+            const level = mandated ? encoding.errorCorrection : mergedDesign.errorCorrection;
+            const plan = StructuredAppend.split(content, {
+                errorCorrection: String(level).toLowerCase() === 'auto' ? 'L' : this.getErrorCorrectionLevel(level),
+                version: mergedDesign.version,
+                maxSymbols: structuredAppend.maxSymbols,
+                fnc1: encoding.fnc1 === true,
+            });
+
+            const symbols = [];
+            if (plan.parts.length === 1) {
+                symbols.push(await this.generate(type, data, design, options));
+            } else {
+                for (const part of plan.parts) {
+                    symbols.push(await this.generate(type, data, { ...design, version: plan.version }, { ...options, part }));
+                }
+            }
+
+            const size = symbols[0].meta.size;
+            const sheet = StructuredAppend.buildSheet(symbols.map(symbol => symbol.svg), {
+                width: size,
+                height: symbols[0].meta.height || size,
+                columns: structuredAppend.columns,
+                background: options.transparent ? 'none' : '#FFFFFF',
+            });
+            const warnings = [...new Set(symbols.flatMap(symbol => symbol.meta.warnings || []))];
+
+            return {
+                symbols,
+                sheet: {
+                    svg: sheet,
+                    svgBase64: Buffer.from(sheet).toString('base64'),
+                },
+                meta: {
+                    type,
+                    size,
+                    generationMs: Date.now() - startTime,
+                    symbols: symbols.length,
+                    version: symbols[0].meta.version,
+                    errorCorrection: symbols[0].meta.errorCorrection,
+                    parity: plan.parity,
+                    bytes: Buffer.byteLength(content, 'utf8'),
+                    ...(warnings.length > 0 && { warnings }),
+                },
+            };
+
+        } catch (error) {
+            logger.error(`Structured Append generation failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate QR code matrix using qrcode library, or the symbology's own
+     * generator for Micro QR and rMQR
+     *
+     * The matrix is `size` modules wide and `height` high (equal except for rMQR).
      *
      * @param {string} content - Content to encode
      * @param {Object} design - Design with error correction level
@@ -215,15 +568,74 @@ class QRCodeGenerator {
     async generateQRMatrix(content, design) {
         const errorCorrectionLevel = this.getErrorCorrectionLevel(design.errorCorrection);
 
+        // Manual segments replace the library's own segmentation of the content
+        if (design.segments) {
+            const segmentErrors = QRCapacity.validateSegments(design.segments, content);
+            if (segmentErrors.length > 0) {
+                const error = new Error(segmentErrors[0].message);
+                error.code = 'INVALID_SEGMENTS';
+                error.status = 400;
+                error.details = segmentErrors;
+                throw error;
+            }
+        }
+
+        const input = design.segments
+            ? design.segments.map(segment => ({ mode: segment.mode.toLowerCase(), data: segment.data }))
+            : content;
+
+        // Structured Append and FNC1 headers are written by QRSymbolBuilder
+        if (design.structuredAppend || design.fnc1) {
+            return QRSymbolBuilder.create(content, {
+                errorCorrection: errorCorrectionLevel,
+                version: design.version,
+                maskPattern: design.maskPattern,
+                structuredAppend: design.structuredAppend,
+                fnc1: design.fnc1,
+            });
+        }
+
+        const symbologyGenerator = SYMBOLOGY_GENERATORS[design.symbology];
+        if (symbologyGenerator) {
+            return symbologyGenerator.generate(content, {
+                errorCorrection: errorCorrectionLevel,
+                version: design.version,
+                maskPattern: design.maskPattern,
+                segments: design.segments ? input : null,
+            });
+        }
+
+        // A forced version must hold the content at this level
+        if (design.version) {
+            const minimumVersion = QRCapacity.getMinimumVersion(content, errorCorrectionLevel, design.segments ? input : null);
+            if (!minimumVersion || minimumVersion > design.version) {
+                const error = new Error(minimumVersion
+                    ? `The content needs version ${minimumVersion} at error correction ${errorCorrectionLevel}; version ${design.version} is too small`
+                    : `The content does not fit any QR version at error correction ${errorCorrectionLevel}`);
+                error.code = 'VERSION_TOO_SMALL';
+                error.status = 422;
+                error.details = {
+                    version: design.version,
+                    minimumVersion,
+                    errorCorrection: errorCorrectionLevel,
+                    bytes: Buffer.byteLength(content, 'utf8'),
+                };
+                throw error;
+            }
+        }
+
         // Generate QR code data
-        const qr = await QRCode.create(content, {
+        const qr = await QRCode.create(input, {
             errorCorrectionLevel,
+            ...(design.version && { version: design.version }),
+            ...(Number.isInteger(design.maskPattern) && { maskPattern: design.maskPattern }),
         });
 
         // Extract matrix
         const modules = qr.modules;
         const size = modules.size;
         const data = modules.data;
+        const reserved = modules.reservedBit;
 
         // Create a 2D matrix representation
         const matrix = [];
@@ -236,13 +648,103 @@ class QRCodeGenerator {
         }
 
         return {
+            symbology: 'qr',
             size,
+            width: size,
+            height: size,
             data,
+            reserved,
             matrix,
             version: qr.version,
+            errorCorrection: errorCorrectionLevel,
+            maskPattern: qr.maskPattern,
         };
     }
 
+    /**
+     * Generate the matrix at the lowest error correction level that still
+     * recovers the modules hidden by the logo background or sticker box
+     *
+     * The requested level is the starting point ('auto' starts at L); the
+     * level is only ever raised. If even H cannot recover the hidden
+     * modules the design is rejected with OCCLUSION_TOO_LARGE.
+     *
+     * @param {string} content - Content to encode
+     * @param {Object} design - Merged design
+     * @param {number} size - SVG size in pixels
+     * @returns {Promise<Object>} - { qrMatrix, occlusion }
+     */
+    async resolveErrorCorrection(content, design, size) {
+        const regions = OverlayGeometry.getRegions(design, size);
+        const requested = String(design.errorCorrection || 'M').toLowerCase() === 'auto'
+            ? this.getSymbologyLevels(design.symbology)[0]
+            : this.getErrorCorrectionLevel(design.errorCorrection);
+
+        if (regions.length === 0) {
+            return {
+                qrMatrix: await this.generateQRMatrix(content, { ...design, errorCorrection: requested }),
+                occlusion: null,
+            };
+        }
+
+        const candidates = ERROR_CORRECTION_LEVELS.slice(ERROR_CORRECTION_LEVELS.indexOf(requested));
+
+        let analysis = null;
+        let strongest = requested;
+
+        for (const level of candidates) {
+            // A forced version caps escalation at the strongest level it can still hold
+            if (design.version && level !== requested) {
+                const minimumVersion = design.structuredAppend || design.fnc1
+                    ? QRSymbolBuilder.getMinimumVersion(content, level, design)
+                    : QRCapacity.getMinimumVersion(content, level, design.segments || null);
+                if (!minimumVersion || minimumVersion > design.version) {
+                    break;
+                }
+            }
+            strongest = level;
+
+            const qrMatrix = await this.generateQRMatrix(content, { ...design, errorCorrection: level });
+            const moduleSize = this.calculateModuleSize(qrMatrix.size, size, design.margin);
+
+            analysis = OcclusionAnalyzer.analyze(qrMatrix, OverlayGeometry.getRegions(design, size, qrMatrix.size), {
+                moduleSize,
+                startX: moduleSize * design.margin,
+                startY: moduleSize * design.margin,
+            });
+
+            logger.debug(`Occlusion at level ${level}: ${analysis.percent}% (worst block ${analysis.worstBlock}/${analysis.blockCapacity})`);
+
+            if (analysis.recoverable) {
+                return {
+                    qrMatrix,
+                    occlusion: {
+                        percent: analysis.percent,
+                        modules: analysis.modules,
+                        codewords: analysis.codewords,
+                        requestedLevel: requested,
+                        escalated: level !== requested,
+                        sources: regions.map(region => region.source),
+                    },
+                };
+            }
+        }
+
+        // Name the version only when a fixed one stopped the escalation below H
+        const limit = design.version && strongest !== 'H' ? ` at version ${design.version}` : '';
+        const error = new Error(`Logo/sticker hides ${analysis.percent}% of the data modules, more than error correction level ${strongest} can recover${limit}`);
+        error.code = 'OCCLUSION_TOO_LARGE';
+        error.status = 422;
+        error.details = {
+            occlusionPercent: analysis.percent,
+            occludedModules: analysis.modules,
+            strongestLevel: strongest,
+            worstBlock: analysis.worstBlock,
+            blockCapacity: analysis.blockCapacity,
+        };
+        throw error;
+    }
+
     /**
      * Map error correction string to QRCode library level
      *
@@ -261,13 +763,24 @@ class QRCodeGenerator {
             'high': 'H',
         };
 
-        return levels[(level || 'M').toUpperCase()] || 'M';
+        return levels[String(level || 'M').toUpperCase()] || 'M';
+    }
+
+    /**
+     * Error correction levels a symbology supports, weakest first
+     *
+     * @param {string} symbology - qr | micro | rmqr
+     * @returns {string[]}
+     */
+    getSymbologyLevels(symbology) {
+        const generator = SYMBOLOGY_GENERATORS[symbology];
+        return generator ? generator.LEVELS : ERROR_CORRECTION_LEVELS;
     }
 
     /**
      * Calculate module size based on QR size, image size, and margin
      *
-     * @param {number} qrSize - Number of modules in QR
+     * @param {number} qrSize - Number of modules in QR (columns for rMQR)
      * @param {number} imageSize - Target image size
      * @param {number} margin - Margin in modules
      * @returns {number}
@@ -289,9 +802,9 @@ class QRCodeGenerator {
         const backgroundColor = payload.backgroundColor || '#FFFFFF';
         const backgroundEnabled = payload.backgroundEnabled !== false;
 
-        // Add background if enabled
+        // Add background if enabled (gradient id from ColorProcessor, or solid color)
         if (backgroundEnabled) {
-            svgBuilder.addBackground(backgroundColor);
+            svgBuilder.addBackground(payload.backgroundGradientId || backgroundColor);
         }
 
         // Add frame elements (before QR) if present
@@ -316,25 +829,40 @@ class QRCodeGenerator {
         // Check if we need neighbor context (for classy shapes)
         const needsContext = ['classy', 'classy-rounded', 'classyRounded'].includes(moduleShape);
 
+        // Knock out the modules under the logo (only once the logo actually loaded)
+        const matrix = payload.logo ? this.excavateMatrix(payload) : qrMatrix.matrix;
+
+        // Function modules can be styled apart from the data modules
+        const roles = ModuleRoles.classify(qrMatrix);
+        const alignmentShape = payload.alignmentShape || null;
+        const functionModuleShape = payload.functionModuleShape || null;
+
         let moduleCount = 0;
-        for (let row = 0; row < qrMatrix.size; row++) {
+        for (let row = 0; row < qrMatrix.height; row++) {
             for (let col = 0; col < qrMatrix.size; col++) {
-                if (qrMatrix.matrix[row][col]) {
+                if (matrix[row][col]) {
                     const x = startX + col * moduleSize;
                     const y = startY + row * moduleSize;
+                    const role = roles[row][col];
 
-                    // Check if this is part of a finder pattern (corners)
-                    const isFinderPattern = this.isFinderPatternModule(row, col, qrMatrix.size);
+                    // Finder patterns are drawn by addFinderPatterns(), styled
+                    // alignment patterns by addAlignmentPatterns()
+                    const drawnSeparately = role === 'finder' || (role === 'alignment' && alignmentShape);
 
-                    if (!isFinderPattern) {
+                    if (!drawnSeparately) {
                         // Get neighbor context if needed
                         let context = {};
                         if (needsContext) {
-                            context = ModuleProcessor.getNeighborContext(qrMatrix.matrix, row, col, qrMatrix.size);
+                            context = ModuleProcessor.getNeighborContext(matrix, row, col);
                         }
 
+                        // Timing/format/version modules may use a plain fallback shape
+                        const shape = functionModuleShape && ['timing', 'format', 'version'].includes(role)
+                            ? functionModuleShape
+                            : moduleShape;
+
                         // Generate module path using ModuleProcessor
-                        const pathData = this.moduleProcessor.generateModulePath(moduleShape, x, y, moduleSize, context);
+                        const pathData = this.moduleProcessor.generateModulePath(shape, x, y, moduleSize, context);
                         paths.push(pathData);
                         moduleCount++;
 
@@ -356,7 +884,12 @@ class QRCodeGenerator {
             });
         }
 
-        // Add finder patterns (the three large squares in corners)
+        // Add alignment patterns as units when they have their own shape
+        if (alignmentShape) {
+            this.addAlignmentPatterns(svgBuilder, payload);
+        }
+
+        // Add finder patterns (the large squares in the corners)
         this.addFinderPatterns(svgBuilder, payload);
 
         // Add sticker if present (processed by StickerProcessor)
@@ -386,25 +919,65 @@ class QRCodeGenerator {
         return svgBuilder.build();
     }
 
+    /**
+     * Remove the dark modules covered by an excavating logo from the matrix
+     *
+     * Uses the same geometry as the occlusion analysis (logo background
+     * shape plus logoExcavateMargin), so the error correction level chosen
+     * in resolveErrorCorrection() already accounts for the removed modules.
+     * Only data modules are excavated: function patterns (finder, timing,
+     * alignment, format and version information) are not covered by error
+     * correction, so the logo is drawn over them instead.
+     *
+     * @param {Object} payload
+     * @returns {Array<Array<number>>} - Matrix copy with excavated modules cleared
+     */
+    excavateMatrix(payload) {
+        const { qrMatrix, design, size, moduleSize, startX, startY } = payload;
+        const regions = OverlayGeometry.getRegions(design, size)
+            .filter(region => region.source === 'logo' && region.excavate);
+
+        if (regions.length === 0) {
+            return qrMatrix.matrix;
+        }
+
+        const roles = ModuleRoles.classify(qrMatrix);
+
+        let excavated = 0;
+        const matrix = qrMatrix.matrix.map((cells, row) => cells.map((dark, col) => {
+            if (!dark || roles[row][col] !== 'data') {
+                return dark;
+            }
+
+            const x = startX + col * moduleSize;
+            const y = startY + row * moduleSize;
+
+            if (OverlayGeometry.overlapsAny(regions, x, y, moduleSize)) {
+                excavated++;
+                return 0;
+            }
+
+            return dark;
+        }));
+
+        payload.excavatedModules = excavated;
+        logger.debug(`Excavated ${excavated} modules under the logo`);
+
+        return matrix;
+    }
+
     /**
      * Check if a module is part of a finder pattern
      *
      * @param {number} row
      * @param {number} col
-     * @param {number} size
+     * @param {Object} qrMatrix - QR has three finders, Micro QR and rMQR one
      * @returns {boolean}
      */
-    isFinderPatternModule(row, col, size) {
-        // Top-left finder pattern (0,0 to 6,6)
-        if (row < 7 && col < 7) return true;
-
-        // Top-right finder pattern
-        if (row < 7 && col >= size - 7) return true;
-
-        // Bottom-left finder pattern
-        if (row >= size - 7 && col < 7) return true;
-
-        return false;
+    isFinderPatternModule(row, col, qrMatrix) {
+        return ModuleRoles.getFinderOrigins(qrMatrix).some(origin => (
+            row >= origin.row && row < origin.row + 7 && col >= origin.col && col < origin.col + 7
+        ));
     }
 
     /**
@@ -423,18 +996,23 @@ class QRCodeGenerator {
         const finderShape = payload.finderShape || design.finder || 'square';
         const finderDotShape = payload.finderDotShape || design.finderDot || finderShape;
 
-        // Finder pattern positions (top-left, top-right, bottom-left)
-        const positions = [
-            { x: startX, y: startY },                                    // Top-left
-            { x: startX + (qrMatrix.size - 7) * moduleSize, y: startY }, // Top-right
-            { x: startX, y: startY + (qrMatrix.size - 7) * moduleSize }, // Bottom-left
-        ];
+        // Finder pattern positions (top-left, top-right, bottom-left; top-left only for Micro QR and rMQR)
+        const positions = ModuleRoles.getFinderOrigins(qrMatrix).map(origin => ({
+            key: origin.key,
+            x: startX + origin.col * moduleSize,
+            y: startY + origin.row * moduleSize,
+        }));
 
         for (const pos of positions) {
+            // Per-eye shape/orientation (FinderProcessor) and fills (ColorProcessor)
+            const eye = payload.eyes?.[pos.key] || { finderShape, finderDotShape, rotate: 0, mirror: 'none' };
+            const eyeFill = payload.eyeFills?.[pos.key] || {};
+            const orientTransform = this.finderProcessor.getEyeTransform(eye, pos.x, pos.y, moduleSize);
+
             // Generate finder pattern paths using FinderProcessor
             const finderPaths = this.finderProcessor.generateFinderPattern(
-                finderShape,
-                finderDotShape,
+                eye.finderShape,
+                eye.finderDotShape,
                 pos.x,
                 pos.y,
                 moduleSize
@@ -442,22 +1020,39 @@ class QRCodeGenerator {
 
             // Helper to add path (handles string or object with attrs)
             const addPath = (pathData, defaultAttrs) => {
+                let d = null;
+                let attrs = defaultAttrs;
+
                 if (typeof pathData === 'object' && pathData !== null && pathData.d) {
-                    svgBuilder.addPath(pathData.d, { ...defaultAttrs, ...pathData.attrs });
-                } else if (typeof pathData === 'string') {
-                    svgBuilder.addPath(pathData, defaultAttrs);
+                    d = pathData.d;
+                    attrs = { ...defaultAttrs, ...pathData.attrs };
+                } else if (typeof pathData === 'string' && pathData) {
+                    d = pathData;
+                }
+
+                if (!d) return;
+
+                // Orientation is applied on top of the shape's own placement transform
+                if (orientTransform) {
+                    attrs = {
+                        ...attrs,
+                        transform: attrs.transform ? `${orientTransform} ${attrs.transform}` : orientTransform,
+                    };
                 }
+
+                svgBuilder.addPath(d, attrs);
             };
 
             // Outer ring
             addPath(finderPaths.outerPath, {
-                fill: eyeExternalColor,
+                fill: eyeFill.external || eyeExternalColor,
                 fillRule: 'evenodd',
             });
 
             // Inner ring (hollow - white/background)
             const middleFill = payload.backgroundEnabled ?
-                (payload.backgroundColor || '#FFFFFF') : 'white';
+                (payload.backgroundGradientId ? `url(#${payload.backgroundGradientId})` : (payload.backgroundColor || '#FFFFFF')) :
+                'white';
             addPath(finderPaths.innerPath, {
                 fill: middleFill,
                 fillRule: 'evenodd',
@@ -465,7 +1060,36 @@ class QRCodeGenerator {
 
             // Center dot
             addPath(finderPaths.dotPath, {
-                fill: eyeInternalColor,
+                fill: eyeFill.internal || eyeInternalColor,
+            });
+        }
+    }
+
+    /**
+     * Add alignment patterns to the SVG, each drawn as one 5x5 unit
+     *
+     * @param {SVGBuilder} svgBuilder
+     * @param {Object} payload
+     */
+    addAlignmentPatterns(svgBuilder, payload) {
+        const { qrMatrix, moduleSize, startX, startY } = payload;
+        const fill = payload.alignmentFill || payload.foregroundFill || '#000000';
+        const paths = [];
+
+        for (const [centerRow, centerCol] of ModuleRoles.getAlignmentCenters(qrMatrix)) {
+            const pattern = this.finderProcessor.generateAlignmentPattern(
+                payload.alignmentShape,
+                startX + (centerCol - 2) * moduleSize,
+                startY + (centerRow - 2) * moduleSize,
+                moduleSize
+            );
+            paths.push(pattern.ringPath, pattern.dotPath);
+        }
+
+        if (paths.length > 0) {
+            svgBuilder.addPath(paths.join(' '), {
+                fill,
+                fillRule: 'evenodd',
             });
         }
     }
@@ -479,37 +1103,308 @@ class QRCodeGenerator {
      * @returns {Promise<Buffer>}
      */
     async convertToPNG(svg, size, options = {}) {
+        return this.convertToRaster(svg, size, { ...options, format: 'png' });
+    }
+
+    /**
+     * Convert SVG to a raster image (png, jpeg, webp, avif, tiff, gif)
+     *
+     * The SVG is always rasterized at RENDER_DENSITY and resized to `size`
+     * (by options.height for rMQR); options.dpi only sets the resolution
+     * written into the file, so 1200px at 300 DPI prints at 4 inches.
+     *
+     * @param {string} svg
+     * @param {number} size
+     * @param {Object} options
+     * @param {string} options.format - Raster format (default png)
+     * @param {number} options.quality - 1-100 (lossy formats, PNG palette)
+     * @param {boolean} options.transparent - Keep a transparent background (not for jpeg)
+     * @param {number} options.dpi - Resolution stored in the image metadata
+     * @param {number} options.height - Image height when it differs from size
+     * @returns {Promise<Buffer>}
+     */
+    async convertToRaster(svg, size, options = {}) {
+        const format = RASTER_FORMATS.includes(options.format) ? options.format : 'png';
         const quality = Math.max(1, Math.min(100, options.quality || 90));
         const transparent = options.transparent || false;
 
         try {
             // Configure Sharp for high quality output
             const sharpInstance = sharp(Buffer.from(svg), {
-                density: 150, // Higher DPI for quality
+                density: RENDER_DENSITY, // Higher DPI for quality
             });
 
             // Resize if needed
-            sharpInstance.resize(size, size, {
+            sharpInstance.resize(size, options.height || size, {
                 fit: 'contain',
                 background: transparent ?
                     { r: 0, g: 0, b: 0, alpha: 0 } :
                     { r: 255, g: 255, b: 255, alpha: 1 },
             });
 
-            // Convert to PNG
-            const pngBuffer = await sharpInstance
-                .png({
-                    compressionLevel: 9,
-                    quality,
-                })
+            // JPEG has no alpha channel; flatten onto white rather than black
+            if (format === 'jpeg') {
+                sharpInstance.flatten({ background: '#ffffff' });
+            }
+
+            // PNG/JPEG/TIFF store the density natively, WebP/AVIF only through EXIF; GIF has no field
+            if (options.dpi) {
+                const resolution = `${Math.round(options.dpi)}/1`;
+                sharpInstance
+                    .withMetadata({ density: options.dpi })
+                    .withExif({ IFD0: { XResolution: resolution, YResolution: resolution, ResolutionUnit: '2' } });
+            }
+
+            return await sharpInstance
+                .toFormat(format, this.getRasterOptions(format, quality))
                 .toBuffer();
 
-            return pngBuffer;
+        } catch (error) {
+            logger.error(`${format.toUpperCase()} conversion failed: ${error.message}`);
+            throw new Error(`Failed to convert SVG to ${format.toUpperCase()}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sharp encoder options per raster format
+     *
+     * QR codes are hard edges on flat color, so chroma subsampling is
+     * disabled wherever the encoder supports it.
+     *
+     * @param {string} format
+     * @param {number} quality - 1-100
+     * @returns {Object}
+     */
+    getRasterOptions(format, quality) {
+        switch (format) {
+            case 'jpeg':
+                return { quality, mozjpeg: true, chromaSubsampling: '4:4:4' };
+            case 'webp':
+                return { quality, lossless: quality === 100, smartSubsample: true };
+            case 'avif':
+                return { quality, lossless: quality === 100, chromaSubsampling: '4:4:4' };
+            case 'tiff':
+                return { quality, compression: 'lzw' };
+            case 'gif':
+                return { colours: 256, dither: 0 };
+            default:
+                return { compressionLevel: 9, quality };
+        }
+    }
+
+    /**
+     * Check the symbology / version / mask pattern / segments design options
+     *
+     * @param {Object} design - Merged design
+     * @returns {Array<Object>} - { field, message } errors
+     */
+    validateSymbolOptions(design) {
+        const errors = [];
+        const symbology = design.symbology || 'qr';
+        const hasVersion = design.version !== null && design.version !== undefined;
+        const hasMask = design.maskPattern !== null && design.maskPattern !== undefined;
+
+        if (!SYMBOLOGIES.includes(symbology)) {
+            return [{ field: 'design.symbology', message: `Symbology must be one of ${SYMBOLOGIES.join(', ')}` }];
+        }
+
+        if (symbology === 'qr') {
+            if (hasVersion &&
+                !(Number.isInteger(design.version) && design.version >= QRCapacity.MIN_VERSION && design.version <= QRCapacity.MAX_VERSION)) {
+                errors.push({ field: 'design.version', message: `Version must be an integer from ${QRCapacity.MIN_VERSION} to ${QRCapacity.MAX_VERSION}` });
+            }
+
+            if (hasMask && !(Number.isInteger(design.maskPattern) && design.maskPattern >= 0 && design.maskPattern <= 7)) {
+                errors.push({ field: 'design.maskPattern', message: 'Mask pattern must be an integer from 0 to 7' });
+            }
+        } else {
+            errors.push(...this.validateSmallSymbolOptions(design, symbology, hasVersion, hasMask));
+        }
+
+        if (design.segments !== null && design.segments !== undefined && (!Array.isArray(design.segments) || design.segments.length === 0)) {
+            errors.push({ field: 'design.segments', message: 'Segments must be a non-empty array of { mode, data }' });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the options only Micro QR and rMQR restrict: versions, masks,
+     * error correction levels, and overlays (a logo or sticker would hide
+     * more modules than these small symbols can recover)
+     *
+     * @param {Object} design - Merged design
+     * @param {string} symbology - micro | rmqr
+     * @param {boolean} hasVersion
+     * @param {boolean} hasMask
+     * @returns {Array<Object>} - { field, message } errors
+     */
+    validateSmallSymbolOptions(design, symbology, hasVersion, hasMask) {
+        const errors = [];
+        const name = symbology === 'micro' ? 'Micro QR' : 'rMQR';
+        const levels = this.getSymbologyLevels(symbology);
+        const level = String(design.errorCorrection || 'M').toLowerCase() === 'auto'
+            ? levels[0]
+            : this.getErrorCorrectionLevel(design.errorCorrection);
+
+        if (!levels.includes(level)) {
+            errors.push({ field: 'design.errorCorrection', message: `${name} supports error correction ${levels.join(', ')}` });
+        }
+
+        if (symbology === 'micro') {
+            const version = hasVersion ? String(design.version).toUpperCase() : null;
+            if (hasVersion && !MicroQRGenerator.VERSIONS.includes(version)) {
+                errors.push({ field: 'design.version', message: `Micro QR version must be one of ${MicroQRGenerator.VERSIONS.join(', ')}` });
+            } else if (version && levels.includes(level) && !MicroQRGenerator.getLevels(version).includes(level)) {
+                errors.push({ field: 'design.version', message: `${version} supports error correction ${MicroQRGenerator.getLevels(version).join(', ')}` });
+            }
 
+            if (hasMask && !(Number.isInteger(design.maskPattern) && design.maskPattern >= 0 && design.maskPattern < MicroQRGenerator.MASK_PATTERNS)) {
+                errors.push({ field: 'design.maskPattern', message: `Micro QR mask pattern must be an integer from 0 to ${MicroQRGenerator.MASK_PATTERNS - 1}` });
+            }
+        } else {
+            if (hasVersion && !RMQRGenerator.parseVersion(design.version)) {
+                errors.push({
+                    field: 'design.version',
+                    message: `rMQR version must be R{rows}x{columns} (e.g. R11x43) or R{rows} with rows ${RMQRGenerator.HEIGHTS.join(', ')}`,
+                });
+            }
+
+            if (hasMask) {
+                errors.push({ field: 'design.maskPattern', message: 'rMQR uses a single fixed mask pattern; remove maskPattern' });
+            }
+
+            if (this.frameProcessor.shouldProcess({ design })) {
+                errors.push({ field: 'design.advancedShape', message: 'Frames are drawn for square symbols; rMQR cannot use them' });
+            }
+        }
+
+        if (this.logoProcessor.shouldProcess({ design })) {
+            errors.push({ field: 'design.logoUrl', message: `${name} symbols are too small to carry a logo` });
+        }
+
+        if (this.stickerProcessor.shouldProcess({ design })) {
+            errors.push({ field: 'design.sticker', message: `${name} symbols are too small to carry a sticker` });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Reject output options that cannot be honoured
+     *
+     * @param {Object} options - incl. structuredAppend: { maxSymbols, columns }
+     * @throws {Error} INVALID_OPTIONS
+     */
+    validateOutputOptions(options = {}) {
+        const errors = [];
+
+        const structuredAppend = options.structuredAppend;
+        if (structuredAppend) {
+            const { maxSymbols, columns } = structuredAppend;
+            if (maxSymbols !== undefined && (!Number.isInteger(maxSymbols) || maxSymbols < 2 || maxSymbols > StructuredAppend.MAX_SYMBOLS)) {
+                errors.push({ field: 'options.structuredAppend.maxSymbols', message: `maxSymbols must be an integer from 2 to ${StructuredAppend.MAX_SYMBOLS}` });
+            }
+            if (columns !== undefined && (!Number.isInteger(columns) || columns < 1 || columns > StructuredAppend.MAX_SYMBOLS)) {
+                errors.push({ field: 'options.structuredAppend.columns', message: `columns must be an integer from 1 to ${StructuredAppend.MAX_SYMBOLS}` });
+            }
+        }
+
+        if (options.format === 'jpeg' && options.transparent) {
+            errors.push({ field: 'options.transparent', message: 'JPEG does not support transparency; use png, webp or avif' });
+        }
+
+        if (options.dpi !== undefined && (!Number.isFinite(options.dpi) || options.dpi < MIN_DPI || options.dpi > MAX_DPI)) {
+            errors.push({ field: 'options.dpi', message: `DPI must be between ${MIN_DPI} and ${MAX_DPI}` });
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(errors[0].message);
+            error.code = 'INVALID_OPTIONS';
+            error.status = 400;
+            error.details = errors;
+            throw error;
+        }
+    }
+
+    /**
+     * Export the SVG as a print-ready PDF or EPS
+     *
+     * The background color is carried into the bleed; gradient backgrounds
+     * are not extended, so the bleed stays unpainted for them.
+     *
+     * @param {string} svg
+     * @param {Object} payload
+     * @param {Object} options - format, print, colorSpace, transparent
+     * @returns {Promise<Buffer>}
+     */
+    async convertToVector(svg, payload, options = {}) {
+        const paintBleed = payload.backgroundEnabled !== false && !payload.backgroundGradientId && !options.transparent;
+        const exportOptions = {
+            print: options.print || {},
+            colorSpace: options.colorSpace || 'cmyk',
+            bleedColor: paintBleed ? payload.backgroundColor : null,
+            title: `QR Code (${payload.type})`,
+        };
+
+        try {
+            return options.format === 'eps' ?
+                await this.vectorExporter.toEPS(svg, exportOptions) :
+                await this.vectorExporter.toPDF(svg, exportOptions);
         } catch (error) {
-            logger.error(`PNG conversion failed: ${error.message}`);
-            throw new Error(`Failed to convert SVG to PNG: ${error.message}`);
+            logger.error(`${options.format.toUpperCase()} export failed: ${error.message}`);
+            throw new Error(`Failed to export SVG to ${options.format.toUpperCase()}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Size print exports so the symbol meets a mandated physical size
+     *
+     * The Swiss QR-bill requires a 46 mm symbol without the quiet zone, so
+     * when no print width is given the page is widened by the margin.
+     *
+     * @param {Object} options
+     * @param {Object} encoding - Meta from QRDataEncoder.encodeDetailed()
+     * @param {number} moduleCount
+     * @param {number} margin - Quiet zone in modules
+     * @returns {Object} - options, with print.width set when it applies
+     */
+    applySymbolPrintSize(options, encoding, moduleCount, margin) {
+        if (!encoding.symbolSizeMm || (options.print && options.print.width)) {
+            return options;
         }
+
+        const width = encoding.symbolSizeMm * (moduleCount + 2 * margin) / moduleCount;
+
+        return {
+            ...options,
+            print: {
+                ...options.print,
+                unit: 'mm',
+                width: Math.round(width * 100) / 100,
+            },
+        };
+    }
+
+    /**
+     * Describe the physical output of a print export (in mm)
+     *
+     * @param {number} size - SVG size in px
+     * @param {Object} options
+     * @param {number} height - SVG height in px (default: size)
+     * @returns {Object}
+     */
+    describePrint(size, options = {}, height = size) {
+        const layout = PrintLayout.compute(size, height, options.print || {});
+        const toMm = value => Math.round(value * 25.4 / 72 * 100) / 100;
+
+        return {
+            widthMm: toMm(layout.trim.width),
+            heightMm: toMm(layout.trim.height),
+            bleedMm: toMm(layout.bleed),
+            cropMarks: layout.cropMarks.length > 0,
+            colorSpace: options.colorSpace || 'cmyk',
+        };
     }
 
     /**
@@ -542,10 +1437,17 @@ class QRCodeGenerator {
             'background_color': 'backgroundColor',
             'eye_internal_color': 'eyeInternalColor',
             'eye_external_color': 'eyeExternalColor',
+            'eye_internal_gradient': 'eyeInternalGradient',
+            'eye_external_gradient': 'eyeExternalGradient',
+            'background_gradient': 'backgroundGradient',
             'background_enabled': 'backgroundEnabled',
             'fill_type': 'fillType',
             'gradient_fill': 'gradientFill',
             'finder_dot': 'finderDot',
+            'eye_auto_orient': 'eyeAutoOrient',
+            'alignment_shape': 'alignmentShape',
+            'alignment_color': 'alignmentColor',
+            'function_module_shape': 'functionModuleShape',
             'logo_url': 'logoUrl',
             'logo_type': 'logoType',
             'logo_scale': 'logoScale',
@@ -556,7 +1458,10 @@ class QRCodeGenerator {
             'logo_background_fill': 'logoBackgroundFill',
             'logo_background_scale': 'logoBackgroundScale',
             'logo_background_shape': 'logoBackgroundShape',
+            'logo_excavate': 'logoExcavate',
+            'logo_excavate_margin': 'logoExcavateMargin',
             'error_correction': 'errorCorrection',
+            'mask_pattern': 'maskPattern',
             'advanced_shape': 'advancedShape',
             'advanced_shape_drop_shadow': 'advancedShapeDropShadow',
             'advanced_shape_frame_color': 'advancedShapeFrameColor',
@@ -570,9 +1475,166 @@ class QRCodeGenerator {
             normalized[normalizedKey] = value;
         }
 
+        if (normalized.eyes && typeof normalized.eyes === 'object') {
+            normalized.eyes = this.normalizeEyeKeys(normalized.eyes);
+        }
+
         return normalized;
     }
 
+    /**
+     * Normalize per-eye overrides (top_left/top-left -> topLeft, finder_dot -> finderDot, ...)
+     *
+     * @param {Object} eyes
+     * @returns {Object}
+     */
+    normalizeEyeKeys(eyes) {
+        const eyeKeyMap = {
+            'finder_dot': 'finderDot',
+            'external_color': 'externalColor',
+            'internal_color': 'internalColor',
+            'external_gradient': 'externalGradient',
+            'internal_gradient': 'internalGradient',
+        };
+
+        const normalized = {};
+
+        for (const [position, eye] of Object.entries(eyes)) {
+            const positionKey = position.replace(/[-_]([a-z])/g, (match, letter) => letter.toUpperCase());
+
+            if (!eye || typeof eye !== 'object') continue;
+
+            normalized[positionKey] = {};
+            for (const [key, value] of Object.entries(eye)) {
+                normalized[positionKey][eyeKeyMap[key] || key] = value;
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Canonical form of a render request for cache keys and render store hashes
+     *
+     * Requests that render the same image get the same canonical form: the
+     * design is canonicalized (see canonicalizeDesign) and the renderer
+     * version is added, so a version bump changes every key.
+     *
+     * @param {Object} request - { type, data, design, ...render options }
+     * @returns {Object} - { renderer, type, data, design, ...render options }
+     */
+    canonicalizeRequest({ design, ...request }) {
+        return {
+            ...request,
+            design: this.canonicalizeDesign(design),
+            renderer: RENDERER_VERSION,
+        };
+    }
+
+    /**
+     * Canonical form of a design
+     *
+     * Snake_case aliases become camelCase keys (normalizeDesignKeys), colors
+     * are written as upper-case hex (#000 and black become #000000) and
+     * values equal to DEFAULT_DESIGN are left out, since mergeDesign()
+     * restores them. An empty design thus canonicalizes to {}.
+     *
+     * @param {Object} design
+     * @returns {Object}
+     */
+    canonicalizeDesign(design) {
+        const merged = this.mergeDesign(design);
+        const canonical = {};
+
+        for (const [key, value] of Object.entries(merged)) {
+            let canonicalValue = value;
+            if (DESIGN_COLOR_KEYS.includes(key)) {
+                canonicalValue = this.canonicalizeColor(value);
+            } else if (DESIGN_GRADIENT_KEYS.includes(key)) {
+                canonicalValue = this.canonicalizeGradient(value);
+            } else if (key === 'eyes' && value && typeof value === 'object') {
+                canonicalValue = this.canonicalizeEyes(value);
+            }
+
+            if (canonicalValue !== undefined && canonicalValue !== DEFAULT_DESIGN[key]) {
+                canonical[key] = canonicalValue;
+            }
+        }
+
+        return canonical;
+    }
+
+    /**
+     * Canonical per-eye overrides (keys already normalized by normalizeEyeKeys)
+     *
+     * @param {Object} eyes
+     * @returns {Object}
+     */
+    canonicalizeEyes(eyes) {
+        const canonical = {};
+
+        for (const [position, eye] of Object.entries(eyes)) {
+            canonical[position] = {};
+            for (const [key, value] of Object.entries(eye)) {
+                if (EYE_COLOR_KEYS.includes(key)) {
+                    canonical[position][key] = this.canonicalizeColor(value);
+                } else if (EYE_GRADIENT_KEYS.includes(key)) {
+                    canonical[position][key] = this.canonicalizeGradient(value);
+                } else {
+                    canonical[position][key] = value;
+                }
+            }
+        }
+
+        return canonical;
+    }
+
+    /**
+     * Canonical color; empty values stay as they are, since the renderer
+     * falls back to another color for them (eye colors to the foreground).
+     * Colors CSSColor cannot parse keep their own string: frame and logo
+     * colors reach the SVG unparsed, so they must not share a key
+     *
+     * @param {*} color
+     * @returns {*}
+     */
+    canonicalizeColor(color) {
+        if (typeof color !== 'string' || color.trim() === '') return color;
+
+        try {
+            return ColorProcessor.toHex(CSSColor.parse(color));
+        } catch (error) {
+            return color.trim();
+        }
+    }
+
+    /**
+     * Canonical gradient: the colors of its stops normalized
+     *
+     * @param {*} gradient - { type, angle, colors | stops, ... }
+     * @returns {*}
+     */
+    canonicalizeGradient(gradient) {
+        if (!gradient || typeof gradient !== 'object') return gradient;
+
+        const canonical = { ...gradient };
+        for (const key of ['colors', 'stops']) {
+            if (!Array.isArray(gradient[key])) continue;
+
+            canonical[key] = gradient[key].map(stop => {
+                if (typeof stop === 'string') return this.canonicalizeColor(stop);
+                if (!stop || typeof stop !== 'object') return stop;
+                return {
+                    ...stop,
+                    ...(stop.color !== undefined && { color: this.canonicalizeColor(stop.color) }),
+                    ...(stop.value !== undefined && { value: this.canonicalizeColor(stop.value) }),
+                };
+            });
+        }
+
+        return canonical;
+    }
+
     /**
      * Get list of supported QR types
      *
@@ -590,22 +1652,34 @@ class QRCodeGenerator {
     static getCapabilities() {
         return {
             version: '2.5.0',
+            rendererVersion: RENDERER_VERSION,
             types: QRDataEncoder.getSupportedTypes(),
+            dataSchemas: QRDataSchema.describe(),
             features: {
                 colors: {
                     solid: true,
                     gradient: true,
                     gradientTypes: ['LINEAR', 'RADIAL'],
                     eyeColors: true,
+                    eyeGradients: true,
+                    backgroundGradient: true,
                     backgroundTransparency: true,
                 },
                 modules: {
                     shapes: ModuleProcessor.getSupportedShapes(),
+                    alignmentShapes: FinderProcessor.getSupportedAlignmentShapes(),
+                    alignmentColor: true,
+                    functionModuleShape: true,
+                    roles: ModuleRoles.ROLES,
                     status: 'available',
                 },
                 finders: {
                     shapes: FinderProcessor.getSupportedFinderShapes(),
                     dotShapes: FinderProcessor.getSupportedDotShapes(),
+                    perEye: FinderProcessor.EYE_POSITIONS,
+                    rotations: [0, 90, 180, 270],
+                    mirror: FinderProcessor.MIRROR_MODES,
+                    autoOrient: FinderProcessor.ASYMMETRIC_SHAPES,
                     status: 'available',
                 },
                 logo: {
@@ -614,6 +1688,7 @@ class QRCodeGenerator {
                     scaling: true,
                     rotation: true,
                     background: true,
+                    excavate: true,
                     status: 'available',
                 },
                 stickers: {
@@ -629,11 +1704,79 @@ class QRCodeGenerator {
                     status: 'available',
                 },
                 output: {
-                    formats: ['svg', 'png'],
+                    formats: ['svg', ...RASTER_FORMATS, ...VECTOR_FORMATS],
+                    dpi: { min: MIN_DPI, max: MAX_DPI },
+                    print: {
+                        units: PrintLayout.getSupportedUnits(),
+                        colorSpaces: VectorExporter.getSupportedColorSpaces(),
+                        bleed: true,
+                        cropMarks: true,
+                    },
                     maxSize: 2048,
                     minSize: 64,
                 },
-                errorCorrection: ['L', 'M', 'Q', 'H'],
+                payments: {
+                    pix: 'emv-brcode',
+                    emvcoPresets: EMVCoMerchantEncoder.getPresets(),
+                    sepa: 'epc069-12',
+                    swissQrBill: true,
+                    crypto: CryptoEncoder.getChains(),
+                    paypal: 'paypal.me',
+                },
+                email: {
+                    formats: QRDataEncoder.EMAIL_FORMATS,
+                    cc: true,
+                    bcc: true,
+                },
+                wifi: {
+                    enterprise: QRDataEncoder.WIFI_ENTERPRISE,
+                    eapMethods: QRDataEncoder.EAP_METHODS,
+                    phase2Methods: QRDataEncoder.EAP_PHASE2_METHODS,
+                },
+                messaging: ['whatsapp', 'telegram', 'signal', 'viber'],
+                meetings: QRDataEncoder.MEETING_PLATFORMS,
+                appLinks: AppLinkEncoder.getInfo(),
+                contacts: {
+                    formats: ['vcard3', 'vcard4', 'mecard'],
+                    compact: true,
+                },
+                calendar: {
+                    components: ['event', 'todo'],
+                    timezones: true,
+                    recurrence: true,
+                    attendees: true,
+                },
+                errorCorrection: [...ERROR_CORRECTION_LEVELS, 'auto'],
+                errorCorrectionEscalation: true,
+                symbol: {
+                    versions: [QRCapacity.MIN_VERSION, QRCapacity.MAX_VERSION],
+                    maskPatterns: [0, 7],
+                    segmentModes: ['numeric', 'alphanumeric', 'byte'],
+                },
+                symbologies: {
+                    qr: { errorCorrection: ERROR_CORRECTION_LEVELS },
+                    micro: {
+                        versions: MicroQRGenerator.VERSIONS,
+                        errorCorrection: MicroQRGenerator.LEVELS,
+                        maskPatterns: [0, MicroQRGenerator.MASK_PATTERNS - 1],
+                    },
+                    rmqr: {
+                        versions: RMQRGenerator.VERSIONS,
+                        heights: RMQRGenerator.HEIGHTS,
+                        errorCorrection: RMQRGenerator.LEVELS,
+                    },
+                },
+                structuredAppend: {
+                    maxSymbols: StructuredAppend.MAX_SYMBOLS,
+                    symbologies: ['qr'],
+                    sheet: 'svg',
+                },
+                verification: {
+                    scannability: true,
+                    decoder: 'jsqr',
+                    symbologies: ['qr'],
+                    requireScannable: true,
+                },
             },
         };
     }
@@ -641,5 +1784,9 @@ class QRCodeGenerator {
 
 // Export default design for reference
 QRCodeGenerator.DEFAULT_DESIGN = DEFAULT_DESIGN;
+QRCodeGenerator.RENDERER_VERSION = RENDERER_VERSION;
+QRCodeGenerator.ERROR_CORRECTION_LEVELS = ERROR_CORRECTION_LEVELS;
+QRCodeGenerator.VECTOR_FORMATS = VECTOR_FORMATS;
+QRCodeGenerator.RASTER_FORMATS = RASTER_FORMATS;
 
 module.exports = QRCodeGenerator;
@@ -2,9 +2,94 @@
  * QRDataEncoder - Handles encoding of all QR code data types
  *
  * Supports all the same types as Laravel backend:
- * - URL, Text, Email, Phone, SMS, WiFi, vCard, Location
- * - Event/iCal, WhatsApp, Social Links, Crypto, UPI/PIX
+ * - URL, Text, Email, Phone, SMS, WiFi, vCard 3.0/4.0 and MeCard, Location
+ * - Event/iCal (time zones, recurrence, to-dos), WhatsApp, Social Links, UPI/PIX
+ * - Crypto payment URIs per chain (BIP-21, EIP-681 incl. ERC-20, Solana Pay, Monero, Lightning)
+ * - EMVCo merchant QR (PayNow, SGQR, DuitNow, PromptPay, QRIS, KHQR, Raast)
+ * - SEPA credit transfer (EPC069-12 / GiroCode), Swiss QR-bill
+ * - GS1 product identification (Digital Link URI or FNC1 element string)
+ * - App-download links, Telegram / Signal / Viber chats, Zoom / Meet join links, PayPal.me
  */
+const PixEncoder = require('./encoders/PixEncoder');
+const EMVCoMerchantEncoder = require('./encoders/EMVCoMerchantEncoder');
+const EPCEncoder = require('./encoders/EPCEncoder');
+const SwissQREncoder = require('./encoders/SwissQREncoder');
+const ICalEncoder = require('./encoders/ICalEncoder');
+const GS1Encoder = require('./encoders/GS1Encoder');
+const CryptoEncoder = require('./encoders/CryptoEncoder');
+const AppLinkEncoder = require('./encoders/AppLinkEncoder');
+const QRCapacity = require('./QRCapacity');
+const QRDataSchema = require('./QRDataSchema');
+
+// Contact output formats (data.format) and the vCard version each one writes
+const CONTACT_FORMATS = {
+    vcard3: '3.0',
+    vcard4: '4.0',
+    mecard: null,
+};
+
+// Version that compact contacts are shrunk to unless data.compact.targetVersion is set;
+// 57 x 57 modules still scans from a business card
+const COMPACT_TARGET_VERSION = 10;
+
+// Optional contact fields in the order compact mode drops them, with every data key they are read from.
+// Name, the main phone and the main e-mail are never dropped.
+const OPTIONAL_CONTACT_FIELDS = [
+    { name: 'photo', keys: ['photo', 'image', 'photoUrl'] },
+    { name: 'socialProfiles', keys: ['facebook', 'twitter', 'linkedin', 'instagram', 'youtube', 'github', 'tiktok'] },
+    { name: 'note', keys: ['note', 'notes'] },
+    { name: 'birthday', keys: ['birthday', 'bday'] },
+    { name: 'fax', keys: ['fax'] },
+    {
+        name: 'address',
+        keys: ['address', 'street', 'address_line1', 'address_line2', 'city', 'state', 'region',
+            'postalCode', 'zip', 'postal_code', 'country', 'po_box', 'address_type'],
+    },
+    { name: 'homePhone', keys: ['home_phone', 'homePhone'] },
+    { name: 'phones', keys: ['phones'] },
+    { name: 'emails', keys: ['emails'] },
+    { name: 'department', keys: ['department'] },
+    { name: 'jobTitle', keys: ['jobTitle', 'job_title', 'title'] },
+    { name: 'workEmail', keys: ['work_email', 'workEmail'] },
+    { name: 'workPhone', keys: ['work_phone', 'workPhone'] },
+    { name: 'website', keys: ['website', 'url', 'web'] },
+    { name: 'organization', keys: ['organization', 'company', 'org'] },
+];
+
+// Fields MeCard has no property for
+const MECARD_UNSUPPORTED_FIELDS = ['photo', 'socialProfiles', 'fax', 'jobTitle', 'department'];
+
+// E-mail output formats (data.format); MATMSG holds one recipient and no Cc / Bcc
+const EMAIL_FORMATS = ['mailto', 'matmsg'];
+
+// Wi-Fi Enterprise security values and the EAP settings scanners understand (E:, PH2:)
+const WIFI_ENTERPRISE = ['WPA2-EAP', 'WPA3-EAP'];
+const EAP_METHODS = ['PEAP', 'TLS', 'TTLS', 'PWD', 'SIM', 'AKA', "AKA'"];
+const EAP_PHASE2_METHODS = ['MSCHAPV2', 'GTC', 'PAP', 'MSCHAP', 'NONE'];
+
+// EAP methods that authenticate with a SIM card or certificate, not an identity
+const EAP_WITHOUT_IDENTITY = ['SIM', 'AKA', "AKA'", 'TLS'];
+
+// Meeting platforms: join link for a meeting id / code, and the hosts their links use
+const MEETING_PLATFORMS = {
+    zoom: {
+        name: 'Zoom',
+        pattern: /^\d{9,11}$/,
+        ignore: /[\s-]/g,
+        buildUrl: (id, data) => `https://${data.domain || 'zoom.us'}/j/${id}${data.pwd ? `?pwd=${encodeURIComponent(data.pwd)}` : ''}`,
+        hosts: /^([\w-]+\.)?zoom\.us$/i,
+        example: 'a 9 to 11 digit meeting ID',
+    },
+    meet: {
+        name: 'Google Meet',
+        pattern: /^[a-z]{3}-?[a-z]{4}-?[a-z]{3}$/,
+        ignore: /\s/g,
+        buildUrl: id => `https://meet.google.com/${id.replace(/^(\w{3})-?(\w{4})-?(\w{3})$/, '$1-$2-$3')}`,
+        hosts: /^meet\.google\.com$/i,
+        example: 'a meeting code like abc-defg-hij',
+    },
+};
+
 class QRDataEncoder {
     /**
      * Supported QR code types
@@ -24,6 +109,33 @@ class QRDataEncoder {
         CRYPTO: 'crypto',
         UPI: 'upi',
         PIX: 'pix',
+        EMVCO: 'emvco',
+        EPC: 'epc',
+        SWISSQR: 'swissqr',
+        GS1: 'gs1',
+        APP: 'app',
+        TELEGRAM: 'telegram',
+        SIGNAL: 'signal',
+        VIBER: 'viber',
+        MEETING: 'meeting',
+        PAYPAL: 'paypal',
+    };
+
+    /**
+     * Rendering rules mandated by a type's specification
+     * - errorCorrection: required level
+     * - sticker: required center overlay
+     * - symbolSizeMm: printed symbol size without the quiet zone
+     */
+    static TYPE_REQUIREMENTS = {
+        epc: {
+            errorCorrection: EPCEncoder.ERROR_CORRECTION,
+        },
+        swissqr: {
+            errorCorrection: SwissQREncoder.ERROR_CORRECTION,
+            sticker: 'swiss-cross',
+            symbolSizeMm: SwissQREncoder.SYMBOL_SIZE_MM,
+        },
     };
 
     /**
@@ -31,9 +143,10 @@ class QRDataEncoder {
      *
      * @param {string} type - QR code type
      * @param {Object} data - Data to encode
+     * @param {Object} options - { errorCorrection } of the design, used by compact contacts
      * @returns {string} - Encoded QR content string
      */
-    static encode(type, data) {
+    static encode(type, data, options = {}) {
         if (!type || !data) {
             throw new Error('Type and data are required for encoding');
         }
@@ -46,7 +159,42 @@ class QRDataEncoder {
             return typeof data === 'string' ? data : JSON.stringify(data);
         }
 
-        return encoder(data);
+        return encoder(data, options);
+    }
+
+    /**
+     * Encode data and describe the result
+     *
+     * Contacts also report { contactFormat, targetVersion, droppedFields }
+     * (see encodeContact), GS1 payloads { gs1Format, humanReadable, fnc1 }
+     * (see GS1Encoder.encodeDetailed).
+     *
+     * The data is checked against its type's schema first (QRDataSchema).
+     *
+     * @param {string} type - QR code type
+     * @param {Object} data - Data to encode
+     * @param {Object} options - { errorCorrection } of the design
+     * @returns {Object} - { content, meta: { bytes, ...TYPE_REQUIREMENTS[type] } }
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encodeDetailed(type, data, options = {}) {
+        const normalizedType = String(type).toLowerCase();
+        QRDataSchema.assertValid(normalizedType, data);
+
+        const isObject = data && typeof data === 'object';
+        const detailed = (normalizedType === this.TYPES.VCARD && isObject && this.encodeContact(data, options))
+            || (normalizedType === this.TYPES.GS1 && isObject && GS1Encoder.encodeDetailed(data))
+            || null;
+        const content = detailed ? detailed.content : this.encode(type, data, options);
+
+        return {
+            content,
+            meta: {
+                bytes: Buffer.byteLength(content, 'utf8'),
+                ...(detailed && detailed.meta),
+                ...this.TYPE_REQUIREMENTS[normalizedType],
+            },
+        };
     }
 
     /**
@@ -71,6 +219,16 @@ class QRDataEncoder {
             [this.TYPES.CRYPTO]: this.encodeCrypto.bind(this),
             [this.TYPES.UPI]: this.encodeUpi.bind(this),
             [this.TYPES.PIX]: this.encodePix.bind(this),
+            [this.TYPES.EMVCO]: this.encodeEmvco.bind(this),
+            [this.TYPES.EPC]: this.encodeEpc.bind(this),
+            [this.TYPES.SWISSQR]: this.encodeSwissQr.bind(this),
+            [this.TYPES.GS1]: this.encodeGs1.bind(this),
+            [this.TYPES.APP]: this.encodeApp.bind(this),
+            [this.TYPES.TELEGRAM]: this.encodeTelegram.bind(this),
+            [this.TYPES.SIGNAL]: this.encodeSignal.bind(this),
+            [this.TYPES.VIBER]: this.encodeViber.bind(this),
+            [this.TYPES.MEETING]: this.encodeMeeting.bind(this),
+            [this.TYPES.PAYPAL]: this.encodePaypal.bind(this),
         };
 
         return encoders[type] || null;
@@ -115,24 +273,40 @@ class QRDataEncoder {
     }
 
     /**
-     * Encode email (mailto:)
+     * Encode email
+     * data.format selects a mailto: URI (default) or MATMSG, which some
+     * older scanners need; MATMSG takes a single recipient and no Cc / Bcc
      * @param {Object} data - Email data
      * @returns {string}
      */
     static encodeEmail(data) {
-        const email = data.email || data.to || '';
+        const to = this.toAddressList(data.email || data.to);
         const subject = data.subject || '';
         const body = data.body || data.message || '';
-        const cc = data.cc || '';
-        const bcc = data.bcc || '';
+        const cc = this.toAddressList(data.cc);
+        const bcc = this.toAddressList(data.bcc);
+        const format = String(data.format || 'mailto').toLowerCase();
+
+        if (format === 'matmsg') {
+            if (to.length > 1) {
+                this.throwFieldError('data.email', 'MATMSG takes a single recipient; use format mailto for several');
+            }
+            if (cc.length > 0 || bcc.length > 0) {
+                this.throwFieldError(cc.length > 0 ? 'data.cc' : 'data.bcc', 'MATMSG has no Cc / Bcc; use format mailto');
+            }
+            return `MATMSG:TO:${this.escapeMeCardValue(to[0])};SUB:${this.escapeMeCardValue(subject)};BODY:${this.escapeMeCardValue(body)};;`;
+        }
+
+        // Addresses keep their "@" (RFC 6068); other reserved characters are escaped
+        const encodeAddresses = list => list.map(address => encodeURIComponent(address).replace(/%40/g, '@')).join(',');
 
-        let mailto = `mailto:${encodeURIComponent(email)}`;
+        let mailto = `mailto:${encodeAddresses(to)}`;
         const params = [];
 
         if (subject) params.push(`subject=${encodeURIComponent(subject)}`);
         if (body) params.push(`body=${encodeURIComponent(body)}`);
-        if (cc) params.push(`cc=${encodeURIComponent(cc)}`);
-        if (bcc) params.push(`bcc=${encodeURIComponent(bcc)}`);
+        if (cc.length > 0) params.push(`cc=${encodeAddresses(cc)}`);
+        if (bcc.length > 0) params.push(`bcc=${encodeAddresses(bcc)}`);
 
         if (params.length > 0) {
             mailto += `?${params.join('&')}`;
@@ -141,6 +315,18 @@ class QRDataEncoder {
         return mailto;
     }
 
+    /**
+     * Split e-mail recipients given as a list or a comma-separated string
+     * @param {string|Array<string>} value
+     * @returns {Array<string>}
+     */
+    static toAddressList(value) {
+        return [].concat(value || [])
+            .flatMap(entry => String(entry).split(/[,;]/))
+            .map(address => address.trim())
+            .filter(Boolean);
+    }
+
     /**
      * Encode phone number (tel:)
      * @param {Object|string} data - Phone data
@@ -174,19 +360,32 @@ class QRDataEncoder {
     /**
      * Encode WiFi credentials
      * Format: WIFI:T:<encryption>;S:<ssid>;P:<password>;H:<hidden>;;
+     * Enterprise networks add E:<EAP method>;PH2:<phase 2>;I:<identity>;A:<anonymous identity>
      * @param {Object} data - WiFi data
      * @returns {string}
      */
     static encodeWifi(data) {
         const ssid = data.ssid || data.network || '';
         const password = data.password || data.pass || '';
-        const encryption = (data.encryption || data.security || 'WPA').toUpperCase();
-        const hidden = data.hidden || data.isHidden || false;
+        const eap = String(data.eap || data.eapMethod || '').toUpperCase();
+        const encryption = (data.encryption || data.security || (eap ? 'WPA2-EAP' : 'WPA')).toUpperCase();
+        const hidden = [data.hidden, data.isHidden].some(value => value === true || String(value).toLowerCase() === 'true');
 
         // Escape special characters in SSID and password
         const escapedSsid = this.escapeWifiString(ssid);
         const escapedPassword = this.escapeWifiString(password);
 
+        if (WIFI_ENTERPRISE.includes(encryption)) {
+            return this.encodeWifiEnterprise(data, encryption, escapedSsid, escapedPassword, hidden);
+        }
+        if (eap) {
+            this.throwFieldError('data.eap', `EAP settings need encryption ${WIFI_ENTERPRISE.join(' or ')}`);
+        }
+        // WPA pre-shared keys are 8 to 63 characters; only Enterprise passwords run longer
+        if ([...password].length > 63) {
+            this.throwFieldError(data.password ? 'data.password' : 'data.pass', 'Must be at most 63 characters');
+        }
+
         let wifiString = `WIFI:T:${encryption};S:${escapedSsid};`;
 
         if (password && encryption !== 'NOPASS') {
@@ -198,6 +397,44 @@ class QRDataEncoder {
         return wifiString;
     }
 
+    /**
+     * Encode a WPA2 / WPA3 Enterprise network
+     *
+     * Scanners only know T:WPA2-EAP, so WPA3-Enterprise is written as
+     * WPA2-EAP with the transition-disable flag R:4 (WPA3 specification),
+     * which tells WPA3 devices not to fall back to WPA2.
+     *
+     * @param {Object} data - WiFi data
+     * @param {string} encryption - WPA2-EAP | WPA3-EAP
+     * @param {string} ssid - Escaped SSID
+     * @param {string} password - Escaped password
+     * @param {boolean} hidden
+     * @returns {string}
+     */
+    static encodeWifiEnterprise(data, encryption, ssid, password, hidden) {
+        const eap = String(data.eap || data.eapMethod || 'PEAP').toUpperCase();
+        const phase2 = String(data.phase2 || data.phase2Method || '').toUpperCase();
+        const identity = data.identity || data.username || '';
+        const anonymousIdentity = data.anonymousIdentity || data.outerIdentity || '';
+
+        if (!identity && !EAP_WITHOUT_IDENTITY.includes(eap)) {
+            this.throwFieldError('data.identity', `Required for EAP method ${eap}`);
+        }
+        if (phase2 && !['PEAP', 'TTLS'].includes(eap)) {
+            this.throwFieldError('data.phase2', 'Phase 2 authentication only applies to PEAP and TTLS');
+        }
+
+        const fields = ['T:WPA2-EAP', `S:${ssid}`, `E:${eap}`];
+        if (phase2) fields.push(`PH2:${phase2}`);
+        if (anonymousIdentity) fields.push(`A:${this.escapeWifiString(anonymousIdentity)}`);
+        if (identity) fields.push(`I:${this.escapeWifiString(identity)}`);
+        if (password) fields.push(`P:${password}`);
+        if (encryption === 'WPA3-EAP') fields.push('R:4');
+        fields.push(`H:${hidden ? 'true' : 'false'}`);
+
+        return `WIFI:${fields.join(';')};;`;
+    }
+
     /**
      * Escape special characters for WiFi QR codes
      * @param {string} str
@@ -210,13 +447,146 @@ class QRDataEncoder {
     }
 
     /**
-     * Encode vCard (contact)
-     * Supports both vCard 3.0 and 4.0
+     * Encode a contact
+     * data.format selects vCard 3.0 (default), vCard 4.0 or MeCard
+     * @param {Object} data - Contact data
+     * @param {Object} options - { errorCorrection } of the design
+     * @returns {string}
+     */
+    static encodeVCard(data, options = {}) {
+        return this.encodeContact(data, options).content;
+    }
+
+    /**
+     * Encode a contact and describe what was left out
+     *
+     * With data.compact, optional fields are dropped (OPTIONAL_CONTACT_FIELDS
+     * order) until the payload fits the target version at the design's error
+     * correction level. data.compact is true or { targetVersion, errorCorrection }.
+     *
+     * @param {Object} data - Contact data
+     * @param {Object} options - { errorCorrection } of the design
+     * @returns {Object} - { content, meta: { contactFormat, targetVersion, droppedFields } }
+     * @throws {Error} INVALID_DATA for an unknown format or a contact that cannot fit the target version
+     */
+    static encodeContact(data, options = {}) {
+        const format = this.getContactFormat(data);
+
+        // MeCard cannot carry some fields at all; they are reported as dropped
+        const droppedFields = format === 'mecard'
+            ? MECARD_UNSUPPORTED_FIELDS.filter(name => this.hasContactField(data, name))
+            : [];
+
+        let content = this.buildContact(data, format);
+
+        if (!data.compact) {
+            return {
+                content,
+                meta: {
+                    contactFormat: format,
+                    ...(droppedFields.length > 0 && { droppedFields }),
+                },
+            };
+        }
+
+        const compact = typeof data.compact === 'object' ? data.compact : {};
+        const targetVersion = Number(compact.targetVersion || data.targetVersion || COMPACT_TARGET_VERSION);
+        const level = QRCapacity.normalizeLevel(compact.errorCorrection || options.errorCorrection);
+
+        if (!Number.isInteger(targetVersion) || targetVersion < QRCapacity.MIN_VERSION || targetVersion > QRCapacity.MAX_VERSION) {
+            const error = new Error(`Compact target version must be an integer from ${QRCapacity.MIN_VERSION} to ${QRCapacity.MAX_VERSION}`);
+            error.code = 'INVALID_DATA';
+            error.status = 400;
+            error.details = [{ field: 'data.compact.targetVersion', message: error.message }];
+            throw error;
+        }
+
+        const capacity = QRCapacity.getByteCapacity(targetVersion, level);
+        let remaining = data;
+
+        for (const field of OPTIONAL_CONTACT_FIELDS) {
+            if (Buffer.byteLength(content, 'utf8') <= capacity) break;
+            if (droppedFields.includes(field.name) || !this.hasContactField(remaining, field.name)) continue;
+
+            remaining = { ...remaining };
+            field.keys.forEach(key => delete remaining[key]);
+            droppedFields.push(field.name);
+            content = this.buildContact(remaining, format);
+        }
+
+        const bytes = Buffer.byteLength(content, 'utf8');
+        if (bytes > capacity) {
+            const error = new Error(`Contact is ${bytes} bytes without its optional fields; version ${targetVersion} at level ${level} holds ${capacity}`);
+            error.code = 'INVALID_DATA';
+            error.status = 400;
+            error.details = [{ field: 'data.compact.targetVersion', message: error.message }];
+            throw error;
+        }
+
+        return {
+            content,
+            meta: {
+                contactFormat: format,
+                targetVersion,
+                droppedFields,
+            },
+        };
+    }
+
+    /**
+     * Resolve the contact format from data.format (or the legacy data.version)
+     * @param {Object} data
+     * @returns {string} - vcard3 | vcard4 | mecard
+     */
+    static getContactFormat(data) {
+        const legacy = String(data.version || '').startsWith('4') ? 'vcard4' : 'vcard3';
+        const format = String(data.format || legacy).toLowerCase();
+        const resolved = format === 'vcard' ? 'vcard3' : format;
+
+        if (!(resolved in CONTACT_FORMATS)) {
+            const error = new Error(`Unsupported contact format "${data.format}". Use ${Object.keys(CONTACT_FORMATS).join(', ')}`);
+            error.code = 'INVALID_DATA';
+            error.status = 400;
+            error.details = [{ field: 'data.format', message: error.message }];
+            throw error;
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check whether an optional contact field has a value
+     * @param {Object} data
+     * @param {string} name - Field name from OPTIONAL_CONTACT_FIELDS
+     * @returns {boolean}
+     */
+    static hasContactField(data, name) {
+        const field = OPTIONAL_CONTACT_FIELDS.find(f => f.name === name);
+        return field.keys.some(key => {
+            const value = data[key];
+            if (Array.isArray(value)) return value.length > 0;
+            if (value && typeof value === 'object') return Object.values(value).some(Boolean);
+            return Boolean(value);
+        });
+    }
+
+    /**
+     * Build the payload for a contact format
+     * @param {Object} data
+     * @param {string} format - vcard3 | vcard4 | mecard
+     * @returns {string}
+     */
+    static buildContact(data, format) {
+        return format === 'mecard' ? this.buildMeCard(data) : this.buildVCard(data, CONTACT_FORMATS[format]);
+    }
+
+    /**
+     * Build vCard text
      * @param {Object} data - Contact data
+     * @param {string} version - '3.0' | '4.0'
      * @returns {string}
      */
-    static encodeVCard(data) {
-        const version = data.version || '3.0';
+    static buildVCard(data, version) {
         const lines = [];
 
         lines.push('BEGIN:VCARD');
@@ -277,18 +647,9 @@ class QRDataEncoder {
             lines.push(`NOTE:${this.escapeVCardValue(data.note || data.notes)}`);
         }
 
-        // Photo (base64 encoded)
-        if (data.photo || data.image) {
-            const photo = data.photo || data.image;
-            if (photo.startsWith('data:image')) {
-                // Extract base64 data
-                const base64Data = photo.split(',')[1];
-                const mimeType = photo.match(/data:([^;]+)/)?.[1] || 'image/jpeg';
-                const type = mimeType.split('/')[1].toUpperCase();
-                lines.push(`PHOTO;ENCODING=b;TYPE=${type}:${base64Data}`);
-            } else if (photo.startsWith('http')) {
-                lines.push(`PHOTO;VALUE=uri:${photo}`);
-            }
+        // Photo (embedded data URI or linked by URL)
+        if (data.photo || data.image || data.photoUrl) {
+            this.addVCardPhoto(data.photo || data.image || data.photoUrl, lines, version);
         }
 
         // Social profiles
@@ -419,6 +780,18 @@ class QRDataEncoder {
         }
     }
 
+    /**
+     * The address object of a contact; a plain string is its street line
+     * @param {Object} data
+     * @returns {Object}
+     */
+    static getContactAddress(data) {
+        if (typeof data.address === 'string' || typeof data.address === 'number') {
+            return { street: String(data.address).trim() };
+        }
+        return data.address || {};
+    }
+
     /**
      * Add address to vCard
      * @param {Object} data
@@ -427,7 +800,7 @@ class QRDataEncoder {
      */
     static addVCardAddress(data, lines, version) {
         // Check for address object or individual fields
-        const address = data.address || {};
+        const address = this.getContactAddress(data);
         const street = address.street || data.street || data.address_line1 || '';
         const extendedAddress = address.extended || data.address_line2 || '';
         const city = address.city || data.city || '';
@@ -457,6 +830,40 @@ class QRDataEncoder {
         }
     }
 
+    /**
+     * Add a photo to vCard
+     * Data URIs are embedded; http(s) URLs are linked so the payload stays small
+     * @param {string} photo - data:image/...;base64 URI or http(s) URL
+     * @param {Array} lines
+     * @param {string} version
+     */
+    static addVCardPhoto(photo, lines, version) {
+        const dataUri = String(photo).match(/^data:(image\/[\w.+-]+);base64,(.+)$/);
+
+        if (dataUri) {
+            if (version === '4.0') {
+                lines.push(`PHOTO:${photo}`);
+            } else {
+                lines.push(`PHOTO;ENCODING=b;TYPE=${dataUri[1].split('/')[1].toUpperCase()}:${dataUri[2]}`);
+            }
+            return;
+        }
+
+        if (!/^https?:\/\//i.test(photo)) {
+            return;
+        }
+
+        // Image type from the file extension, when there is one
+        const extension = (photo.split(/[?#]/)[0].match(/\.(jpe?g|png|gif|webp)$/i) || [])[1];
+        const subtype = extension && extension.toLowerCase().replace('jpg', 'jpeg');
+
+        if (version === '4.0') {
+            lines.push(`PHOTO${subtype ? `;MEDIATYPE=image/${subtype}` : ''}:${photo}`);
+        } else {
+            lines.push(`PHOTO;VALUE=uri${subtype ? `;TYPE=${subtype.toUpperCase()}` : ''}:${photo}`);
+        }
+    }
+
     /**
      * Add social profiles to vCard
      * @param {Object} data
@@ -495,6 +902,80 @@ class QRDataEncoder {
             .replace(/\n/g, '\\n');
     }
 
+    /**
+     * Build a MeCard (MECARD:N:Last,First;TEL:...;EMAIL:...;;)
+     * Much shorter than vCard; photos, social profiles, fax, job title and
+     * department have no MeCard property and are left out
+     * @param {Object} data - Contact data
+     * @returns {string}
+     */
+    static buildMeCard(data) {
+        const fields = [];
+        const push = (name, value) => {
+            if (value) fields.push(`${name}:${this.escapeMeCardValue(value)}`);
+        };
+
+        const lastName = data.lastName || data.surname || data.family_name || '';
+        const firstName = data.firstName || data.given_name || data.name || '';
+        if (lastName && firstName) {
+            fields.push(`N:${this.escapeMeCardValue(lastName)},${this.escapeMeCardValue(firstName)}`);
+        } else {
+            push('N', this.buildFullName(data));
+        }
+
+        push('ORG', data.organization || data.company || data.org);
+
+        const phones = [
+            data.phone || data.mobile || data.cell,
+            data.work_phone || data.workPhone,
+            data.home_phone || data.homePhone,
+            ...(data.phones || []).map(p => p.number || p.phone || p.value),
+        ];
+        phones.forEach(phone => push('TEL', phone));
+
+        const emails = [
+            data.email,
+            data.work_email || data.workEmail,
+            ...(data.emails || []).map(e => e.email || e.address || e.value),
+        ];
+        emails.forEach(email => push('EMAIL', email));
+
+        // ADR: PO Box,Extended,Street,City,State,Postal,Country
+        const address = this.getContactAddress(data);
+        const adrParts = [
+            address.poBox || data.po_box,
+            address.extended || data.address_line2,
+            address.street || data.street || data.address_line1,
+            address.city || data.city,
+            address.state || data.state || data.region,
+            address.postalCode || address.zip || data.postalCode || data.zip || data.postal_code,
+            address.country || data.country,
+        ];
+        if (adrParts.slice(2).some(Boolean)) {
+            fields.push(`ADR:${adrParts.map(part => this.escapeMeCardValue(part || '')).join(',')}`);
+        }
+
+        push('URL', data.website || data.url || data.web);
+
+        if (data.birthday || data.bday) {
+            push('BDAY', String(data.birthday || data.bday).replace(/-/g, ''));
+        }
+
+        push('NOTE', data.note || data.notes);
+
+        return `MECARD:${fields.join(';')};;`;
+    }
+
+    /**
+     * Escape special characters in MeCard values
+     * @param {string} value
+     * @returns {string}
+     */
+    static escapeMeCardValue(value) {
+        if (!value) return '';
+        return String(value).replace(/([\\;,:"])/g, '\\$1').replace(/\r?\n/g, ' ');
+    }
+
     /**
      * Encode geographic location
      * @param {Object} data - Location data
@@ -519,144 +1000,79 @@ class QRDataEncoder {
     }
 
     /**
-     * Encode calendar event (iCal)
+     * Encode calendar event or to-do (iCal)
+     * Supports IANA time zones, recurrence, attendees and alarms (see ICalEncoder)
      * @param {Object} data - Event data
      * @returns {string}
      */
     static encodeEvent(data) {
-        const lines = [];
-
-        lines.push('BEGIN:VCALENDAR');
-        lines.push('VERSION:2.0');
-        lines.push('PRODID:-//QR Support Backend//EN');
-        lines.push('BEGIN:VEVENT');
-
-        // Generate unique ID
-        const uid = data.uid || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}@qr-support`;
-        lines.push(`UID:${uid}`);
-
-        // Summary/Title (required)
-        const summary = data.summary || data.title || data.name || 'Event';
-        lines.push(`SUMMARY:${this.escapeICalValue(summary)}`);
-
-        // Description
-        if (data.description || data.details) {
-            lines.push(`DESCRIPTION:${this.escapeICalValue(data.description || data.details)}`);
-        }
-
-        // Location
-        if (data.location || data.venue) {
-            lines.push(`LOCATION:${this.escapeICalValue(data.location || data.venue)}`);
-        }
-
-        // Start date/time
-        const dtStart = this.formatICalDate(data.start || data.startDate || data.start_date || new Date());
-        lines.push(`DTSTART:${dtStart}`);
-
-        // End date/time
-        if (data.end || data.endDate || data.end_date) {
-            const dtEnd = this.formatICalDate(data.end || data.endDate || data.end_date);
-            lines.push(`DTEND:${dtEnd}`);
-        } else if (data.duration) {
-            // Duration in minutes
-            lines.push(`DURATION:PT${data.duration}M`);
-        }
-
-        // All day event
-        if (data.allDay || data.all_day) {
-            // Reformat as date only
-            lines[lines.findIndex(l => l.startsWith('DTSTART'))] = `DTSTART;VALUE=DATE:${dtStart.substring(0, 8)}`;
-        }
+        return ICalEncoder.encode(data);
+    }
 
-        // Organizer
-        if (data.organizer || data.organizerEmail) {
-            const email = data.organizerEmail || data.organizer;
-            const name = data.organizerName || '';
-            if (name) {
-                lines.push(`ORGANIZER;CN=${this.escapeICalValue(name)}:mailto:${email}`);
-            } else {
-                lines.push(`ORGANIZER:mailto:${email}`);
-            }
-        }
+    /**
+     * Encode WhatsApp link
+     * @param {Object} data - WhatsApp data
+     * @returns {string}
+     */
+    static encodeWhatsApp(data) {
+        // wa.me takes the international number without "+"
+        const phone = (data.phone || data.number || '').replace(/[\s\-\(\)\.+]/g, '');
+        const message = data.message || data.text || '';
 
-        // URL
-        if (data.url) {
-            lines.push(`URL:${data.url}`);
-        }
+        // Use wa.me format
+        let url = `https://wa.me/${phone}`;
 
-        // Reminder/Alarm
-        if (data.reminder || data.alarm) {
-            const minutes = data.reminder || data.alarm || 15;
-            lines.push('BEGIN:VALARM');
-            lines.push('ACTION:DISPLAY');
-            lines.push(`TRIGGER:-PT${minutes}M`);
-            lines.push('DESCRIPTION:Reminder');
-            lines.push('END:VALARM');
+        if (message) {
+            url += `?text=${encodeURIComponent(message)}`;
         }
 
-        // Timestamp
-        lines.push(`DTSTAMP:${this.formatICalDate(new Date())}`);
-
-        lines.push('END:VEVENT');
-        lines.push('END:VCALENDAR');
-
-        return lines.join('\r\n');
+        return url;
     }
 
     /**
-     * Format date for iCal
-     * @param {Date|string} date
+     * Encode Telegram chat link (t.me)
+     * @param {Object} data - Telegram data: username, or phone
      * @returns {string}
      */
-    static formatICalDate(date) {
-        const d = date instanceof Date ? date : new Date(date);
-        if (isNaN(d.getTime())) {
-            return this.formatICalDate(new Date());
-        }
-
-        const pad = (n) => String(n).padStart(2, '0');
-
-        const year = d.getUTCFullYear();
-        const month = pad(d.getUTCMonth() + 1);
-        const day = pad(d.getUTCDate());
-        const hours = pad(d.getUTCHours());
-        const minutes = pad(d.getUTCMinutes());
-        const seconds = pad(d.getUTCSeconds());
+    static encodeTelegram(data) {
+        const username = String(data.username || data.handle || '').trim().replace(/^@/, '');
+        const phone = (data.phone || data.number || '').replace(/[\s\-\(\)\.+]/g, '');
+        const message = data.message || data.text || '';
 
-        return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
+        if (!username) {
+            return `https://t.me/+${phone}`;
+        }
+        return `https://t.me/${username}${message ? `?text=${encodeURIComponent(message)}` : ''}`;
     }
 
     /**
-     * Escape special characters for iCal
-     * @param {string} value
+     * Encode Signal chat link (signal.me), or pass on a signal.me / signal.group invite
+     * @param {Object} data - Signal data: phone, or url
      * @returns {string}
      */
-    static escapeICalValue(value) {
-        if (!value) return '';
-        return value
-            .replace(/\\/g, '\\\\')
-            .replace(/;/g, '\\;')
-            .replace(/,/g, '\\,')
-            .replace(/\n/g, '\\n');
+    static encodeSignal(data) {
+        if (data.url) {
+            const url = this.ensureValidUrl(data.url);
+            if (!/^https:\/\/signal\.(me|group)\//i.test(url)) {
+                this.throwFieldError('data.url', 'Must be a signal.me or signal.group link');
+            }
+            return url;
+        }
+
+        const phone = (data.phone || data.number || '').replace(/[\s\-\(\)\.+]/g, '');
+        return `https://signal.me/#p/+${phone}`;
     }
 
     /**
-     * Encode WhatsApp link
-     * @param {Object} data - WhatsApp data
+     * Encode Viber chat link
+     * @param {Object} data - Viber data: phone, message
      * @returns {string}
      */
-    static encodeWhatsApp(data) {
-        const phone = (data.phone || data.number || '').replace(/[\s\-\(\)\.]/g, '');
+    static encodeViber(data) {
+        const phone = (data.phone || data.number || '').replace(/[\s\-\(\)\.+]/g, '');
         const message = data.message || data.text || '';
 
-        // Use wa.me format
-        let url = `https://wa.me/${phone}`;
-
-        if (message) {
-            url += `?text=${encodeURIComponent(message)}`;
-        }
-
-        return url;
+        return `viber://chat?number=%2B${phone}${message ? `&draft=${encodeURIComponent(message)}` : ''}`;
     }
 
     /**
@@ -697,49 +1113,83 @@ class QRDataEncoder {
     }
 
     /**
-     * Encode cryptocurrency address
-     * @param {Object} data - Crypto data
+     * Encode app-download link (see AppLinkEncoder)
+     * @param {Object} data - App data: ios, android, url
      * @returns {string}
      */
-    static encodeCrypto(data) {
-        const currency = (data.currency || data.coin || data.crypto || 'bitcoin').toLowerCase();
-        const address = data.address || data.wallet || '';
-        const amount = data.amount || '';
-        const label = data.label || data.name || '';
-        const message = data.message || data.note || '';
-
-        // Map common currency names to URI schemes
-        const currencySchemes = {
-            bitcoin: 'bitcoin',
-            btc: 'bitcoin',
-            ethereum: 'ethereum',
-            eth: 'ethereum',
-            litecoin: 'litecoin',
-            ltc: 'litecoin',
-            dogecoin: 'dogecoin',
-            doge: 'dogecoin',
-            dash: 'dash',
-            monero: 'monero',
-            xmr: 'monero',
-            zcash: 'zcash',
-            zec: 'zcash',
-            bitcoincash: 'bitcoincash',
-            bch: 'bitcoincash',
-        };
+    static encodeApp(data) {
+        return AppLinkEncoder.encode(data);
+    }
 
-        const scheme = currencySchemes[currency] || currency;
-        let uri = `${scheme}:${address}`;
+    /**
+     * Encode video meeting join link (Zoom, Google Meet)
+     * @param {Object} data - Meeting data: platform, meetingId or url
+     * @returns {string}
+     */
+    static encodeMeeting(data) {
+        const url = data.url ? this.ensureValidUrl(data.url) : '';
+        let platformName = String(data.platform || '').toLowerCase();
 
-        const params = [];
-        if (amount) params.push(`amount=${amount}`);
-        if (label) params.push(`label=${encodeURIComponent(label)}`);
-        if (message) params.push(`message=${encodeURIComponent(message)}`);
+        if (url) {
+            let host = '';
+            try {
+                host = new URL(url).hostname;
+            } catch (error) {
+                // Reported below as not a link of any platform
+            }
+            const match = Object.keys(MEETING_PLATFORMS).find(name => MEETING_PLATFORMS[name].hosts.test(host));
+            if (!match || (platformName && platformName !== match)) {
+                const names = platformName && MEETING_PLATFORMS[platformName]
+                    ? [MEETING_PLATFORMS[platformName].name]
+                    : Object.values(MEETING_PLATFORMS).map(platform => platform.name);
+                this.throwFieldError('data.url', `Must be a ${names.join(' or ')} join link`);
+            }
+            return url;
+        }
 
-        if (params.length > 0) {
-            uri += `?${params.join('&')}`;
+        platformName = platformName || 'zoom';
+        const platform = MEETING_PLATFORMS[platformName];
+        const id = String(data.meetingId || data.id || data.code || '').replace(platform.ignore, '').toLowerCase();
+
+        if (!platform.pattern.test(id)) {
+            this.throwFieldError('data.meetingId', `Must be ${platform.example}`);
+        }
+        if (data.domain && !platform.hosts.test(data.domain)) {
+            this.throwFieldError('data.domain', `Must be a ${platform.name} domain, e.g. example.zoom.us`);
         }
 
-        return uri;
+        return platform.buildUrl(id, data);
+    }
+
+    /**
+     * Encode PayPal.me link
+     * Format: https://paypal.me/<username>[/<amount><currency>]
+     * @param {Object} data - PayPal data: username, amount, currency
+     * @returns {string}
+     */
+    static encodePaypal(data) {
+        const username = String(data.username || data.handle || '').trim()
+            .replace(/^(https?:\/\/)?(www\.)?paypal\.me\//i, '')
+            .replace(/\/.*$/, '');
+        const amount = data.amount !== undefined && data.amount !== null && data.amount !== ''
+            ? Number(data.amount).toFixed(2).replace(/\.00$/, '')
+            : '';
+        const currency = String(data.currency || '').toUpperCase();
+
+        if (currency && !amount) {
+            this.throwFieldError('data.currency', 'A currency needs an amount');
+        }
+
+        return `https://paypal.me/${username}${amount ? `/${amount}${currency}` : ''}`;
+    }
+
+    /**
+     * Encode cryptocurrency payment URI (BIP-21, EIP-681, Solana Pay, Monero, ZIP-321, Lightning)
+     * @param {Object} data - Crypto data
+     * @returns {string}
+     */
+    static encodeCrypto(data) {
+        return CryptoEncoder.encode(data);
     }
 
     /**
@@ -769,35 +1219,57 @@ class QRDataEncoder {
     }
 
     /**
-     * Encode PIX (Brazilian instant payment)
-     * @param {Object} data - PIX data
+     * Encode PIX (Brazilian instant payment) as an EMV BR Code
+     * @param {Object} data - PIX data (see PixEncoder.encode)
      * @returns {string}
      */
     static encodePix(data) {
-        // PIX uses EMV QR Code format
-        // This is a simplified version - full PIX requires EMVCo spec
-        const key = data.key || data.pixKey || data.chave || '';
-        const name = data.name || data.merchantName || '';
-        const city = data.city || data.merchantCity || '';
-        const amount = data.amount || data.valor || '';
-        const description = data.description || data.descricao || '';
-
-        // For simplicity, generate a PIX copy-paste string
-        // Full EMV implementation would require additional complexity
+        // If raw EMV code is provided, use it directly
         if (data.emv || data.qrCode) {
-            // If raw EMV code is provided, use it directly
             return data.emv || data.qrCode;
         }
 
-        // Generate a simple PIX URL
-        let pixUrl = `https://pix.com.br/pay?key=${encodeURIComponent(key)}`;
+        return PixEncoder.encode(data);
+    }
+
+    /**
+     * Encode an EMVCo merchant-presented payload (generic or preset)
+     * @param {Object} data - EMVCo data (see EMVCoMerchantEncoder)
+     * @returns {string}
+     */
+    static encodeEmvco(data) {
+        if (data.emv || data.qrCode) {
+            return data.emv || data.qrCode;
+        }
 
-        if (name) pixUrl += `&name=${encodeURIComponent(name)}`;
-        if (city) pixUrl += `&city=${encodeURIComponent(city)}`;
-        if (amount) pixUrl += `&amount=${amount}`;
-        if (description) pixUrl += `&desc=${encodeURIComponent(description)}`;
+        return EMVCoMerchantEncoder.encode(data);
+    }
 
-        return pixUrl;
+    /**
+     * Encode a SEPA credit transfer (EPC069-12)
+     * @param {Object} data - Transfer data (see EPCEncoder.encode)
+     * @returns {string}
+     */
+    static encodeEpc(data) {
+        return EPCEncoder.encode(data);
+    }
+
+    /**
+     * Encode a Swiss QR-bill payment part
+     * @param {Object} data - Bill data (see SwissQREncoder.encode)
+     * @returns {string}
+     */
+    static encodeSwissQr(data) {
+        return SwissQREncoder.encode(data);
+    }
+
+    /**
+     * Encode a GS1 Digital Link URI or element string
+     * @param {Object} data - Application Identifiers (see GS1Encoder.encode)
+     * @returns {string}
+     */
+    static encodeGs1(data) {
+        return GS1Encoder.encode(data);
     }
 
     /**
@@ -816,6 +1288,26 @@ class QRDataEncoder {
     static isTypeSupported(type) {
         return this.getSupportedTypes().includes(type.toLowerCase());
     }
+
+    /**
+     * Throw a single-field INVALID_DATA error
+     * @param {string} field - Field path, e.g. "data.cc"
+     * @param {string} message
+     * @throws {Error}
+     */
+    static throwFieldError(field, message) {
+        const error = new Error(message);
+        error.code = 'INVALID_DATA';
+        error.status = 400;
+        error.details = [{ field, message }];
+        throw error;
+    }
 }
 
+QRDataEncoder.EMAIL_FORMATS = EMAIL_FORMATS;
+QRDataEncoder.WIFI_ENTERPRISE = WIFI_ENTERPRISE;
+QRDataEncoder.EAP_METHODS = EAP_METHODS;
+QRDataEncoder.EAP_PHASE2_METHODS = EAP_PHASE2_METHODS;
+QRDataEncoder.MEETING_PLATFORMS = Object.keys(MEETING_PLATFORMS);
+
 module.exports = QRDataEncoder;
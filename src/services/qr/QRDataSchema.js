@@ -0,0 +1,743 @@
+/**
+ * QRDataSchema - Declarative data schemas per QR type
+ *
+ * Each schema lists the fields a type reads, with the aliases its encoder
+ * accepts (the first one present wins, as in the encoder), and the rules a
+ * value must meet:
+ *
+ *   type        'string' | 'number' | 'boolean' | 'object' | 'array', or a list
+ *   required    must be present (not undefined, null or blank)
+ *   format      a key of FORMATS (E.164 phone, e-mail, IBAN, VPA, ...)
+ *   maxLength   characters, after trimming
+ *   ignore      characters removed before the length and format checks,
+ *               for values the encoder strips the same way (spaced groups)
+ *   min / max   number range
+ *   enum        allowed values, compared case-insensitively
+ *   fields      object fields; items: the schema of each array element
+ *
+ * A schema may also set:
+ *
+ *   primary       field filled by a plain string (data: "https://...")
+ *   requireOneOf  groups of fields; all fields of at least one group are required
+ *   passthrough   fields holding a finished payload; when one is given, the
+ *                 other fields are not checked
+ *
+ * validate() returns field-path errors ("data.phones[0].number"); the
+ * encoders run afterwards and check what a schema cannot express, such as
+ * IBAN/reference combinations or recurrence rules. describe() publishes the
+ * schemas through /capabilities so clients can build their forms from them.
+ */
+const EMVCoEncoder = require('./encoders/EMVCoEncoder');
+const EMVCoMerchantEncoder = require('./encoders/EMVCoMerchantEncoder');
+const EPCEncoder = require('./encoders/EPCEncoder');
+const GS1Encoder = require('./encoders/GS1Encoder');
+
+// Separators people type into phone numbers; removed before matching
+const PHONE_SEPARATORS = /[\s\-().]/g;
+
+/**
+ * Value formats: pattern (matched against the trimmed value, after removing
+ * `ignore`), an optional extra check, and the error message
+ */
+const FORMATS = {
+    url: {
+        pattern: /^(https?:\/\/)?[^\s/?#]+\.[^\s/?#]+(:\d+)?([/?#]\S*)?$/i,
+        message: 'Must be a web address, e.g. https://example.com',
+    },
+    email: {
+        pattern: /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/,
+        message: 'Must be an e-mail address',
+    },
+    emailList: {
+        pattern: /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+(\s*,\s*[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+)*$/,
+        message: 'Must be one or more e-mail addresses, separated by commas',
+    },
+    e164: {
+        pattern: /^\+?[1-9]\d{6,14}$/,
+        ignore: PHONE_SEPARATORS,
+        message: 'Must be an international phone number (E.164), e.g. +14155550123',
+    },
+    phone: {
+        pattern: /^\+?\d{3,20}$/,
+        ignore: PHONE_SEPARATORS,
+        message: 'Must be a phone number',
+    },
+    iban: {
+        pattern: /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/i,
+        ignore: /\s/g,
+        check: value => EPCEncoder.isValidIban(value.toUpperCase()),
+        message: 'Must be a valid IBAN',
+    },
+    bic: {
+        pattern: /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/i,
+        ignore: /\s/g,
+        message: 'Must be a BIC of 8 or 11 characters',
+    },
+    vpa: {
+        pattern: /^[a-z0-9._-]{2,256}@[a-z][a-z0-9.-]{1,63}$/i,
+        message: 'Must be a UPI ID (VPA), e.g. name@bank',
+    },
+    date: {
+        pattern: /^(\d{4}|--)-?(0[1-9]|1[0-2])-?(0[1-9]|[12]\d|3[01])$/,
+        message: 'Must be a date as YYYY-MM-DD',
+    },
+    gtin: {
+        pattern: /^(\d{8}|\d{12,14})$/,
+        ignore: /[\s-]/g,
+        check: value => GS1Encoder.getCheckDigit(value.slice(0, -1)) === Number(value.slice(-1)),
+        message: 'Must be a GTIN-8, -12, -13 or -14 with a valid check digit',
+    },
+    gs1Date: {
+        pattern: /^(\d{6}|\d{4}-\d{2}-\d{2})$/,
+        message: 'Must be a date as YYMMDD or YYYY-MM-DD',
+    },
+    mcc: {
+        pattern: /^\d{4}$/,
+        message: 'Must be a 4-digit merchant category code',
+    },
+    country: {
+        pattern: /^[A-Z]{2}$/i,
+        message: 'Must be an ISO 3166-1 alpha-2 country code, e.g. CH',
+    },
+    photo: {
+        pattern: /^(data:image\/[\w.+-]+;base64,\S+|https?:\/\/\S+)$/i,
+        message: 'Must be an http(s) URL or a data:image/...;base64 URI',
+    },
+    currencyCode: {
+        pattern: /^[A-Z]{3}$/i,
+        message: 'Must be an ISO 4217 currency code, e.g. EUR',
+    },
+    telegramUsername: {
+        pattern: /^@?[a-z][a-z0-9_]{4,31}$/i,
+        message: 'Must be a Telegram username: 5 to 32 letters, digits or underscores',
+    },
+    paypalUsername: {
+        pattern: /^((https?:\/\/)?(www\.)?paypal\.me\/)?[a-z0-9]{1,20}\/?$/i,
+        message: 'Must be a PayPal.me name (up to 20 letters or digits) or link',
+    },
+};
+
+// Contact address fields, flat on the contact or inside data.address
+const ADDRESS_FIELDS = {
+    street: { label: 'Street', aliases: ['address_line1'], maxLength: 100 },
+    extended: { label: 'Address line 2', aliases: ['address_line2'], maxLength: 100 },
+    city: { label: 'City', maxLength: 100 },
+    state: { label: 'State / region', aliases: ['region'], maxLength: 100 },
+    postalCode: { label: 'Postal code', type: ['string', 'number'], aliases: ['zip', 'postal_code'], maxLength: 20 },
+    country: { label: 'Country', maxLength: 100 },
+};
+
+// Swiss QR-bill structured address (creditor, debtor)
+const SWISS_ADDRESS_FIELDS = {
+    name: { label: 'Name', required: true, maxLength: 70 },
+    street: { label: 'Street', maxLength: 70 },
+    buildingNumber: { label: 'Building number', type: ['string', 'number'], aliases: ['houseNumber'], maxLength: 16 },
+    postalCode: { label: 'Postal code', type: ['string', 'number'], aliases: ['zip'], required: true, maxLength: 16 },
+    town: { label: 'Town', aliases: ['city'], required: true, maxLength: 35 },
+    country: { label: 'Country', required: true, format: 'country' },
+};
+
+const SCHEMAS = {
+    url: {
+        label: 'Website',
+        primary: 'url',
+        fields: {
+            url: { label: 'URL', aliases: ['value'], required: true, format: 'url', maxLength: 2000 },
+        },
+    },
+    text: {
+        label: 'Text',
+        primary: 'text',
+        fields: {
+            // No maxLength: symbol capacity is checked at generation, and Structured Append goes beyond one symbol
+            text: { label: 'Text', aliases: ['value', 'content'], required: true },
+        },
+    },
+    email: {
+        label: 'E-mail',
+        fields: {
+            email: { label: 'To', aliases: ['to'], required: true, type: ['string', 'array'], format: 'emailList', items: { format: 'email' }, maxItems: 50 },
+            subject: { label: 'Subject', maxLength: 255 },
+            body: { label: 'Message', aliases: ['message'], maxLength: 2000 },
+            cc: { label: 'Cc', type: ['string', 'array'], format: 'emailList', items: { format: 'email' }, maxItems: 50 },
+            bcc: { label: 'Bcc', type: ['string', 'array'], format: 'emailList', items: { format: 'email' }, maxItems: 50 },
+            format: { label: 'Format', enum: ['mailto', 'matmsg'] },
+        },
+    },
+    phone: {
+        label: 'Phone',
+        primary: 'phone',
+        fields: {
+            phone: { label: 'Phone number', aliases: ['number', 'tel'], required: true, format: 'e164' },
+        },
+    },
+    sms: {
+        label: 'SMS',
+        fields: {
+            phone: { label: 'Phone number', aliases: ['number'], required: true, format: 'e164' },
+            message: { label: 'Message', aliases: ['body'], maxLength: 1600 },
+        },
+    },
+    wifi: {
+        label: 'Wi-Fi',
+        fields: {
+            ssid: { label: 'Network name', aliases: ['network'], required: true, maxLength: 32 },
+            password: { label: 'Password', aliases: ['pass'], maxLength: 128 },
+            encryption: { label: 'Security', aliases: ['security'], enum: ['WPA', 'WPA2', 'WPA3', 'SAE', 'WEP', 'nopass', 'WPA2-EAP', 'WPA3-EAP'] },
+            hidden: { label: 'Hidden network', type: 'boolean', aliases: ['isHidden'] },
+            eap: { label: 'EAP method', aliases: ['eapMethod'], enum: ['PEAP', 'TLS', 'TTLS', 'PWD', 'SIM', 'AKA', "AKA'"] },
+            phase2: { label: 'Phase 2 authentication', aliases: ['phase2Method'], enum: ['MSCHAPV2', 'GTC', 'PAP', 'MSCHAP', 'NONE'] },
+            identity: { label: 'Identity', aliases: ['username'], maxLength: 253 },
+            anonymousIdentity: { label: 'Anonymous identity', aliases: ['outerIdentity'], maxLength: 253 },
+        },
+    },
+    vcard: {
+        label: 'Contact',
+        requireOneOf: [['firstName'], ['lastName'], ['fullName'], ['organization']],
+        fields: {
+            format: { label: 'Format', enum: ['vcard', 'vcard3', 'vcard4', 'mecard'] },
+            version: { label: 'vCard version (legacy)', type: ['string', 'number'], enum: ['3.0', '4.0', '3', '4'] },
+            compact: { label: 'Compact', type: ['boolean', 'object'] },
+            firstName: { label: 'First name', aliases: ['given_name', 'name'], maxLength: 100 },
+            lastName: { label: 'Last name', aliases: ['surname', 'family_name'], maxLength: 100 },
+            middleName: { label: 'Middle name', aliases: ['middle_name'], maxLength: 100 },
+            fullName: { label: 'Full name', aliases: ['full_name'], maxLength: 200 },
+            prefix: { label: 'Prefix', maxLength: 50 },
+            suffix: { label: 'Suffix', maxLength: 50 },
+            organization: { label: 'Organization', aliases: ['company', 'org'], maxLength: 200 },
+            department: { label: 'Department', maxLength: 200 },
+            title: { label: 'Job title', aliases: ['jobTitle', 'job_title'], maxLength: 200 },
+            phone: { label: 'Mobile', aliases: ['mobile', 'cell'], format: 'phone' },
+            workPhone: { label: 'Work phone', aliases: ['work_phone'], format: 'phone' },
+            homePhone: { label: 'Home phone', aliases: ['home_phone'], format: 'phone' },
+            fax: { label: 'Fax', format: 'phone' },
+            phones: {
+                label: 'Phone numbers',
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        number: { label: 'Number', aliases: ['phone', 'value'], required: true, format: 'phone' },
+                        type: { label: 'Type', maxLength: 20 },
+                    },
+                },
+            },
+            email: { label: 'E-mail', format: 'email', maxLength: 254 },
+            workEmail: { label: 'Work e-mail', aliases: ['work_email'], format: 'email', maxLength: 254 },
+            emails: {
+                label: 'E-mail addresses',
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        email: { label: 'Address', aliases: ['address', 'value'], required: true, format: 'email', maxLength: 254 },
+                        type: { label: 'Type', maxLength: 20 },
+                    },
+                },
+            },
+            website: { label: 'Website', aliases: ['url', 'web'], format: 'url', maxLength: 2000 },
+            address: {
+                label: 'Address',
+                type: ['object', 'string'],  // A string is the street line
+                maxLength: ADDRESS_FIELDS.street.maxLength,
+                fields: {
+                    ...ADDRESS_FIELDS,
+                    poBox: { label: 'PO box', maxLength: 50 },
+                    type: { label: 'Type', maxLength: 20 },
+                },
+            },
+            ...Object.fromEntries(Object.entries(ADDRESS_FIELDS).filter(([name]) => name !== 'extended')),
+            birthday: { label: 'Birthday', aliases: ['bday'], format: 'date' },
+            note: { label: 'Note', aliases: ['notes'], maxLength: 2000 },
+            photo: { label: 'Photo', aliases: ['image', 'photoUrl'], format: 'photo' },
+            ...Object.fromEntries(['facebook', 'twitter', 'linkedin', 'instagram', 'youtube', 'github', 'tiktok']
+                .map(network => [network, { label: network[0].toUpperCase() + network.slice(1), maxLength: 200 }])),
+        },
+    },
+    location: {
+        label: 'Location',
+        requireOneOf: [['latitude', 'longitude'], ['query']],
+        fields: {
+            latitude: { label: 'Latitude', type: 'number', aliases: ['lat'], min: -90, max: 90 },
+            longitude: { label: 'Longitude', type: 'number', aliases: ['lng', 'lon'], min: -180, max: 180 },
+            query: { label: 'Place or address', aliases: ['address', 'name'], maxLength: 500 },
+        },
+    },
+    event: {
+        label: 'Event',
+        fields: {
+            component: { label: 'Kind', aliases: ['kind'], enum: ['event', 'todo'] },
+            summary: { label: 'Title', aliases: ['title', 'name'], required: true, maxLength: 255 },
+            start: { label: 'Start', aliases: ['startDate', 'start_date'] },
+            end: { label: 'End', aliases: ['endDate', 'end_date'] },
+            due: { label: 'Due', aliases: ['dueDate'] },
+            duration: { label: 'Duration', type: ['number', 'string'] },
+            allDay: { label: 'All day', type: 'boolean', aliases: ['all_day'] },
+            timezone: { label: 'Time zone', aliases: ['timeZone', 'tzid'], maxLength: 64 },
+            description: { label: 'Description', aliases: ['details'], maxLength: 2000 },
+            location: { label: 'Location', aliases: ['venue'], maxLength: 255 },
+            recurrence: { label: 'Repeat', type: ['object', 'string'], aliases: ['rrule', 'repeat'] },
+            exdates: { label: 'Excluded dates', type: ['array', 'string'], aliases: ['exdate', 'exceptions'] },
+            attendees: { label: 'Attendees', type: 'array', items: { type: ['string', 'object'] } },
+            alarms: { label: 'Reminders', type: 'array', aliases: ['reminders'], items: { type: ['object', 'number', 'boolean'] } },
+            organizer: { label: 'Organizer e-mail', aliases: ['organizerEmail'], format: 'email' },
+            organizerName: { label: 'Organizer name', maxLength: 100 },
+            status: { label: 'Status', maxLength: 20 },
+            priority: { label: 'Priority', type: 'number', min: 0, max: 9 },
+        },
+    },
+    whatsapp: {
+        label: 'WhatsApp',
+        fields: {
+            phone: { label: 'Phone number', aliases: ['number'], required: true, format: 'e164' },
+            message: { label: 'Message', aliases: ['text'], maxLength: 2000 },
+        },
+    },
+    telegram: {
+        label: 'Telegram',
+        requireOneOf: [['username'], ['phone']],
+        fields: {
+            username: { label: 'Username', aliases: ['handle'], format: 'telegramUsername' },
+            phone: { label: 'Phone number', aliases: ['number'], format: 'e164' },
+            message: { label: 'Message', aliases: ['text'], maxLength: 2000 },
+        },
+    },
+    signal: {
+        label: 'Signal',
+        requireOneOf: [['phone'], ['url']],
+        fields: {
+            phone: { label: 'Phone number', aliases: ['number'], format: 'e164' },
+            url: { label: 'Invite link', format: 'url', maxLength: 2000 },
+        },
+    },
+    viber: {
+        label: 'Viber',
+        fields: {
+            phone: { label: 'Phone number', aliases: ['number'], required: true, format: 'e164' },
+            message: { label: 'Message', aliases: ['text'], maxLength: 2000 },
+        },
+    },
+    social: {
+        label: 'Social profile',
+        requireOneOf: [['url'], ['username']],
+        fields: {
+            platform: { label: 'Platform', aliases: ['network'], maxLength: 30 },
+            username: { label: 'Username', aliases: ['handle', 'user'], maxLength: 100 },
+            url: { label: 'Profile URL', format: 'url', maxLength: 2000 },
+        },
+    },
+    app: {
+        label: 'App',
+        requireOneOf: [['ios'], ['android'], ['url']],
+        fields: {
+            ios: { label: 'App Store', aliases: ['appStore', 'apple'], maxLength: 500 },
+            android: { label: 'Google Play', aliases: ['googlePlay', 'playStore'], maxLength: 500 },
+            url: { label: 'Smart link', format: 'url', maxLength: 2000 },
+            baseUrl: { label: 'Smart-link endpoint', format: 'url', maxLength: 500 },
+        },
+    },
+    meeting: {
+        label: 'Meeting',
+        requireOneOf: [['meetingId'], ['url']],
+        fields: {
+            platform: { label: 'Platform', enum: ['zoom', 'meet'] },
+            meetingId: { label: 'Meeting ID', type: ['string', 'number'], aliases: ['id', 'code'], maxLength: 20 },
+            pwd: { label: 'Zoom passcode token', maxLength: 100 },
+            domain: { label: 'Zoom domain', maxLength: 100 },
+            url: { label: 'Join link', format: 'url', maxLength: 2000 },
+        },
+    },
+    paypal: {
+        label: 'PayPal',
+        fields: {
+            username: { label: 'PayPal.me name', aliases: ['handle'], required: true, format: 'paypalUsername' },
+            amount: { label: 'Amount', type: 'number', min: 0.01 },
+            currency: { label: 'Currency', format: 'currencyCode' },
+        },
+    },
+    crypto: {
+        label: 'Cryptocurrency',
+        requireOneOf: [['address'], ['lightning']],
+        fields: {
+            currency: { label: 'Currency', aliases: ['coin', 'crypto'], maxLength: 20 },
+            address: { label: 'Wallet address', aliases: ['wallet'], maxLength: 128 },
+            amount: { label: 'Amount', type: ['number', 'string'], min: 0 },
+            label: { label: 'Label', aliases: ['name'], maxLength: 100 },
+            message: { label: 'Message', aliases: ['note'], maxLength: 200 },
+            token: { label: 'Token', type: ['string', 'object'] },
+            chainId: { label: 'Chain id', type: 'number', min: 1 },
+            lightning: { label: 'Lightning invoice', aliases: ['invoice'], maxLength: 2000 },
+            memo: { label: 'Memo', maxLength: 512 },
+            reference: { label: 'Reference', type: ['string', 'array'], maxItems: 10 },
+        },
+    },
+    upi: {
+        label: 'UPI',
+        fields: {
+            vpa: { label: 'UPI ID', aliases: ['upiId', 'upi_id'], required: true, format: 'vpa' },
+            payeeName: { label: 'Payee name', aliases: ['name', 'pn'], maxLength: 99 },
+            amount: { label: 'Amount', type: 'number', aliases: ['am'], min: 0.01 },
+            note: { label: 'Note', aliases: ['tn'], maxLength: 80 },
+            transactionId: { label: 'Transaction reference', aliases: ['tr'], maxLength: 35 },
+            currency: { label: 'Currency', aliases: ['cu'], enum: ['INR'] },
+            merchantCode: { label: 'Merchant category code', type: ['string', 'number'], aliases: ['mc'], format: 'mcc' },
+        },
+    },
+    pix: {
+        label: 'PIX',
+        passthrough: ['emv', 'qrCode'],
+        requireOneOf: [['key'], ['url']],
+        fields: {
+            key: { label: 'PIX key', aliases: ['pixKey', 'chave'], maxLength: 77 },
+            url: { label: 'Charge location (dynamic)', aliases: ['location'], maxLength: 77 },
+            name: { label: 'Merchant name', aliases: ['merchantName', 'nome'], required: true, maxLength: 25 },
+            city: { label: 'Merchant city', aliases: ['merchantCity', 'cidade'], required: true, maxLength: 15 },
+            amount: { label: 'Amount (BRL)', type: 'number', aliases: ['valor'], min: 0.01 },
+            txid: { label: 'Transaction id', type: ['string', 'number'], aliases: ['transactionId', 'reference'], maxLength: 25 },
+            description: { label: 'Description', aliases: ['descricao'] },
+            postalCode: { label: 'CEP', type: ['string', 'number'], aliases: ['cep'], maxLength: 9 },
+            singleUse: { label: 'Single use', type: 'boolean' },
+            emv: { label: 'Finished BR Code', aliases: ['qrCode'] },
+        },
+    },
+    emvco: {
+        label: 'EMVCo merchant',
+        passthrough: ['emv', 'qrCode'],
+        fields: {
+            preset: { label: 'Scheme', enum: Object.keys(EMVCoMerchantEncoder.getPresets()) },
+            pointOfInitiation: { label: 'Point of initiation', type: ['string', 'number'], enum: ['static', 'dynamic', '11', '12'] },
+            merchantAccounts: { label: 'Merchant accounts', type: 'array', items: { type: 'object' } },
+            merchantName: { label: 'Merchant name', aliases: ['name'], required: true, maxLength: 25 },
+            merchantCity: { label: 'Merchant city', aliases: ['city'], maxLength: 15 },
+            mcc: { label: 'Merchant category code', type: ['string', 'number'], format: 'mcc' },
+            currency: { label: 'Currency', type: ['string', 'number'], maxLength: 3 },
+            country: { label: 'Country', format: 'country' },
+            postalCode: { label: 'Postal code', type: ['string', 'number'], maxLength: 10 },
+            amount: { label: 'Amount', type: 'number', min: 0.01 },
+            tip: { label: 'Tip', type: 'object' },
+            additionalData: { label: 'Additional data', type: 'object' },
+            emv: { label: 'Finished payload', aliases: ['qrCode'] },
+        },
+    },
+    epc: {
+        label: 'SEPA transfer',
+        fields: {
+            name: { label: 'Beneficiary', aliases: ['beneficiaryName', 'beneficiary'], required: true, maxLength: 70 },
+            iban: { label: 'IBAN', required: true, format: 'iban' },
+            bic: { label: 'BIC', aliases: ['swift'], format: 'bic' },
+            amount: { label: 'Amount (EUR)', type: 'number', min: 0.01, max: 999999999.99 },
+            purpose: { label: 'Purpose code', maxLength: 4 },
+            reference: { label: 'Creditor reference', aliases: ['remittanceReference'], maxLength: 35 },
+            text: { label: 'Remittance text', aliases: ['remittanceText', 'message'], maxLength: 140 },
+            information: { label: 'Note to payer', aliases: ['note'], maxLength: 70 },
+            version: { label: 'Version', type: ['string', 'number'], enum: ['001', '002', '1', '2'] },
+        },
+    },
+    swissqr: {
+        label: 'Swiss QR-bill',
+        fields: {
+            iban: { label: 'IBAN / QR-IBAN', aliases: ['account'], required: true, format: 'iban' },
+            creditor: { label: 'Creditor', type: 'object', required: true, fields: SWISS_ADDRESS_FIELDS },
+            debtor: { label: 'Debtor', type: 'object', fields: SWISS_ADDRESS_FIELDS },
+            amount: { label: 'Amount', type: 'number', min: 0.01, max: 999999999.99 },
+            currency: { label: 'Currency', enum: ['CHF', 'EUR'] },
+            reference: { label: 'Reference', maxLength: 27, ignore: /\s/g },
+            referenceType: { label: 'Reference type', enum: ['QRR', 'SCOR', 'NON'] },
+            message: { label: 'Message', aliases: ['unstructuredMessage'], maxLength: 140 },
+            billingInformation: { label: 'Billing information', maxLength: 140 },
+            alternativeSchemes: { label: 'Alternative schemes', type: 'array', maxItems: 2, items: { maxLength: 100 } },
+        },
+    },
+    gs1: {
+        label: 'GS1 product',
+        fields: {
+            format: { label: 'Format', enum: GS1Encoder.FORMATS },
+            domain: { label: 'Resolver domain', aliases: ['resolver'], format: 'url', maxLength: 200 },
+            gtin: { label: 'GTIN', type: ['string', 'number'], format: 'gtin' },
+            sscc: { label: 'SSCC', type: ['string', 'number'], maxLength: 18 },
+            gln: { label: 'GLN', type: ['string', 'number'], maxLength: 13 },
+            batch: { label: 'Batch / lot', aliases: ['lot'], type: ['string', 'number'], maxLength: 20 },
+            serial: { label: 'Serial number', type: ['string', 'number'], maxLength: 20 },
+            expiry: { label: 'Expiry date', aliases: ['expiryDate'], format: 'gs1Date' },
+            bestBefore: { label: 'Best before', format: 'gs1Date' },
+            productionDate: { label: 'Production date', format: 'gs1Date' },
+            packagingDate: { label: 'Packaging date', format: 'gs1Date' },
+            sellBy: { label: 'Sell by', format: 'gs1Date' },
+            variant: { label: 'Variant', type: ['string', 'number'], maxLength: 2 },
+            cpv: { label: 'Consumer product variant', maxLength: 20 },
+            ais: { label: 'Other Application Identifiers', type: ['object', 'array'] },
+        },
+    },
+};
+
+// Type names for error messages
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list',
+};
+
+class QRDataSchema {
+    /**
+     * Check data against the schema of its type
+     *
+     * @param {string} type - QR type
+     * @param {Object|string} data
+     * @returns {Array<Object>} - [{ field, message }]; empty when valid or the type has no schema
+     */
+    static validate(type, data) {
+        const schema = SCHEMAS[String(type).toLowerCase()];
+        if (!schema) {
+            return [];
+        }
+
+        let values = data;
+        if (typeof data === 'string' && schema.primary) {
+            values = { [schema.primary]: data };
+        } else if (!this.isPlainObject(data)) {
+            return [{ field: 'data', message: `Must be an object with the ${schema.label} fields` }];
+        }
+
+        const passthrough = (schema.passthrough || []).find(key => this.isPresent(values[key]));
+        if (passthrough) {
+            return typeof values[passthrough] === 'string'
+                ? []
+                : [{ field: `data.${passthrough}`, message: 'Must be a string' }];
+        }
+
+        const errors = [];
+        this.checkFields(schema.fields, values, 'data', errors);
+
+        if (schema.requireOneOf) {
+            errors.push(...this.checkRequireOneOf(schema, values));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Throw the schema errors of the data as one INVALID_DATA error
+     *
+     * @param {string} type - QR type
+     * @param {Object|string} data
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static assertValid(type, data) {
+        const schema = SCHEMAS[String(type).toLowerCase()];
+        EMVCoEncoder.assertValid(this.validate(type, data), schema ? schema.label : type);
+    }
+
+    /**
+     * Check each field of an object, under its name or the first alias present
+     *
+     * @param {Object} fields - Field specs by name
+     * @param {Object} values
+     * @param {string} path - Path of the object, e.g. "data.address"
+     * @param {Array} errors
+     */
+    static checkFields(fields, values, path, errors) {
+        for (const [name, spec] of Object.entries(fields)) {
+            const key = this.findKey(values, name, spec);
+            if (key === undefined) {
+                if (spec.required) {
+                    errors.push({ field: `${path}.${name}`, message: 'Required' });
+                }
+                continue;
+            }
+
+            this.checkValue(spec, values[key], `${path}.${key}`, errors);
+        }
+    }
+
+    /**
+     * Check one value against its field spec
+     *
+     * @param {Object} spec
+     * @param {*} value
+     * @param {string} field - Field path
+     * @param {Array} errors
+     */
+    static checkValue(spec, value, field, errors) {
+        const types = [].concat(spec.type || 'string');
+        const kind = this.getKind(value, types);
+
+        if (!kind) {
+            errors.push({ field, message: `Must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}` });
+            return;
+        }
+
+        if (kind === 'string' || (kind === 'number' && spec.enum)) {
+            const text = spec.ignore ? String(value).trim().replace(spec.ignore, '') : String(value).trim();
+            const length = [...text].length;
+
+            if (spec.maxLength && length > spec.maxLength) {
+                errors.push({ field, message: `Must be at most ${spec.maxLength} characters (got ${length})` });
+            } else if (spec.enum && !spec.enum.some(option => option.toLowerCase() === text.toLowerCase())) {
+                errors.push({ field, message: `Must be one of: ${spec.enum.join(', ')}` });
+            } else if (spec.format && !this.matchesFormat(spec.format, text)) {
+                errors.push({ field, message: FORMATS[spec.format].message });
+            }
+        } else if (kind === 'number') {
+            const number = Number(value);
+            const hasMin = spec.min !== undefined;
+            const hasMax = spec.max !== undefined;
+
+            if ((hasMin && number < spec.min) || (hasMax && number > spec.max)) {
+                errors.push({
+                    field,
+                    message: hasMin && hasMax
+                        ? `Must be between ${spec.min} and ${spec.max}`
+                        : hasMin ? `Must be at least ${spec.min}` : `Must be at most ${spec.max}`,
+                });
+            } else if (spec.format && !this.matchesFormat(spec.format, String(value))) {
+                errors.push({ field, message: FORMATS[spec.format].message });
+            }
+        } else if (kind === 'object' && spec.fields) {
+            this.checkFields(spec.fields, value, field, errors);
+        } else if (kind === 'array') {
+            if (spec.maxItems && value.length > spec.maxItems) {
+                errors.push({ field, message: `Must have at most ${spec.maxItems} entries (got ${value.length})` });
+            }
+            if (spec.items) {
+                value.forEach((item, index) => this.checkValue(spec.items, item, `${field}[${index}]`, errors));
+            }
+        }
+    }
+
+    /**
+     * Check that every field of at least one requireOneOf group is present
+     *
+     * @param {Object} schema
+     * @param {Object} values
+     * @returns {Array<Object>} - At most one error
+     */
+    static checkRequireOneOf(schema, values) {
+        const groups = schema.requireOneOf;
+        const present = groups.map(group => group.filter(name => this.findKey(values, name, schema.fields[name]) !== undefined));
+
+        if (groups.some((group, index) => present[index].length === group.length)) {
+            return [];
+        }
+
+        // A group that was started: name the fields it still needs
+        const partial = groups.findIndex((group, index) => present[index].length > 0);
+        if (partial !== -1) {
+            const missing = groups[partial].filter(name => !present[partial].includes(name));
+            return [{ field: `data.${missing[0]}`, message: `Required together with ${present[partial].join(', ')}` }];
+        }
+
+        return [{
+            field: `data.${groups[0][0]}`,
+            message: `Required: ${groups.map(group => group.join(' and ')).join(', or ')}`,
+        }];
+    }
+
+    /**
+     * The key a field is given under: its name or the first alias with a value
+     *
+     * @param {Object} values
+     * @param {string} name
+     * @param {Object} spec
+     * @returns {string|undefined}
+     */
+    static findKey(values, name, spec) {
+        return [name, ...(spec.aliases || [])].find(key => this.isPresent(values[key]));
+    }
+
+    /**
+     * Which of the allowed types a value is; numeric and "true"/"false"
+     * strings count as numbers and booleans (query parameters are strings)
+     *
+     * @param {*} value
+     * @param {Array<string>} types
+     * @returns {string|null}
+     */
+    static getKind(value, types) {
+        if (Array.isArray(value)) {
+            return types.includes('array') ? 'array' : null;
+        }
+        if (this.isPlainObject(value)) {
+            return types.includes('object') ? 'object' : null;
+        }
+        if (typeof value === 'boolean') {
+            return types.includes('boolean') ? 'boolean' : null;
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return null;
+            return types.find(type => type === 'number' || type === 'string') || null;
+        }
+        if (typeof value === 'string') {
+            if (types.includes('number') && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) return 'number';
+            if (types.includes('boolean') && /^(true|false)$/i.test(value.trim())) return 'boolean';
+            return types.includes('string') ? 'string' : null;
+        }
+        return null;
+    }
+
+    /**
+     * Match a value against a named format
+     *
+     * @param {string} format - Key of FORMATS
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static matchesFormat(format, value) {
+        const { pattern, ignore, check } = FORMATS[format];
+        const normalized = ignore ? value.replace(ignore, '') : value;
+        return pattern.test(normalized) && (!check || check(normalized));
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} - Not undefined, null or a blank string
+     */
+    static isPresent(value) {
+        return value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Schemas and formats as plain JSON, for /capabilities
+     *
+     * Patterns are JavaScript regular expression sources; `ignore` lists the
+     * characters removed before matching. IBAN and GTIN also verify their
+     * check digits.
+     *
+     * @returns {Object} - { formats: { name: { pattern, ignore, message } }, types: { type: schema } }
+     */
+    static describe() {
+        const formats = Object.fromEntries(Object.entries(FORMATS).map(([name, format]) => [name, {
+            pattern: format.pattern.source,
+            ...(format.ignore && { ignore: format.ignore.source }),
+            ...(format.check && { checkDigit: true }),
+            message: format.message,
+        }]));
+
+        return {
+            formats,
+            types: JSON.parse(JSON.stringify(SCHEMAS, (key, value) => (value instanceof RegExp ? value.source : value))),
+        };
+    }
+
+    /**
+     * Types that have a schema
+     *
+     * @returns {string[]}
+     */
+    static getTypes() {
+        return Object.keys(SCHEMAS);
+    }
+}
+
+QRDataSchema.FORMATS = Object.keys(FORMATS);
+
+module.exports = QRDataSchema;
@@ -0,0 +1,269 @@
+/**
+ * QRSymbolBuilder - QR symbols whose bit stream starts with a header the
+ * qrcode library cannot write
+ *
+ *   Structured Append  0011 + sequence index (4) + total - 1 (4) + parity (8)
+ *   FNC1 (GS1)         0101, marking the data as a GS1 element string
+ *
+ * The library's segments only know the four data modes, so these symbols
+ * are assembled here from its building blocks: the function patterns of
+ * QRCode.create(), its segmentation of the content, and its Reed-Solomon
+ * encoder, mask patterns and format information.
+ *
+ * In FNC1 mode a "%" in an alphanumeric segment stands for the GS
+ * separator, so literal percent signs are written as "%%"; GS characters
+ * (0x1D) end up in byte segments, where they are the separator as is.
+ */
+const QRCode = require('qrcode');
+const AlphanumericData = require('qrcode/lib/core/alphanumeric-data');
+const BitBuffer = require('qrcode/lib/core/bit-buffer');
+const ECLevel = require('qrcode/lib/core/error-correction-level');
+const ECCode = require('qrcode/lib/core/error-correction-code');
+const FormatInfo = require('qrcode/lib/core/format-info');
+const MaskPattern = require('qrcode/lib/core/mask-pattern');
+const Mode = require('qrcode/lib/core/mode');
+const Utils = require('qrcode/lib/core/utils');
+const Version = require('qrcode/lib/core/version');
+const QRCapacity = require('./QRCapacity');
+const SymbolEncoding = require('./symbologies/SymbolEncoding');
+
+const STRUCTURED_APPEND_MODE = 0b0011;
+const STRUCTURED_APPEND_BITS = 20;
+const FNC1_MODE = 0b0101;
+const FNC1_BITS = 4;
+
+class QRSymbolBuilder {
+    /**
+     * Build a symbol
+     *
+     * @param {string} content
+     * @param {Object} options
+     * @param {string} options.errorCorrection - L | M | Q | H
+     * @param {number} options.version - default: smallest that fits
+     * @param {number} options.maskPattern - 0-7 (default: best penalty score)
+     * @param {Object} options.structuredAppend - { index, total, parity }
+     * @param {boolean} options.fnc1 - GS1 element string
+     * @returns {Object} - qrMatrix, as QRCodeGenerator.generateQRMatrix() returns it
+     * @throws {Error} VERSION_TOO_SMALL
+     */
+    static create(content, options = {}) {
+        const level = QRCapacity.normalizeLevel(options.errorCorrection);
+        const ecl = ECLevel.from(level);
+        const minimumVersion = this.getMinimumVersion(content, level, options);
+        const version = options.version || minimumVersion;
+
+        if (!minimumVersion || version < minimumVersion) {
+            const { structuredAppend } = options;
+            const symbol = structuredAppend ? `Symbol ${structuredAppend.index + 1} of ${structuredAppend.total}` : 'The content';
+            const error = new Error(minimumVersion
+                ? `${symbol} needs version ${minimumVersion} at error correction ${level}; version ${version} is too small`
+                : `${symbol} does not fit any QR version at error correction ${level}`);
+            error.code = 'VERSION_TOO_SMALL';
+            error.status = 422;
+            error.details = {
+                version: options.version || null,
+                minimumVersion,
+                errorCorrection: level,
+                bytes: Buffer.byteLength(content, 'utf8'),
+            };
+            throw error;
+        }
+
+        // Function patterns only: the placeholder data is overwritten below
+        const { modules } = QRCode.create('0', { errorCorrectionLevel: level, version, maskPattern: 0 });
+        this.placeData(modules, this.createCodewords(content, version, level, options));
+
+        const maskPattern = Number.isInteger(options.maskPattern)
+            ? options.maskPattern
+            : MaskPattern.getBestMask(modules, mask => this.setupFormatInfo(modules, ecl, mask));
+        MaskPattern.applyMask(maskPattern, modules);
+        this.setupFormatInfo(modules, ecl, maskPattern);
+
+        const size = modules.size;
+        const matrix = [];
+        for (let row = 0; row < size; row++) {
+            matrix[row] = Array.from(modules.data.subarray(row * size, (row + 1) * size), dark => (dark ? 1 : 0));
+        }
+
+        return {
+            symbology: 'qr',
+            size,
+            width: size,
+            height: size,
+            data: modules.data,
+            reserved: modules.reservedBit,
+            matrix,
+            version,
+            errorCorrection: level,
+            maskPattern,
+            ...(options.structuredAppend && {
+                structuredAppend: {
+                    index: options.structuredAppend.index,
+                    total: options.structuredAppend.total,
+                    parity: options.structuredAppend.parity,
+                },
+            }),
+            ...(options.fnc1 && { fnc1: true }),
+        };
+    }
+
+    /**
+     * Smallest version that holds the content together with its headers
+     *
+     * @param {string} content
+     * @param {string} level - L | M | Q | H
+     * @param {Object} headers - { structuredAppend, fnc1 }
+     * @param {number} limit - Largest version to try
+     * @returns {number|null}
+     */
+    static getMinimumVersion(content, level, headers = {}, limit = QRCapacity.MAX_VERSION) {
+        const ecl = ECLevel.from(level);
+        const segments = this.getSegments(content, level, headers);
+        const headerBits = (headers.structuredAppend ? STRUCTURED_APPEND_BITS : 0) + (headers.fnc1 ? FNC1_BITS : 0);
+
+        for (let version = QRCapacity.MIN_VERSION; version <= limit; version++) {
+            const bits = segments.reduce(
+                (total, segment) => total + 4 + Mode.getCharCountIndicator(segment.mode, version) + segment.getBitsLength(),
+                headerBits
+            );
+            if (bits <= Version.getCapacity(version, ecl, Mode.MIXED)) {
+                return version;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The library's segments for the content, with "%" escaped in FNC1 mode
+     *
+     * @param {string} content
+     * @param {string} level
+     * @param {Object} headers - { fnc1 }
+     * @returns {Array<Object>} - qrcode segment objects
+     */
+    static getSegments(content, level, headers = {}) {
+        const segments = QRCapacity.getSegments(content, level);
+        if (!headers.fnc1) {
+            return segments;
+        }
+
+        return segments.map(segment => (
+            segment.mode === Mode.ALPHANUMERIC && segment.data.includes('%')
+                ? new AlphanumericData(segment.data.replace(/%/g, '%%'))
+                : segment
+        ));
+    }
+
+    /**
+     * Headers, segments, terminator and padding, split into interleaved
+     * data and error correction codewords
+     *
+     * @param {string} content
+     * @param {number} version
+     * @param {string} level
+     * @param {Object} headers - { structuredAppend, fnc1 }
+     * @returns {Array<number>}
+     */
+    static createCodewords(content, version, level, headers = {}) {
+        const ecl = ECLevel.from(level);
+        const buffer = new BitBuffer();
+
+        if (headers.structuredAppend) {
+            const { index, total, parity } = headers.structuredAppend;
+            buffer.put(STRUCTURED_APPEND_MODE, 4);
+            buffer.put(index, 4);
+            buffer.put(total - 1, 4);
+            buffer.put(parity, 8);
+        }
+
+        if (headers.fnc1) {
+            buffer.put(FNC1_MODE, 4);
+        }
+
+        for (const segment of this.getSegments(content, level, headers)) {
+            buffer.put(segment.mode.bit, 4);
+            buffer.put(segment.getLength(), Mode.getCharCountIndicator(segment.mode, version));
+            segment.write(buffer);
+        }
+
+        const totalCodewords = Utils.getSymbolTotalCodewords(version);
+        const ecCodewords = ECCode.getTotalCodewordsCount(version, ecl);
+        const blocks = ECCode.getBlocksCount(version, ecl);
+        const longBlocks = totalCodewords % blocks;
+
+        const bits = Array.from({ length: buffer.getLengthInBits() }, (_, i) => (buffer.get(i) ? 1 : 0));
+        const data = SymbolEncoding.toCodewords(SymbolEncoding.padBits(bits, (totalCodewords - ecCodewords) * 8, 4));
+
+        return SymbolEncoding.interleave(data, ecCodewords, blocks - longBlocks, longBlocks);
+    }
+
+    /**
+     * Fill the data modules column pair by column pair, skipping the
+     * vertical timing pattern (the qrcode library's setupData())
+     *
+     * @param {Object} modules - qrcode BitMatrix
+     * @param {Array<number>} codewords
+     */
+    static placeData(modules, codewords) {
+        const size = modules.size;
+        let index = 0;
+        let upward = true;
+
+        for (let right = size - 1; right > 0; right -= 2) {
+            if (right === 6) right--;
+
+            for (let step = 0; step < size; step++) {
+                const row = upward ? size - 1 - step : step;
+                for (const col of [right, right - 1]) {
+                    if (!modules.isReserved(row, col)) {
+                        const codeword = codewords[index >> 3];
+                        modules.set(row, col, codeword !== undefined && ((codeword >> (7 - (index & 7))) & 1) === 1);
+                        index++;
+                    }
+                }
+            }
+            upward = !upward;
+        }
+    }
+
+    /**
+     * Write both copies of the format information and the dark module
+     * (the qrcode library's setupFormatInfo())
+     *
+     * @param {Object} modules - qrcode BitMatrix
+     * @param {Object} ecl - qrcode error correction level
+     * @param {number} maskPattern
+     */
+    static setupFormatInfo(modules, ecl, maskPattern) {
+        const size = modules.size;
+        const bits = FormatInfo.getEncodedBits(ecl, maskPattern);
+
+        for (let i = 0; i < 15; i++) {
+            const dark = ((bits >> i) & 1) === 1;
+
+            // Vertical: beside the top-left finder, then the bottom-left one
+            if (i < 6) {
+                modules.set(i, 8, dark, true);
+            } else if (i < 8) {
+                modules.set(i + 1, 8, dark, true);
+            } else {
+                modules.set(size - 15 + i, 8, dark, true);
+            }
+
+            // Horizontal: beside the top-right finder, then the top-left one
+            if (i < 8) {
+                modules.set(8, size - i - 1, dark, true);
+            } else if (i < 9) {
+                modules.set(8, 15 - i, dark, true);
+            } else {
+                modules.set(8, 14 - i, dark, true);
+            }
+        }
+
+        modules.set(size - 8, 8, true, true);
+    }
+}
+
+QRSymbolBuilder.STRUCTURED_APPEND_BITS = STRUCTURED_APPEND_BITS;
+
+module.exports = QRSymbolBuilder;
@@ -163,7 +163,8 @@ class SVGBuilder {
             stops += `<stop offset="${offset}%" stop-color="${colorStop.color}" stop-opacity="${opacity}"/>`;
         }
 
-        const gradient = `<linearGradient id="${id}" x1="${coords.x1}%" y1="${coords.y1}%" x2="${coords.x2}%" y2="${coords.y2}%">${stops}</linearGradient>`;
+        const units = options.gradientUnits ? ` gradientUnits="${options.gradientUnits}"` : '';
+        const gradient = `<linearGradient id="${id}" x1="${coords.x1}%" y1="${coords.y1}%" x2="${coords.x2}%" y2="${coords.y2}%"${units}>${stops}</linearGradient>`;
 
         this.defs.push(gradient);
         return id;
@@ -193,7 +194,8 @@ class SVGBuilder {
             stops += `<stop offset="${offset}%" stop-color="${colorStop.color}" stop-opacity="${opacity}"/>`;
         }
 
-        const gradient = `<radialGradient id="${id}" cx="${cx}%" cy="${cy}%" r="${r}%" fx="${fx}%" fy="${fy}%">${stops}</radialGradient>`;
+        const units = options.gradientUnits ? ` gradientUnits="${options.gradientUnits}"` : '';
+        const gradient = `<radialGradient id="${id}" cx="${cx}%" cy="${cy}%" r="${r}%" fx="${fx}%" fy="${fy}%"${units}>${stops}</radialGradient>`;
 
         this.defs.push(gradient);
         return id;
@@ -300,8 +302,12 @@ class SVGBuilder {
             ? `<defs>${this.defs.join('\n')}</defs>`
             : '';
 
+        const renderingAttr = this.options.shapeRendering
+            ? ` shape-rendering="${this.options.shapeRendering}"`
+            : '';
+
         return `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="${this.xmlns}" width="${this.width}" height="${this.height}" ${viewBoxAttr}>
+<svg xmlns="${this.xmlns}" width="${this.width}" height="${this.height}" ${viewBoxAttr}${renderingAttr}>
 ${defsSection}
 ${this.elements.join('\n')}
 </svg>`;
@@ -320,7 +326,11 @@ ${this.elements.join('\n')}
             ? `<defs>${this.defs.join('\n')}</defs>`
             : '';
 
-        return `<svg xmlns="${this.xmlns}" width="${this.width}" height="${this.height}" ${viewBoxAttr}>
+        const renderingAttr = this.options.shapeRendering
+            ? ` shape-rendering="${this.options.shapeRendering}"`
+            : '';
+
+        return `<svg xmlns="${this.xmlns}" width="${this.width}" height="${this.height}" ${viewBoxAttr}${renderingAttr}>
 ${defsSection}
 ${this.elements.join('\n')}
 </svg>`;
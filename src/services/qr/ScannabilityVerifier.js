@@ -0,0 +1,237 @@
+/**
+ * ScannabilityVerifier - Decodes generated QR codes before they are returned
+ *
+ * Large logos, center stickers and low-contrast gradients can make a styled
+ * QR code unreadable. This verifier rasterizes the final SVG with Sharp and
+ * runs the pure-JS jsQR decoder over several renditions of it (different
+ * resolutions and blurred copies, to mimic a phone camera).
+ *
+ * jsQR reads standard QR codes only and skips the Structured Append header.
+ * Micro QR, rMQR and Structured Append symbols are decoded with zxing-cpp
+ * (zxing-wasm) instead, once at the rendered size: Micro QR and rMQR
+ * modules are too few pixels wide in the smaller renditions. A Structured
+ * Append symbol must also carry its position, count and parity.
+ *
+ * The decoded text is compared with the encoded content. Confidence is the
+ * share of renditions that decoded to exactly that content.
+ */
+const fs = require('fs');
+const sharp = require('sharp');
+const jsQR = require('jsqr');
+const { prepareZXingModule, readBarcodes } = require('zxing-wasm/reader');
+const logger = require('../../utils/logger');
+
+/**
+ * Renditions the decoder is run against
+ * Small and blurred renditions merge separated module shapes (dots, stars)
+ * the way a camera at a distance does.
+ */
+const DEFAULT_PASSES = [
+    { size: 400 },
+    { size: 280 },
+    { size: 200 },
+    { size: 160 },
+    { size: 400, blur: 2.5 },
+    { size: 280, blur: 1.5 },
+];
+
+/**
+ * zxing-cpp barcode formats of the symbologies jsQR cannot read
+ */
+const ZXING_FORMATS = {
+    micro: 'MicroQRCode',
+    rmqr: 'rMQRCode',
+};
+
+let zxingReady = null;
+
+/**
+ * Instantiate the zxing-cpp module once, from the wasm binary in node_modules
+ * (by default it is fetched from a CDN)
+ *
+ * @returns {Promise}
+ */
+function loadZXing() {
+    if (!zxingReady) {
+        zxingReady = prepareZXingModule({
+            overrides: { wasmBinary: fs.readFileSync(require.resolve('zxing-wasm/reader/zxing_reader.wasm')) },
+            fireImmediately: true,
+        });
+    }
+    return zxingReady;
+}
+
+class ScannabilityVerifier {
+    /**
+     * @param {Object} options
+     * @param {Array} options.passes - Renditions to decode ({ size, blur })
+     */
+    constructor(options = {}) {
+        this.passes = options.passes || DEFAULT_PASSES;
+    }
+
+    /**
+     * Decode the SVG and compare the result with the expected content
+     *
+     * @param {string} svg - Final QR SVG
+     * @param {string} expectedContent - Content that was encoded
+     * @param {Object} options
+     * @param {number} options.size - Size of the SVG in pixels
+     * @param {string} options.symbology - qr (default), micro or rmqr
+     * @param {Object} options.structuredAppend - { index, total, parity } of a Structured Append symbol
+     * @returns {Promise<Object>} - { scannable, confidence, decoded, passes, matched, verificationMs }
+     */
+    async verify(svg, expectedContent, options = {}) {
+        const startTime = Date.now();
+        const svgSize = options.size || 512;
+
+        const format = options.structuredAppend ? 'QRCode' : ZXING_FORMATS[options.symbology];
+        if (format) {
+            return this.verifySymbol(svg, expectedContent, format, options.structuredAppend, startTime);
+        }
+
+        // Rasterize once at the largest rendition size, then derive the others
+        const baseSize = Math.max(...this.passes.map(pass => pass.size));
+        const baseImage = await this.rasterize(svg, svgSize, baseSize);
+
+        let matched = 0;
+        let decoded = null;
+
+        for (const pass of this.passes) {
+            const text = await this.decodePass(baseImage, pass);
+
+            if (text === expectedContent) {
+                matched++;
+                decoded = text;
+            } else if (decoded === null && text !== null) {
+                decoded = text;
+            }
+        }
+
+        const result = {
+            scannable: matched > 0,
+            confidence: Number((matched / this.passes.length).toFixed(2)),
+            decoded,
+            passes: this.passes.length,
+            matched,
+            verificationMs: Date.now() - startTime,
+        };
+
+        logger.debug(`Scannability check: scannable=${result.scannable}, confidence=${result.confidence}`);
+
+        return result;
+    }
+
+    /**
+     * Decode a Micro QR, rMQR or Structured Append SVG with zxing-cpp at its
+     * rendered size
+     *
+     * @param {string} svg
+     * @param {string} expectedContent
+     * @param {string} format - zxing-cpp barcode format
+     * @param {Object|null} sequence - { index, total, parity } the Structured Append header must hold
+     * @param {number} startTime
+     * @returns {Promise<Object>} - As verify()
+     */
+    async verifySymbol(svg, expectedContent, format, sequence, startTime) {
+        let decoded = null;
+        let inSequence = true;
+
+        try {
+            await loadZXing();
+
+            const { data, info } = await sharp(Buffer.from(svg))
+                .flatten({ background: { r: 255, g: 255, b: 255 } })
+                .ensureAlpha()
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+            const [symbol] = await readBarcodes(
+                { data: pixels, width: info.width, height: info.height, colorSpace: 'srgb' },
+                { formats: [format], tryHarder: true, maxNumberOfSymbols: 1 }
+            );
+
+            decoded = symbol && symbol.isValid ? symbol.text : null;
+            if (decoded !== null && sequence) {
+                inSequence = symbol.sequenceIndex === sequence.index
+                    && symbol.sequenceSize === sequence.total
+                    && symbol.sequenceId === String(sequence.parity);
+            }
+        } catch (error) {
+            logger.warn(`Scannability decode failed: ${error.message}`);
+        }
+
+        const matched = decoded === expectedContent && inSequence ? 1 : 0;
+        const result = {
+            scannable: matched > 0,
+            confidence: matched,
+            decoded,
+            passes: 1,
+            matched,
+            verificationMs: Date.now() - startTime,
+        };
+
+        logger.debug(`Scannability check (${format}): scannable=${result.scannable}`);
+
+        return result;
+    }
+
+    /**
+     * Rasterize the SVG onto a white canvas
+     *
+     * @param {string} svg
+     * @param {number} svgSize - Size of the SVG in pixels
+     * @param {number} targetSize - Raster size in pixels
+     * @returns {Promise<Buffer>} - PNG buffer
+     */
+    async rasterize(svg, svgSize, targetSize) {
+        // Render at the target resolution instead of upscaling a small bitmap
+        const density = Math.max(72, Math.round(72 * targetSize / svgSize));
+
+        return sharp(Buffer.from(svg), { density })
+            .resize(targetSize, targetSize, {
+                fit: 'contain',
+                background: { r: 255, g: 255, b: 255, alpha: 1 },
+            })
+            .flatten({ background: { r: 255, g: 255, b: 255 } })
+            .png()
+            .toBuffer();
+    }
+
+    /**
+     * Run the decoder on one rendition of the base image
+     *
+     * @param {Buffer} baseImage - PNG buffer from rasterize()
+     * @param {Object} pass - { size, blur }
+     * @returns {Promise<string|null>} - Decoded text or null
+     */
+    async decodePass(baseImage, pass) {
+        try {
+            let image = sharp(baseImage).resize(pass.size, pass.size);
+
+            if (pass.blur) {
+                image = image.blur(pass.blur);
+            }
+
+            const { data, info } = await image
+                .ensureAlpha()
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            const pixels = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+            const code = jsQR(pixels, info.width, info.height, {
+                inversionAttempts: 'dontInvert',
+            });
+
+            return code ? code.data : null;
+        } catch (error) {
+            logger.warn(`Scannability decode pass failed: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+ScannabilityVerifier.DEFAULT_PASSES = DEFAULT_PASSES;
+
+module.exports = ScannabilityVerifier;
@@ -0,0 +1,161 @@
+/**
+ * StructuredAppend - Split a payload across up to 16 linked QR symbols
+ *
+ * Every symbol starts with a 20-bit Structured Append header (ISO/IEC 18004,
+ * 8.3.4): mode indicator 0011, its position in the sequence (4 bits), the
+ * number of symbols minus one (4 bits) and a parity byte, the XOR of every
+ * byte of the complete message. Readers that support it buffer the symbols
+ * and join them in sequence order whatever order they are scanned in.
+ *
+ * The symbols themselves are built by QRSymbolBuilder, which writes the
+ * header the qrcode library cannot. All symbols of a sequence share one
+ * version, so they print at the same module size.
+ */
+const QRCapacity = require('./QRCapacity');
+const QRSymbolBuilder = require('./QRSymbolBuilder');
+
+const MAX_SYMBOLS = 16;
+
+// Sheet layout: gap between symbols and the "1 / 4" caption under each, in pixels
+const SHEET_GAP = 16;
+const CAPTION_SIZE = 14;
+
+class StructuredAppend {
+    /**
+     * Split content into the fewest parts that each fit a symbol
+     *
+     * Parts are balanced by UTF-8 length and never split a character. One
+     * part means the content fits a plain symbol and needs no header.
+     *
+     * @param {string} content - Encoded payload
+     * @param {Object} options
+     * @param {string} options.errorCorrection - L | M | Q | H
+     * @param {number} options.version - Fixed version for every symbol (default: smallest that fits all parts)
+     * @param {number} options.maxSymbols - 2-16 (default 16)
+     * @param {boolean} options.fnc1 - Every symbol also carries the FNC1 (GS1) header
+     * @returns {Object} - { version, parity, parts: [{ index, total, parity, content }] }
+     */
+    static split(content, options = {}) {
+        const level = QRCapacity.normalizeLevel(options.errorCorrection);
+        const limit = options.version || QRCapacity.MAX_VERSION;
+        const maxSymbols = options.maxSymbols || MAX_SYMBOLS;
+        const parity = this.getParity(content);
+
+        const fnc1 = options.fnc1 === true;
+        const single = QRSymbolBuilder.getMinimumVersion(content, level, { fnc1 });
+        if (single && single <= limit) {
+            return { version: options.version || single, parity, parts: [{ index: 0, total: 1, parity, content }] };
+        }
+
+        for (let total = 2; total <= maxSymbols; total++) {
+            const chunks = this.divide(content, total);
+            const versions = chunks.map(chunk => QRSymbolBuilder.getMinimumVersion(chunk, level, { structuredAppend: true, fnc1 }, limit));
+
+            if (versions.every(Boolean)) {
+                return {
+                    version: options.version || Math.max(...versions),
+                    parity,
+                    parts: chunks.map((chunk, index) => ({ index, total, parity, content: chunk })),
+                };
+            }
+        }
+
+        const error = new Error(`The content does not fit ${maxSymbols} QR symbols at error correction ${level}${options.version ? ` and version ${options.version}` : ''}`);
+        error.code = 'CONTENT_TOO_LARGE';
+        error.status = 422;
+        error.details = {
+            bytes: Buffer.byteLength(content, 'utf8'),
+            maxSymbols,
+            version: options.version || null,
+            errorCorrection: level,
+        };
+        throw error;
+    }
+
+    /**
+     * Cut content into parts of about the same UTF-8 length
+     *
+     * @param {string} content
+     * @param {number} count
+     * @returns {string[]}
+     */
+    static divide(content, count) {
+        const characters = [...content];
+        const target = Buffer.byteLength(content, 'utf8') / count;
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+
+        for (const character of characters) {
+            current += character;
+            bytes += Buffer.byteLength(character, 'utf8');
+
+            if (bytes >= target * (parts.length + 1) && parts.length < count - 1) {
+                parts.push(current);
+                current = '';
+            }
+        }
+        parts.push(current);
+
+        return parts.filter(part => part.length > 0);
+    }
+
+    /**
+     * Parity byte of a message: XOR of its UTF-8 bytes
+     *
+     * @param {string} content
+     * @returns {number}
+     */
+    static getParity(content) {
+        return [...Buffer.from(content, 'utf8')].reduce((parity, byte) => parity ^ byte, 0);
+    }
+
+    /**
+     * Lay the symbol SVGs out in a grid on one sheet, in sequence order,
+     * with a "1 / 4" caption under each
+     *
+     * Element ids are prefixed per symbol so gradients and clip paths of
+     * one symbol cannot resolve to another's.
+     *
+     * @param {string[]} svgs - Symbol SVG documents, all the same size
+     * @param {Object} options
+     * @param {number} options.width - Symbol width in pixels
+     * @param {number} options.height - Symbol height in pixels
+     * @param {number} options.columns - default: ceil(sqrt(count))
+     * @param {string} options.background - Sheet color (default white)
+     * @returns {string} - SVG document
+     */
+    static buildSheet(svgs, options) {
+        const { width, height } = options;
+        const columns = Math.min(options.columns || Math.ceil(Math.sqrt(svgs.length)), svgs.length);
+        const rows = Math.ceil(svgs.length / columns);
+        const cellHeight = height + CAPTION_SIZE * 2;
+        const sheetWidth = columns * width + (columns + 1) * SHEET_GAP;
+        const sheetHeight = rows * cellHeight + (rows + 1) * SHEET_GAP;
+
+        const cells = svgs.map((svg, index) => {
+            const x = SHEET_GAP + (index % columns) * (width + SHEET_GAP);
+            const y = SHEET_GAP + Math.floor(index / columns) * (cellHeight + SHEET_GAP);
+            const prefix = `sa${index + 1}-`;
+            const body = svg
+                .replace(/<\?xml[^>]*\?>\s*/, '')
+                .replace(/\sid="([^"]+)"/g, ` id="${prefix}$1"`)
+                .replace(/url\(#([^)]+)\)/g, `url(#${prefix}$1)`)
+                .replace(/href="#([^"]+)"/g, `href="#${prefix}$1"`)
+                .replace(/^<svg /, `<svg x="${x}" y="${y}" `);
+
+            return `${body}
+<text x="${x + width / 2}" y="${y + height + CAPTION_SIZE * 1.5}" font-family="sans-serif" font-size="${CAPTION_SIZE}" text-anchor="middle" fill="#000000">${index + 1} / ${svgs.length}</text>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${sheetWidth}" height="${sheetHeight}" viewBox="0 0 ${sheetWidth} ${sheetHeight}">
+<rect x="0" y="0" width="${sheetWidth}" height="${sheetHeight}" fill="${options.background || '#FFFFFF'}"/>
+${cells.join('\n')}
+</svg>`;
+    }
+}
+
+StructuredAppend.MAX_SYMBOLS = MAX_SYMBOLS;
+
+module.exports = StructuredAppend;
@@ -0,0 +1,195 @@
+/**
+ * AppLinkEncoder - App-download links for the App Store and Google Play
+ *
+ * A QR code holds one URL, so an app with both store listings needs a link
+ * that picks the store on the scanning phone:
+ *
+ *   data.url                 the caller's own smart link, encoded as is
+ *   only one store           the store listing itself
+ *   both stores              <APP_LINK_BASE_URL>?ios=284882215&android=com.facebook.katana
+ *
+ * APP_LINK_BASE_URL is the public address of GET /api/v2/qr/app on this
+ * service, which answers the last form (see resolve()): iOS and
+ * Android devices are redirected to their store, anything else gets a page
+ * with both links. Only App Store and Google Play addresses are ever
+ * redirected to, so the endpoint cannot be used as an open redirect.
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+const STORES = {
+    ios: {
+        name: 'App Store',
+        hosts: ['apps.apple.com', 'itunes.apple.com'],
+        // Numeric app id, optionally written "id123456789"
+        idPattern: /^(?:id)?(\d{6,12})$/i,
+        buildUrl: id => `https://apps.apple.com/app/id${id}`,
+        example: 'id284882215 or https://apps.apple.com/app/id284882215',
+    },
+    android: {
+        name: 'Google Play',
+        hosts: ['play.google.com'],
+        // Java package name
+        idPattern: /^([a-zA-Z][\w]*(?:\.[a-zA-Z][\w]*)+)$/,
+        buildUrl: id => `https://play.google.com/store/apps/details?id=${id}`,
+        example: 'com.example.app or https://play.google.com/store/apps/details?id=com.example.app',
+    },
+};
+
+class AppLinkEncoder {
+    /**
+     * Build the link a QR code for an app encodes
+     *
+     * @param {Object} data
+     * @param {string} data.ios - App Store id or URL
+     * @param {string} data.android - Google Play package name or URL
+     * @param {string} data.url - Own smart link; used instead of the store links
+     * @param {string} data.baseUrl - Smart-link endpoint (default APP_LINK_BASE_URL)
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+
+        if (data.url) {
+            return String(data.url).trim();
+        }
+
+        const links = {};
+        for (const [platform, aliases] of [['ios', ['appStore', 'apple']], ['android', ['googlePlay', 'playStore']]]) {
+            const key = [platform, ...aliases].find(name => data[name]);
+            if (!key) continue;
+
+            const id = this.parseStoreLink(platform, data[key]);
+            if (id) {
+                links[platform] = id;
+            } else {
+                errors.push({ field: `data.${key}`, message: `Must be an app id or store link, e.g. ${STORES[platform].example}` });
+            }
+        }
+
+        if (Object.keys(links).length === 0 && errors.length === 0) {
+            errors.push({ field: 'data.ios', message: 'Required: ios, android, or url' });
+        }
+
+        let link = '';
+        if (links.ios && links.android) {
+            const baseUrl = String(data.baseUrl || process.env.APP_LINK_BASE_URL || '').trim();
+            if (!baseUrl) {
+                errors.push({ field: 'data.url', message: 'Both store links need a smart link: give data.url, or configure APP_LINK_BASE_URL' });
+            } else if (!/^https?:\/\/[^\s/?#]+/i.test(baseUrl)) {
+                errors.push({ field: 'data.baseUrl', message: 'Must be an http(s) URL' });
+            } else {
+                const query = `ios=${encodeURIComponent(links.ios)}&android=${encodeURIComponent(links.android)}`;
+                link = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${query}`;
+            }
+        } else if (links.ios || links.android) {
+            const platform = links.ios ? 'ios' : 'android';
+            link = STORES[platform].buildUrl(links[platform]);
+        }
+
+        EMVCoEncoder.assertValid(errors, 'App');
+        return link;
+    }
+
+    /**
+     * Pick the store for a scanning device
+     *
+     * @param {Object} query - { ios, android } of the smart link
+     * @param {string} userAgent
+     * @returns {Object} - { location } to redirect to, or { links: { ios, android } } for a chooser page
+     * @throws {Error} INVALID_DATA when neither store link is valid
+     */
+    static resolve(query, userAgent = '') {
+        const links = {};
+        for (const platform of Object.keys(STORES)) {
+            const id = query[platform] && this.parseStoreLink(platform, String(query[platform]));
+            if (id) links[platform] = STORES[platform].buildUrl(id);
+        }
+
+        if (Object.keys(links).length === 0) {
+            EMVCoEncoder.assertValid([{ field: 'ios', message: 'Missing or invalid store links' }], 'App');
+        }
+
+        const platform = this.detectPlatform(userAgent);
+        if (platform && links[platform]) {
+            return { location: links[platform] };
+        }
+        return { links };
+    }
+
+    /**
+     * Reduce a store URL or id to the app id
+     *
+     * @param {string} platform - ios | android
+     * @param {string} value
+     * @returns {string|null}
+     */
+    static parseStoreLink(platform, value) {
+        const store = STORES[platform];
+        const text = String(value).trim();
+
+        const direct = text.match(store.idPattern);
+        if (direct) {
+            return direct[1];
+        }
+
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            return null;
+        }
+        if (url.protocol !== 'https:' || !store.hosts.includes(url.hostname.toLowerCase())) {
+            return null;
+        }
+
+        const id = platform === 'ios'
+            ? (url.pathname.match(/\/id(\d{6,12})(?:\/|$)/) || [])[1]
+            : url.searchParams.get('id');
+        return id && store.idPattern.test(id) ? id.replace(/^id/i, '') : null;
+    }
+
+    /**
+     * @param {string} userAgent
+     * @returns {string|null} - ios | android
+     */
+    static detectPlatform(userAgent) {
+        if (/android/i.test(userAgent)) {
+            return 'android';
+        }
+        if (/iphone|ipad|ipod/i.test(userAgent)) {
+            return 'ios';
+        }
+        return null;
+    }
+
+    /**
+     * Chooser page for devices that are neither iOS nor Android
+     *
+     * @param {Object} links - { ios, android } store URLs
+     * @returns {string} - HTML
+     */
+    static renderChooser(links) {
+        const items = Object.entries(links)
+            .map(([platform, href]) => `<li><a href="${href.replace(/&/g, '&amp;')}">${STORES[platform].name}</a></li>`)
+            .join('');
+
+        return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Get the app</title></head><body><h1>Get the app</h1><ul>${items}</ul></body></html>`;
+    }
+
+    /**
+     * Stores for /capabilities
+     *
+     * @returns {Object} - { smartLink: boolean, stores }
+     */
+    static getInfo() {
+        return {
+            stores: Object.keys(STORES),
+            smartLink: Boolean(process.env.APP_LINK_BASE_URL),
+        };
+    }
+}
+
+AppLinkEncoder.STORES = Object.keys(STORES);
+
+module.exports = AppLinkEncoder;
@@ -0,0 +1,449 @@
+/**
+ * CryptoAddress - Address encodings and checksums used by crypto payment URIs
+ *
+ *   Base58Check   Bitcoin-family legacy addresses: version + hash + 4 bytes
+ *                 of double SHA-256
+ *   Bech32(m)     SegWit addresses (BIP-173 / BIP-350), Zcash Sapling, and
+ *                 Lightning BOLT11 invoices (no 90-character limit)
+ *   CashAddr      Bitcoin Cash, Bech32 characters with a 40-bit checksum
+ *   EIP-55        Ethereum mixed-case checksum over Keccak-256
+ *   Monero        Block-wise Base58 with a Keccak-256 checksum
+ *
+ * Node's crypto module offers SHA3-256 but not the original Keccak padding
+ * that Ethereum and Monero use, so Keccak-256 is implemented here.
+ */
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const CASHADDR_GENERATOR = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+
+// Monero Base58 encodes 8-byte blocks as 11 characters; a shorter last block uses these lengths
+const MONERO_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+
+// Keccak-f[1600]: round constants and rotation offsets (lane x + 5y)
+const KECCAK_ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+const KECCAK_ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14,
+];
+const LANE_MASK = (1n << 64n) - 1n;
+
+class CryptoAddress {
+    /**
+     * Keccak-256 as used by Ethereum and Monero (padding 0x01, not SHA3's 0x06)
+     *
+     * @param {Buffer|string} input
+     * @param {number} padding - Domain byte; 0x06 gives SHA3-256
+     * @returns {Buffer}
+     */
+    static keccak256(input, padding = 0x01) {
+        const rate = 136;
+        const message = Buffer.from(input);
+        const blocks = Math.floor(message.length / rate) + 1;
+        const padded = Buffer.alloc(blocks * rate);
+        message.copy(padded);
+        padded[message.length] ^= padding;
+        padded[padded.length - 1] ^= 0x80;
+
+        const state = new Array(25).fill(0n);
+        for (let offset = 0; offset < padded.length; offset += rate) {
+            for (let lane = 0; lane < rate / 8; lane++) {
+                state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+            }
+            this.keccakPermute(state);
+        }
+
+        const output = Buffer.alloc(32);
+        for (let lane = 0; lane < 4; lane++) {
+            output.writeBigUInt64LE(state[lane], lane * 8);
+        }
+        return output;
+    }
+
+    /**
+     * The 24 rounds of Keccak-f[1600] on 25 64-bit lanes
+     *
+     * @param {Array<bigint>} state - Modified in place
+     */
+    static keccakPermute(state) {
+        const rotate = (value, bits) => (bits === 0 ? value : ((value << BigInt(bits)) | (value >> BigInt(64 - bits))) & LANE_MASK);
+        const columns = new Array(5);
+        const moved = new Array(25);
+
+        for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+            // Theta
+            for (let x = 0; x < 5; x++) {
+                columns[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+            }
+            for (let x = 0; x < 5; x++) {
+                const d = columns[(x + 4) % 5] ^ rotate(columns[(x + 1) % 5], 1);
+                for (let y = 0; y < 25; y += 5) {
+                    state[x + y] ^= d;
+                }
+            }
+
+            // Rho and pi
+            for (let x = 0; x < 5; x++) {
+                for (let y = 0; y < 5; y++) {
+                    moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+                }
+            }
+
+            // Chi and iota
+            for (let y = 0; y < 25; y += 5) {
+                for (let x = 0; x < 5; x++) {
+                    state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & LANE_MASK & moved[(x + 2) % 5 + y]);
+                }
+            }
+            state[0] ^= roundConstant;
+        }
+    }
+
+    /**
+     * Validate an Ethereum address and return its EIP-55 form
+     *
+     * All-lowercase and all-uppercase addresses carry no checksum and are
+     * accepted; mixed case must match the checksum.
+     *
+     * @param {string} address - 0x + 40 hex digits
+     * @returns {string|null} - Checksummed address, or null when invalid
+     */
+    static toChecksumAddress(address) {
+        const match = String(address).match(/^0x([0-9a-fA-F]{40})$/);
+        if (!match) {
+            return null;
+        }
+
+        const hex = match[1];
+        const hash = this.keccak256(hex.toLowerCase()).toString('hex');
+        const checksummed = [...hex.toLowerCase()]
+            .map((char, index) => (parseInt(hash[index], 16) >= 8 ? char.toUpperCase() : char))
+            .join('');
+
+        const mixedCase = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+        if (mixedCase && hex !== checksummed) {
+            return null;
+        }
+        return `0x${checksummed}`;
+    }
+
+    /**
+     * Decode Base58 (Bitcoin alphabet)
+     *
+     * @param {string} text
+     * @returns {Buffer|null}
+     */
+    static decodeBase58(text) {
+        let value = 0n;
+        for (const char of String(text)) {
+            const digit = BASE58_ALPHABET.indexOf(char);
+            if (digit === -1) {
+                return null;
+            }
+            value = value * 58n + BigInt(digit);
+        }
+
+        const hex = value === 0n ? '' : value.toString(16);
+        const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+        const leadingZeros = String(text).match(/^1*/)[0].length;
+        return Buffer.concat([Buffer.alloc(leadingZeros), body]);
+    }
+
+    /**
+     * Decode Base58Check and verify its double SHA-256 checksum
+     *
+     * @param {string} text
+     * @returns {Buffer|null} - Version and payload, without the checksum
+     */
+    static decodeBase58Check(text) {
+        const bytes = this.decodeBase58(text);
+        if (!bytes || bytes.length < 5) {
+            return null;
+        }
+
+        const payload = bytes.subarray(0, -4);
+        const sha = data => crypto.createHash('sha256').update(data).digest();
+        return sha(sha(payload)).subarray(0, 4).equals(bytes.subarray(-4)) ? payload : null;
+    }
+
+    /**
+     * Check a Base58Check address against its allowed version prefixes
+     *
+     * @param {string} address
+     * @param {Array<string>} versions - Version bytes as hex, e.g. ['00', '05'] or ['1cb8']
+     * @returns {boolean} - Valid checksum, known version and a 20-byte hash
+     */
+    static isBase58CheckAddress(address, versions) {
+        const payload = this.decodeBase58Check(address);
+        if (!payload) {
+            return false;
+        }
+
+        const hex = payload.toString('hex');
+        return versions.some(version => hex.startsWith(version) && payload.length - version.length / 2 === 20);
+    }
+
+    /**
+     * Decode a Bech32 or Bech32m string
+     *
+     * @param {string} text
+     * @param {number} limit - Maximum length (90 for addresses; invoices are longer)
+     * @returns {Object|null} - { hrp, words (5-bit values without checksum), encoding: 'bech32' | 'bech32m' }
+     */
+    static decodeBech32(text, limit = 90) {
+        const value = String(text);
+        if (value.length > limit || (value !== value.toLowerCase() && value !== value.toUpperCase())) {
+            return null;
+        }
+
+        const lower = value.toLowerCase();
+        const separator = lower.lastIndexOf('1');
+        if (separator < 1 || separator + 7 > lower.length) {
+            return null;
+        }
+
+        const hrp = lower.slice(0, separator);
+        const words = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+        if (words.includes(-1)) {
+            return null;
+        }
+
+        const checksum = this.bech32Polymod([...this.expandHrp(hrp), ...words]);
+        const encoding = checksum === BECH32_CONST ? 'bech32' : checksum === BECH32M_CONST ? 'bech32m' : null;
+        return encoding ? { hrp, words: words.slice(0, -6), encoding } : null;
+    }
+
+    /**
+     * Decode a SegWit address (BIP-173 / BIP-350)
+     *
+     * @param {string} address
+     * @param {Array<string>} hrps - Allowed human-readable parts, e.g. ['bc', 'tb']
+     * @returns {Object|null} - { version, program }
+     */
+    static decodeSegwit(address, hrps) {
+        const decoded = this.decodeBech32(address);
+        if (!decoded || !hrps.includes(decoded.hrp) || decoded.words.length === 0) {
+            return null;
+        }
+
+        const version = decoded.words[0];
+        const program = this.convertBits(decoded.words.slice(1), 5, 8, false);
+        if (!program || version > 16 || program.length < 2 || program.length > 40) {
+            return null;
+        }
+        if (version === 0 && (program.length !== 20 && program.length !== 32)) {
+            return null;
+        }
+        // Version 0 uses Bech32, every later version Bech32m
+        if ((version === 0) !== (decoded.encoding === 'bech32')) {
+            return null;
+        }
+
+        return { version, program: Buffer.from(program) };
+    }
+
+    /**
+     * Decode a plain Bech32 address (Zcash Sapling) and return its byte length
+     *
+     * @param {string} address
+     * @param {Array<string>} hrps
+     * @returns {number|null} - Payload bytes
+     */
+    static decodeBech32Address(address, hrps) {
+        const decoded = this.decodeBech32(address);
+        if (!decoded || decoded.encoding !== 'bech32' || !hrps.includes(decoded.hrp)) {
+            return null;
+        }
+
+        const bytes = this.convertBits(decoded.words, 5, 8, false);
+        return bytes ? bytes.length : null;
+    }
+
+    /**
+     * Validate a Lightning BOLT11 invoice
+     *
+     * @param {string} invoice - With or without the "lightning:" prefix
+     * @returns {Object|null} - { invoice (lowercase, no prefix), network }
+     */
+    static decodeBolt11(invoice) {
+        const value = String(invoice).trim().replace(/^lightning:/i, '');
+        const decoded = this.decodeBech32(value, Infinity);
+        const match = decoded && decoded.encoding === 'bech32' && decoded.hrp.match(/^ln(bcrt|bc|tbs|tb|sb)(\d+[munp]?)?$/);
+        if (!match) {
+            return null;
+        }
+
+        return { invoice: value.toLowerCase(), network: match[1] };
+    }
+
+    /**
+     * Validate a Bitcoin Cash CashAddr address
+     *
+     * @param {string} address - With or without the prefix
+     * @param {string} prefix - 'bitcoincash' | 'bchtest'
+     * @returns {string|null} - Address with prefix, lowercase
+     */
+    static decodeCashAddr(address, prefix) {
+        const value = String(address);
+        if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+            return null;
+        }
+
+        const lower = value.toLowerCase();
+        const [given, payload] = lower.includes(':') ? lower.split(':') : [prefix, lower];
+        if (given !== prefix || !payload) {
+            return null;
+        }
+
+        const words = [...payload].map(char => BECH32_CHARSET.indexOf(char));
+        if (words.includes(-1) || words.length < 9) {
+            return null;
+        }
+
+        const prefixWords = [...given].map(char => char.charCodeAt(0) & 0x1f);
+        if (this.cashAddrPolymod([...prefixWords, 0, ...words]) !== 0n) {
+            return null;
+        }
+
+        const bytes = this.convertBits(words.slice(0, -8), 5, 8, false);
+        return bytes && [21, 25, 29, 33, 41, 49, 57, 65].includes(bytes.length) ? `${given}:${payload}` : null;
+    }
+
+    /**
+     * Validate a Monero address: Base58 blocks, network prefix and Keccak checksum
+     *
+     * @param {string} address
+     * @param {Array<number>} prefixes - Network/type prefixes, e.g. [18, 19, 42]
+     * @returns {boolean}
+     */
+    static isMoneroAddress(address, prefixes) {
+        const value = String(address);
+        const bytes = [];
+
+        for (let offset = 0; offset < value.length; offset += 11) {
+            const block = value.slice(offset, offset + 11);
+            const size = MONERO_BLOCK_SIZES.indexOf(block.length);
+            const decoded = size > 0 ? this.decodeBase58(block) : null;
+            if (!decoded) {
+                return false;
+            }
+
+            const trimmed = decoded.subarray(decoded.length - Math.min(decoded.length, size));
+            if (decoded.length - trimmed.length > 0 && decoded.subarray(0, decoded.length - trimmed.length).some(byte => byte !== 0)) {
+                return false;
+            }
+            bytes.push(Buffer.concat([Buffer.alloc(size - trimmed.length), trimmed]));
+        }
+
+        const data = Buffer.concat(bytes);
+        if (![69, 77].includes(data.length) || !prefixes.includes(data[0])) {
+            return false;
+        }
+
+        const checksum = this.keccak256(data.subarray(0, -4)).subarray(0, 4);
+        return checksum.equals(data.subarray(-4));
+    }
+
+    /**
+     * Check for a 32-byte Base58 key (Solana accounts, mints and references)
+     *
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static isSolanaAddress(value) {
+        const text = String(value);
+        const bytes = text.length >= 32 && text.length <= 44 ? this.decodeBase58(text) : null;
+        return Boolean(bytes) && bytes.length === 32;
+    }
+
+    /**
+     * Regroup bits (5-bit words to bytes and back)
+     *
+     * @param {Array<number>} data
+     * @param {number} from
+     * @param {number} to
+     * @param {boolean} pad
+     * @returns {Array<number>|null}
+     */
+    static convertBits(data, from, to, pad) {
+        let accumulator = 0;
+        let bits = 0;
+        const result = [];
+        const maxValue = (1 << to) - 1;
+
+        for (const value of data) {
+            accumulator = (accumulator << from) | value;
+            bits += from;
+            while (bits >= to) {
+                bits -= to;
+                result.push((accumulator >> bits) & maxValue);
+            }
+            accumulator &= (1 << bits) - 1;
+        }
+
+        if (pad) {
+            if (bits > 0) result.push((accumulator << (to - bits)) & maxValue);
+        } else if (bits >= from || accumulator !== 0) {
+            return null;
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} hrp
+     * @returns {Array<number>}
+     */
+    static expandHrp(hrp) {
+        const chars = [...hrp].map(char => char.charCodeAt(0));
+        return [...chars.map(code => code >> 5), 0, ...chars.map(code => code & 31)];
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {number}
+     */
+    static bech32Polymod(values) {
+        let checksum = 1;
+        for (const value of values) {
+            const top = checksum >>> 25;
+            checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+            BECH32_GENERATOR.forEach((generator, bit) => {
+                if ((top >>> bit) & 1) checksum ^= generator;
+            });
+        }
+        return checksum >>> 0;
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {bigint} - 0 for a valid CashAddr
+     */
+    static cashAddrPolymod(values) {
+        let checksum = 1n;
+        for (const value of values) {
+            const top = checksum >> 35n;
+            checksum = ((checksum & 0x07ffffffffn) << 5n) ^ BigInt(value);
+            CASHADDR_GENERATOR.forEach((generator, bit) => {
+                if ((top >> BigInt(bit)) & 1n) checksum ^= generator;
+            });
+        }
+        return checksum ^ 1n;
+    }
+}
+
+module.exports = CryptoAddress;
@@ -0,0 +1,592 @@
+/**
+ * CryptoEncoder - Payment URIs following each chain's own standard
+ *
+ *   bip21     bitcoin:bc1q...?amount=0.001&label=Shop&lightning=lnbc...
+ *             Bitcoin (BIP-21), Litecoin, Dogecoin, Dash, Bitcoin Cash;
+ *             amounts in coins, at most 8 decimals
+ *   eip681    ethereum:0xAbC...@137?value=1500000000000000000
+ *             ethereum:0xToken...@1/transfer?address=0xAbC...&uint256=2500000
+ *             Ethereum and EVM chains; native amounts in wei, ERC-20 amounts
+ *             in the token's base units
+ *   solana    solana:7xKX...?amount=1.5&spl-token=EPjF...&label=Shop
+ *             Solana Pay transfer requests; amounts in SOL or token units
+ *   monero    monero:4A...?tx_amount=0.25&recipient_name=Shop&tx_description=...
+ *   zip321    zcash:zs1...?amount=0.5&memo=<base64url>&message=...
+ *   lightning lightning:lnbc2500u1... (a BOLT11 invoice carries its own amount)
+ *
+ * Addresses are validated with the chain's encoding (Base58Check, Bech32 /
+ * Bech32m, CashAddr, EIP-55, Monero Base58; see CryptoAddress). A Bitcoin
+ * address can be combined with a Lightning invoice as the BIP-21 fallback.
+ */
+const CryptoAddress = require('./CryptoAddress');
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+/**
+ * Supported chains
+ * - scheme: URI scheme; family: URI standard (see the module comment)
+ * - decimals: of the native coin
+ * - address: accepted encodings (base58 versions as hex, segwit HRPs, ...)
+ */
+const CHAINS = {
+    bitcoin: {
+        name: 'Bitcoin', aliases: ['btc'], scheme: 'bitcoin', family: 'bip21', decimals: 8,
+        address: { base58: ['00', '05', '6f', 'c4'], segwit: ['bc', 'tb'] },
+        lightning: true,
+    },
+    litecoin: {
+        name: 'Litecoin', aliases: ['ltc'], scheme: 'litecoin', family: 'bip21', decimals: 8,
+        address: { base58: ['30', '32', '05'], segwit: ['ltc'] },
+    },
+    dogecoin: {
+        name: 'Dogecoin', aliases: ['doge'], scheme: 'dogecoin', family: 'bip21', decimals: 8,
+        address: { base58: ['1e', '16'] },
+    },
+    dash: {
+        name: 'Dash', aliases: [], scheme: 'dash', family: 'bip21', decimals: 8,
+        address: { base58: ['4c', '10'] },
+    },
+    bitcoincash: {
+        name: 'Bitcoin Cash', aliases: ['bch'], scheme: 'bitcoincash', family: 'bip21', decimals: 8,
+        address: { cashaddr: 'bitcoincash', base58: ['00', '05'] },
+    },
+    zcash: {
+        name: 'Zcash', aliases: ['zec'], scheme: 'zcash', family: 'zip321', decimals: 8,
+        address: { base58: ['1cb8', '1cbd'], bech32: ['zs'] },
+    },
+    ethereum: { name: 'Ethereum', aliases: ['eth'], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 1 },
+    polygon: { name: 'Polygon', aliases: ['matic', 'pol'], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 137 },
+    bsc: { name: 'BNB Smart Chain', aliases: ['bnb', 'binance'], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 56 },
+    arbitrum: { name: 'Arbitrum One', aliases: ['arb'], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 42161 },
+    optimism: { name: 'OP Mainnet', aliases: ['op'], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 10 },
+    base: { name: 'Base', aliases: [], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 8453 },
+    avalanche: { name: 'Avalanche C-Chain', aliases: ['avax'], scheme: 'ethereum', family: 'eip681', decimals: 18, chainId: 43114 },
+    solana: { name: 'Solana', aliases: ['sol'], scheme: 'solana', family: 'solana', decimals: 9 },
+    monero: {
+        name: 'Monero', aliases: ['xmr'], scheme: 'monero', family: 'monero', decimals: 12,
+        // Standard, integrated and subaddress prefixes of mainnet, testnet and stagenet
+        address: { monero: [18, 19, 42, 53, 54, 63, 24, 25, 36] },
+    },
+    lightning: { name: 'Lightning', aliases: ['ln', 'bolt11'], scheme: 'lightning', family: 'lightning', decimals: 8 },
+};
+
+// Well-known tokens by symbol; other tokens are given as { address, decimals }
+const TOKENS = {
+    ethereum: {
+        USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+        USDT: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+        DAI: { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18 },
+    },
+    solana: {
+        USDC: { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
+        USDT: { address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6 },
+    },
+};
+
+// Optional fields and the families whose URIs can carry them
+const FIELD_FAMILIES = {
+    label: ['bip21', 'zip321', 'solana', 'monero'],
+    message: ['bip21', 'zip321', 'solana', 'monero'],
+    memo: ['zip321', 'solana'],
+    reference: ['solana'],
+    token: ['eip681', 'solana'],
+    chainId: ['eip681'],
+};
+
+// ZIP-321 memos hold up to 512 bytes
+const MAX_MEMO_BYTES = 512;
+
+class CryptoEncoder {
+    /**
+     * Build a payment URI
+     *
+     * @param {Object} data
+     * @param {string} data.currency - Chain or coin, e.g. bitcoin, eth, polygon, sol, xmr (default bitcoin)
+     * @param {string} data.address - Recipient address
+     * @param {number|string} data.amount - In coins or token units (converted to wei / base units for EVM)
+     * @param {string} data.label - Recipient name (monero: recipient_name)
+     * @param {string} data.message - Payment description (monero: tx_description)
+     * @param {string|Object} data.token - ERC-20 / SPL token: symbol (USDC, USDT, DAI) or { address, decimals }
+     * @param {number} data.chainId - EVM chain id, overriding the chain's own
+     * @param {string} data.lightning - BOLT11 invoice; alone, or as a Bitcoin address's fallback
+     * @param {string} data.memo - Solana Pay memo, or Zcash memo (shielded addresses only)
+     * @param {string|Array<string>} data.reference - Solana Pay reference keys
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+        // An invoice on its own is a Lightning payment; with an address it is the Bitcoin fallback
+        const onlyInvoice = (data.lightning || data.invoice) && !(data.address || data.wallet);
+        const currency = String(data.currency || data.coin || data.crypto || (onlyInvoice ? 'lightning' : 'bitcoin')).trim().toLowerCase();
+        const chainKey = this.resolveChain(currency);
+        const chain = CHAINS[chainKey];
+
+        if (!chain) {
+            errors.push({ field: 'data.currency', message: `Unsupported currency. Must be one of: ${Object.keys(CHAINS).join(', ')}` });
+            EMVCoEncoder.assertValid(errors, 'Cryptocurrency');
+        }
+
+        const values = {
+            address: String(data.address || data.wallet || '').trim(),
+            amount: data.amount,
+            label: String(data.label || data.name || '').trim(),
+            message: String(data.message || data.note || '').trim(),
+            memo: String(data.memo || '').trim(),
+            reference: data.reference,
+            token: data.token,
+            chainId: data.chainId,
+            lightning: String(data.lightning || data.invoice || '').trim(),
+        };
+
+        for (const [field, families] of Object.entries(FIELD_FAMILIES)) {
+            const value = values[field];
+            const given = Array.isArray(value) ? value.length > 0 : this.isPresent(value);
+            if (given && !families.includes(chain.family)) {
+                errors.push({ field: `data.${field}`, message: `${chain.name} payment URIs cannot carry a ${field}` });
+            }
+        }
+
+        const builders = {
+            bip21: this.buildBip21,
+            eip681: this.buildEip681,
+            solana: this.buildSolana,
+            monero: this.buildMonero,
+            zip321: this.buildZip321,
+            lightning: this.buildLightning,
+        };
+        const uri = builders[chain.family].call(this, chainKey, values, errors);
+
+        EMVCoEncoder.assertValid(errors, chain.name);
+        return uri;
+    }
+
+    /**
+     * BIP-21 and the URIs of Bitcoin-derived coins
+     *
+     * @param {string} chainKey
+     * @param {Object} values
+     * @param {Array} errors
+     * @returns {string}
+     */
+    static buildBip21(chainKey, values, errors) {
+        const chain = CHAINS[chainKey];
+        const address = this.validateAddress(chainKey, values.address, errors);
+        const params = [];
+
+        const amount = this.parseAmount(values.amount, chain.decimals, 'data.amount', errors);
+        if (amount) params.push(['amount', amount]);
+        if (values.label) params.push(['label', values.label]);
+        if (values.message) params.push(['message', values.message]);
+
+        if (values.lightning) {
+            if (!chain.lightning) {
+                errors.push({ field: 'data.lightning', message: `${chain.name} payment URIs cannot carry a Lightning invoice` });
+            } else {
+                const invoice = this.validateInvoice(values.lightning, errors);
+                if (invoice) params.push(['lightning', invoice]);
+            }
+        }
+
+        return `${chain.scheme}:${address}${this.formatQuery(params)}`;
+    }
+
+    /**
+     * EIP-681: native transfers in wei, ERC-20 transfers as transfer(address, uint256)
+     *
+     * @param {string} chainKey
+     * @param {Object} values
+     * @param {Array} errors
+     * @returns {string}
+     */
+    static buildEip681(chainKey, values, errors) {
+        const chain = CHAINS[chainKey];
+        const address = this.validateAddress(chainKey, values.address, errors);
+
+        let chainId = chain.chainId;
+        if (this.isPresent(values.chainId)) {
+            chainId = Number(values.chainId);
+            if (!Number.isSafeInteger(chainId) || chainId < 1) {
+                errors.push({ field: 'data.chainId', message: 'Chain id must be a positive integer' });
+            }
+        }
+        // Optional for mainnet, but wallets then cannot pick the wrong network
+        const target = `@${chainId}`;
+
+        const token = this.resolveToken(chainKey, values.token, this.isPresent(values.amount), errors);
+        if (!token) {
+            const value = this.parseAmount(values.amount, chain.decimals, 'data.amount', errors);
+            return `ethereum:${address}${target}${this.formatQuery(value ? [['value', this.toBaseUnits(value, chain.decimals)]] : [])}`;
+        }
+
+        const amount = token.decimals === null ? null : this.parseAmount(values.amount, token.decimals, 'data.amount', errors);
+        const params = [['address', address]];
+        if (amount) params.push(['uint256', this.toBaseUnits(amount, token.decimals)]);
+
+        return `ethereum:${token.address}${target}/transfer${this.formatQuery(params)}`;
+    }
+
+    /**
+     * Solana Pay transfer request
+     *
+     * @param {string} chainKey
+     * @param {Object} values
+     * @param {Array} errors
+     * @returns {string}
+     */
+    static buildSolana(chainKey, values, errors) {
+        const chain = CHAINS[chainKey];
+        const address = this.validateAddress(chainKey, values.address, errors);
+        const token = this.resolveToken(chainKey, values.token, false, errors);
+        const params = [];
+
+        // Solana Pay amounts stay in token units; unlisted mints are held to SOL's precision
+        const amount = this.parseAmount(values.amount, token && token.decimals !== null ? token.decimals : chain.decimals, 'data.amount', errors);
+        if (amount) params.push(['amount', amount]);
+        if (token) params.push(['spl-token', token.address]);
+
+        const references = [].concat(values.reference || []);
+        references.forEach((reference, index) => {
+            if (!CryptoAddress.isSolanaAddress(reference)) {
+                errors.push({ field: Array.isArray(values.reference) ? `data.reference[${index}]` : 'data.reference', message: 'Reference must be a base58 public key' });
+            }
+            params.push(['reference', reference]);
+        });
+
+        if (values.label) params.push(['label', values.label]);
+        if (values.message) params.push(['message', values.message]);
+        if (values.memo) params.push(['memo', values.memo]);
+
+        return `solana:${address}${this.formatQuery(params)}`;
+    }
+
+    /**
+     * Monero URI (tx_amount, recipient_name, tx_description)
+     *
+     * @param {string} chainKey
+     * @param {Object} values
+     * @param {Array} errors
+     * @returns {string}
+     */
+    static buildMonero(chainKey, values, errors) {
+        const chain = CHAINS[chainKey];
+        const address = this.validateAddress(chainKey, values.address, errors);
+        const params = [];
+
+        const amount = this.parseAmount(values.amount, chain.decimals, 'data.amount', errors);
+        if (amount) params.push(['tx_amount', amount]);
+        if (values.label) params.push(['recipient_name', values.label]);
+        if (values.message) params.push(['tx_description', values.message]);
+
+        return `monero:${address}${this.formatQuery(params)}`;
+    }
+
+    /**
+     * ZIP-321 Zcash payment request; memos only reach shielded addresses
+     *
+     * @param {string} chainKey
+     * @param {Object} values
+     * @param {Array} errors
+     * @returns {string}
+     */
+    static buildZip321(chainKey, values, errors) {
+        const chain = CHAINS[chainKey];
+        const address = this.validateAddress(chainKey, values.address, errors);
+        const params = [];
+
+        const amount = this.parseAmount(values.amount, chain.decimals, 'data.amount', errors);
+        if (amount) params.push(['amount', amount]);
+
+        if (values.memo) {
+            const memo = Buffer.from(values.memo, 'utf8');
+            if (address.startsWith('t')) {
+                errors.push({ field: 'data.memo', message: 'Memos can only be sent to shielded (zs) addresses' });
+            } else if (memo.length > MAX_MEMO_BYTES) {
+                errors.push({ field: 'data.memo', message: `Memo must be at most ${MAX_MEMO_BYTES} bytes (got ${memo.length})` });
+            }
+            params.push(['memo', memo.toString('base64url')]);
+        }
+        if (values.label) params.push(['label', values.label]);
+        if (values.message) params.push(['message', values.message]);
+
+        return `zcash:${address}${this.formatQuery(params)}`;
+    }
+
+    /**
+     * A bare Lightning invoice; its amount and description are part of it
+     *
+     * @param {string} chainKey
+     * @param {Object} values
+     * @param {Array} errors
+     * @returns {string}
+     */
+    static buildLightning(chainKey, values, errors) {
+        if (values.address) {
+            errors.push({ field: 'data.address', message: 'Use currency bitcoin to combine an on-chain address with the invoice' });
+        }
+        if (this.isPresent(values.amount)) {
+            errors.push({ field: 'data.amount', message: 'A Lightning invoice carries its own amount' });
+        }
+        if (!values.lightning) {
+            errors.push({ field: 'data.lightning', message: 'Required: a BOLT11 invoice' });
+            return '';
+        }
+
+        const invoice = this.validateInvoice(values.lightning, errors);
+        return `lightning:${invoice || ''}`;
+    }
+
+    /**
+     * Check an address with the chain's encodings and normalize it
+     *
+     * @param {string} chainKey
+     * @param {string} address
+     * @param {Array} errors
+     * @returns {string} - EIP-55 / prefixed CashAddr form where the chain has one
+     */
+    static validateAddress(chainKey, address, errors) {
+        const chain = CHAINS[chainKey];
+        if (!address) {
+            errors.push({ field: 'data.address', message: 'Required' });
+            return '';
+        }
+
+        let normalized = null;
+        if (chain.family === 'eip681') {
+            normalized = CryptoAddress.toChecksumAddress(address);
+        } else if (chain.family === 'solana') {
+            normalized = CryptoAddress.isSolanaAddress(address) ? address : null;
+        } else {
+            const rules = chain.address;
+            if (rules.monero && CryptoAddress.isMoneroAddress(address, rules.monero)) {
+                normalized = address;
+            } else if (rules.base58 && CryptoAddress.isBase58CheckAddress(address, rules.base58)) {
+                normalized = address;
+            } else if (rules.segwit && CryptoAddress.decodeSegwit(address, rules.segwit)) {
+                normalized = address.toLowerCase();
+            } else if (rules.bech32 && CryptoAddress.decodeBech32Address(address, rules.bech32)) {
+                normalized = address.toLowerCase();
+            } else if (rules.cashaddr) {
+                normalized = CryptoAddress.decodeCashAddr(address, rules.cashaddr);
+            }
+        }
+
+        if (!normalized) {
+            errors.push({ field: 'data.address', message: this.describeAddress(chainKey) });
+            return address;
+        }
+
+        // CashAddr URIs are the address itself, prefix included
+        return chain.scheme === 'bitcoincash' && normalized.startsWith('bitcoincash:') ? normalized.slice('bitcoincash:'.length) : normalized;
+    }
+
+    /**
+     * Error message naming the address formats a chain accepts
+     *
+     * @param {string} chainKey
+     * @returns {string}
+     */
+    static describeAddress(chainKey) {
+        const chain = CHAINS[chainKey];
+        const formats = {
+            eip681: '0x followed by 40 hex digits, with a valid EIP-55 checksum when mixed case',
+            solana: 'a base58 public key (32 bytes)',
+            monero: 'a Monero address (95 or 106 characters) with a valid checksum',
+        };
+        if (formats[chain.family]) {
+            return `Invalid ${chain.name} address: must be ${formats[chain.family]}`;
+        }
+
+        const kinds = [];
+        if (chain.address.base58) kinds.push('Base58Check');
+        if (chain.address.segwit) kinds.push(`Bech32/Bech32m (${chain.address.segwit.map(hrp => `${hrp}1...`).join(', ')})`);
+        if (chain.address.bech32) kinds.push(`Bech32 (${chain.address.bech32.map(hrp => `${hrp}1...`).join(', ')})`);
+        if (chain.address.cashaddr) kinds.push('CashAddr');
+        return `Invalid ${chain.name} address: must be ${kinds.join(' or ')} with a valid checksum`;
+    }
+
+    /**
+     * @param {string} invoice
+     * @param {Array} errors
+     * @returns {string|null} - Lowercase invoice without the "lightning:" prefix
+     */
+    static validateInvoice(invoice, errors) {
+        const decoded = CryptoAddress.decodeBolt11(invoice);
+        if (!decoded) {
+            errors.push({ field: 'data.lightning', message: 'Must be a BOLT11 invoice (lnbc...) with a valid checksum' });
+            return null;
+        }
+        return decoded.invoice;
+    }
+
+    /**
+     * Resolve data.token to a contract / mint address and its decimals
+     *
+     * @param {string} chainKey
+     * @param {string|Object} token - Symbol, address, or { address, decimals, symbol }
+     * @param {boolean} hasAmount - Decimals are only required to convert an amount to base units
+     * @param {Array} errors
+     * @returns {Object|null} - { address, decimals }
+     */
+    static resolveToken(chainKey, token, hasAmount, errors) {
+        if (!this.isPresent(token)) {
+            return null;
+        }
+
+        const chain = CHAINS[chainKey];
+        const known = TOKENS[chainKey] || {};
+        const spec = typeof token === 'object' ? token : { symbol: token };
+        const symbol = String(spec.symbol || '').toUpperCase();
+        const given = spec.address || spec.contract || spec.mint || spec.symbol;
+
+        if (known[symbol] && !spec.address && !spec.contract && !spec.mint) {
+            return known[symbol];
+        }
+
+        const address = chain.family === 'eip681'
+            ? CryptoAddress.toChecksumAddress(given)
+            : CryptoAddress.isSolanaAddress(given) ? given : null;
+        if (!address && typeof token !== 'object') {
+            const symbols = Object.keys(known);
+            errors.push({ field: 'data.token', message: `Unknown token on ${chain.name}. Give { address, decimals }${symbols.length ? ` or one of: ${symbols.join(', ')}` : ''}` });
+            return null;
+        }
+        if (!address) {
+            errors.push({ field: 'data.token.address', message: `Invalid token ${chain.family === 'eip681' ? 'contract' : 'mint'} address` });
+            return null;
+        }
+
+        const match = Object.values(known).find(entry => entry.address.toLowerCase() === address.toLowerCase());
+        if (spec.decimals === undefined && !match) {
+            // Base units cannot be worked out without the token's decimals
+            if (hasAmount) {
+                errors.push({ field: 'data.token.decimals', message: 'Required with an amount for tokens that are not listed' });
+            }
+            return { address, decimals: null };
+        }
+
+        const decimals = spec.decimals !== undefined ? Number(spec.decimals) : match.decimals;
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+            errors.push({ field: 'data.token.decimals', message: 'Token decimals must be an integer from 0 to 36' });
+            return null;
+        }
+
+        return { address, decimals };
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isPresent(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    /**
+     * Normalize an amount to a plain decimal string without float rounding
+     *
+     * @param {number|string} amount
+     * @param {number} decimals - Most fractional digits allowed
+     * @param {string} field
+     * @param {Array} errors
+     * @returns {string|null} - e.g. "0.0015"; null when absent or invalid
+     */
+    static parseAmount(amount, decimals, field, errors) {
+        if (!this.isPresent(amount)) {
+            return null;
+        }
+
+        const text = this.toPlainDecimal(amount);
+        const match = text && text.match(/^(\d+)(?:\.(\d+))?$/);
+        if (!match || /^0*(\.0*)?$/.test(text)) {
+            errors.push({ field, message: 'Amount must be a positive number' });
+            return null;
+        }
+
+        const fraction = (match[2] || '').replace(/0+$/, '');
+        if (fraction.length > decimals) {
+            errors.push({ field, message: `Amount must have at most ${decimals} decimal places` });
+            return null;
+        }
+
+        const whole = match[1].replace(/^0+(?=\d)/, '');
+        return fraction ? `${whole}.${fraction}` : whole;
+    }
+
+    /**
+     * Write a number or numeric string without exponent notation
+     *
+     * @param {number|string} amount
+     * @returns {string|null}
+     */
+    static toPlainDecimal(amount) {
+        const text = String(amount).trim();
+        const match = text.match(/^(\d*)(?:\.(\d*))?e([+-]?\d+)$/i);
+        if (!match) {
+            return text;
+        }
+
+        const digits = `${match[1]}${match[2] || ''}`;
+        const point = match[1].length + Number(match[3]);
+        if (point <= 0) {
+            return `0.${'0'.repeat(-point)}${digits}`;
+        }
+        return point >= digits.length
+            ? digits + '0'.repeat(point - digits.length)
+            : `${digits.slice(0, point)}.${digits.slice(point)}`;
+    }
+
+    /**
+     * Convert a decimal amount to integer base units (wei, token units)
+     *
+     * @param {string} amount - Output of parseAmount()
+     * @param {number} decimals
+     * @returns {string}
+     */
+    static toBaseUnits(amount, decimals) {
+        const [whole, fraction = ''] = amount.split('.');
+        return (BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')).toString();
+    }
+
+    /**
+     * @param {Array<Array<string>>} params - [name, value] pairs
+     * @returns {string} - "?a=1&b=2", or "" without params
+     */
+    static formatQuery(params) {
+        return params.length > 0
+            ? `?${params.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&')}`
+            : '';
+    }
+
+    /**
+     * Chain key for a currency name or alias
+     *
+     * @param {string} currency
+     * @returns {string|null}
+     */
+    static resolveChain(currency) {
+        if (CHAINS[currency]) {
+            return currency;
+        }
+        return Object.keys(CHAINS).find(key => CHAINS[key].aliases.includes(currency)) || null;
+    }
+
+    /**
+     * Supported chains for /capabilities
+     *
+     * @returns {Object} - { chain: { name, aliases, standard, chainId, tokens } }
+     */
+    static getChains() {
+        return Object.fromEntries(Object.entries(CHAINS).map(([key, chain]) => [key, {
+            name: chain.name,
+            aliases: chain.aliases,
+            standard: chain.family,
+            ...(chain.chainId && { chainId: chain.chainId }),
+            ...(TOKENS[key] && { tokens: Object.keys(TOKENS[key]) }),
+            ...(chain.lightning && { lightningFallback: true }),
+        }]));
+    }
+}
+
+CryptoEncoder.CHAINS = Object.keys(CHAINS);
+
+module.exports = CryptoEncoder;
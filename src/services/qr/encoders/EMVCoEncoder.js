@@ -0,0 +1,202 @@
+/**
+ * EMVCoEncoder - EMV QR Code Merchant Presented Mode (MPM) payloads
+ *
+ * Payloads are a flat list of TLV data objects: a 2-digit ID, a 2-digit
+ * length and the value. Templates (26-51 merchant accounts, 62 additional
+ * data, ...) nest TLVs inside the value. The payload ends with the CRC
+ * object "6304" followed by the CRC16-CCITT of everything before it.
+ *
+ * Field problems are collected as { field, message } and thrown together
+ * as one INVALID_DATA error (see assertValid).
+ */
+
+// Printable ASCII, the "ans" character set of the EMV QR specification
+const ANS_PATTERN = /^[\x20-\x7E]*$/;
+
+const MAX_VALUE_LENGTH = 99;
+
+class EMVCoEncoder {
+    /**
+     * Build a complete payload from data objects and append the CRC
+     *
+     * @param {Array<Array>} objects - [id, value] pairs; value may be a nested [id, value] list
+     * @returns {string}
+     */
+    static build(objects) {
+        const body = this.serialize(objects) + '6304';
+        return body + this.crc16(body);
+    }
+
+    /**
+     * Serialize [id, value] pairs to TLV, skipping empty values
+     *
+     * @param {Array<Array>} objects
+     * @returns {string}
+     */
+    static serialize(objects) {
+        return objects
+            .map(([id, value]) => {
+                const content = Array.isArray(value) ? this.serialize(value) : value;
+                return content === undefined || content === null || content === '' ? '' : this.tlv(id, String(content));
+            })
+            .join('');
+    }
+
+    /**
+     * Encode a single data object
+     *
+     * @param {string} id - 2-digit ID
+     * @param {string} value
+     * @returns {string}
+     */
+    static tlv(id, value) {
+        if (value.length > MAX_VALUE_LENGTH) {
+            throw new Error(`EMV data object ${id} is ${value.length} characters long (max ${MAX_VALUE_LENGTH})`);
+        }
+        return `${id}${String(value.length).padStart(2, '0')}${value}`;
+    }
+
+    /**
+     * CRC16-CCITT (polynomial 0x1021, initial value 0xFFFF) as 4 uppercase hex digits
+     *
+     * @param {string} payload
+     * @returns {string}
+     */
+    static crc16(payload) {
+        let crc = 0xFFFF;
+
+        for (const byte of Buffer.from(payload, 'utf8')) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+                crc &= 0xFFFF;
+            }
+        }
+
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Parse a TLV string into { id: value } (templates are left as strings)
+     *
+     * @param {string} payload
+     * @returns {Object}
+     */
+    static parse(payload) {
+        const objects = {};
+        let index = 0;
+
+        while (index + 4 <= payload.length) {
+            const id = payload.substr(index, 2);
+            const length = parseInt(payload.substr(index + 2, 2), 10);
+            if (Number.isNaN(length) || index + 4 + length > payload.length) {
+                throw new Error(`Malformed EMV data object at position ${index}`);
+            }
+            objects[id] = payload.substr(index + 4, length);
+            index += 4 + length;
+        }
+
+        return objects;
+    }
+
+    /**
+     * Check the trailing CRC of a payload
+     *
+     * @param {string} payload
+     * @returns {boolean}
+     */
+    static verifyCrc(payload) {
+        const body = payload.slice(0, -4);
+        return body.endsWith('6304') && this.crc16(body) === payload.slice(-4).toUpperCase();
+    }
+
+    /**
+     * Format an amount as EMV expects ("10", "10.5" -> "10.50")
+     *
+     * @param {number|string} amount
+     * @returns {string}
+     */
+    static formatAmount(amount) {
+        return Number(amount).toFixed(2);
+    }
+
+    /**
+     * Remove diacritics so names like "São Paulo" fit the ans character set
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    static toAscii(value) {
+        return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Validate a text field against a maximum length and the ans character set
+     *
+     * @param {Array} errors - Collected { field, message } errors
+     * @param {string} field - Field path for the error
+     * @param {string} value
+     * @param {Object} rules - { required, max, pattern, patternMessage }
+     */
+    static checkField(errors, field, value, rules = {}) {
+        if (value === undefined || value === null || value === '') {
+            if (rules.required) {
+                errors.push({ field, message: 'Required' });
+            }
+            return;
+        }
+
+        if (rules.max && value.length > rules.max) {
+            errors.push({ field, message: `Must be at most ${rules.max} characters (got ${value.length})` });
+        }
+
+        if (!ANS_PATTERN.test(value)) {
+            errors.push({ field, message: 'Only printable ASCII characters are allowed' });
+        } else if (rules.pattern && !rules.pattern.test(value)) {
+            errors.push({ field, message: rules.patternMessage || 'Invalid format' });
+        }
+    }
+
+    /**
+     * Validate an amount (positive, at most 13 characters once formatted)
+     *
+     * @param {Array} errors
+     * @param {string} field
+     * @param {number|string} amount
+     */
+    static checkAmount(errors, field, amount) {
+        if (amount === undefined || amount === null || amount === '') {
+            return;
+        }
+
+        const value = Number(amount);
+        if (!Number.isFinite(value) || value <= 0) {
+            errors.push({ field, message: 'Amount must be a positive number' });
+        } else if (this.formatAmount(value).length > 13) {
+            errors.push({ field, message: 'Amount must be at most 13 characters' });
+        }
+    }
+
+    /**
+     * Throw the collected field errors as one INVALID_DATA error
+     *
+     * @param {Array} errors
+     * @param {string} label - Payload name used in the message, e.g. 'PIX'
+     * @throws {Error}
+     */
+    static assertValid(errors, label) {
+        if (errors.length === 0) {
+            return;
+        }
+
+        const error = new Error(`Invalid ${label} data: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+        error.code = 'INVALID_DATA';
+        error.status = 400;
+        error.details = errors;
+        throw error;
+    }
+}
+
+EMVCoEncoder.ANS_PATTERN = ANS_PATTERN;
+
+module.exports = EMVCoEncoder;
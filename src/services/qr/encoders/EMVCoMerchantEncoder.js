@@ -0,0 +1,516 @@
+/**
+ * EMVCoMerchantEncoder - Generic EMV Merchant Presented Mode payloads
+ *
+ * Builds the `emvco` QR type from explicit merchant account templates, or
+ * from a named preset for a regional scheme (PayNow, PromptPay, ...).
+ * Presets only fill in the scheme's template, currency and country; every
+ * payload goes through the same validation before EMVCoEncoder writes it.
+ *
+ * Data:
+ * {
+ *   preset: "paynow",                 // Optional, see PRESETS
+ *   pointOfInitiation: "static",      // "static" (11) | "dynamic" (12)
+ *   merchantAccounts: [               // Templates 26-51 (00 = globally unique id)
+ *     { id: "26", gui: "SG.PAYNOW", fields: { "01": "2", "02": "201403121W" } }
+ *   ],
+ *   mcc: "0000", currency: "SGD", country: "SG",
+ *   merchantName: "ACME", merchantCity: "Singapore", postalCode: "018956",
+ *   amount: 12.5, tip: { type: "percentage", value: 10 },
+ *   additionalData: { billNumber: "INV-1", referenceLabel: "ORDER42" }
+ * }
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+// ISO 4217 alpha to numeric codes, every currency and fund code in the
+// current list (ANG and its successor XCG share 532 during the changeover)
+const CURRENCIES = {
+    AED: '784', AFN: '971', ALL: '008', AMD: '051', ANG: '532', AOA: '973', ARS: '032', AUD: '036',
+    AWG: '533', AZN: '944', BAM: '977', BBD: '052', BDT: '050', BGN: '975', BHD: '048', BIF: '108',
+    BMD: '060', BND: '096', BOB: '068', BOV: '984', BRL: '986', BSD: '044', BTN: '064', BWP: '072',
+    BYN: '933', BZD: '084', CAD: '124', CDF: '976', CHE: '947', CHF: '756', CHW: '948', CLF: '990',
+    CLP: '152', CNY: '156', COP: '170', COU: '970', CRC: '188', CUC: '931', CUP: '192', CVE: '132',
+    CZK: '203', DJF: '262', DKK: '208', DOP: '214', DZD: '012', EGP: '818', ERN: '232', ETB: '230',
+    EUR: '978', FJD: '242', FKP: '238', GBP: '826', GEL: '981', GHS: '936', GIP: '292', GMD: '270',
+    GNF: '324', GTQ: '320', GYD: '328', HKD: '344', HNL: '340', HTG: '332', HUF: '348', IDR: '360',
+    ILS: '376', INR: '356', IQD: '368', IRR: '364', ISK: '352', JMD: '388', JOD: '400', JPY: '392',
+    KES: '404', KGS: '417', KHR: '116', KMF: '174', KPW: '408', KRW: '410', KWD: '414', KYD: '136',
+    KZT: '398', LAK: '418', LBP: '422', LKR: '144', LRD: '430', LSL: '426', LYD: '434', MAD: '504',
+    MDL: '498', MGA: '969', MKD: '807', MMK: '104', MNT: '496', MOP: '446', MRU: '929', MUR: '480',
+    MVR: '462', MWK: '454', MXN: '484', MXV: '979', MYR: '458', MZN: '943', NAD: '516', NGN: '566',
+    NIO: '558', NOK: '578', NPR: '524', NZD: '554', OMR: '512', PAB: '590', PEN: '604', PGK: '598',
+    PHP: '608', PKR: '586', PLN: '985', PYG: '600', QAR: '634', RON: '946', RSD: '941', RUB: '643',
+    RWF: '646', SAR: '682', SBD: '090', SCR: '690', SDG: '938', SEK: '752', SGD: '702', SHP: '654',
+    SLE: '925', SOS: '706', SRD: '968', SSP: '728', STN: '930', SVC: '222', SYP: '760', SZL: '748',
+    THB: '764', TJS: '972', TMT: '934', TND: '788', TOP: '776', TRY: '949', TTD: '780', TWD: '901',
+    TZS: '834', UAH: '980', UGX: '800', USD: '840', USN: '997', UYI: '940', UYU: '858', UYW: '927',
+    UZS: '860', VED: '926', VES: '928', VND: '704', VUV: '548', WST: '882', XAF: '950', XAG: '961',
+    XAU: '959', XBA: '955', XBB: '956', XBC: '957', XBD: '958', XCD: '951', XCG: '532', XDR: '960',
+    XOF: '952', XPD: '964', XPF: '953', XPT: '962', XSU: '994', XTS: '963', XUA: '965', XXX: '999',
+    YER: '886', ZAR: '710', ZMW: '967', ZWG: '924',
+};
+
+// Additional data field template (ID 62) sub-fields
+const ADDITIONAL_DATA_IDS = {
+    billNumber: '01',
+    mobileNumber: '02',
+    storeLabel: '03',
+    loyaltyNumber: '04',
+    referenceLabel: '05',
+    customerLabel: '06',
+    terminalLabel: '07',
+    purpose: '08',
+};
+
+const TIP_INDICATORS = {
+    prompt: '01',
+    fixed: '02',
+    percentage: '03',
+};
+
+// PayNow proxy types (template 26, sub-field 01)
+const PAYNOW_PROXY_TYPES = {
+    mobile: '0',
+    uen: '2',
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * PayNow proxy type: data.proxyType when given ("mobile" / "uen" or the
+ * code), otherwise that of the field the proxy comes from
+ *
+ * @param {Object} data
+ * @returns {string|null} - null for an unknown proxyType
+ */
+function payNowProxyType(data) {
+    if (data.proxyType === undefined || data.proxyType === null || data.proxyType === '') {
+        return !data.proxyValue && data.uen ? PAYNOW_PROXY_TYPES.uen : PAYNOW_PROXY_TYPES.mobile;
+    }
+
+    const type = String(data.proxyType).toLowerCase();
+    if (PAYNOW_PROXY_TYPES[type]) return PAYNOW_PROXY_TYPES[type];
+    return Object.values(PAYNOW_PROXY_TYPES).includes(type) ? type : null;
+}
+
+/**
+ * Regional schemes. accounts(data) returns the merchant account templates
+ * built from the scheme's friendly fields; data.gui overrides the default GUI.
+ * required lists the friendly fields a payable code needs, each entry a group
+ * of alternatives (one of them must be given); check(data) returns errors of
+ * the other friendly fields.
+ */
+const PRESETS = {
+    paynow: {
+        name: 'PayNow (Singapore)',
+        currency: 'SGD',
+        country: 'SG',
+        merchantCity: 'Singapore',
+        required: [['proxyValue', 'uen', 'mobile']],
+        check: data => (payNowProxyType(data)
+            ? []
+            : [{ field: 'data.proxyType', message: 'Proxy type must be "mobile" (0) or "uen" (2)' }]),
+        accounts: data => [{
+            id: '26',
+            gui: data.gui || 'SG.PAYNOW',
+            fields: {
+                '01': payNowProxyType(data),
+                '02': data.proxyValue || data.uen || data.mobile,
+                '03': data.editable === false ? '0' : '1',
+                '04': data.expiry,
+            },
+        }],
+    },
+    sgqr: {
+        name: 'SGQR (Singapore)',
+        currency: 'SGD',
+        country: 'SG',
+        merchantCity: 'Singapore',
+        required: [['sgqrId']],
+        accounts: data => [
+            ...(data.merchantAccounts || []),
+            {
+                id: '51',
+                gui: data.gui || 'SG.SGQR',
+                fields: {
+                    '01': data.sgqrId,
+                    '02': data.sgqrVersion,
+                    '03': data.postalCode,
+                    '04': data.level,
+                    '05': data.unit,
+                    '06': data.misc,
+                    '07': data.revisionDate,
+                },
+            },
+        ],
+    },
+    duitnow: {
+        name: 'DuitNow (Malaysia)',
+        currency: 'MYR',
+        country: 'MY',
+        required: [['accountId', 'proxyValue']],
+        accounts: data => [{
+            id: '26',
+            gui: data.gui || 'A0000006150001',
+            fields: {
+                '01': data.acquirerId,
+                '02': data.accountId || data.proxyValue,
+            },
+        }],
+    },
+    promptpay: {
+        name: 'PromptPay (Thailand)',
+        currency: 'THB',
+        country: 'TH',
+        required: [['mobile', 'nationalId', 'taxId', 'eWalletId']],
+        accounts: data => [{
+            id: '29',
+            gui: data.gui || 'A000000677010111',
+            fields: {
+                '01': data.mobile ? `0066${String(data.mobile).replace(/\D/g, '').replace(/^(66|0)/, '').padStart(9, '0')}` : undefined,
+                '02': data.nationalId || data.taxId,
+                '03': data.eWalletId,
+            },
+        }],
+    },
+    qris: {
+        name: 'QRIS (Indonesia)',
+        currency: 'IDR',
+        country: 'ID',
+        required: [['nmid']],
+        accounts: data => [
+            ...(data.merchantAccounts || []),
+            {
+                id: '51',
+                gui: data.gui || 'ID.CO.QRIS.WWW',
+                fields: {
+                    '02': data.nmid,
+                    '03': data.merchantCriteria,
+                },
+            },
+        ],
+    },
+    khqr: {
+        name: 'Bakong KHQR (Cambodia)',
+        currency: 'KHR',
+        country: 'KH',
+        required: [['bakongAccountId']],
+        // KHQR templates carry the Bakong account id in 00 instead of a GUI
+        accounts: data => [{
+            id: data.merchantId ? '30' : '29',
+            gui: data.bakongAccountId,
+            fields: data.merchantId ?
+                { '01': data.merchantId, '02': data.acquiringBank } :
+                { '01': data.accountInformation, '02': data.acquiringBank },
+        }],
+    },
+    raast: {
+        name: 'Raast (Pakistan)',
+        currency: 'PKR',
+        country: 'PK',
+        required: [['iban', 'raastId']],
+        accounts: data => [{
+            id: '26',
+            gui: data.gui || 'PK.RAAST',
+            fields: {
+                '01': data.iban || data.raastId,
+                '02': data.bic,
+            },
+        }],
+    },
+};
+
+class EMVCoMerchantEncoder {
+    /**
+     * Build an EMV MPM payload
+     *
+     * @param {Object} data - See the module comment
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+        const preset = data.preset ? PRESETS[String(data.preset).toLowerCase()] : null;
+
+        if (data.preset && !preset) {
+            errors.push({ field: 'data.preset', message: `Unknown preset. Must be one of: ${Object.keys(PRESETS).join(', ')}` });
+        }
+
+        const missingPresetFields = preset ? this.checkPresetFields(preset, data, errors) : false;
+        const merchantAccounts = preset ? preset.accounts(data) : data.merchantAccounts || [];
+        const currency = this.resolveCurrency(data.currency || (preset && preset.currency));
+        const country = String(data.country || (preset && preset.country) || '').toUpperCase();
+        const merchantName = EMVCoEncoder.toAscii(data.merchantName || data.name || '').trim();
+        const merchantCity = EMVCoEncoder.toAscii(data.merchantCity || data.city || (preset && preset.merchantCity) || '').trim();
+        const mcc = String(data.mcc || '0000');
+        const amount = data.amount;
+        const pointOfInitiation = this.resolvePointOfInitiation(data.pointOfInitiation, amount);
+
+        if ((data.payloadFormatIndicator || '01') !== '01') {
+            errors.push({ field: 'data.payloadFormatIndicator', message: 'Payload format indicator must be "01"' });
+        }
+
+        if (!pointOfInitiation) {
+            errors.push({ field: 'data.pointOfInitiation', message: 'Must be "static" (11) or "dynamic" (12)' });
+        }
+
+        // Missing preset fields are reported on their own; the half-built templates would only repeat them
+        const accountObjects = missingPresetFields ? [] : this.buildMerchantAccounts(merchantAccounts, errors);
+
+        if (!/^\d{4}$/.test(mcc)) {
+            errors.push({ field: 'data.mcc', message: 'Merchant category code must be 4 digits (ISO 18245)' });
+        }
+
+        if (!currency) {
+            errors.push({ field: 'data.currency', message: 'Currency must be an ISO 4217 code, e.g. "SGD" or "702"' });
+        }
+
+        if (!this.isValidCountry(country)) {
+            errors.push({ field: 'data.country', message: 'Country must be an ISO 3166-1 alpha-2 code, e.g. "SG"' });
+        }
+
+        EMVCoEncoder.checkAmount(errors, 'data.amount', amount);
+        EMVCoEncoder.checkField(errors, 'data.merchantName', merchantName, { required: true, max: 25 });
+        EMVCoEncoder.checkField(errors, 'data.merchantCity', merchantCity, { required: true, max: 15 });
+        EMVCoEncoder.checkField(errors, 'data.postalCode', data.postalCode ? String(data.postalCode) : '', { max: 10 });
+
+        const tipObjects = this.buildTip(data.tip, errors);
+        const additionalData = this.buildAdditionalData(data.additionalData || {}, errors);
+
+        EMVCoEncoder.assertValid(errors, preset ? preset.name : 'EMVCo');
+
+        return EMVCoEncoder.build([
+            ['00', '01'],
+            ['01', pointOfInitiation],
+            ...accountObjects,
+            ['52', mcc],
+            ['53', currency],
+            ['54', amount ? EMVCoEncoder.formatAmount(amount) : ''],
+            ...tipObjects,
+            ['58', country],
+            ['59', merchantName],
+            ['60', merchantCity],
+            ['61', data.postalCode ? String(data.postalCode) : ''],
+            ['62', additionalData],
+        ]);
+    }
+
+    /**
+     * Check that the friendly fields a preset needs are present and valid
+     *
+     * @param {Object} preset - Entry of PRESETS
+     * @param {Object} data
+     * @param {Array} errors
+     * @returns {boolean} - true when a required field is missing or invalid
+     */
+    static checkPresetFields(preset, data, errors) {
+        let missing = false;
+
+        for (const group of preset.required || []) {
+            const present = group.some(name => data[name] !== undefined && data[name] !== null && String(data[name]).trim() !== '');
+            if (!present) {
+                const names = group.length > 1 ? `${group.slice(0, -1).join(', ')} or ${group[group.length - 1]}` : group[0];
+                errors.push({ field: `data.${group[0]}`, message: `Required for ${preset.name}: ${names}` });
+                missing = true;
+            }
+        }
+
+        if (preset.check) {
+            const invalid = preset.check(data);
+            errors.push(...invalid);
+            missing = missing || invalid.length > 0;
+        }
+
+        return missing;
+    }
+
+    /**
+     * Validate merchant account templates and turn them into data objects
+     *
+     * Primitive IDs 02-25 (card networks) take a plain string; IDs 26-51 are
+     * templates whose sub-field 00 identifies the scheme.
+     *
+     * @param {Array} accounts - [{ id, gui, fields }] or [{ id, value }]
+     * @param {Array} errors
+     * @returns {Array<Array>} - [id, value] pairs
+     */
+    static buildMerchantAccounts(accounts, errors) {
+        if (!Array.isArray(accounts) || accounts.length === 0) {
+            errors.push({ field: 'data.merchantAccounts', message: 'At least one merchant account template is required' });
+            return [];
+        }
+
+        const seen = new Set();
+
+        return accounts.map((account, index) => {
+            const field = `data.merchantAccounts[${index}]`;
+            const id = String(account.id || '').padStart(2, '0');
+            const numericId = parseInt(id, 10);
+
+            if (!/^\d{2}$/.test(id) || numericId < 2 || numericId > 51) {
+                errors.push({ field: `${field}.id`, message: 'Merchant account ID must be 02-51' });
+                return [id, ''];
+            }
+            if (seen.has(id)) {
+                errors.push({ field: `${field}.id`, message: `Merchant account ID ${id} is used twice` });
+            }
+            seen.add(id);
+
+            if (numericId < 26) {
+                const value = String(account.value || '');
+                EMVCoEncoder.checkField(errors, `${field}.value`, value, { required: true, max: 99 });
+                return [id, value];
+            }
+
+            const gui = account.gui ? String(account.gui) : '';
+            EMVCoEncoder.checkField(errors, `${field}.gui`, gui, { required: true, max: 32 });
+
+            const subFields = [['00', gui]];
+            for (const [subId, value] of Object.entries(account.fields || {})) {
+                if (value === undefined || value === null || value === '') continue;
+                if (!/^\d{2}$/.test(subId) || subId === '00') {
+                    errors.push({ field: `${field}.fields.${subId}`, message: 'Sub-field IDs must be 01-99' });
+                    continue;
+                }
+                EMVCoEncoder.checkField(errors, `${field}.fields.${subId}`, String(value));
+                subFields.push([subId, String(value)]);
+            }
+
+            const length = subFields.reduce((total, [, value]) => total + (value ? 4 + value.length : 0), 0);
+            if (length > 99) {
+                errors.push({ field, message: `Template must fit 99 characters (got ${length})` });
+                return [id, ''];
+            }
+
+            return [id, subFields];
+        });
+    }
+
+    /**
+     * Build the tip or convenience fee data objects (55-57)
+     *
+     * @param {Object} tip - { type: 'prompt' | 'fixed' | 'percentage', value }
+     * @param {Array} errors
+     * @returns {Array<Array>}
+     */
+    static buildTip(tip, errors) {
+        if (!tip) {
+            return [];
+        }
+
+        const indicator = TIP_INDICATORS[tip.type];
+        if (!indicator) {
+            errors.push({ field: 'data.tip.type', message: `Tip type must be one of: ${Object.keys(TIP_INDICATORS).join(', ')}` });
+            return [];
+        }
+
+        if (tip.type === 'fixed') {
+            EMVCoEncoder.checkAmount(errors, 'data.tip.value', tip.value);
+            return [['55', indicator], ['56', EMVCoEncoder.formatAmount(tip.value)]];
+        }
+
+        if (tip.type === 'percentage') {
+            const value = Number(tip.value);
+            if (!Number.isFinite(value) || value <= 0 || value >= 100) {
+                errors.push({ field: 'data.tip.value', message: 'Percentage must be between 0 and 100' });
+            }
+            return [['55', indicator], ['57', String(value)]];
+        }
+
+        return [['55', indicator]];
+    }
+
+    /**
+     * Build the additional data field template (62)
+     *
+     * @param {Object} additionalData - Named fields (see ADDITIONAL_DATA_IDS)
+     * @param {Array} errors
+     * @returns {Array<Array>}
+     */
+    static buildAdditionalData(additionalData, errors) {
+        const objects = [];
+
+        for (const [name, value] of Object.entries(additionalData)) {
+            const id = ADDITIONAL_DATA_IDS[name];
+            if (!id) {
+                errors.push({ field: `data.additionalData.${name}`, message: `Unknown field. Must be one of: ${Object.keys(ADDITIONAL_DATA_IDS).join(', ')}` });
+                continue;
+            }
+            EMVCoEncoder.checkField(errors, `data.additionalData.${name}`, String(value), { max: 25 });
+            objects.push([id, String(value)]);
+        }
+
+        return objects;
+    }
+
+    /**
+     * Map "static"/"dynamic" (or "11"/"12") to the point of initiation value
+     *
+     * Defaults to dynamic when an amount is set, as the schemes expect.
+     *
+     * @param {string} value
+     * @param {number} amount
+     * @returns {string|null}
+     */
+    static resolvePointOfInitiation(value, amount) {
+        if (value === undefined || value === null || value === '') {
+            return amount ? '12' : '11';
+        }
+
+        const normalized = String(value).toLowerCase();
+        if (normalized === 'static' || normalized === '11') return '11';
+        if (normalized === 'dynamic' || normalized === '12') return '12';
+        return null;
+    }
+
+    /**
+     * Resolve an ISO 4217 alpha or numeric code to the numeric code
+     *
+     * @param {string} currency
+     * @returns {string|null}
+     */
+    static resolveCurrency(currency) {
+        if (!currency) {
+            return null;
+        }
+
+        const code = String(currency).toUpperCase();
+        if (CURRENCIES[code]) {
+            return CURRENCIES[code];
+        }
+        return Object.values(CURRENCIES).includes(code.padStart(3, '0')) ? code.padStart(3, '0') : null;
+    }
+
+    /**
+     * Check an ISO 3166-1 alpha-2 country code
+     *
+     * @param {string} country
+     * @returns {boolean}
+     */
+    static isValidCountry(country) {
+        if (!/^[A-Z]{2}$/.test(country)) {
+            return false;
+        }
+        const name = regionNames.of(country);
+        return Boolean(name) && name !== country && name !== 'Unknown Region';
+    }
+
+    /**
+     * Get the available presets
+     *
+     * @returns {Object} - { key: { name, currency, country, required } }
+     */
+    static getPresets() {
+        return Object.fromEntries(
+            Object.entries(PRESETS).map(([key, preset]) => [key, {
+                name: preset.name,
+                currency: preset.currency,
+                country: preset.country,
+                required: preset.required,
+            }])
+        );
+    }
+}
+
+EMVCoMerchantEncoder.CURRENCIES = CURRENCIES;
+
+module.exports = EMVCoMerchantEncoder;
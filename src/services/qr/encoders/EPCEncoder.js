@@ -0,0 +1,198 @@
+/**
+ * EPCEncoder - SEPA credit transfer QR codes (EPC069-12, "GiroCode")
+ *
+ * The payload is a fixed sequence of newline-separated lines:
+ *
+ *   BCD                service tag
+ *   002                version (001 requires a BIC)
+ *   1                  character set (1 = UTF-8)
+ *   SCT                identification (SEPA credit transfer)
+ *   BIC                optional in version 002
+ *   Name               beneficiary, max 70
+ *   IBAN               max 34, mod-97 checked
+ *   EUR12.50           amount, optional, EUR0.01 - EUR999999999.99
+ *   Purpose            optional 4-character purpose code (e.g. CHAR, GDDS)
+ *   Reference          structured creditor reference (ISO 11649 RF...), max 35
+ *   Text               or unstructured remittance text, max 140
+ *   Information        beneficiary to originator information, max 70
+ *
+ * Trailing empty lines are dropped. The whole payload must fit 331 bytes
+ * and the standard requires error correction level M.
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+const MAX_PAYLOAD_BYTES = 331;
+const ERROR_CORRECTION = 'M';
+const VERSIONS = ['001', '002'];
+
+// Only UTF-8 is offered: the QR matrix is always written as UTF-8 bytes
+const CHARACTER_SET_UTF8 = '1';
+
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+class EPCEncoder {
+    /**
+     * Build an EPC069-12 payload
+     *
+     * @param {Object} data
+     * @param {string} data.name - Beneficiary name (max 70)
+     * @param {string} data.iban - Beneficiary IBAN
+     * @param {string} data.bic - BIC (required for version 001)
+     * @param {number} data.amount - Amount in EUR
+     * @param {string} data.purpose - 4-character purpose code
+     * @param {string} data.reference - Structured creditor reference (RF...)
+     * @param {string} data.text - Unstructured remittance text (not with reference)
+     * @param {string} data.information - Beneficiary to originator information
+     * @param {string} data.version - '001' | '002' (default 002)
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+
+        const version = String(data.version || '002').padStart(3, '0');
+        const characterSet = String(data.characterSet || CHARACTER_SET_UTF8);
+        const bic = String(data.bic || data.swift || '').replace(/\s/g, '').toUpperCase();
+        const name = String(data.name || data.beneficiaryName || data.beneficiary || '').trim();
+        const iban = String(data.iban || '').replace(/\s/g, '').toUpperCase();
+        const amount = data.amount;
+        const purpose = String(data.purpose || '').trim().toUpperCase();
+        const reference = String(data.reference || data.remittanceReference || '').replace(/\s/g, '').toUpperCase();
+        const text = String(data.text || data.remittanceText || data.message || '').trim();
+        const information = String(data.information || data.note || '').trim();
+
+        if (!VERSIONS.includes(version)) {
+            errors.push({ field: 'data.version', message: 'Version must be 001 or 002' });
+        }
+
+        if (characterSet !== CHARACTER_SET_UTF8) {
+            errors.push({ field: 'data.characterSet', message: 'Only character set 1 (UTF-8) is supported' });
+        }
+
+        if (!bic && version === '001') {
+            errors.push({ field: 'data.bic', message: 'BIC is required for version 001' });
+        } else if (bic && !BIC_PATTERN.test(bic)) {
+            errors.push({ field: 'data.bic', message: 'BIC must be 8 or 11 characters' });
+        }
+
+        if (!name) {
+            errors.push({ field: 'data.name', message: 'Required' });
+        } else if (name.length > 70) {
+            errors.push({ field: 'data.name', message: `Must be at most 70 characters (got ${name.length})` });
+        }
+
+        if (!iban) {
+            errors.push({ field: 'data.iban', message: 'Required' });
+        } else if (!IBAN_PATTERN.test(iban) || !this.isValidIban(iban)) {
+            errors.push({ field: 'data.iban', message: 'Invalid IBAN (checksum mismatch)' });
+        }
+
+        if (amount !== undefined && amount !== null && amount !== '') {
+            const value = Number(amount);
+            if (!Number.isFinite(value) || value < 0.01 || value > 999999999.99) {
+                errors.push({ field: 'data.amount', message: 'Amount must be between 0.01 and 999999999.99 EUR' });
+            }
+        }
+
+        if (purpose && !/^[A-Z0-9]{4}$/.test(purpose)) {
+            errors.push({ field: 'data.purpose', message: 'Purpose must be a 4-character code, e.g. CHAR' });
+        }
+
+        if (reference && text) {
+            errors.push({ field: 'data.text', message: 'Use either reference or text, not both' });
+        }
+
+        if (reference && (reference.length > 35 || !this.isValidCreditorReference(reference))) {
+            errors.push({ field: 'data.reference', message: 'Reference must be an ISO 11649 creditor reference (RF..), max 35 characters' });
+        }
+
+        if (text.length > 140) {
+            errors.push({ field: 'data.text', message: `Must be at most 140 characters (got ${text.length})` });
+        }
+
+        if (information.length > 70) {
+            errors.push({ field: 'data.information', message: `Must be at most 70 characters (got ${information.length})` });
+        }
+
+        EMVCoEncoder.assertValid(errors, 'EPC');
+
+        const lines = [
+            'BCD',
+            version,
+            characterSet,
+            'SCT',
+            bic,
+            name,
+            iban,
+            amount ? `EUR${Number(amount).toFixed(2)}` : '',
+            purpose,
+            reference,
+            text,
+            information,
+        ];
+
+        while (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        const payload = lines.join('\n');
+        const bytes = Buffer.byteLength(payload, 'utf8');
+
+        if (bytes > MAX_PAYLOAD_BYTES) {
+            EMVCoEncoder.assertValid([{
+                field: 'data',
+                message: `Payload is ${bytes} bytes; EPC069-12 allows at most ${MAX_PAYLOAD_BYTES}`,
+            }], 'EPC');
+        }
+
+        return payload;
+    }
+
+    /**
+     * ISO 13616 mod-97 check
+     *
+     * @param {string} iban - Upper case, no spaces
+     * @returns {boolean}
+     */
+    static isValidIban(iban) {
+        return this.mod97(iban.slice(4) + iban.slice(0, 4)) === 1;
+    }
+
+    /**
+     * ISO 11649 creditor reference check (RF + 2 check digits + up to 21 characters)
+     *
+     * @param {string} reference
+     * @returns {boolean}
+     */
+    static isValidCreditorReference(reference) {
+        if (!/^RF\d{2}[A-Z0-9]{1,21}$/.test(reference)) {
+            return false;
+        }
+        return this.mod97(reference.slice(4) + reference.slice(0, 4)) === 1;
+    }
+
+    /**
+     * Remainder of an alphanumeric string mod 97, letters as A=10 ... Z=35
+     *
+     * @param {string} value
+     * @returns {number}
+     */
+    static mod97(value) {
+        let remainder = 0;
+
+        for (const char of value) {
+            const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+            for (const digit of digits) {
+                remainder = (remainder * 10 + Number(digit)) % 97;
+            }
+        }
+
+        return remainder;
+    }
+}
+
+EPCEncoder.ERROR_CORRECTION = ERROR_CORRECTION;
+EPCEncoder.MAX_PAYLOAD_BYTES = MAX_PAYLOAD_BYTES;
+
+module.exports = EPCEncoder;
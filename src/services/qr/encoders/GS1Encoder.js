@@ -0,0 +1,423 @@
+/**
+ * GS1Encoder - Product identification for packaging (GS1 General Specifications)
+ *
+ * The same Application Identifiers (AIs) are written in one of two forms:
+ *
+ *   digital-link     https://id.gs1.org/01/09506000134352/10/ABC123?17=251231
+ *                    A web URI on a resolver domain: the primary key (GTIN,
+ *                    SSCC or GLN) and its qualifiers in the path, every other
+ *                    AI as a query parameter. Phones open it like any URL.
+ *   element-string   01095060001343521725123110ABC123<GS>21SN42
+ *                    The AIs run together as in a GS1-128 barcode, read by
+ *                    scanners at the point of sale. The symbol is encoded in
+ *                    FNC1 mode; a GS separator ends each variable-length
+ *                    value that is not last.
+ *
+ * GTIN, SSCC and GLN check digits, the format of every AI (digits, length,
+ * the GS1 character set 82) and YYMMDD dates are validated; dates may also
+ * be given as YYYY-MM-DD.
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+const FORMATS = ['digital-link', 'element-string'];
+const DEFAULT_RESOLVER = 'https://id.gs1.org';
+
+// Group separator that ends a variable-length value in an element string
+const GS = '\x1D';
+
+// GS1 AI encodable character set 82
+const CSET82_PATTERN = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]+$/;
+
+// AIs whose first two digits give a predefined length never need a separator
+const PREDEFINED_LENGTH_PREFIXES = ['00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20',
+    '31', '32', '33', '34', '35', '36', '41'];
+
+/**
+ * Supported AIs: type N (digits) or X (character set 82), a fixed length or
+ * a maximum, plus check-digit and date rules
+ */
+const AIS = {
+    '00': { title: 'SSCC', type: 'N', length: 18, checkDigit: true },
+    '01': { title: 'GTIN', type: 'N', length: 14, checkDigit: true },
+    '02': { title: 'CONTENT', type: 'N', length: 14, checkDigit: true },
+    '10': { title: 'BATCH/LOT', type: 'X', max: 20 },
+    '11': { title: 'PROD DATE', type: 'N', length: 6, date: true },
+    '12': { title: 'DUE DATE', type: 'N', length: 6, date: true },
+    '13': { title: 'PACK DATE', type: 'N', length: 6, date: true },
+    '15': { title: 'BEST BEFORE', type: 'N', length: 6, date: true },
+    '16': { title: 'SELL BY', type: 'N', length: 6, date: true },
+    '17': { title: 'USE BY', type: 'N', length: 6, date: true },
+    '20': { title: 'VARIANT', type: 'N', length: 2 },
+    '21': { title: 'SERIAL', type: 'X', max: 20 },
+    '22': { title: 'CPV', type: 'X', max: 20 },
+    '235': { title: 'TPX', type: 'X', max: 28 },
+    '240': { title: 'ADDITIONAL ID', type: 'X', max: 30 },
+    '241': { title: 'CUST. PART No.', type: 'X', max: 30 },
+    '250': { title: 'SECONDARY SERIAL', type: 'X', max: 30 },
+    '254': { title: 'GLN EXTENSION COMPONENT', type: 'X', max: 20 },
+    '30': { title: 'VAR. COUNT', type: 'N', max: 8 },
+    '37': { title: 'COUNT', type: 'N', max: 8 },
+    '400': { title: 'ORDER NUMBER', type: 'X', max: 30 },
+    '410': { title: 'SHIP TO LOC', type: 'N', length: 13, checkDigit: true },
+    '414': { title: 'LOC No.', type: 'N', length: 13, checkDigit: true },
+    '417': { title: 'PARTY', type: 'N', length: 13, checkDigit: true },
+    '422': { title: 'ORIGIN', type: 'N', length: 3 },
+    '7003': { title: 'EXPIRY TIME', type: 'N', length: 10, date: true },
+    '8200': { title: 'PRODUCT URL', type: 'X', max: 70 },
+};
+
+// Measures with an implied decimal point (last AI digit = decimals), six digits each
+const MEASURES = { '310': 'NET WEIGHT (kg)', '311': 'LENGTH (m)', '320': 'NET WEIGHT (lb)', '330': 'GROSS WEIGHT (kg)' };
+for (const [prefix, title] of Object.entries(MEASURES)) {
+    for (let decimals = 0; decimals <= 5; decimals++) {
+        AIS[`${prefix}${decimals}`] = { title, type: 'N', length: 6 };
+    }
+}
+
+// Company internal information
+for (let ai = 90; ai <= 99; ai++) {
+    AIS[String(ai)] = { title: 'INTERNAL', type: 'X', max: ai === 90 ? 30 : 90 };
+}
+
+// Named data fields and the AI each one fills
+const NAMED_FIELDS = {
+    sscc: '00',
+    gtin: '01',
+    batch: '10',
+    lot: '10',
+    productionDate: '11',
+    packagingDate: '13',
+    bestBefore: '15',
+    sellBy: '16',
+    expiry: '17',
+    expiryDate: '17',
+    variant: '20',
+    serial: '21',
+    cpv: '22',
+    gln: '414',
+};
+
+// Digital Link primary keys, with the AIs that may follow them in the path, in path order
+const PRIMARY_KEYS = {
+    '01': ['22', '10', '21'],
+    '00': [],
+    '414': ['254'],
+};
+
+class GS1Encoder {
+    /**
+     * Build a GS1 Digital Link URI or element string
+     *
+     * @param {Object} data
+     * @param {string} data.format - 'digital-link' (default) | 'element-string'
+     * @param {string} data.domain - Resolver for Digital Links (default GS1_RESOLVER_DOMAIN, then https://id.gs1.org)
+     * @param {string} data.gtin - GTIN-8/12/13/14, written as 14 digits
+     * @param {string} data.batch - Batch/lot (also data.lot)
+     * @param {string} data.expiry - Expiry date YYMMDD or YYYY-MM-DD (also bestBefore, productionDate, ...)
+     * @param {string} data.serial - Serial number
+     * @param {Object} data.ais - Any other AIs, e.g. { "3103": "000525" }
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        return this.encodeDetailed(data).content;
+    }
+
+    /**
+     * Build the payload and describe it
+     *
+     * @param {Object} data - See encode()
+     * @returns {Object} - { content, meta: { gs1Format, humanReadable, fnc1 } }; fnc1 only for element strings
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encodeDetailed(data) {
+        const errors = [];
+        const format = String(data.format || 'digital-link').toLowerCase();
+
+        if (!FORMATS.includes(format)) {
+            errors.push({ field: 'data.format', message: `Format must be one of ${FORMATS.join(', ')}` });
+        }
+
+        const elements = this.collectElements(data, errors);
+        if (elements.length === 0 && errors.length === 0) {
+            errors.push({ field: 'data', message: 'At least one Application Identifier is required, e.g. data.gtin' });
+        }
+
+        const ais = elements.map(element => element.ai);
+        if (ais.includes('01') && ais.includes('02')) {
+            errors.push({ field: 'data.ais.02', message: 'AI 02 (CONTENT) cannot be combined with AI 01 (GTIN)' });
+        }
+        for (const qualifier of ['10', '21', '22']) {
+            if (ais.includes(qualifier) && !ais.includes('01') && !ais.includes('02')) {
+                errors.push({ field: this.getField(data, qualifier), message: `AI ${qualifier} (${AIS[qualifier].title}) requires a GTIN` });
+            }
+        }
+
+        let domain = null;
+        if (format === 'digital-link') {
+            if (!Object.keys(PRIMARY_KEYS).some(key => ais.includes(key)) && elements.length > 0) {
+                errors.push({ field: 'data.gtin', message: 'A Digital Link needs a primary key: gtin, sscc or gln' });
+            }
+            domain = this.normalizeDomain(data.domain || data.resolver || process.env.GS1_RESOLVER_DOMAIN || DEFAULT_RESOLVER, errors);
+        }
+
+        EMVCoEncoder.assertValid(errors, 'GS1');
+
+        const humanReadable = elements.map(({ ai, value }) => `(${ai})${value}`).join('');
+
+        if (format === 'element-string') {
+            return {
+                content: this.buildElementString(elements),
+                meta: { gs1Format: format, humanReadable, fnc1: true },
+            };
+        }
+
+        return {
+            content: this.buildDigitalLink(elements, domain),
+            meta: { gs1Format: format, humanReadable },
+        };
+    }
+
+    /**
+     * Read the named fields and data.ais into validated { ai, value } pairs
+     *
+     * @param {Object} data
+     * @param {Array} errors - Collects { field, message }
+     * @returns {Array<Object>}
+     */
+    static collectElements(data, errors) {
+        const elements = [];
+        const seen = new Set();
+
+        const add = (ai, rawValue, field) => {
+            if (!AIS[ai]) {
+                errors.push({ field, message: `Unsupported Application Identifier ${ai}` });
+                return;
+            }
+            if (seen.has(ai)) {
+                errors.push({ field, message: `AI ${ai} (${AIS[ai].title}) is given more than once` });
+                return;
+            }
+            seen.add(ai);
+
+            const value = this.normalizeValue(ai, rawValue);
+            const message = this.validateValue(ai, value);
+            if (message) {
+                errors.push({ field, message });
+            } else {
+                elements.push({ ai, value });
+            }
+        };
+
+        for (const [name, ai] of Object.entries(NAMED_FIELDS)) {
+            if (data[name] !== undefined && data[name] !== null && data[name] !== '') {
+                add(ai, data[name], `data.${name}`);
+            }
+        }
+
+        const extra = data.ais || {};
+        const pairs = Array.isArray(extra)
+            ? extra.map(item => [String(item && item.ai), item && item.value])
+            : Object.entries(extra);
+        for (const [ai, value] of pairs) {
+            add(String(ai).replace(/[()]/g, ''), value, `data.ais.${ai}`);
+        }
+
+        return elements;
+    }
+
+    /**
+     * Bring a value into AI form: GTINs padded to 14 digits, ISO dates to YYMMDD
+     *
+     * @param {string} ai
+     * @param {*} value
+     * @returns {string}
+     */
+    static normalizeValue(ai, value) {
+        let text = String(value).trim();
+        const spec = AIS[ai];
+
+        if (spec.type === 'N') {
+            text = text.replace(/[\s-]/g, '');
+        }
+
+        const isoDate = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/);
+        if (spec.date && isoDate) {
+            text = isoDate[1].slice(2) + isoDate[2] + isoDate[3] + (spec.length === 10 ? `${isoDate[4] || '00'}${isoDate[5] || '00'}` : '');
+        }
+
+        if (ai === '01' && /^(\d{8}|\d{12}|\d{13})$/.test(text)) {
+            text = text.padStart(14, '0');
+        }
+
+        return text;
+    }
+
+    /**
+     * Check a value against its AI format
+     *
+     * @param {string} ai
+     * @param {string} value
+     * @returns {string|null} - Error message, or null when valid
+     */
+    static validateValue(ai, value) {
+        const spec = AIS[ai];
+
+        if (spec.type === 'N' && !/^\d+$/.test(value)) {
+            return `AI ${ai} (${spec.title}) must contain digits only`;
+        }
+        if (spec.type === 'X' && !CSET82_PATTERN.test(value)) {
+            return `AI ${ai} (${spec.title}) contains characters outside the GS1 character set`;
+        }
+        if (spec.length && value.length !== spec.length) {
+            return ai === '01'
+                ? 'GTIN must have 8, 12, 13 or 14 digits'
+                : `AI ${ai} (${spec.title}) must have ${spec.length} digits (got ${value.length})`;
+        }
+        if (spec.max && value.length > spec.max) {
+            return `AI ${ai} (${spec.title}) must be at most ${spec.max} characters (got ${value.length})`;
+        }
+        if (spec.checkDigit) {
+            const expected = this.getCheckDigit(value.slice(0, -1));
+            if (Number(value.slice(-1)) !== expected) {
+                return `Invalid ${spec.title} check digit: expected ${expected}, got ${value.slice(-1)}`;
+            }
+        }
+        if (spec.date && !this.isValidDate(value)) {
+            return `AI ${ai} (${spec.title}) must be a valid date as YYMMDD${spec.length === 10 ? 'HHMM' : ''} or YYYY-MM-DD`;
+        }
+
+        return null;
+    }
+
+    /**
+     * GS1 mod-10 check digit: weights 3 and 1 alternating from the right
+     *
+     * @param {string} digits - Without the check digit
+     * @returns {number}
+     */
+    static getCheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+            sum += Number(digits[i]) * weight;
+        }
+        return (10 - (sum % 10)) % 10;
+    }
+
+    /**
+     * Check YYMMDD (day 00 = "end of month", as GS1 allows) and optional HHMM
+     *
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static isValidDate(value) {
+        const year = 2000 + Number(value.slice(0, 2));
+        const month = Number(value.slice(2, 4));
+        const day = Number(value.slice(4, 6));
+
+        if (month < 1 || month > 12) {
+            return false;
+        }
+        if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) {
+            return false;
+        }
+        if (value.length === 10) {
+            const hours = Number(value.slice(6, 8));
+            const minutes = Number(value.slice(8, 10));
+            return day > 0 && hours < 24 && minutes < 60;
+        }
+
+        return true;
+    }
+
+    /**
+     * Join elements for FNC1 mode: predefined-length AIs first, a GS after
+     * every other value except the last
+     *
+     * @param {Array<Object>} elements
+     * @returns {string}
+     */
+    static buildElementString(elements) {
+        const isPredefined = ({ ai }) => PREDEFINED_LENGTH_PREFIXES.includes(ai.slice(0, 2));
+        const ordered = [...elements.filter(isPredefined), ...elements.filter(element => !isPredefined(element))];
+
+        return ordered.map(({ ai, value }, index) => {
+            const separator = !isPredefined({ ai }) && index < ordered.length - 1 ? GS : '';
+            return `${ai}${value}${separator}`;
+        }).join('');
+    }
+
+    /**
+     * Build the Digital Link URI: primary key and qualifiers as path, the
+     * other AIs as query parameters
+     *
+     * @param {Array<Object>} elements
+     * @param {string} domain - Resolver base URL without trailing slash
+     * @returns {string}
+     */
+    static buildDigitalLink(elements, domain) {
+        const byAi = Object.fromEntries(elements.map(({ ai, value }) => [ai, value]));
+        const primary = Object.keys(PRIMARY_KEYS).find(key => byAi[key] !== undefined);
+        const pathAis = [primary, ...PRIMARY_KEYS[primary].filter(ai => byAi[ai] !== undefined)];
+
+        const path = pathAis.map(ai => `/${ai}/${this.encodeComponent(byAi[ai])}`).join('');
+        const query = elements
+            .filter(({ ai }) => !pathAis.includes(ai))
+            .map(({ ai, value }) => `${ai}=${this.encodeComponent(value)}`)
+            .join('&');
+
+        return `${domain}${path}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Percent-encode a value for a Digital Link (RFC 3986 unreserved characters stay)
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    static encodeComponent(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * Validate a resolver domain and strip the trailing slash
+     *
+     * @param {string} domain - e.g. https://id.example.com or https://example.com/gs1
+     * @param {Array} errors
+     * @returns {string|null}
+     */
+    static normalizeDomain(domain, errors) {
+        const value = String(domain).trim();
+        const withProtocol = /^[a-z]+:\/\//i.test(value) ? value : `https://${value}`;
+
+        try {
+            const url = new URL(withProtocol);
+            if (!['http:', 'https:'].includes(url.protocol) || url.search || url.hash) {
+                throw new Error('Unsupported resolver');
+            }
+            return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+        } catch (error) {
+            errors.push({ field: 'data.domain', message: 'Domain must be an http(s) URL without query or fragment, e.g. https://id.gs1.org' });
+            return null;
+        }
+    }
+
+    /**
+     * Request field an AI came from, for error messages
+     *
+     * @param {Object} data
+     * @param {string} ai
+     * @returns {string}
+     */
+    static getField(data, ai) {
+        const name = Object.keys(NAMED_FIELDS).find(key => NAMED_FIELDS[key] === ai && data[key] !== undefined);
+        return name ? `data.${name}` : `data.ais.${ai}`;
+    }
+}
+
+GS1Encoder.FORMATS = FORMATS;
+GS1Encoder.DEFAULT_RESOLVER = DEFAULT_RESOLVER;
+GS1Encoder.AIS = Object.keys(AIS);
+
+module.exports = GS1Encoder;
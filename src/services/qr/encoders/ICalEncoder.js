@@ -0,0 +1,861 @@
+/**
+ * ICalEncoder - iCalendar (RFC 5545) events and to-dos
+ *
+ * Date-times are written in one of three forms:
+ *
+ *   DTSTART;TZID=Europe/Berlin:20261020T090000   data.timezone set (VTIMEZONE embedded)
+ *   DTSTART:20261020T070000Z                      no timezone, UTC
+ *   DTSTART;VALUE=DATE:20261020                   all-day
+ *
+ * Input strings without an offset ("2026-10-20T09:00") are wall-clock times
+ * in data.timezone, so a weekly 09:00 class stays at 09:00 across DST
+ * changes. Strings with "Z" or an offset are instants and are converted.
+ *
+ * The VTIMEZONE is derived from the runtime's time zone data (Intl): the
+ * offset transitions of the event's year, with a yearly RRULE when the next
+ * year follows the same rule.
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+const COMPONENTS = ['VEVENT', 'VTODO'];
+const FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ATTENDEE_ROLES = ['CHAIR', 'REQ-PARTICIPANT', 'OPT-PARTICIPANT', 'NON-PARTICIPANT'];
+const ALARM_ACTIONS = ['DISPLAY', 'AUDIO'];
+
+const STATUSES = {
+    VEVENT: ['TENTATIVE', 'CONFIRMED', 'CANCELLED'],
+    VTODO: ['NEEDS-ACTION', 'COMPLETED', 'IN-PROCESS', 'CANCELLED'],
+};
+
+// Content lines longer than this are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// 2026-10-20, 20261020, 2026-10-20T09:00, 2026-10-20 09:00:00, 20261020T090000Z, ...+02:00
+const DATE_TIME_PATTERN = /^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const WEEKDAY_RULE_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// Intl formatters per time zone, used to read wall-clock time at an instant
+const wallClockFormatters = new Map();
+
+class ICalEncoder {
+    /**
+     * Build a VCALENDAR with one VEVENT or VTODO
+     *
+     * @param {Object} data
+     * @param {string} data.component - 'event' (default) | 'todo'
+     * @param {string} data.summary - Title
+     * @param {string|Date} data.start - Start (defaults to now for events)
+     * @param {string|Date} data.end - End; the last day (inclusive) for all-day events
+     * @param {string|Date} data.due - Due date of a to-do (falls back to data.end)
+     * @param {number|string} data.duration - Minutes or an ISO 8601 duration (PT1H30M), instead of end
+     * @param {boolean} data.allDay - Date-only event
+     * @param {string} data.timezone - IANA time zone, e.g. Europe/Berlin
+     * @param {Object|string} data.recurrence - { frequency, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, weekStart } or an RRULE string
+     * @param {Array} data.exdates - Occurrences to skip; a date alone skips that day's occurrence
+     * @param {Array} data.attendees - E-mail strings or { email, name, role, rsvp }
+     * @param {Array} data.alarms - Minutes before start, or { minutes, action, description }
+     * @param {string} data.status - Event: TENTATIVE | CONFIRMED | CANCELLED; to-do: NEEDS-ACTION | COMPLETED | IN-PROCESS | CANCELLED
+     * @param {number} data.priority - To-do priority, 1 (highest) - 9
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+
+        const component = this.resolveComponent(data.component || data.kind, errors);
+        const timezone = this.resolveTimezone(data.timezone || data.timeZone || data.tzid, errors);
+        const allDay = Boolean(data.allDay || data.all_day);
+        const context = { timezone, allDay };
+
+        const start = this.parseDateTime(data.start || data.startDate || data.start_date, 'data.start', errors);
+        const end = this.parseDateTime(data.end || data.endDate || data.end_date, 'data.end', errors);
+        const due = component === 'VTODO'
+            ? this.parseDateTime(data.due || data.dueDate || data.end || data.endDate || data.end_date, 'data.due', errors)
+            : null;
+        const duration = this.resolveDuration(data.duration, errors);
+
+        // Events default to starting now, to-dos may have no start at all
+        const effectiveStart = start || (component === 'VEVENT' ? { instant: new Date(), wall: null, dateOnly: false } : null);
+
+        if (component === 'VEVENT' && effectiveStart && end) {
+            const startMs = this.toInstant(effectiveStart, context).getTime();
+            const endMs = this.toInstant(end, context).getTime();
+            if (allDay ? endMs < startMs : endMs <= startMs) {
+                errors.push({ field: 'data.end', message: 'End must be after start' });
+            }
+        }
+
+        if (component === 'VTODO' && duration && !start) {
+            errors.push({ field: 'data.duration', message: 'A to-do duration requires data.start' });
+        }
+
+        const recurrence = data.recurrence || data.rrule || data.repeat;
+        const rrule = recurrence ? this.buildRecurrenceRule(recurrence, context, errors) : null;
+
+        const exdates = [].concat(data.exdates || data.exdate || data.exceptions || [])
+            .map((value, index) => this.parseDateTime(value, `data.exdates[${index}]`, errors))
+            .filter(Boolean);
+        if (exdates.length > 0 && !rrule) {
+            errors.push({ field: 'data.exdates', message: 'Excluded dates require a recurrence rule' });
+        }
+        if (exdates.length > 0 && !effectiveStart) {
+            errors.push({ field: 'data.start', message: 'A recurring to-do requires data.start' });
+        }
+
+        const attendees = this.buildAttendees(data.attendees || [], errors);
+        const alarms = this.buildAlarms(data, errors);
+
+        const status = data.status ? String(data.status).toUpperCase() : '';
+        if (status && !STATUSES[component].includes(status)) {
+            errors.push({ field: 'data.status', message: `Status must be one of ${STATUSES[component].join(', ')}` });
+        }
+
+        const priority = data.priority;
+        if (priority !== undefined && priority !== null && priority !== '' &&
+            !(Number.isInteger(Number(priority)) && Number(priority) >= 0 && Number(priority) <= 9)) {
+            errors.push({ field: 'data.priority', message: 'Priority must be an integer from 0 to 9' });
+        }
+
+        EMVCoEncoder.assertValid(errors, 'iCalendar');
+
+        const lines = [];
+
+        lines.push('BEGIN:VCALENDAR');
+        lines.push('VERSION:2.0');
+        lines.push('PRODID:-//QR Support Backend//EN');
+
+        if (timezone && timezone !== 'UTC' && !allDay) {
+            const year = this.toWall(effectiveStart || { instant: new Date() }, context).year;
+            lines.push(...this.buildTimezone(timezone, year));
+        }
+
+        lines.push(`BEGIN:${component}`);
+
+        // Generate unique ID
+        const uid = data.uid || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}@qr-support`;
+        lines.push(`UID:${uid}`);
+        lines.push(`DTSTAMP:${this.formatUtc(new Date())}`);
+
+        // Summary/Title (required)
+        const summary = data.summary || data.title || data.name || (component === 'VTODO' ? 'To-do' : 'Event');
+        lines.push(`SUMMARY:${this.escapeValue(summary)}`);
+
+        // Description
+        if (data.description || data.details) {
+            lines.push(`DESCRIPTION:${this.escapeValue(data.description || data.details)}`);
+        }
+
+        // Location
+        if (data.location || data.venue) {
+            lines.push(`LOCATION:${this.escapeValue(data.location || data.venue)}`);
+        }
+
+        if (effectiveStart) {
+            lines.push(`DTSTART${this.formatDateTime(effectiveStart, context)}`);
+        }
+
+        if (component === 'VEVENT') {
+            if (end) {
+                lines.push(`DTEND${this.formatDateTime(allDay ? this.addDays(end, 1, context) : end, context)}`);
+            } else if (duration) {
+                lines.push(`DURATION:${duration}`);
+            } else if (allDay) {
+                // DTEND is exclusive: a one-day event ends the next day
+                lines.push(`DTEND${this.formatDateTime(this.addDays(effectiveStart, 1, context), context)}`);
+            }
+        } else if (due) {
+            lines.push(`DUE${this.formatDateTime(due, context)}`);
+        } else if (duration) {
+            lines.push(`DURATION:${duration}`);
+        }
+
+        if (rrule) {
+            lines.push(`RRULE:${rrule}`);
+        }
+
+        if (exdates.length > 0) {
+            const values = exdates.map(value => this.formatDateTime(this.alignToStart(value, effectiveStart, context), context));
+            const params = values[0].slice(0, values[0].indexOf(':'));
+            lines.push(`EXDATE${params}:${values.map(value => value.slice(value.indexOf(':') + 1)).join(',')}`);
+        }
+
+        if (status) {
+            lines.push(`STATUS:${status}`);
+        }
+
+        if (priority !== undefined && priority !== null && priority !== '') {
+            lines.push(`PRIORITY:${Number(priority)}`);
+        }
+
+        // Organizer
+        if (data.organizer || data.organizerEmail) {
+            const email = data.organizerEmail || data.organizer;
+            const name = data.organizerName || '';
+            lines.push(`ORGANIZER${name ? `;CN=${this.quoteParam(name)}` : ''}:mailto:${email}`);
+        }
+
+        lines.push(...attendees);
+
+        // URL
+        if (data.url) {
+            lines.push(`URL:${data.url}`);
+        }
+
+        lines.push(...alarms);
+
+        lines.push(`END:${component}`);
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n');
+    }
+
+    /**
+     * Resolve the component from 'event' | 'todo' (or VEVENT | VTODO)
+     *
+     * @param {string} value
+     * @param {Array} errors
+     * @returns {string} - VEVENT | VTODO
+     */
+    static resolveComponent(value, errors) {
+        if (!value) return 'VEVENT';
+
+        const upper = String(value).toUpperCase();
+        const component = upper.startsWith('V') ? upper : `V${upper}`;
+
+        if (!COMPONENTS.includes(component)) {
+            errors.push({ field: 'data.component', message: 'Component must be event or todo' });
+            return 'VEVENT';
+        }
+        return component;
+    }
+
+    /**
+     * Validate an IANA time zone and normalize its case
+     *
+     * @param {string} value
+     * @param {Array} errors
+     * @returns {string|null} - 'UTC' for UTC and its aliases
+     */
+    static resolveTimezone(value, errors) {
+        if (!value) return null;
+
+        try {
+            const resolved = new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+            // Keep the caller's id (Asia/Kolkata) unless only the case differs; ICU prefers legacy ids
+            return resolved === 'UTC' || resolved.toLowerCase() === String(value).toLowerCase() ? resolved : String(value);
+        } catch (error) {
+            errors.push({ field: 'data.timezone', message: `Unknown time zone "${value}"; use an IANA name such as Europe/Berlin` });
+            return null;
+        }
+    }
+
+    /**
+     * Parse a date input
+     *
+     * @param {string|Date} value
+     * @param {string} field - Field path for errors
+     * @param {Array} errors
+     * @returns {Object|null} - { instant, wall, dateOnly }: instant for absolute input, wall for local input
+     */
+    static parseDateTime(value, field, errors) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? this.invalidDate(field, errors) : { instant: value, wall: null, dateOnly: false };
+        }
+
+        const match = String(value).trim().match(DATE_TIME_PATTERN);
+
+        if (!match) {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? this.invalidDate(field, errors) : { instant: date, wall: null, dateOnly: false };
+        }
+
+        const [, year, month, day, hour, minute, second, offset] = match;
+        const wall = {
+            year: Number(year),
+            month: Number(month),
+            day: Number(day),
+            hour: Number(hour || 0),
+            minute: Number(minute || 0),
+            second: Number(second || 0),
+        };
+
+        const check = new Date(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second));
+        if (check.getUTCMonth() !== wall.month - 1 || check.getUTCDate() !== wall.day || wall.hour > 23 || wall.minute > 59 || wall.second > 59) {
+            return this.invalidDate(field, errors);
+        }
+
+        if (offset) {
+            const offsetMinutes = offset.toUpperCase() === 'Z'
+                ? 0
+                : (offset[0] === '-' ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2)));
+            return { instant: new Date(check.getTime() - offsetMinutes * MINUTE_MS), wall: null, dateOnly: false };
+        }
+
+        return { instant: null, wall, dateOnly: hour === undefined };
+    }
+
+    /**
+     * Record an unparseable date
+     *
+     * @param {string} field
+     * @param {Array} errors
+     * @returns {null}
+     */
+    static invalidDate(field, errors) {
+        errors.push({ field, message: 'Invalid date; use ISO 8601, e.g. 2026-10-20T09:00 or 2026-10-20T09:00:00Z' });
+        return null;
+    }
+
+    /**
+     * Normalize a duration to ISO 8601
+     *
+     * @param {number|string} value - Minutes or an ISO 8601 duration
+     * @param {Array} errors
+     * @returns {string|null}
+     */
+    static resolveDuration(value, errors) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+
+        if (/^P(\d+W|(\d+D)?(T(\d+H)?(\d+M)?(\d+S)?)?)$/i.test(String(value)) && !/^PT?$/i.test(String(value))) {
+            return String(value).toUpperCase();
+        }
+
+        const minutes = Number(value);
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+            errors.push({ field: 'data.duration', message: 'Duration must be a positive number of minutes or an ISO 8601 duration such as PT1H30M' });
+            return null;
+        }
+        return `PT${minutes}M`;
+    }
+
+    /**
+     * Build the RRULE value
+     *
+     * @param {Object|string} recurrence - Rule object or RRULE string ("FREQ=WEEKLY;BYDAY=MO")
+     * @param {Object} context - { timezone, allDay }
+     * @param {Array} errors
+     * @returns {string|null}
+     */
+    static buildRecurrenceRule(recurrence, context, errors) {
+        if (typeof recurrence === 'string') {
+            const rule = recurrence.trim().replace(/^RRULE:/i, '').toUpperCase();
+            const parts = rule.split(';');
+            const frequency = (parts.find(part => part.startsWith('FREQ=')) || '').slice(5);
+
+            if (!FREQUENCIES.includes(frequency) || !parts.every(part => /^[A-Z]+=[A-Z0-9,+\-T]+$/.test(part))) {
+                errors.push({ field: 'data.recurrence', message: 'Must be an RRULE such as FREQ=WEEKLY;BYDAY=MO,WE' });
+                return null;
+            }
+            return rule;
+        }
+
+        const frequency = String(recurrence.frequency || recurrence.freq || '').toUpperCase();
+        const parts = [];
+
+        if (!FREQUENCIES.includes(frequency)) {
+            errors.push({ field: 'data.recurrence.frequency', message: `Frequency must be one of ${FREQUENCIES.map(f => f.toLowerCase()).join(', ')}` });
+            return null;
+        }
+        parts.push(`FREQ=${frequency}`);
+
+        const { count, until, interval } = recurrence;
+
+        if (count !== undefined && until !== undefined) {
+            errors.push({ field: 'data.recurrence.until', message: 'Use either count or until, not both' });
+        } else if (count !== undefined) {
+            if (!this.isIntegerInRange(count, 1, Infinity)) {
+                errors.push({ field: 'data.recurrence.count', message: 'Count must be a positive integer' });
+            }
+            parts.push(`COUNT=${Number(count)}`);
+        } else if (until !== undefined) {
+            const value = this.parseDateTime(until, 'data.recurrence.until', errors);
+            if (value) {
+                parts.push(`UNTIL=${this.formatUntil(value, context)}`);
+            }
+        }
+
+        if (interval !== undefined) {
+            if (!this.isIntegerInRange(interval, 1, Infinity)) {
+                errors.push({ field: 'data.recurrence.interval', message: 'Interval must be a positive integer' });
+            }
+            parts.push(`INTERVAL=${Number(interval)}`);
+        }
+
+        const lists = [
+            ['BYMONTH', recurrence.byMonth, value => this.isIntegerInRange(value, 1, 12), 'Months must be 1-12'],
+            ['BYMONTHDAY', recurrence.byMonthDay, value => this.isIntegerInRange(Math.abs(value), 1, 31), 'Month days must be 1-31 or -31 to -1'],
+            ['BYDAY', recurrence.byDay || recurrence.weekdays, value => WEEKDAY_RULE_PATTERN.test(value), 'Days must be MO-SU, optionally prefixed like 1MO or -1FR'],
+            ['BYSETPOS', recurrence.bySetPos, value => this.isIntegerInRange(Math.abs(value), 1, 366), 'Set positions must be 1-366 or -366 to -1'],
+        ];
+
+        for (const [name, list, isValid, message] of lists) {
+            if (list === undefined || list === null) continue;
+
+            const values = (Array.isArray(list) ? list : String(list).split(','))
+                .map(value => String(value).trim().toUpperCase());
+            if (values.length === 0 || !values.every(isValid)) {
+                errors.push({ field: `data.recurrence.${name.slice(2).toLowerCase()}`, message });
+            }
+            parts.push(`${name}=${values.join(',')}`);
+        }
+
+        if (recurrence.weekStart) {
+            const weekStart = String(recurrence.weekStart).toUpperCase();
+            if (!WEEKDAYS.includes(weekStart)) {
+                errors.push({ field: 'data.recurrence.weekStart', message: 'Week start must be MO-SU' });
+            }
+            parts.push(`WKST=${weekStart}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * Format UNTIL: a date for all-day rules, otherwise UTC (required with TZID start times)
+     * A date alone on a timed rule means the end of that day.
+     *
+     * @param {Object} value - Parsed date
+     * @param {Object} context - { timezone, allDay }
+     * @returns {string}
+     */
+    static formatUntil(value, context) {
+        if (context.allDay) {
+            return this.formatDate(this.toWall(value, context));
+        }
+
+        const endOfDay = value.dateOnly ? { ...value, wall: { ...value.wall, hour: 23, minute: 59, second: 59 } } : value;
+        return this.formatUtc(this.toInstant(endOfDay, context));
+    }
+
+    /**
+     * Build ATTENDEE lines
+     *
+     * @param {Array} attendees - E-mail strings or { email, name, role, rsvp }
+     * @param {Array} errors
+     * @returns {Array<string>}
+     */
+    static buildAttendees(attendees, errors) {
+        if (!Array.isArray(attendees)) {
+            errors.push({ field: 'data.attendees', message: 'Attendees must be an array' });
+            return [];
+        }
+
+        return attendees.map((attendee, index) => {
+            const entry = typeof attendee === 'string' ? { email: attendee } : attendee || {};
+            const email = String(entry.email || '').trim();
+            const role = entry.role ? String(entry.role).toUpperCase() : '';
+
+            if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+                errors.push({ field: `data.attendees[${index}].email`, message: 'Must be an e-mail address' });
+            }
+            if (role && !ATTENDEE_ROLES.includes(role)) {
+                errors.push({ field: `data.attendees[${index}].role`, message: `Role must be one of ${ATTENDEE_ROLES.join(', ')}` });
+            }
+
+            const params = [
+                entry.name ? `;CN=${this.quoteParam(entry.name)}` : '',
+                role ? `;ROLE=${role}` : '',
+                entry.rsvp ? ';RSVP=TRUE' : '',
+            ].join('');
+
+            return `ATTENDEE${params}:mailto:${email}`;
+        });
+    }
+
+    /**
+     * Build VALARM blocks from data.alarms (or the single data.reminder / data.alarm)
+     *
+     * @param {Object} data
+     * @param {Array} errors
+     * @returns {Array<string>}
+     */
+    static buildAlarms(data, errors) {
+        const alarms = data.alarms || data.reminders || [data.reminder || data.alarm].filter(Boolean);
+        const lines = [];
+
+        if (!Array.isArray(alarms)) {
+            errors.push({ field: 'data.alarms', message: 'Alarms must be an array' });
+            return lines;
+        }
+
+        alarms.forEach((alarm, index) => {
+            const entry = typeof alarm === 'object' ? alarm : { minutes: alarm === true ? undefined : alarm };
+            const minutes = Number(entry.minutes ?? entry.before ?? 15);
+            const action = String(entry.action || 'DISPLAY').toUpperCase();
+
+            if (!Number.isInteger(minutes) || minutes < 0) {
+                errors.push({ field: `data.alarms[${index}].minutes`, message: 'Minutes before must be a non-negative integer' });
+            }
+            if (!ALARM_ACTIONS.includes(action)) {
+                errors.push({ field: `data.alarms[${index}].action`, message: 'Action must be DISPLAY or AUDIO' });
+            }
+
+            lines.push('BEGIN:VALARM');
+            lines.push(`ACTION:${action}`);
+            lines.push(`TRIGGER:-PT${minutes}M`);
+            if (action === 'DISPLAY') {
+                lines.push(`DESCRIPTION:${this.escapeValue(entry.description || 'Reminder')}`);
+            }
+            lines.push('END:VALARM');
+        });
+
+        return lines;
+    }
+
+    /**
+     * Build a VTIMEZONE from the zone's offset transitions in a year
+     *
+     * @param {string} timezone - IANA time zone
+     * @param {number} year
+     * @returns {Array<string>}
+     */
+    static buildTimezone(timezone, year) {
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+        const transitions = this.getTransitions(timezone, year);
+
+        if (transitions.length === 0) {
+            const offset = this.formatOffset(this.getOffset(timezone, Date.UTC(year, 0, 1)));
+            lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+        } else {
+            // Repeat yearly only when next year's transitions follow the same weekday rule
+            const next = this.getTransitions(timezone, year + 1);
+            const rules = transitions.map(transition => this.getYearlyRule(transition.local));
+            const repeats = next.length === transitions.length &&
+                next.every((transition, index) => this.getYearlyRule(transition.local) === rules[index]);
+
+            transitions.forEach((transition, index) => {
+                const type = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+                lines.push(`BEGIN:${type}`);
+                lines.push(`DTSTART:${this.formatLocal(transition.local)}`);
+                lines.push(`TZOFFSETFROM:${this.formatOffset(transition.from)}`);
+                lines.push(`TZOFFSETTO:${this.formatOffset(transition.to)}`);
+                if (repeats) {
+                    lines.push(`RRULE:${rules[index]}`);
+                }
+                lines.push(`END:${type}`);
+            });
+        }
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * Find the UTC offset changes of a zone within a year
+     *
+     * @param {string} timezone
+     * @param {number} year
+     * @returns {Array<Object>} - { from, to, local }: offsets in minutes, local wall time before the change
+     */
+    static getTransitions(timezone, year) {
+        const transitions = [];
+        const end = Date.UTC(year + 1, 0, 1);
+        let time = Date.UTC(year, 0, 1);
+        let offset = this.getOffset(timezone, time);
+
+        while (time < end) {
+            const next = Math.min(time + DAY_MS, end);
+            const nextOffset = this.getOffset(timezone, next);
+
+            if (nextOffset !== offset) {
+                // Narrow the change down to the minute
+                let low = time;
+                let high = next;
+                while (high - low > MINUTE_MS) {
+                    const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+                    if (this.getOffset(timezone, middle) === offset) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+                transitions.push({
+                    from: offset,
+                    to: nextOffset,
+                    local: this.getWallClock(new Date(high + offset * MINUTE_MS), 'UTC'),
+                });
+                offset = nextOffset;
+            }
+            time = next;
+        }
+
+        return transitions;
+    }
+
+    /**
+     * Yearly rule of a transition date, e.g. FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU
+     *
+     * @param {Object} wall - Local date of the transition
+     * @returns {string}
+     */
+    static getYearlyRule(wall) {
+        const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day));
+        const daysInMonth = new Date(Date.UTC(wall.year, wall.month, 0)).getUTCDate();
+        const week = wall.day + 7 > daysInMonth ? -1 : Math.ceil(wall.day / 7);
+        return `FREQ=YEARLY;BYMONTH=${wall.month};BYDAY=${week}${WEEKDAYS[date.getUTCDay()]}`;
+    }
+
+    /**
+     * UTC offset of a zone at an instant
+     *
+     * @param {string} timezone
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {number} - Minutes east of UTC
+     */
+    static getOffset(timezone, time) {
+        const wall = this.getWallClock(new Date(time), timezone);
+        const wallTime = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+        return Math.round((wallTime - Math.floor(time / 1000) * 1000) / MINUTE_MS);
+    }
+
+    /**
+     * Wall-clock time of an instant in a zone
+     *
+     * @param {Date} date
+     * @param {string} timezone
+     * @returns {Object} - { year, month, day, hour, minute, second }
+     */
+    static getWallClock(date, timezone) {
+        if (!wallClockFormatters.has(timezone)) {
+            wallClockFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+            }));
+        }
+
+        const parts = {};
+        for (const { type, value } of wallClockFormatters.get(timezone).formatToParts(date)) {
+            parts[type] = Number(value);
+        }
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second,
+        };
+    }
+
+    /**
+     * Wall-clock time of a parsed date in the output zone
+     *
+     * @param {Object} value - Parsed date
+     * @param {Object} context - { timezone }
+     * @returns {Object}
+     */
+    static toWall(value, context) {
+        return value.wall || this.getWallClock(value.instant, context.timezone || 'UTC');
+    }
+
+    /**
+     * Instant of a parsed date; local input is read in the output zone
+     * (without one, in the server's zone, as Date parsing always did)
+     *
+     * @param {Object} value - Parsed date
+     * @param {Object} context - { timezone }
+     * @returns {Date}
+     */
+    static toInstant(value, context) {
+        if (value.instant) {
+            return value.instant;
+        }
+
+        const { year, month, day, hour, minute, second } = value.wall;
+
+        if (!context.timezone) {
+            return value.dateOnly
+                ? new Date(Date.UTC(year, month - 1, day))
+                : new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        // Two passes settle the offset around DST changes
+        const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+        let time = guess - this.getOffset(context.timezone, guess) * MINUTE_MS;
+        time = guess - this.getOffset(context.timezone, time) * MINUTE_MS;
+        return new Date(time);
+    }
+
+    /**
+     * Shift a parsed date by whole days (all-day end dates are exclusive)
+     *
+     * @param {Object} value - Parsed date
+     * @param {number} days
+     * @param {Object} context
+     * @returns {Object}
+     */
+    static addDays(value, days, context) {
+        const wall = this.toWall(value, context);
+        const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day + days));
+        return {
+            instant: null,
+            wall: { ...wall, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() },
+            dateOnly: true,
+        };
+    }
+
+    /**
+     * Give a date-only exclusion the start's time of day, so "2026-12-24" skips that day's occurrence
+     *
+     * @param {Object} value - Parsed exclusion
+     * @param {Object} start - Parsed start
+     * @param {Object} context
+     * @returns {Object}
+     */
+    static alignToStart(value, start, context) {
+        if (!value.dateOnly || context.allDay || !start) {
+            return value;
+        }
+
+        const time = this.toWall(start, context);
+        return {
+            instant: null,
+            wall: { ...value.wall, hour: time.hour, minute: time.minute, second: time.second },
+            dateOnly: false,
+        };
+    }
+
+    /**
+     * Format a date property value including its parameters
+     *
+     * @param {Object} value - Parsed date
+     * @param {Object} context - { timezone, allDay }
+     * @returns {string} - e.g. ";TZID=Europe/Berlin:20261020T090000"
+     */
+    static formatDateTime(value, context) {
+        if (context.allDay) {
+            return `;VALUE=DATE:${this.formatDate(this.toWall(value, context))}`;
+        }
+
+        if (context.timezone && context.timezone !== 'UTC') {
+            return `;TZID=${context.timezone}:${this.formatLocal(this.toWall(value, context))}`;
+        }
+
+        return `:${this.formatUtc(this.toInstant(value, context))}`;
+    }
+
+    /**
+     * @param {Object} wall
+     * @returns {string} - YYYYMMDD
+     */
+    static formatDate(wall) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${wall.year}${pad(wall.month)}${pad(wall.day)}`;
+    }
+
+    /**
+     * @param {Object} wall
+     * @returns {string} - YYYYMMDDTHHMMSS
+     */
+    static formatLocal(wall) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${this.formatDate(wall)}T${pad(wall.hour)}${pad(wall.minute)}${pad(wall.second)}`;
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} - YYYYMMDDTHHMMSSZ
+     */
+    static formatUtc(date) {
+        return `${this.formatLocal(this.getWallClock(date, 'UTC'))}Z`;
+    }
+
+    /**
+     * @param {number} minutes - Minutes east of UTC
+     * @returns {string} - e.g. +0530
+     */
+    static formatOffset(minutes) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const absolute = Math.abs(minutes);
+        return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+    }
+
+    /**
+     * Escape special characters in text values
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    static escapeValue(value) {
+        if (!value) return '';
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Quote a parameter value (CN=...) when it contains : ; or ,
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    static quoteParam(value) {
+        const text = String(value).replace(/"/g, "'");
+        return /[:;,]/.test(text) ? `"${text}"` : text;
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting UTF-8 characters
+     *
+     * @param {string} line
+     * @returns {string}
+     */
+    static foldLine(line) {
+        if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+            return line;
+        }
+
+        const chunks = [];
+        let chunk = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = Buffer.byteLength(char, 'utf8');
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                chunks.push(chunk);
+                chunk = '';
+                octets = 0;
+            }
+            chunk += char;
+            octets += size;
+        }
+        chunks.push(chunk);
+
+        return chunks.join('\r\n ');
+    }
+
+    /**
+     * @param {*} value
+     * @param {number} min
+     * @param {number} max
+     * @returns {boolean}
+     */
+    static isIntegerInRange(value, min, max) {
+        const number = Number(value);
+        return Number.isInteger(number) && number >= min && number <= max;
+    }
+}
+
+module.exports = ICalEncoder;
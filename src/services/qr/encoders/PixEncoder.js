@@ -0,0 +1,163 @@
+/**
+ * PixEncoder - BR Code payloads for PIX (Banco Central do Brasil)
+ *
+ * Static PIX carries the key (chave) in the merchant account template;
+ * dynamic PIX carries the location URL of a charge (cobrança) created at
+ * the payer's PSP instead, and is always single use.
+ *
+ *   00 Payload format indicator "01"
+ *   01 Point of initiation "12" (single use / dynamic), omitted for reusable codes
+ *   26 Merchant account: 00 GUI "br.gov.bcb.pix", 01 key | 25 url, 02 description
+ *   52 MCC "0000", 53 currency "986" (BRL), 54 amount, 58 country "BR"
+ *   59 merchant name (25), 60 merchant city (15), 61 postal code (CEP)
+ *   62 Additional data: 05 txid ("***" when none)
+ *   63 CRC16
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+
+const GUI = 'br.gov.bcb.pix';
+
+// Key formats accepted by the DICT directory
+const KEY_PATTERNS = {
+    cpf: /^\d{11}$/,
+    cnpj: /^\d{14}$/,
+    phone: /^\+55\d{10,11}$/,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    evp: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+const MAX_LENGTHS = {
+    key: 77,
+    url: 77,
+    merchantAccount: 99,
+    name: 25,
+    city: 15,
+    txid: 25,
+};
+
+class PixEncoder {
+    /**
+     * Build a BR Code payload
+     *
+     * @param {Object} data
+     * @param {string} data.key - PIX key: CPF, CNPJ, +55 phone, e-mail or random key (static)
+     * @param {string} data.url - Charge location from the PSP, without https:// (dynamic)
+     * @param {string} data.name - Merchant name (max 25)
+     * @param {string} data.city - Merchant city (max 15)
+     * @param {number} data.amount - Amount in BRL (optional for static)
+     * @param {string} data.txid - Transaction id, letters and digits (max 25, static only)
+     * @param {string} data.description - Message shown to the payer (static only)
+     * @param {string} data.postalCode - CEP
+     * @param {boolean} data.singleUse - Mark a static code as single use
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+
+        const key = this.normalizeKey(data.key || data.pixKey || data.chave || '');
+        const url = String(data.url || data.location || '').replace(/^https?:\/\//i, '');
+        const name = EMVCoEncoder.toAscii(data.name || data.merchantName || data.nome || '').trim();
+        const city = EMVCoEncoder.toAscii(data.city || data.merchantCity || data.cidade || '').trim();
+        const amount = data.amount ?? data.valor;
+        const txid = String(data.txid || data.transactionId || data.reference || '').trim();
+        const description = EMVCoEncoder.toAscii(data.description || data.descricao || '').trim();
+        const postalCode = String(data.postalCode || data.cep || '').replace(/\D/g, '');
+        const dynamic = Boolean(url);
+
+        if (key && url) {
+            errors.push({ field: 'data.url', message: 'Use either key (static PIX) or url (dynamic PIX), not both' });
+        } else if (!key && !url) {
+            errors.push({ field: 'data.key', message: 'Required (or data.url for dynamic PIX)' });
+        }
+
+        if (key) {
+            EMVCoEncoder.checkField(errors, 'data.key', key, { max: MAX_LENGTHS.key });
+            if (!this.getKeyType(key)) {
+                errors.push({ field: 'data.key', message: 'Must be a CPF, CNPJ, +55 phone number, e-mail or random (EVP) key' });
+            }
+        }
+
+        EMVCoEncoder.checkField(errors, 'data.url', url, { max: MAX_LENGTHS.url });
+        EMVCoEncoder.checkField(errors, 'data.name', name, { required: true, max: MAX_LENGTHS.name });
+        EMVCoEncoder.checkField(errors, 'data.city', city, { required: true, max: MAX_LENGTHS.city });
+        EMVCoEncoder.checkField(errors, 'data.description', description);
+        EMVCoEncoder.checkAmount(errors, 'data.amount', amount);
+
+        if (dynamic && txid) {
+            errors.push({ field: 'data.txid', message: 'Dynamic PIX takes the txid from the charge at data.url' });
+        } else {
+            EMVCoEncoder.checkField(errors, 'data.txid', txid, {
+                max: MAX_LENGTHS.txid,
+                pattern: /^[A-Za-z0-9]+$/,
+                patternMessage: 'Only letters and digits are allowed',
+            });
+        }
+
+        if (postalCode && postalCode.length !== 8) {
+            errors.push({ field: 'data.postalCode', message: 'CEP must have 8 digits' });
+        }
+
+        const merchantAccount = [
+            ['00', GUI],
+            ['01', key],
+            ['25', url],
+            ['02', dynamic ? '' : description],
+        ];
+        const merchantAccountLength = merchantAccount
+            .filter(([, value]) => value)
+            .reduce((length, [, value]) => length + 4 + value.length, 0);
+        if (merchantAccountLength > MAX_LENGTHS.merchantAccount) {
+            errors.push({
+                field: description ? 'data.description' : 'data.key',
+                message: `Key and description together must fit ${MAX_LENGTHS.merchantAccount} characters (got ${merchantAccountLength})`,
+            });
+        }
+
+        EMVCoEncoder.assertValid(errors, 'PIX');
+
+        return EMVCoEncoder.build([
+            ['00', '01'],
+            ['01', dynamic || data.singleUse ? '12' : ''],
+            ['26', merchantAccount],
+            ['52', '0000'],
+            ['53', '986'],
+            ['54', amount ? EMVCoEncoder.formatAmount(amount) : ''],
+            ['58', 'BR'],
+            ['59', name],
+            ['60', city],
+            ['61', postalCode],
+            ['62', [['05', dynamic ? '***' : txid || '***']]],
+        ]);
+    }
+
+    /**
+     * Strip formatting from CPF/CNPJ/phone keys ("123.456.789-09" -> "12345678909")
+     *
+     * @param {string} key
+     * @returns {string}
+     */
+    static normalizeKey(key) {
+        const trimmed = String(key).trim();
+
+        if (/^[\d.\-/\s]+$/.test(trimmed)) {
+            return trimmed.replace(/\D/g, '');
+        }
+        if (/^\+[\d\s()-]+$/.test(trimmed)) {
+            return trimmed.replace(/[^\d+]/g, '');
+        }
+        return trimmed.includes('@') ? trimmed.toLowerCase() : trimmed;
+    }
+
+    /**
+     * Detect the key type
+     *
+     * @param {string} key - Normalized key
+     * @returns {string|null} - cpf | cnpj | phone | email | evp
+     */
+    static getKeyType(key) {
+        return Object.keys(KEY_PATTERNS).find(type => KEY_PATTERNS[type].test(key)) || null;
+    }
+}
+
+module.exports = PixEncoder;
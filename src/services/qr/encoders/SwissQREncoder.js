@@ -0,0 +1,280 @@
+/**
+ * SwissQREncoder - Swiss QR-bill payloads (Swiss Payment Standards, "SPC")
+ *
+ * The payload is a fixed sequence of lines:
+ *
+ *   SPC / 0200 / 1              header: QR type, version, coding (UTF-8)
+ *   IBAN                        CH or LI account (QR-IBAN for QR references)
+ *   S, name, street, no, postcode, town, country      creditor (structured address)
+ *   7 empty lines               ultimate creditor (reserved)
+ *   amount, CHF|EUR
+ *   S, name, ... country        ultimate debtor (7 empty lines when absent)
+ *   QRR|SCOR|NON, reference
+ *   unstructured message
+ *   EPD                         trailer
+ *   billing information         optional (//S1/...)
+ *   alternative schemes         optional, up to 2
+ *
+ * The printed code must be 46 x 46 mm with the Swiss cross (7 x 7 mm) in
+ * the center, at error correction level M.
+ */
+const EMVCoEncoder = require('./EMVCoEncoder');
+const EPCEncoder = require('./EPCEncoder');
+
+const MAX_PAYLOAD_LENGTH = 997;
+const ERROR_CORRECTION = 'M';
+const CURRENCIES = ['CHF', 'EUR'];
+const REFERENCE_TYPES = ['QRR', 'SCOR', 'NON'];
+
+// Symbol size (without quiet zone) and Swiss cross size mandated for print
+const SYMBOL_SIZE_MM = 46;
+const CROSS_SIZE_MM = 7;
+
+// Permitted characters: Basic Latin, Latin-1 Supplement, Latin Extended-A, Ș ș Ț ț and €
+const CHARACTER_PATTERN = /^[\x20-\x7E\u00A0-\u017F\u0218-\u021B\u20AC]*$/;
+
+// QR-IBANs use an institution id (IID, IBAN positions 5-9) of 30000-31999
+const QR_IID_MIN = 30000;
+const QR_IID_MAX = 31999;
+
+// Table of the recursive mod-10 check digit algorithm
+const MOD10_TABLE = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+
+const ADDRESS_LIMITS = {
+    name: 70,
+    street: 70,
+    buildingNumber: 16,
+    postalCode: 16,
+    town: 35,
+};
+
+class SwissQREncoder {
+    /**
+     * Build a QR-bill payload
+     *
+     * @param {Object} data
+     * @param {string} data.iban - CH/LI IBAN or QR-IBAN
+     * @param {Object} data.creditor - { name, street, buildingNumber, postalCode, town, country }
+     * @param {number} data.amount - Optional amount
+     * @param {string} data.currency - CHF (default) or EUR
+     * @param {Object} data.debtor - Optional ultimate debtor, same fields as creditor
+     * @param {string} data.reference - QR reference (27 digits) or creditor reference (RF...)
+     * @param {string} data.referenceType - QRR | SCOR | NON (derived from the reference when omitted)
+     * @param {string} data.message - Unstructured message
+     * @param {string} data.billingInformation - Structured billing information (//S1/...)
+     * @param {Array<string>} data.alternativeSchemes - Up to 2 alternative procedure lines
+     * @returns {string}
+     * @throws {Error} INVALID_DATA with field errors
+     */
+    static encode(data) {
+        const errors = [];
+
+        const iban = String(data.iban || data.account || '').replace(/\s/g, '').toUpperCase();
+        const currency = String(data.currency || 'CHF').toUpperCase();
+        const amount = data.amount;
+        const reference = String(data.reference || '').replace(/\s/g, '').toUpperCase();
+        const referenceType = String(data.referenceType || this.detectReferenceType(reference)).toUpperCase();
+        const message = String(data.message || data.unstructuredMessage || '').trim();
+        const billingInformation = String(data.billingInformation || '').trim();
+        const alternativeSchemes = data.alternativeSchemes || [];
+
+        const isQrIban = this.isQrIban(iban);
+
+        if (!iban) {
+            errors.push({ field: 'data.iban', message: 'Required' });
+        } else if (!/^(CH|LI)\d{19}$/.test(iban) || !EPCEncoder.isValidIban(iban)) {
+            errors.push({ field: 'data.iban', message: 'Must be a valid Swiss or Liechtenstein IBAN (CH/LI, 21 characters)' });
+        }
+
+        const creditor = this.buildAddress(data.creditor, 'data.creditor', errors, true);
+        const debtor = this.buildAddress(data.debtor, 'data.debtor', errors, false);
+
+        if (amount !== undefined && amount !== null && amount !== '') {
+            const value = Number(amount);
+            if (!Number.isFinite(value) || value < 0.01 || value > 999999999.99) {
+                errors.push({ field: 'data.amount', message: 'Amount must be between 0.01 and 999999999.99' });
+            }
+        }
+
+        if (!CURRENCIES.includes(currency)) {
+            errors.push({ field: 'data.currency', message: 'Currency must be CHF or EUR' });
+        }
+
+        if (!REFERENCE_TYPES.includes(referenceType)) {
+            errors.push({ field: 'data.referenceType', message: 'Reference type must be QRR, SCOR or NON' });
+        } else if (referenceType === 'QRR') {
+            if (iban && !isQrIban) {
+                errors.push({ field: 'data.reference', message: 'A QR reference requires a QR-IBAN' });
+            }
+            if (!this.isValidQrReference(reference)) {
+                errors.push({ field: 'data.reference', message: 'QR reference must be 27 digits with a valid mod-10 check digit' });
+            }
+        } else {
+            if (isQrIban) {
+                errors.push({ field: 'data.referenceType', message: 'A QR-IBAN requires a QR reference (QRR)' });
+            }
+            if (referenceType === 'SCOR' && !(reference.length <= 25 && EPCEncoder.isValidCreditorReference(reference))) {
+                errors.push({ field: 'data.reference', message: 'Must be an ISO 11649 creditor reference (RF..), max 25 characters' });
+            }
+            if (referenceType === 'NON' && reference) {
+                errors.push({ field: 'data.reference', message: 'Reference type NON takes no reference' });
+            }
+        }
+
+        this.checkText(errors, 'data.message', message);
+        this.checkText(errors, 'data.billingInformation', billingInformation);
+        if (message.length + billingInformation.length > 140) {
+            errors.push({ field: 'data.message', message: 'Message and billing information together must be at most 140 characters' });
+        }
+
+        if (!Array.isArray(alternativeSchemes) || alternativeSchemes.length > 2) {
+            errors.push({ field: 'data.alternativeSchemes', message: 'At most 2 alternative schemes are allowed' });
+        } else {
+            alternativeSchemes.forEach((scheme, index) => {
+                if (String(scheme).length > 100) {
+                    errors.push({ field: `data.alternativeSchemes[${index}]`, message: 'Must be at most 100 characters' });
+                }
+            });
+        }
+
+        EMVCoEncoder.assertValid(errors, 'Swiss QR-bill');
+
+        const lines = [
+            'SPC',
+            '0200',
+            '1',
+            iban,
+            ...creditor,
+            '', '', '', '', '', '', '',
+            amount ? Number(amount).toFixed(2) : '',
+            currency,
+            ...debtor,
+            referenceType,
+            referenceType === 'NON' ? '' : reference,
+            message,
+            'EPD',
+        ];
+
+        if (billingInformation || alternativeSchemes.length > 0) {
+            lines.push(billingInformation, ...alternativeSchemes.map(String));
+        }
+
+        const payload = lines.join('\n');
+        if (payload.length > MAX_PAYLOAD_LENGTH) {
+            EMVCoEncoder.assertValid([{
+                field: 'data',
+                message: `Payload is ${payload.length} characters; the QR-bill allows at most ${MAX_PAYLOAD_LENGTH}`,
+            }], 'Swiss QR-bill');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Validate a structured address and return its 7 payload lines
+     *
+     * @param {Object} address - { name, street, buildingNumber, postalCode, town, country }
+     * @param {string} field - Field path for errors
+     * @param {Array} errors
+     * @param {boolean} required
+     * @returns {Array<string>} - 7 lines (all empty when the address is absent)
+     */
+    static buildAddress(address, field, errors, required) {
+        if (!address || Object.keys(address).length === 0) {
+            if (required) {
+                errors.push({ field, message: 'Required' });
+            }
+            return ['', '', '', '', '', '', ''];
+        }
+
+        const values = {
+            name: String(address.name || '').trim(),
+            street: String(address.street || '').trim(),
+            buildingNumber: String(address.buildingNumber || address.houseNumber || '').trim(),
+            postalCode: String(address.postalCode || address.zip || '').trim(),
+            town: String(address.town || address.city || '').trim(),
+        };
+        const country = String(address.country || '').trim().toUpperCase();
+
+        for (const [key, value] of Object.entries(values)) {
+            if (!value && ['name', 'postalCode', 'town'].includes(key)) {
+                errors.push({ field: `${field}.${key}`, message: 'Required' });
+            } else if (value.length > ADDRESS_LIMITS[key]) {
+                errors.push({ field: `${field}.${key}`, message: `Must be at most ${ADDRESS_LIMITS[key]} characters` });
+            } else {
+                this.checkText(errors, `${field}.${key}`, value);
+            }
+        }
+
+        if (!/^[A-Z]{2}$/.test(country)) {
+            errors.push({ field: `${field}.country`, message: 'Country must be an ISO 3166-1 alpha-2 code' });
+        }
+
+        return ['S', values.name, values.street, values.buildingNumber, values.postalCode, values.town, country];
+    }
+
+    /**
+     * Check a value against the permitted character set
+     *
+     * @param {Array} errors
+     * @param {string} field
+     * @param {string} value
+     */
+    static checkText(errors, field, value) {
+        if (!CHARACTER_PATTERN.test(value)) {
+            errors.push({ field, message: 'Contains characters outside the permitted Latin character set' });
+        }
+    }
+
+    /**
+     * Derive the reference type from the reference itself
+     *
+     * @param {string} reference
+     * @returns {string} - QRR | SCOR | NON
+     */
+    static detectReferenceType(reference) {
+        if (!reference) return 'NON';
+        return reference.startsWith('RF') ? 'SCOR' : 'QRR';
+    }
+
+    /**
+     * Check whether an IBAN is a QR-IBAN
+     *
+     * @param {string} iban
+     * @returns {boolean}
+     */
+    static isQrIban(iban) {
+        const iid = parseInt(iban.slice(4, 9), 10);
+        return /^(CH|LI)/.test(iban) && iid >= QR_IID_MIN && iid <= QR_IID_MAX;
+    }
+
+    /**
+     * Validate a 27-digit QR reference
+     *
+     * @param {string} reference
+     * @returns {boolean}
+     */
+    static isValidQrReference(reference) {
+        return /^\d{27}$/.test(reference) && this.mod10Recursive(reference.slice(0, 26)) === Number(reference[26]);
+    }
+
+    /**
+     * Check digit of the recursive mod-10 algorithm (also used for ESR/ISR)
+     *
+     * @param {string} digits
+     * @returns {number}
+     */
+    static mod10Recursive(digits) {
+        let carry = 0;
+        for (const digit of digits) {
+            carry = MOD10_TABLE[(carry + Number(digit)) % 10];
+        }
+        return (10 - carry) % 10;
+    }
+}
+
+SwissQREncoder.ERROR_CORRECTION = ERROR_CORRECTION;
+SwissQREncoder.SYMBOL_SIZE_MM = SYMBOL_SIZE_MM;
+SwissQREncoder.CROSS_SIZE_MM = CROSS_SIZE_MM;
+
+module.exports = SwissQREncoder;
@@ -0,0 +1,91 @@
+/**
+ * CSSColor - Parses the CSS colors found in generator SVG
+ *
+ * Hex (#RGB, #RGBA, #RRGGBB, #RRGGBBAA), rgb()/rgba() with numbers or
+ * percentages and the basic named colors the API accepts. The exporters,
+ * ColorProcessor and the cache key canonicalization use it instead of the
+ * color package, which is an ES module since v5 and cannot be loaded with
+ * require() on every supported Node version.
+ */
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    green: [0, 128, 0],
+    lime: [0, 255, 0],
+    blue: [0, 0, 255],
+    yellow: [255, 255, 0],
+    cyan: [0, 255, 255],
+    aqua: [0, 255, 255],
+    magenta: [255, 0, 255],
+    fuchsia: [255, 0, 255],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+    silver: [192, 192, 192],
+    maroon: [128, 0, 0],
+    olive: [128, 128, 0],
+    navy: [0, 0, 128],
+    purple: [128, 0, 128],
+    teal: [0, 128, 128],
+    orange: [255, 165, 0],
+};
+
+class CSSColor {
+    /**
+     * @param {string} value
+     * @returns {Object} - { rgb: [r, g, b] in 0-255, alpha: 0-1 }
+     * @throws {Error} INVALID_COLOR when the value is not a supported color
+     */
+    static parse(value) {
+        const text = String(value || '').trim().toLowerCase();
+
+        if (text === 'transparent') {
+            return { rgb: [0, 0, 0], alpha: 0 };
+        }
+        if (NAMED_COLORS[text]) {
+            return { rgb: [...NAMED_COLORS[text]], alpha: 1 };
+        }
+
+        const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length <= 4) {
+                digits = digits.split('').map(digit => digit + digit).join('');
+            }
+            const bytes = digits.match(/../g).map(byte => parseInt(byte, 16));
+            return { rgb: bytes.slice(0, 3), alpha: bytes.length === 4 ? bytes[3] / 255 : 1 };
+        }
+
+        const functional = text.match(/^rgba?\(([^)]*)\)$/);
+        if (functional) {
+            const parts = functional[1].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+            if (parts.length === 3 || parts.length === 4) {
+                const rgb = parts.slice(0, 3).map(part => this.parseChannel(part, 255));
+                const alpha = parts.length === 4 ? this.parseChannel(parts[3], 1) : 1;
+                if (rgb.every(Number.isFinite) && Number.isFinite(alpha)) {
+                    return { rgb, alpha };
+                }
+            }
+        }
+
+        const error = new Error(`Invalid color: ${value}`);
+        error.code = 'INVALID_COLOR';
+        error.status = 400;
+        throw error;
+    }
+
+    /**
+     * @param {string} part - Number or percentage
+     * @param {number} max - Value of 100%
+     * @returns {number} - Clamped to 0-max, NaN when unparseable
+     */
+    static parseChannel(part, max) {
+        if (!/^-?\d*\.?\d+%?$/.test(part)) return NaN;
+
+        const number = part.endsWith('%') ? parseFloat(part) / 100 * max : parseFloat(part);
+        return Math.min(max, Math.max(0, number));
+    }
+}
+
+module.exports = CSSColor;
@@ -0,0 +1,737 @@
+/**
+ * PostScriptRenderer - Renders generator SVG as Encapsulated PostScript
+ *
+ * Supports the SVG subset the generator produces: paths and basic shapes,
+ * groups and transforms, solid colors, linear/radial gradients (as
+ * PostScript Level 3 shadings), strokes, text with the standard 14 fonts
+ * and embedded raster images.
+ *
+ * PostScript has no transparency: partially transparent colors are
+ * blended against white, and filters (drop shadows) are skipped.
+ */
+const sharp = require('sharp');
+const CSSColor = require('./CSSColor');
+const SVGParser = require('./SVGParser');
+const logger = require('../../../utils/logger');
+
+// Elements that never paint directly
+const NON_RENDERING = [
+    'defs', 'clipPath', 'mask', 'pattern', 'marker', 'symbol', 'filter',
+    'linearGradient', 'radialGradient', 'style', 'title', 'desc', 'metadata',
+];
+
+// Resolution embedded images are resampled to (at their printed size)
+const IMAGE_DPI = 300;
+
+class PostScriptRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} options.colorSpace - 'cmyk' | 'rgb' (default cmyk)
+     * @param {Function} options.rgbToCmyk - ([r, g, b]) => [c, m, y, k] in 0-100
+     */
+    constructor(options = {}) {
+        this.colorSpace = options.colorSpace || 'cmyk';
+        this.rgbToCmyk = options.rgbToCmyk;
+        this.fonts = new Set();
+        this.definitions = new Map();
+        this.viewport = { width: 0, height: 0 };
+        this.scale = 1;
+    }
+
+    /**
+     * Render an SVG document into an EPS file
+     *
+     * @param {string} svg
+     * @param {Object} layout - From PrintLayout.compute()
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.bleedColor - Color painted over the bleed box
+     * @returns {Promise<string>}
+     */
+    async render(svg, layout, options = {}) {
+        const root = SVGParser.parse(svg);
+        this.definitions = SVGParser.indexById(root);
+
+        const viewBox = this.getViewBox(root);
+        this.viewport = { width: viewBox[2], height: viewBox[3] };
+
+        const { trim } = layout;
+        this.scale = Math.min(trim.width / viewBox[2], trim.height / viewBox[3]);
+        const offsetX = trim.x + (trim.width - viewBox[2] * this.scale) / 2;
+        const offsetY = trim.y + (trim.height - viewBox[3] * this.scale) / 2;
+
+        const body = [];
+
+        if (options.bleedColor && layout.bleed > 0) {
+            const box = layout.bleedBox;
+            body.push('gsave', this.setColor(options.bleedColor, 1));
+            body.push(`${this.num(box.x)} ${this.num(box.y)} ${this.num(box.width)} ${this.num(box.height)} rectfill`);
+            body.push('grestore');
+        }
+
+        // Artwork, clipped to the trim box like an SVG viewport
+        body.push('gsave');
+        body.push(`${this.num(trim.x)} ${this.num(trim.y)} ${this.num(trim.width)} ${this.num(trim.height)} rectclip`);
+        body.push(`[${this.scale} 0 0 ${this.scale} ${this.num(offsetX)} ${this.num(offsetY)}] concat`);
+        body.push(`${this.num(-viewBox[0])} ${this.num(-viewBox[1])} translate`);
+        await this.renderChildren(root, this.getInitialStyle(), body);
+        body.push('grestore');
+
+        if (layout.cropMarks.length) {
+            body.push('gsave');
+            body.push(this.colorSpace === 'cmyk' ? '1 1 1 1 setcmykcolor' : '0 setgray');
+            body.push(`${layout.markWidth} setlinewidth 0 setlinecap newpath`);
+            for (const [x1, y1, x2, y2] of layout.cropMarks) {
+                body.push(`${this.num(x1)} ${this.num(y1)} moveto ${this.num(x2)} ${this.num(y2)} lineto`);
+            }
+            body.push('stroke grestore');
+        }
+
+        return this.wrap(body, layout, options);
+    }
+
+    /**
+     * Wrap the page body with the EPS header, prolog and trailer
+     *
+     * @param {Array<string>} body
+     * @param {Object} layout
+     * @param {Object} options
+     * @returns {string}
+     */
+    wrap(body, layout, options) {
+        const width = layout.pageWidth;
+        const height = layout.pageHeight;
+        const title = String(options.title || 'QR Code').replace(/[\r\n]/g, ' ');
+
+        const prolog = [
+            '/reencodeISO { % newname basename',
+            '  findfont dup length dict begin',
+            '  { 1 index /FID ne { def } { pop pop } ifelse } forall',
+            '  /Encoding ISOLatin1Encoding def currentdict end definefont pop',
+            '} bind def',
+        ];
+        for (const font of this.fonts) {
+            prolog.push(`/${font}-ISO /${font} reencodeISO`);
+        }
+
+        return [
+            '%!PS-Adobe-3.0 EPSF-3.0',
+            `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+            `%%HiResBoundingBox: 0 0 ${this.num(width)} ${this.num(height)}`,
+            `%%Title: ${title}`,
+            '%%Creator: QR Support Backend',
+            `%%CreationDate: ${new Date().toISOString()}`,
+            '%%LanguageLevel: 3',
+            '%%DocumentData: Clean7Bit',
+            '%%Pages: 1',
+            '%%EndComments',
+            '%%BeginProlog',
+            ...prolog,
+            '%%EndProlog',
+            '%%Page: 1 1',
+            'save',
+            // Top-left origin with y pointing down, like SVG
+            `[1 0 0 -1 0 ${this.num(height)}] concat`,
+            ...body,
+            'restore',
+            'showpage',
+            '%%Trailer',
+            '%%EOF',
+            '',
+        ].join('\n');
+    }
+
+    /**
+     * Render all children of an element
+     *
+     * @param {Object} element
+     * @param {Object} style - Inherited style
+     * @param {Array<string>} out
+     */
+    async renderChildren(element, style, out) {
+        for (const child of element.children) {
+            await this.renderElement(child, style, out);
+        }
+    }
+
+    /**
+     * Render a single element
+     *
+     * @param {Object} element
+     * @param {Object} parentStyle
+     * @param {Array<string>} out
+     */
+    async renderElement(element, parentStyle, out) {
+        if (NON_RENDERING.includes(element.name)) return;
+
+        const style = this.inheritStyle(parentStyle, element.attrs);
+        if (style.display === 'none' || style.visibility === 'hidden' || style.opacity <= 0) return;
+
+        if (element.attrs.filter) {
+            logger.debug(`EPS export: filter ${element.attrs.filter} skipped`);
+        }
+
+        const transform = element.attrs.transform;
+        if (transform) {
+            const matrix = SVGParser.parseTransform(transform).map(value => this.num(value));
+            out.push('gsave', `[${matrix.join(' ')}] concat`);
+        }
+
+        switch (element.name) {
+            case 'svg':
+            case 'g':
+            case 'a':
+                await this.renderChildren(element, style, out);
+                break;
+            case 'text':
+                this.renderText(element, style, out);
+                break;
+            case 'image':
+                await this.renderImage(element, out);
+                break;
+            case 'use': {
+                const href = element.attrs.href || element.attrs['xlink:href'] || '';
+                const target = this.definitions.get(href.replace(/^#/, ''));
+                if (target) {
+                    out.push('gsave', `${this.num(parseFloat(element.attrs.x) || 0)} ${this.num(parseFloat(element.attrs.y) || 0)} translate`);
+                    await this.renderElement(target, style, out);
+                    out.push('grestore');
+                }
+                break;
+            }
+            default: {
+                const segments = SVGParser.shapeToPath(element);
+                if (segments) {
+                    this.paintPath(segments, style, out);
+                }
+            }
+        }
+
+        if (transform) {
+            out.push('grestore');
+        }
+    }
+
+    /**
+     * Fill and stroke a path
+     *
+     * @param {Array<Array>} segments
+     * @param {Object} style
+     * @param {Array<string>} out
+     */
+    paintPath(segments, style, out) {
+        if (!segments.length) return;
+
+        const path = this.pathToPostScript(segments);
+        const evenOdd = style['fill-rule'] === 'evenodd';
+
+        if (style.fill && style.fill !== 'none') {
+            const gradientId = this.getReferenceId(style.fill);
+
+            if (gradientId) {
+                const gradient = this.definitions.get(gradientId);
+                if (gradient && (gradient.name === 'linearGradient' || gradient.name === 'radialGradient')) {
+                    out.push('gsave', path, evenOdd ? 'eoclip' : 'clip');
+                    out.push(...this.gradientToShading(gradient, SVGParser.getBounds(segments), style));
+                    out.push('grestore');
+                }
+            } else {
+                const opacity = style.opacity * style['fill-opacity'];
+                const color = this.setColor(style.fill, opacity);
+                if (color) {
+                    out.push('gsave', color, path, evenOdd ? 'eofill' : 'fill', 'grestore');
+                }
+            }
+        }
+
+        const strokeWidth = parseFloat(style['stroke-width']);
+        if (style.stroke && style.stroke !== 'none' && strokeWidth > 0 && !this.getReferenceId(style.stroke)) {
+            const color = this.setColor(style.stroke, style.opacity * style['stroke-opacity']);
+            if (color) {
+                const caps = { butt: 0, round: 1, square: 2 };
+                const joins = { miter: 0, round: 1, bevel: 2 };
+                const dashes = SVGParser.parseNumbers(style['stroke-dasharray'] === 'none' ? '' : style['stroke-dasharray']);
+
+                out.push(
+                    'gsave',
+                    color,
+                    `${this.num(strokeWidth)} setlinewidth`,
+                    `${caps[style['stroke-linecap']] || 0} setlinecap`,
+                    `${joins[style['stroke-linejoin']] || 0} setlinejoin`,
+                    `[${dashes.map(value => this.num(value)).join(' ')}] 0 setdash`,
+                    path,
+                    'stroke',
+                    'grestore'
+                );
+            }
+        }
+    }
+
+    /**
+     * Convert normalized path segments to PostScript path construction
+     *
+     * @param {Array<Array>} segments
+     * @returns {string}
+     */
+    pathToPostScript(segments) {
+        const ops = ['newpath'];
+
+        for (const segment of segments) {
+            const args = segment.slice(1).map(value => this.num(value)).join(' ');
+
+            switch (segment[0]) {
+                case 'M': ops.push(`${args} moveto`); break;
+                case 'L': ops.push(`${args} lineto`); break;
+                case 'C': ops.push(`${args} curveto`); break;
+                case 'Z': ops.push('closepath'); break;
+            }
+        }
+
+        return ops.join(' ');
+    }
+
+    /**
+     * Build a Level 3 shading for an SVG gradient (current path is the clip)
+     *
+     * @param {Object} gradient - linearGradient / radialGradient element
+     * @param {Object} bounds - Bounding box of the filled path
+     * @param {Object} style
+     * @returns {Array<string>}
+     */
+    gradientToShading(gradient, bounds, style) {
+        const a = gradient.attrs;
+        const userSpace = a.gradientUnits === 'userSpaceOnUse';
+        const ops = [];
+
+        // Coordinates are fractions of the bounding box, or user units
+        const coordinate = (value, fallback, axis) => {
+            if (value === undefined) value = fallback;
+            const text = String(value).trim();
+            const number = parseFloat(text);
+            if (text.endsWith('%')) {
+                const fraction = number / 100;
+                if (!userSpace) return fraction;
+                return fraction * (axis === 'x' ? this.viewport.width : axis === 'y' ? this.viewport.height
+                    : Math.hypot(this.viewport.width, this.viewport.height) / Math.SQRT2);
+            }
+            return number;
+        };
+
+        if (!userSpace) {
+            if (!bounds || bounds.width === 0 || bounds.height === 0) return [];
+            ops.push(`[${this.num(bounds.width)} 0 0 ${this.num(bounds.height)} ${this.num(bounds.x)} ${this.num(bounds.y)}] concat`);
+        }
+
+        if (a.gradientTransform) {
+            const matrix = SVGParser.parseTransform(a.gradientTransform).map(value => this.num(value));
+            ops.push(`[${matrix.join(' ')}] concat`);
+        }
+
+        let coords;
+        let shadingType;
+
+        if (gradient.name === 'linearGradient') {
+            shadingType = 2;
+            coords = [
+                coordinate(a.x1, '0%', 'x'), coordinate(a.y1, '0%', 'y'),
+                coordinate(a.x2, '100%', 'x'), coordinate(a.y2, '0%', 'y'),
+            ];
+        } else {
+            shadingType = 3;
+            const cx = coordinate(a.cx, '50%', 'x');
+            const cy = coordinate(a.cy, '50%', 'y');
+            coords = [
+                coordinate(a.fx, a.cx !== undefined ? a.cx : '50%', 'x'),
+                coordinate(a.fy, a.cy !== undefined ? a.cy : '50%', 'y'),
+                0,
+                cx, cy,
+                coordinate(a.r, '50%', 'r'),
+            ];
+        }
+
+        const stops = this.getGradientStops(gradient, style.opacity * style['fill-opacity']);
+        if (!stops.length) return [];
+
+        ops.push(
+            '<<',
+            `/ShadingType ${shadingType}`,
+            `/ColorSpace /${this.colorSpace === 'cmyk' ? 'DeviceCMYK' : 'DeviceRGB'}`,
+            `/Coords [${coords.map(value => this.num(value)).join(' ')}]`,
+            `/Function ${this.stopsToFunction(stops)}`,
+            '/Extend [true true]',
+            '>> shfill'
+        );
+
+        return ops;
+    }
+
+    /**
+     * Read gradient stops as color component arrays (0-1)
+     *
+     * @param {Object} gradient
+     * @param {number} opacity
+     * @returns {Array<Object>} - [{ offset, components }]
+     */
+    getGradientStops(gradient, opacity) {
+        let stopElements = gradient.children.filter(child => child.name === 'stop');
+
+        // Stops may be inherited from a referenced gradient
+        const href = gradient.attrs.href || gradient.attrs['xlink:href'];
+        if (!stopElements.length && href) {
+            const referenced = this.definitions.get(href.replace(/^#/, ''));
+            if (referenced) stopElements = referenced.children.filter(child => child.name === 'stop');
+        }
+
+        let previous = 0;
+        const stops = stopElements.map(stop => {
+            const attrs = stop.attrs;
+            const rawOffset = String(attrs.offset || '0');
+            let offset = rawOffset.endsWith('%') ? parseFloat(rawOffset) / 100 : parseFloat(rawOffset);
+            offset = Math.max(previous, Math.min(1, Number.isFinite(offset) ? offset : 0));
+            previous = offset;
+
+            const stopOpacity = attrs['stop-opacity'] !== undefined ? parseFloat(attrs['stop-opacity']) : 1;
+            const rgb = this.parseColor(attrs['stop-color'] || '#000000', opacity * stopOpacity);
+
+            return { offset, components: rgb ? this.toComponents(rgb) : this.toComponents([0, 0, 0]) };
+        });
+
+        if (!stops.length) return [];
+
+        // Pad so the function covers the whole 0-1 domain
+        if (stops[0].offset > 0) stops.unshift({ offset: 0, components: stops[0].components });
+        if (stops[stops.length - 1].offset < 1) stops.push({ offset: 1, components: stops[stops.length - 1].components });
+
+        return stops;
+    }
+
+    /**
+     * Build a PostScript function dictionary interpolating the stops
+     *
+     * @param {Array<Object>} stops
+     * @returns {string}
+     */
+    stopsToFunction(stops) {
+        const interpolation = (from, to) =>
+            `<< /FunctionType 2 /Domain [0 1] /C0 [${from.components.join(' ')}] /C1 [${to.components.join(' ')}] /N 1 >>`;
+
+        if (stops.length === 1) {
+            return interpolation(stops[0], stops[0]);
+        }
+        if (stops.length === 2) {
+            return interpolation(stops[0], stops[1]);
+        }
+
+        const functions = [];
+        const bounds = [];
+        const encode = [];
+
+        for (let i = 0; i < stops.length - 1; i++) {
+            functions.push(interpolation(stops[i], stops[i + 1]));
+            encode.push('0 1');
+            if (i > 0) bounds.push(this.num(stops[i].offset));
+        }
+
+        return `<< /FunctionType 3 /Domain [0 1] /Functions [${functions.join(' ')}] /Bounds [${bounds.join(' ')}] /Encode [${encode.join(' ')}] >>`;
+    }
+
+    /**
+     * Render a text element with a standard font
+     *
+     * @param {Object} element
+     * @param {Object} style
+     * @param {Array<string>} out
+     */
+    renderText(element, style, out) {
+        const content = [element.text, ...element.children.map(child => child.text)]
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!content || !style.fill || style.fill === 'none') return;
+
+        const color = this.setColor(style.fill, style.opacity * style['fill-opacity']);
+        if (!color) return;
+
+        const x = (parseFloat(element.attrs.x) || 0) + (parseFloat(element.attrs.dx) || 0);
+        const y = (parseFloat(element.attrs.y) || 0) + (parseFloat(element.attrs.dy) || 0);
+        const size = parseFloat(style['font-size']) || 16;
+        const font = this.getFont(style);
+        const anchor = { middle: '-0.5', end: '-1' }[style['text-anchor']];
+
+        out.push(
+            'gsave',
+            color,
+            `/${font}-ISO findfont ${this.num(size)} scalefont setfont`,
+            `${this.num(x)} ${this.num(y)} translate 1 -1 scale 0 0 moveto`,
+            anchor
+                ? `${this.escapeString(content)} dup stringwidth pop ${anchor} mul 0 rmoveto show`
+                : `${this.escapeString(content)} show`,
+            'grestore'
+        );
+    }
+
+    /**
+     * Pick the standard PostScript font closest to the CSS font settings
+     *
+     * @param {Object} style
+     * @returns {string}
+     */
+    getFont(style) {
+        const family = String(style['font-family'] || '').toLowerCase();
+        const bold = ['bold', 'bolder', '600', '700', '800', '900'].includes(String(style['font-weight']).toLowerCase());
+        const italic = ['italic', 'oblique'].includes(String(style['font-style']).toLowerCase());
+
+        let font;
+        if (/mono|courier/.test(family)) {
+            font = 'Courier' + (bold || italic ? '-' + (bold ? 'Bold' : '') + (italic ? 'Oblique' : '') : '');
+        } else if (/times|georgia|serif/.test(family) && !/sans/.test(family)) {
+            font = bold ? (italic ? 'Times-BoldItalic' : 'Times-Bold') : (italic ? 'Times-Italic' : 'Times-Roman');
+        } else {
+            font = 'Helvetica' + (bold || italic ? '-' + (bold ? 'Bold' : '') + (italic ? 'Oblique' : '') : '');
+        }
+
+        this.fonts.add(font);
+        return font;
+    }
+
+    /**
+     * Render an embedded (data URI) raster image
+     *
+     * @param {Object} element
+     * @param {Array<string>} out
+     */
+    async renderImage(element, out) {
+        const href = element.attrs.href || element.attrs['xlink:href'] || '';
+        const match = href.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+        if (!match) {
+            logger.debug('EPS export: only data URI images are embedded');
+            return;
+        }
+
+        const x = parseFloat(element.attrs.x) || 0;
+        const y = parseFloat(element.attrs.y) || 0;
+        const width = parseFloat(element.attrs.width) || 0;
+        const height = parseFloat(element.attrs.height) || 0;
+        if (width <= 0 || height <= 0) return;
+
+        try {
+            const source = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+            const metadata = await sharp(source).metadata();
+
+            // Fit inside the box (preserveAspectRatio xMidYMid meet)
+            const ratio = Math.min(width / metadata.width, height / metadata.height);
+            const drawWidth = metadata.width * ratio;
+            const drawHeight = metadata.height * ratio;
+            const drawX = x + (width - drawWidth) / 2;
+            const drawY = y + (height - drawHeight) / 2;
+
+            const pixelWidth = Math.max(1, Math.round(drawWidth * this.scale / 72 * IMAGE_DPI));
+            const pixelHeight = Math.max(1, Math.round(drawHeight * this.scale / 72 * IMAGE_DPI));
+
+            const { data, info } = await sharp(source, { density: 300 })
+                .resize(pixelWidth, pixelHeight, { fit: 'fill' })
+                .flatten({ background: { r: 255, g: 255, b: 255 } })
+                .removeAlpha()
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            const cmyk = this.colorSpace === 'cmyk';
+            const bytes = [];
+            for (let i = 0; i < data.length; i += info.channels) {
+                const rgb = [data[i], data[i + 1], data[i + 2]];
+                if (cmyk) {
+                    bytes.push(...this.rgbToCmyk(rgb).map(value => Math.round(value * 2.55)));
+                } else {
+                    bytes.push(...rgb);
+                }
+            }
+
+            const hex = Buffer.from(bytes).toString('hex').toUpperCase().match(/.{1,78}/g).join('\n');
+
+            out.push(
+                'gsave',
+                `${this.num(drawX)} ${this.num(drawY)} translate ${this.num(drawWidth)} ${this.num(drawHeight)} scale`,
+                `/${cmyk ? 'DeviceCMYK' : 'DeviceRGB'} setcolorspace`,
+                `<< /ImageType 1 /Width ${info.width} /Height ${info.height} /BitsPerComponent 8`,
+                `/Decode [${(cmyk ? '0 1 0 1 0 1 0 1' : '0 1 0 1 0 1')}]`,
+                `/ImageMatrix [${info.width} 0 0 ${info.height} 0 0]`,
+                '/DataSource currentfile /ASCIIHexDecode filter >> image',
+                hex + '>',
+                'grestore'
+            );
+        } catch (error) {
+            logger.warn(`EPS export: image skipped: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compute the style of an element from its parent's and its own attributes
+     *
+     * @param {Object} parent
+     * @param {Object} attrs
+     * @returns {Object}
+     */
+    inheritStyle(parent, attrs) {
+        const style = { ...parent };
+        const inherited = [
+            'fill', 'fill-rule', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+            'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'font-family', 'font-size',
+            'font-weight', 'font-style', 'text-anchor', 'visibility',
+        ];
+
+        for (const property of inherited) {
+            if (attrs[property] !== undefined && attrs[property] !== 'inherit') {
+                style[property] = ['fill-opacity', 'stroke-opacity'].includes(property)
+                    ? parseFloat(attrs[property])
+                    : attrs[property];
+            }
+        }
+
+        // Not inherited in SVG, but group opacity multiplies down the tree
+        if (attrs.opacity !== undefined) {
+            style.opacity = parent.opacity * parseFloat(attrs.opacity);
+        }
+        style.display = attrs.display;
+
+        return style;
+    }
+
+    /**
+     * Initial SVG style values
+     *
+     * @returns {Object}
+     */
+    getInitialStyle() {
+        return {
+            'fill': '#000000',
+            'fill-rule': 'nonzero',
+            'fill-opacity': 1,
+            'stroke': 'none',
+            'stroke-width': '1',
+            'stroke-opacity': 1,
+            'stroke-linecap': 'butt',
+            'stroke-linejoin': 'miter',
+            'stroke-dasharray': 'none',
+            'font-family': 'sans-serif',
+            'font-size': '16',
+            'font-weight': 'normal',
+            'font-style': 'normal',
+            'text-anchor': 'start',
+            'visibility': 'visible',
+            'opacity': 1,
+        };
+    }
+
+    /**
+     * Get the [x, y, width, height] viewBox of the root element
+     *
+     * @param {Object} root
+     * @returns {Array<number>}
+     */
+    getViewBox(root) {
+        const viewBox = SVGParser.parseNumbers(root.attrs.viewBox);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            return viewBox;
+        }
+        return [0, 0, parseFloat(root.attrs.width) || 512, parseFloat(root.attrs.height) || 512];
+    }
+
+    /**
+     * Extract the id from a url(#id) paint reference
+     *
+     * @param {string} paint
+     * @returns {string|null}
+     */
+    getReferenceId(paint) {
+        const match = String(paint || '').match(/^url\(\s*['"]?#([^'")]+)['"]?\s*\)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Parse a CSS color, blending partial transparency against white
+     *
+     * @param {string} value
+     * @param {number} opacity
+     * @returns {Array<number>|null} - [r, g, b] in 0-255, or null when invisible
+     */
+    parseColor(value, opacity = 1) {
+        if (!value || value === 'none' || value === 'transparent') return null;
+
+        try {
+            const color = CSSColor.parse(value === 'currentColor' ? '#000000' : value);
+            const alpha = color.alpha * (Number.isFinite(opacity) ? opacity : 1);
+            if (alpha <= 0) return null;
+
+            return color.rgb.map(channel => channel * alpha + 255 * (1 - alpha));
+        } catch (error) {
+            logger.debug(`EPS export: unsupported color ${value}`);
+            return [0, 0, 0];
+        }
+    }
+
+    /**
+     * Convert [r, g, b] (0-255) to color components (0-1) in the output color space
+     *
+     * @param {Array<number>} rgb
+     * @returns {Array<string>}
+     */
+    toComponents(rgb) {
+        const components = this.colorSpace === 'cmyk'
+            ? this.rgbToCmyk(rgb).map(value => value / 100)
+            : rgb.map(value => value / 255);
+
+        return components.map(value => this.num(value, 4));
+    }
+
+    /**
+     * PostScript operator setting a fill/stroke color
+     *
+     * @param {string} value - CSS color
+     * @param {number} opacity
+     * @returns {string|null}
+     */
+    setColor(value, opacity = 1) {
+        const rgb = this.parseColor(value, opacity);
+        if (!rgb) return null;
+
+        const components = this.toComponents(rgb).join(' ');
+        return this.colorSpace === 'cmyk' ? `${components} setcmykcolor` : `${components} setrgbcolor`;
+    }
+
+    /**
+     * Encode a string as a PostScript string literal (ISO Latin-1)
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeString(text) {
+        let result = '(';
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (char === '(' || char === ')' || char === '\\') {
+                result += '\\' + char;
+            } else if (code >= 32 && code < 127) {
+                result += char;
+            } else if (code >= 160 && code <= 255) {
+                result += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                result += '?';
+            }
+        }
+        return result + ')';
+    }
+
+    /**
+     * Format a number compactly (no exponent notation)
+     *
+     * @param {number} value
+     * @param {number} precision
+     * @returns {string}
+     */
+    num(value, precision = 3) {
+        const rounded = Number(Number(value).toFixed(precision));
+        return Object.is(rounded, -0) || !Number.isFinite(rounded) ? '0' : String(rounded);
+    }
+}
+
+module.exports = PostScriptRenderer;
@@ -0,0 +1,112 @@
+/**
+ * PrintLayout - Page geometry for print exports (PDF / EPS)
+ *
+ * All values are in PostScript points (1/72 in) with the origin at the
+ * top-left corner of the page:
+ *
+ *   page ─┬─ slug (room for crop marks, only when cropMarks is on)
+ *         ├─ bleed box (artwork background extends to here)
+ *         └─ trim box (final cut size = requested physical size)
+ */
+
+const UNIT_TO_PT = {
+    pt: 1,
+    mm: 72 / 25.4,
+    cm: 72 / 2.54,
+    in: 72,
+};
+
+// Crop marks: gap between the bleed edge and the mark, and mark length (pt)
+const CROP_MARK_OFFSET = 3;
+const CROP_MARK_LENGTH = 12;
+const CROP_MARK_WIDTH = 0.25;
+
+// CSS reference pixel, used when no physical size is requested
+const PX_TO_PT = 72 / 96;
+
+class PrintLayout {
+    /**
+     * Compute the page layout for an SVG of the given size
+     *
+     * @param {number} svgWidth - SVG width in px
+     * @param {number} svgHeight - SVG height in px
+     * @param {Object} print
+     * @param {number} print.width - Trim width in `unit` (default: SVG size at 96 DPI)
+     * @param {number} print.height - Trim height in `unit` (default: keeps the SVG aspect ratio)
+     * @param {string} print.unit - mm | cm | in | pt (default mm)
+     * @param {number} print.bleed - Bleed on each side in `unit` (default 0)
+     * @param {boolean} print.cropMarks - Draw crop marks outside the bleed (default false)
+     * @returns {Object} - { pageWidth, pageHeight, trim, bleedBox, bleed, cropMarks, markWidth }
+     */
+    static compute(svgWidth, svgHeight, print = {}) {
+        const unit = print.unit || 'mm';
+        const toPt = UNIT_TO_PT[unit] || UNIT_TO_PT.mm;
+
+        const trimWidth = print.width ? print.width * toPt : svgWidth * PX_TO_PT;
+        const trimHeight = print.height ? print.height * toPt : trimWidth * svgHeight / svgWidth;
+        const bleed = Math.max(0, (print.bleed || 0) * toPt);
+        const cropMarks = print.cropMarks === true;
+
+        const slug = bleed + (cropMarks ? CROP_MARK_OFFSET + CROP_MARK_LENGTH : 0);
+
+        const trim = { x: slug, y: slug, width: trimWidth, height: trimHeight };
+        const bleedBox = {
+            x: slug - bleed,
+            y: slug - bleed,
+            width: trimWidth + 2 * bleed,
+            height: trimHeight + 2 * bleed,
+        };
+
+        return {
+            pageWidth: trimWidth + 2 * slug,
+            pageHeight: trimHeight + 2 * slug,
+            trim,
+            bleedBox,
+            bleed,
+            cropMarks: cropMarks ? this.getCropMarks(trim, bleed) : [],
+            markWidth: CROP_MARK_WIDTH,
+        };
+    }
+
+    /**
+     * Crop mark lines at the four trim corners, kept outside the bleed
+     *
+     * @param {Object} trim
+     * @param {number} bleed
+     * @returns {Array<Array<number>>} - [x1, y1, x2, y2] per line
+     */
+    static getCropMarks(trim, bleed) {
+        const start = bleed + CROP_MARK_OFFSET;
+        const end = start + CROP_MARK_LENGTH;
+        const left = trim.x;
+        const right = trim.x + trim.width;
+        const top = trim.y;
+        const bottom = trim.y + trim.height;
+
+        return [
+            // Top-left
+            [left - end, top, left - start, top],
+            [left, top - end, left, top - start],
+            // Top-right
+            [right + start, top, right + end, top],
+            [right, top - end, right, top - start],
+            // Bottom-left
+            [left - end, bottom, left - start, bottom],
+            [left, bottom + start, left, bottom + end],
+            // Bottom-right
+            [right + start, bottom, right + end, bottom],
+            [right, bottom + start, right, bottom + end],
+        ];
+    }
+
+    /**
+     * Supported physical units
+     *
+     * @returns {string[]}
+     */
+    static getSupportedUnits() {
+        return Object.keys(UNIT_TO_PT);
+    }
+}
+
+module.exports = PrintLayout;
@@ -0,0 +1,524 @@
+/**
+ * SVGParser - Minimal SVG reader for the vector exporters
+ *
+ * Parses the SVG produced by SVGBuilder (and the processors feeding it)
+ * into a plain element tree, and provides the geometry helpers the
+ * PostScript renderer needs: transforms and path data normalized to
+ * absolute moveto/lineto/curveto/closepath commands.
+ *
+ * This is not a general XML parser: it handles elements, attributes,
+ * text, comments, CDATA and the XML declaration, which covers everything
+ * the generator emits.
+ */
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+class SVGParser {
+    /**
+     * Parse an SVG document into an element tree
+     *
+     * @param {string} svg
+     * @returns {Object} - Root element { name, attrs, children, text }
+     */
+    static parse(svg) {
+        const root = { name: '#document', attrs: {}, children: [], text: '' };
+        const stack = [root];
+        const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:-]+)\s*>|<([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+        let match;
+        while ((match = pattern.exec(svg)) !== null) {
+            const current = stack[stack.length - 1];
+            const [, cdata, closingName, openingName, attrString, selfClosing, text] = match;
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (closingName) {
+                if (stack.length > 1) stack.pop();
+            } else if (openingName) {
+                const element = {
+                    name: openingName,
+                    attrs: this.parseAttributes(attrString || ''),
+                    children: [],
+                    text: '',
+                };
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            } else if (text !== undefined) {
+                current.text += this.decodeEntities(text);
+            }
+        }
+
+        return root.children.find(child => child.name === 'svg') || root;
+    }
+
+    /**
+     * Parse an attribute string into an object
+     *
+     * @param {string} attrString
+     * @returns {Object}
+     */
+    static parseAttributes(attrString) {
+        const attrs = {};
+        const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+        let match;
+        while ((match = pattern.exec(attrString)) !== null) {
+            attrs[match[1]] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        }
+
+        // Inline style declarations override presentation attributes
+        if (attrs.style) {
+            for (const declaration of attrs.style.split(';')) {
+                const [property, ...value] = declaration.split(':');
+                if (property && value.length) {
+                    attrs[property.trim()] = value.join(':').trim();
+                }
+            }
+        }
+
+        return attrs;
+    }
+
+    /**
+     * Decode XML entities
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(value);
+            }
+            return ENTITIES[code] !== undefined ? ENTITIES[code] : entity;
+        });
+    }
+
+    /**
+     * Collect elements with an id attribute
+     *
+     * @param {Object} root
+     * @returns {Map<string, Object>}
+     */
+    static indexById(root) {
+        const index = new Map();
+        const visit = (element) => {
+            if (element.attrs.id) index.set(element.attrs.id, element);
+            element.children.forEach(visit);
+        };
+        visit(root);
+        return index;
+    }
+
+    /**
+     * Parse a transform attribute into a 2D affine matrix [a, b, c, d, e, f]
+     *
+     * @param {string} transform
+     * @returns {Array<number>}
+     */
+    static parseTransform(transform) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        if (!transform) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+        let match;
+        while ((match = pattern.exec(transform)) !== null) {
+            const args = this.parseNumbers(match[2]);
+            let next;
+
+            switch (match[1]) {
+                case 'matrix':
+                    next = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale': {
+                    const sx = args[0] !== undefined ? args[0] : 1;
+                    const sy = args[1] !== undefined ? args[1] : sx;
+                    next = [sx, 0, 0, sy, 0, 0];
+                    break;
+                }
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    next = [cos, sin, -sin, cos, 0, 0];
+                    if (args.length === 3) {
+                        const [, cx, cy] = args;
+                        next = this.multiply(this.multiply([1, 0, 0, 1, cx, cy], next), [1, 0, 0, 1, -cx, -cy]);
+                    }
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = this.multiply(matrix, next);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Multiply two affine matrices (m1 applied after m2)
+     *
+     * @param {Array<number>} m1
+     * @param {Array<number>} m2
+     * @returns {Array<number>}
+     */
+    static multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+        ];
+    }
+
+    /**
+     * Parse a list of numbers (comma and/or whitespace separated)
+     *
+     * @param {string} text
+     * @returns {Array<number>}
+     */
+    static parseNumbers(text) {
+        return (String(text || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+    }
+
+    /**
+     * Normalize path data to absolute M, L, C and Z commands
+     *
+     * H/V become L, S/Q/T become C and elliptical arcs are approximated
+     * with cubic Béziers (at most 90° per segment).
+     *
+     * @param {string} d - SVG path data
+     * @returns {Array<Array>} - e.g. [['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y], ['Z']]
+     */
+    static parsePath(d) {
+        const tokens = String(d || '').match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+        const segments = [];
+        const argCounts = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+        let index = 0;
+        let command = null;
+        let x = 0, y = 0;
+        let startX = 0, startY = 0;
+        let lastControl = null;      // Last cubic control point (for S)
+        let lastQuadControl = null;  // Last quadratic control point (for T)
+
+        const read = (count) => {
+            const values = tokens.slice(index, index + count).map(Number);
+            index += count;
+            return values;
+        };
+
+        while (index < tokens.length) {
+            if (/[a-z]/i.test(tokens[index])) {
+                command = tokens[index++];
+            } else if (!command) {
+                break;
+            }
+
+            const upper = command.toUpperCase();
+            const relative = command !== upper;
+            const count = argCounts[upper];
+
+            if (count === undefined) break;
+
+            if (upper === 'Z') {
+                segments.push(['Z']);
+                x = startX;
+                y = startY;
+                lastControl = lastQuadControl = null;
+                continue;
+            }
+
+            if (index + count > tokens.length) break;
+            const args = read(count);
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+
+            switch (upper) {
+                case 'M':
+                    x = args[0] + ox;
+                    y = args[1] + oy;
+                    startX = x;
+                    startY = y;
+                    segments.push(['M', x, y]);
+                    // Subsequent pairs are implicit lineto commands
+                    command = relative ? 'l' : 'L';
+                    lastControl = lastQuadControl = null;
+                    break;
+
+                case 'L':
+                case 'H':
+                case 'V':
+                    if (upper === 'L') {
+                        x = args[0] + ox;
+                        y = args[1] + oy;
+                    } else if (upper === 'H') {
+                        x = args[0] + ox;
+                    } else {
+                        y = args[0] + oy;
+                    }
+                    segments.push(['L', x, y]);
+                    lastControl = lastQuadControl = null;
+                    break;
+
+                case 'C':
+                case 'S': {
+                    let x1, y1;
+                    let rest = args;
+                    if (upper === 'C') {
+                        x1 = args[0] + ox;
+                        y1 = args[1] + oy;
+                        rest = args.slice(2);
+                    } else {
+                        x1 = lastControl ? 2 * x - lastControl[0] : x;
+                        y1 = lastControl ? 2 * y - lastControl[1] : y;
+                    }
+                    const x2 = rest[0] + ox;
+                    const y2 = rest[1] + oy;
+                    x = rest[2] + ox;
+                    y = rest[3] + oy;
+                    segments.push(['C', x1, y1, x2, y2, x, y]);
+                    lastControl = [x2, y2];
+                    lastQuadControl = null;
+                    break;
+                }
+
+                case 'Q':
+                case 'T': {
+                    let qx, qy, endX, endY;
+                    if (upper === 'Q') {
+                        qx = args[0] + ox;
+                        qy = args[1] + oy;
+                        endX = args[2] + ox;
+                        endY = args[3] + oy;
+                    } else {
+                        qx = lastQuadControl ? 2 * x - lastQuadControl[0] : x;
+                        qy = lastQuadControl ? 2 * y - lastQuadControl[1] : y;
+                        endX = args[0] + ox;
+                        endY = args[1] + oy;
+                    }
+                    segments.push([
+                        'C',
+                        x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y),
+                        endX + 2 / 3 * (qx - endX), endY + 2 / 3 * (qy - endY),
+                        endX, endY,
+                    ]);
+                    x = endX;
+                    y = endY;
+                    lastQuadControl = [qx, qy];
+                    lastControl = null;
+                    break;
+                }
+
+                case 'A': {
+                    const endX = args[5] + ox;
+                    const endY = args[6] + oy;
+                    segments.push(...this.arcToCurves(x, y, args[0], args[1], args[2], args[3], args[4], endX, endY));
+                    x = endX;
+                    y = endY;
+                    lastControl = lastQuadControl = null;
+                    break;
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Convert an SVG elliptical arc to cubic Bézier segments
+     * (endpoint to center parameterization, SVG 1.1 appendix F.6)
+     *
+     * @returns {Array<Array>} - ['C', ...] or ['L', ...] segments
+     */
+    static arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        if (x1 === x2 && y1 === y2) return [];
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) return [['L', x2, y2]];
+
+        const phi = rotation * Math.PI / 180;
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x1p = cosPhi * dx + sinPhi * dy;
+        const y1p = -sinPhi * dx + cosPhi * dy;
+
+        // Scale radii up if they cannot span the endpoints
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        let factor = Math.sqrt(Math.max(0, numerator / denominator));
+        if (Boolean(Number(largeArc)) === Boolean(Number(sweep))) factor = -factor;
+
+        const cxp = factor * rx * y1p / ry;
+        const cyp = -factor * ry * x1p / rx;
+        const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => {
+            const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+            const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+            return sign * Math.acos(Math.max(-1, Math.min(1, dot)));
+        };
+
+        const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+        if (!Number(sweep) && delta > 0) delta -= 2 * Math.PI;
+        if (Number(sweep) && delta < 0) delta += 2 * Math.PI;
+
+        const segmentCount = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+        const step = delta / segmentCount;
+        const kappa = 4 / 3 * Math.tan(step / 4);
+        const segments = [];
+
+        const point = (t) => [
+            cx + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+            cy + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi,
+        ];
+        const derivative = (t) => [
+            -rx * Math.sin(t) * cosPhi - ry * Math.cos(t) * sinPhi,
+            -rx * Math.sin(t) * sinPhi + ry * Math.cos(t) * cosPhi,
+        ];
+
+        for (let i = 0; i < segmentCount; i++) {
+            const t1 = theta1 + i * step;
+            const t2 = t1 + step;
+            const [px1, py1] = point(t1);
+            const [px2, py2] = i === segmentCount - 1 ? [x2, y2] : point(t2);
+            const [dx1, dy1] = derivative(t1);
+            const [dx2, dy2] = derivative(t2);
+
+            segments.push([
+                'C',
+                px1 + kappa * dx1, py1 + kappa * dy1,
+                px2 - kappa * dx2, py2 - kappa * dy2,
+                px2, py2,
+            ]);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Path segments for basic shapes (rect, circle, ellipse, line, polygon, polyline)
+     *
+     * @param {Object} element
+     * @returns {Array<Array>|null} - Segments, or null if the element is not a shape
+     */
+    static shapeToPath(element) {
+        const a = element.attrs;
+        const num = (value, fallback = 0) => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : fallback;
+        };
+
+        switch (element.name) {
+            case 'path':
+                return this.parsePath(a.d);
+
+            case 'rect': {
+                const x = num(a.x), y = num(a.y), w = num(a.width), h = num(a.height);
+                if (w <= 0 || h <= 0) return [];
+
+                let rx = a.rx !== undefined ? num(a.rx) : (a.ry !== undefined ? num(a.ry) : 0);
+                let ry = a.ry !== undefined ? num(a.ry) : rx;
+                rx = Math.min(rx, w / 2);
+                ry = Math.min(ry, h / 2);
+
+                if (rx <= 0 || ry <= 0) {
+                    return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+                }
+
+                return this.parsePath(
+                    `M ${x + rx} ${y} H ${x + w - rx} A ${rx} ${ry} 0 0 1 ${x + w} ${y + ry} ` +
+                    `V ${y + h - ry} A ${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h} ` +
+                    `H ${x + rx} A ${rx} ${ry} 0 0 1 ${x} ${y + h - ry} ` +
+                    `V ${y + ry} A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`
+                );
+            }
+
+            case 'circle':
+            case 'ellipse': {
+                const cx = num(a.cx), cy = num(a.cy);
+                const rx = element.name === 'circle' ? num(a.r) : num(a.rx);
+                const ry = element.name === 'circle' ? num(a.r) : num(a.ry);
+                if (rx <= 0 || ry <= 0) return [];
+
+                return this.parsePath(
+                    `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx - rx} ${cy} Z`
+                );
+            }
+
+            case 'line':
+                return [['M', num(a.x1), num(a.y1)], ['L', num(a.x2), num(a.y2)]];
+
+            case 'polygon':
+            case 'polyline': {
+                const points = this.parseNumbers(a.points);
+                const segments = [];
+                for (let i = 0; i + 1 < points.length; i += 2) {
+                    segments.push([i === 0 ? 'M' : 'L', points[i], points[i + 1]]);
+                }
+                if (element.name === 'polygon' && segments.length) segments.push(['Z']);
+                return segments;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Bounding box of path segments (control points included)
+     *
+     * @param {Array<Array>} segments
+     * @returns {Object|null} - { x, y, width, height }
+     */
+    static getBounds(segments) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (const segment of segments) {
+            for (let i = 1; i + 1 < segment.length; i += 2) {
+                minX = Math.min(minX, segment[i]);
+                maxX = Math.max(maxX, segment[i]);
+                minY = Math.min(minY, segment[i + 1]);
+                maxY = Math.max(maxY, segment[i + 1]);
+            }
+        }
+
+        if (minX === Infinity) return null;
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+}
+
+module.exports = SVGParser;
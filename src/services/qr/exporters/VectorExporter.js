@@ -0,0 +1,224 @@
+/**
+ * VectorExporter - Print-ready PDF and EPS output from the generator SVG
+ *
+ * Both formats are produced from the same SVG document the generator
+ * builds, placed on a page with a physical size (mm/cm/in/pt), optional
+ * bleed and crop marks (see PrintLayout).
+ *
+ * - PDF: PDFKit + svg-to-pdfkit, with TrimBox/BleedBox set for imposition
+ * - EPS: PostScriptRenderer (Level 3, shadings for gradients)
+ *
+ * Colors are written as DeviceCMYK by default (colorSpace: 'rgb' keeps
+ * DeviceRGB). The CMYK values are a device-independent conversion, not an
+ * ICC-managed one: fine for a QR code, but proof critical brand colors.
+ */
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const sharp = require('sharp');
+const CSSColor = require('./CSSColor');
+const SVGParser = require('./SVGParser');
+const PrintLayout = require('./PrintLayout');
+const PostScriptRenderer = require('./PostScriptRenderer');
+const logger = require('../../../utils/logger');
+
+const COLOR_SPACES = ['cmyk', 'rgb'];
+
+class VectorExporter {
+    /**
+     * Export the SVG as a PDF document
+     *
+     * @param {string} svg
+     * @param {Object} options
+     * @param {Object} options.print - { width, height, unit, bleed, cropMarks } (see PrintLayout.compute)
+     * @param {string} options.colorSpace - 'cmyk' | 'rgb' (default cmyk)
+     * @param {string} options.bleedColor - Color painted over the bleed area
+     * @param {string} options.title - Document title
+     * @returns {Promise<Buffer>}
+     */
+    async toPDF(svg, options = {}) {
+        const cmyk = (options.colorSpace || 'cmyk') === 'cmyk';
+        const { width, height } = this.getSize(svg);
+        const layout = PrintLayout.compute(width, height, options.print);
+        const printableSvg = await this.embedRasterImages(svg);
+
+        const doc = new PDFDocument({
+            size: [layout.pageWidth, layout.pageHeight],
+            margin: 0,
+            info: {
+                Title: options.title || 'QR Code',
+                Creator: 'QR Support Backend',
+            },
+        });
+        const output = this.collect(doc);
+
+        // Imposition boxes (PDF user space has its origin bottom-left)
+        const toPdfBox = box => [box.x, layout.pageHeight - box.y - box.height, box.x + box.width, layout.pageHeight - box.y];
+        doc.page.dictionary.data.TrimBox = toPdfBox(layout.trim);
+        doc.page.dictionary.data.BleedBox = toPdfBox(layout.bleedBox);
+
+        if (options.bleedColor && layout.bleed > 0) {
+            const box = layout.bleedBox;
+            doc.rect(box.x, box.y, box.width, box.height).fill(this.convertColor(options.bleedColor, cmyk));
+        }
+
+        SVGtoPDF(doc, printableSvg, layout.trim.x, layout.trim.y, {
+            width: layout.trim.width,
+            height: layout.trim.height,
+            assumePt: true,
+            colorCallback: cmyk ? this.cmykColorCallback.bind(this) : undefined,
+            warningCallback: message => logger.debug(`PDF export: ${message}`),
+        });
+
+        if (layout.cropMarks.length) {
+            doc.save().lineWidth(layout.markWidth).strokeColor(cmyk ? [100, 100, 100, 100] : '#000000');
+            for (const [x1, y1, x2, y2] of layout.cropMarks) {
+                doc.moveTo(x1, y1).lineTo(x2, y2);
+            }
+            doc.stroke().restore();
+        }
+
+        doc.end();
+        return output;
+    }
+
+    /**
+     * Export the SVG as an EPS file
+     *
+     * @param {string} svg
+     * @param {Object} options - Same as toPDF()
+     * @returns {Promise<Buffer>}
+     */
+    async toEPS(svg, options = {}) {
+        const { width, height } = this.getSize(svg);
+        const layout = PrintLayout.compute(width, height, options.print);
+
+        const renderer = new PostScriptRenderer({
+            colorSpace: options.colorSpace || 'cmyk',
+            rgbToCmyk: VectorExporter.rgbToCmyk,
+        });
+
+        const eps = await renderer.render(svg, layout, {
+            title: options.title,
+            bleedColor: options.bleedColor,
+        });
+
+        return Buffer.from(eps, 'latin1');
+    }
+
+    /**
+     * Convert embedded images PDFKit cannot read (SVG, WebP, GIF, ...) to PNG
+     *
+     * @param {string} svg
+     * @returns {Promise<string>}
+     */
+    async embedRasterImages(svg) {
+        const pattern = /(href=")data:(image\/(?!png|jpe?g)[^;,"]+)(;base64)?,([^"]*)(")/g;
+        const replacements = [];
+
+        let match;
+        while ((match = pattern.exec(svg)) !== null) {
+            const [whole, , mimeType, base64, data] = match;
+            try {
+                const source = base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+                const png = await sharp(source, { density: 300 }).png().toBuffer();
+                replacements.push([whole, `href="data:image/png;base64,${png.toString('base64')}"`]);
+            } catch (error) {
+                logger.warn(`Vector export: could not convert embedded ${mimeType}: ${error.message}`);
+            }
+        }
+
+        return replacements.reduce((result, [from, to]) => result.replace(from, to), svg);
+    }
+
+    /**
+     * svg-to-pdfkit color callback: RGB -> CMYK (PDFKit takes 4-element arrays as CMYK)
+     *
+     * @param {Array} result - [[r, g, b], opacity] or undefined
+     * @returns {Array}
+     */
+    cmykColorCallback(result) {
+        if (!result || !Array.isArray(result[0]) || result[0].length !== 3) {
+            return result;
+        }
+        return [VectorExporter.rgbToCmyk(result[0]), result[1]];
+    }
+
+    /**
+     * Convert a CSS color for PDFKit
+     *
+     * @param {string} color
+     * @param {boolean} cmyk
+     * @returns {string|Array<number>}
+     * @throws {Error} INVALID_COLOR when the color cannot be parsed
+     */
+    convertColor(color, cmyk) {
+        if (!cmyk) return color;
+
+        return VectorExporter.rgbToCmyk(CSSColor.parse(color).rgb);
+    }
+
+    /**
+     * Read the pixel size of the SVG document
+     *
+     * @param {string} svg
+     * @returns {Object} - { width, height }
+     */
+    getSize(svg) {
+        const root = SVGParser.parse(svg);
+        const viewBox = SVGParser.parseNumbers(root.attrs.viewBox);
+        const width = parseFloat(root.attrs.width) || viewBox[2] || 512;
+        const height = parseFloat(root.attrs.height) || viewBox[3] || width;
+        return { width, height };
+    }
+
+    /**
+     * Collect a PDFKit document stream into a buffer
+     *
+     * @param {PDFDocument} doc
+     * @returns {Promise<Buffer>}
+     */
+    collect(doc) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+    }
+
+    /**
+     * Naive RGB -> CMYK conversion
+     *
+     * @param {Array<number>} rgb - [r, g, b] in 0-255
+     * @returns {Array<number>} - [c, m, y, k] in 0-100
+     */
+    static rgbToCmyk([r, g, b]) {
+        const red = r / 255;
+        const green = g / 255;
+        const blue = b / 255;
+        const k = 1 - Math.max(red, green, blue);
+
+        if (k >= 1) {
+            return [0, 0, 0, 100];
+        }
+
+        const round = value => Math.round(value * 1000) / 10;
+        return [
+            round((1 - red - k) / (1 - k)),
+            round((1 - green - k) / (1 - k)),
+            round((1 - blue - k) / (1 - k)),
+            round(k),
+        ];
+    }
+
+    /**
+     * Supported color spaces
+     *
+     * @returns {string[]}
+     */
+    static getSupportedColorSpaces() {
+        return COLOR_SPACES;
+    }
+}
+
+module.exports = VectorExporter;
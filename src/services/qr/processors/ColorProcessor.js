@@ -4,12 +4,13 @@
  * Sort Order: 5 (runs early in the pipeline)
  * Responsibilities:
  * - Parse and normalize colors
- * - Create gradient definitions
+ * - Create gradient definitions (modules, eye ring, eye dot, background)
  * - Apply foreground/background colors
- * - Handle eye colors (inner/outer)
+ * - Handle eye colors (inner/outer), globally and per finder position
  */
 const BaseProcessor = require('./BaseProcessor');
-const Color = require('color');
+const FinderProcessor = require('./FinderProcessor');
+const CSSColor = require('../exporters/CSSColor');
 
 class ColorProcessor extends BaseProcessor {
     constructor() {
@@ -51,6 +52,17 @@ class ColorProcessor extends BaseProcessor {
         payload.backgroundColor = colors.background;
         payload.backgroundEnabled = colors.backgroundEnabled;
 
+        // Background gradient spans the whole canvas (user space), so the
+        // finder inner rings painted with it line up with the background rect
+        if (colors.backgroundEnabled && design.backgroundGradient) {
+            payload.backgroundGradientId = this.createGradient(
+                svgBuilder, design.backgroundGradient, 'backgroundGradient', { gradientUnits: 'userSpaceOnUse' }
+            );
+        }
+
+        payload.eyeFills = this.resolveEyeFills(svgBuilder, design, colors);
+        payload.alignmentFill = design.alignmentColor ? this.normalizeColor(design.alignmentColor) : null;
+
         this.log(`Colors applied: fg=${colors.foreground}, bg=${colors.background}, gradient=${colors.hasGradient}`);
 
         return payload;
@@ -100,33 +112,63 @@ class ColorProcessor extends BaseProcessor {
         };
     }
 
+    /**
+     * Resolve outer ring and dot fills for each finder pattern
+     *
+     * Per-eye entries in design.eyes override the global eye colors and
+     * gradients (eyeExternalGradient / eyeInternalGradient). Per eye,
+     * externalGradient / internalGradient style one part and `gradient`
+     * fills both the ring and the dot. Gradients win over plain colors.
+     *
+     * @param {SVGBuilder} svgBuilder
+     * @param {Object} design
+     * @param {Object} colors - Parsed colors from parseColors()
+     * @returns {Object} - { topLeft, topRight, bottomLeft } of { external, internal }
+     */
+    resolveEyeFills(svgBuilder, design, colors) {
+        const fills = {};
+
+        // Global eye gradients are defined once and shared by all three eyes
+        const globalExternal = design.eyeExternalGradient
+            ? `url(#${this.createGradient(svgBuilder, design.eyeExternalGradient, 'eyeExternalGradient')})`
+            : null;
+        const globalInternal = design.eyeInternalGradient
+            ? `url(#${this.createGradient(svgBuilder, design.eyeInternalGradient, 'eyeInternalGradient')})`
+            : null;
+
+        for (const position of FinderProcessor.EYE_POSITIONS) {
+            const eye = (design.eyes && design.eyes[position]) || {};
+            const suffix = position.charAt(0).toUpperCase() + position.slice(1);
+
+            const shared = eye.gradient
+                ? `url(#${this.createGradient(svgBuilder, eye.gradient, 'eyeGradient' + suffix)})`
+                : null;
+            const external = eye.externalGradient
+                ? `url(#${this.createGradient(svgBuilder, eye.externalGradient, 'eyeExternalGradient' + suffix)})`
+                : shared;
+            const internal = eye.internalGradient
+                ? `url(#${this.createGradient(svgBuilder, eye.internalGradient, 'eyeInternalGradient' + suffix)})`
+                : shared;
+
+            fills[position] = {
+                external: external || (eye.externalColor ? this.normalizeColor(eye.externalColor) : globalExternal),
+                internal: internal || (eye.internalColor ? this.normalizeColor(eye.internalColor) : globalInternal),
+            };
+        }
+
+        return fills;
+    }
+
     /**
      * Normalize a color value to a valid CSS color
      * @param {string} color
-     * @returns {string}
+     * @returns {string} - #RRGGBB, or #RRGGBBAA when translucent
      */
     normalizeColor(color) {
         if (!color) return '#000000';
 
         try {
-            // If it's already a valid hex color, normalize it
-            if (color.startsWith('#')) {
-                // Expand shorthand hex (#RGB -> #RRGGBB)
-                if (color.length === 4) {
-                    color = '#' + color[1] + color[1] + color[2] + color[2] + color[3] + color[3];
-                }
-                // Validate it's a proper hex
-                if (/^#[0-9A-Fa-f]{6}$/.test(color)) {
-                    return color.toUpperCase();
-                }
-                if (/^#[0-9A-Fa-f]{8}$/.test(color)) {
-                    return color.toUpperCase(); // 8-char hex with alpha
-                }
-            }
-
-            // Try to parse with Color library for other formats
-            const parsed = Color(color);
-            return parsed.hex().toUpperCase();
+            return ColorProcessor.toHex(CSSColor.parse(color));
         } catch (e) {
             // If parsing fails, return default black
             this.log(`Failed to parse color: ${color}, using default`, 'warn');
@@ -134,6 +176,19 @@ class ColorProcessor extends BaseProcessor {
         }
     }
 
+    /**
+     * Format a parsed color as upper-case hex
+     * @param {Object} parsed - { rgb, alpha } from CSSColor.parse()
+     * @returns {string} - #RRGGBB, or #RRGGBBAA when translucent
+     */
+    static toHex({ rgb, alpha }) {
+        const channels = alpha < 1 ? [...rgb, alpha * 255] : rgb;
+        return '#' + channels
+            .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    }
+
     /**
      * Parse color to get RGBA components
      * @param {string} color
@@ -141,14 +196,9 @@ class ColorProcessor extends BaseProcessor {
      */
     parseColorComponents(color) {
         try {
-            const parsed = Color(color);
-            const rgb = parsed.rgb().object();
-            return {
-                r: Math.round(rgb.r),
-                g: Math.round(rgb.g),
-                b: Math.round(rgb.b),
-                a: parsed.alpha()
-            };
+            const { rgb, alpha } = CSSColor.parse(color);
+            const [r, g, b] = rgb.map(Math.round);
+            return { r, g, b, a: alpha };
         } catch (e) {
             return { r: 0, g: 0, b: 0, a: 1 };
         }
@@ -163,6 +213,18 @@ class ColorProcessor extends BaseProcessor {
     createGradientDef(svgBuilder, design) {
         const gradientConfig = design.gradientFill || design.gradient_fill || design.gradient || {};
 
+        return this.createGradient(svgBuilder, gradientConfig, 'qrGradient');
+    }
+
+    /**
+     * Create a gradient definition from a gradient config
+     * @param {SVGBuilder} svgBuilder
+     * @param {Object} gradientConfig - { type, angle, colors, cx, cy, r, fx, fy }
+     * @param {string} id - Gradient ID (must be unique within the SVG)
+     * @param {Object} extra - Extra SVGBuilder options (e.g. gradientUnits)
+     * @returns {string} - Gradient ID
+     */
+    createGradient(svgBuilder, gradientConfig, id, extra = {}) {
         // Determine gradient type
         const type = (gradientConfig.type || 'LINEAR').toUpperCase();
 
@@ -175,22 +237,24 @@ class ColorProcessor extends BaseProcessor {
 
         if (type === 'RADIAL') {
             return svgBuilder.createRadialGradient({
-                id: 'qrGradient',
+                id,
                 cx: gradientConfig.cx || 50,
                 cy: gradientConfig.cy || 50,
                 r: gradientConfig.r || 50,
                 fx: gradientConfig.fx,
                 fy: gradientConfig.fy,
-                colors
+                colors,
+                ...extra
             });
         } else {
             // Linear gradient
             const angle = gradientConfig.angle || gradientConfig.direction || 45;
 
             return svgBuilder.createLinearGradient({
-                id: 'qrGradient',
+                id,
                 angle: this.normalizeAngle(angle),
-                colors
+                colors,
+                ...extra
             });
         }
     }
@@ -273,13 +337,14 @@ class ColorProcessor extends BaseProcessor {
      */
     getContrastColor(color) {
         try {
-            const parsed = Color(color);
-            // Use luminosity to determine if we need light or dark contrast
-            if (parsed.luminosity() > 0.5) {
-                return '#000000';
-            } else {
-                return '#FFFFFF';
-            }
+            // Use relative luminance to determine if we need light or dark contrast
+            const linear = CSSColor.parse(color).rgb.map(channel => {
+                const value = channel / 255;
+                return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            });
+            const luminance = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+
+            return luminance > 0.5 ? '#000000' : '#FFFFFF';
         } catch (e) {
             return '#000000';
         }
@@ -293,8 +358,7 @@ class ColorProcessor extends BaseProcessor {
      */
     lightenColor(color, amount = 20) {
         try {
-            const parsed = Color(color);
-            return parsed.lighten(amount / 100).hex();
+            return this.scaleLightness(color, 1 + amount / 100);
         } catch (e) {
             return color;
         }
@@ -308,13 +372,38 @@ class ColorProcessor extends BaseProcessor {
      */
     darkenColor(color, amount = 20) {
         try {
-            const parsed = Color(color);
-            return parsed.darken(amount / 100).hex();
+            return this.scaleLightness(color, 1 - amount / 100);
         } catch (e) {
             return color;
         }
     }
 
+    /**
+     * Multiply the HSL lightness of a color
+     * @param {string} color
+     * @param {number} factor
+     * @returns {string} - #RRGGBB
+     * @throws {Error} INVALID_COLOR
+     */
+    scaleLightness(color, factor) {
+        const [r, g, b] = CSSColor.parse(color).rgb.map(channel => channel / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const lightness = (max + min) / 2;
+        const target = Math.min(1, Math.max(0, lightness * factor));
+
+        // Scale the distance of each channel from the gray of the same
+        // lightness, keeping hue and saturation
+        const chroma = lightness === 0 || lightness === 1
+            ? 0
+            : (1 - Math.abs(2 * target - 1)) / (1 - Math.abs(2 * lightness - 1));
+
+        return ColorProcessor.toHex({
+            rgb: [r, g, b].map(channel => (target + (channel - lightness) * chroma) * 255),
+            alpha: 1,
+        });
+    }
+
     /**
      * Mix two colors
      * @param {string} color1
@@ -324,9 +413,12 @@ class ColorProcessor extends BaseProcessor {
      */
     mixColors(color1, color2, weight = 0.5) {
         try {
-            const c1 = Color(color1);
-            const c2 = Color(color2);
-            return c1.mix(c2, 1 - weight).hex();
+            const c1 = CSSColor.parse(color1);
+            const c2 = CSSColor.parse(color2);
+            return ColorProcessor.toHex({
+                rgb: c1.rgb.map((channel, i) => channel * weight + c2.rgb[i] * (1 - weight)),
+                alpha: 1,
+            });
         } catch (e) {
             return color1;
         }
@@ -339,8 +431,7 @@ class ColorProcessor extends BaseProcessor {
      */
     hasTransparency(color) {
         try {
-            const parsed = Color(color);
-            return parsed.alpha() < 1;
+            return CSSColor.parse(color).alpha < 1;
         } catch (e) {
             return false;
         }
@@ -354,8 +445,8 @@ class ColorProcessor extends BaseProcessor {
      */
     withOpacity(color, opacity) {
         try {
-            const parsed = Color(color);
-            return parsed.alpha(opacity).rgb().string();
+            const [r, g, b] = CSSColor.parse(color).rgb.map(Math.round);
+            return opacity < 1 ? `rgba(${r}, ${g}, ${b}, ${opacity})` : `rgb(${r}, ${g}, ${b})`;
         } catch (e) {
             return color;
         }
@@ -35,9 +35,45 @@
  * - whirlpool
  * - water-drop
  * - zigzag
+ *
+ * Alignment patterns (alignmentShape):
+ * - square, rounded, extra-rounded, circle, diamond
+ *   Drawn as one 5x5 unit (ring + center module) instead of single modules.
+ *   The rMQR sub-finder is drawn the same way.
+ *
+ * Micro QR and rMQR symbols have a single finder (topLeft); the other
+ * eye overrides are ignored for them.
+ *
+ * Per-eye overrides:
+ * design.eyes = { topLeft, topRight, bottomLeft } where each entry may set
+ * finder, finderDot, rotate (0/90/180/270) and mirror. With eyeAutoOrient,
+ * asymmetric shapes are mirrored so that all three eyes point toward the
+ * center of the symbol.
  */
 const BaseProcessor = require('./BaseProcessor');
 const LaravelPaths = require('./LaravelPaths');
+const ModuleRoles = require('../ModuleRoles');
+
+/**
+ * Finder pattern positions, in drawing order
+ */
+const EYE_POSITIONS = ['topLeft', 'topRight', 'bottomLeft'];
+
+/**
+ * Shapes that are not symmetric about both axes (drawn for the top-left corner)
+ */
+const ASYMMETRIC_SHAPES = ['leaf', 'water-drop', 'eye-shaped'];
+
+/**
+ * Mirroring applied by eyeAutoOrient so asymmetric shapes face the center
+ */
+const AUTO_MIRROR = {
+    topLeft: 'none',
+    topRight: 'horizontal',
+    bottomLeft: 'vertical',
+};
+
+const MIRROR_MODES = ['none', 'horizontal', 'vertical', 'both'];
 
 class FinderProcessor extends BaseProcessor {
     constructor() {
@@ -102,6 +138,17 @@ class FinderProcessor extends BaseProcessor {
             'waterDrop': this.createLaravelDot('water-drop'),
             'zigzag': this.createLaravelDot('zigzag'),
         };
+
+        // Alignment pattern shapes: 5x5 ring + 1x1 center, kept geometric so
+        // scanners can still locate them
+        this.alignmentShapes = {
+            'square': { ring: this.createSquareFinder.bind(this), dot: this.createSquareDot.bind(this) },
+            'rounded': { ring: this.createRoundedFinder.bind(this), dot: this.createRoundedDot.bind(this) },
+            'extra-rounded': { ring: this.createExtraRoundedFinder.bind(this), dot: this.createCircleDot.bind(this) },
+            'circle': { ring: this.createCircleFinder.bind(this), dot: this.createCircleDot.bind(this) },
+            'dot': { ring: this.createCircleFinder.bind(this), dot: this.createCircleDot.bind(this) },
+            'diamond': { ring: this.createDiamondFinder.bind(this), dot: this.createDiamondDot.bind(this) },
+        };
     }
 
     /**
@@ -140,6 +187,14 @@ class FinderProcessor extends BaseProcessor {
         payload.finderDotShape = finderDotShape;
         payload.finderPathGenerator = this.getFinderPathGenerator(finderShape);
         payload.finderDotPathGenerator = this.getDotPathGenerator(finderDotShape);
+        payload.eyes = this.resolveEyes(design, finderShape, finderDotShape, payload.qrMatrix
+            ? ModuleRoles.getFinderOrigins(payload.qrMatrix).map(origin => origin.key)
+            : EYE_POSITIONS);
+
+        // Alignment patterns keep the module shape unless a shape is requested
+        payload.alignmentShape = design.alignmentShape
+            ? this.normalizeShape(design.alignmentShape, this.alignmentShapes)
+            : null;
 
         console.log(`[FinderProcessor] Final finder shape: ${finderShape}, dot shape: ${finderDotShape}`);
         console.log(`[FinderProcessor] Generator exists - finder: ${!!payload.finderPathGenerator}, dot: ${!!payload.finderDotPathGenerator}`);
@@ -148,6 +203,70 @@ class FinderProcessor extends BaseProcessor {
         return payload;
     }
 
+    /**
+     * Resolve shape and orientation for each finder pattern of the symbol
+     *
+     * @param {Object} design
+     * @param {string} finderShape - Normalized global finder shape
+     * @param {string} finderDotShape - Normalized global dot shape
+     * @param {string[]} positions - Finders present (Micro QR and rMQR only have topLeft)
+     * @returns {Object} - { topLeft, topRight, bottomLeft } of { finderShape, finderDotShape, rotate, mirror }
+     */
+    resolveEyes(design, finderShape, finderDotShape, positions = EYE_POSITIONS) {
+        const eyes = {};
+        const autoOrient = design.eyeAutoOrient === true;
+
+        for (const position of positions) {
+            const eye = (design.eyes && design.eyes[position]) || {};
+
+            const eyeFinderShape = eye.finder
+                ? this.normalizeShape(eye.finder, this.finderShapes)
+                : finderShape;
+            const eyeDotShape = eye.finderDot
+                ? this.normalizeShape(eye.finderDot, this.dotShapes)
+                : finderDotShape;
+
+            let mirror = MIRROR_MODES.includes(eye.mirror) ? eye.mirror : 'none';
+            if (eye.mirror === undefined && autoOrient &&
+                (ASYMMETRIC_SHAPES.includes(eyeFinderShape) || ASYMMETRIC_SHAPES.includes(eyeDotShape))) {
+                mirror = AUTO_MIRROR[position];
+            }
+
+            eyes[position] = {
+                finderShape: eyeFinderShape,
+                finderDotShape: eyeDotShape,
+                rotate: (((Number(eye.rotate) || 0) % 360) + 360) % 360,
+                mirror,
+            };
+        }
+
+        return eyes;
+    }
+
+    /**
+     * Build the SVG transform that rotates/mirrors an eye about its center
+     *
+     * @param {Object} eye - Resolved eye from resolveEyes()
+     * @param {number} x - Top-left X of the 7x7 pattern
+     * @param {number} y - Top-left Y of the 7x7 pattern
+     * @param {number} moduleSize
+     * @returns {string|null} - Transform, or null when the eye is drawn as designed
+     */
+    getEyeTransform(eye, x, y, moduleSize) {
+        const { rotate, mirror } = eye;
+
+        if (!rotate && mirror === 'none') {
+            return null;
+        }
+
+        const cx = x + moduleSize * 3.5;
+        const cy = y + moduleSize * 3.5;
+        const scaleX = mirror === 'horizontal' || mirror === 'both' ? -1 : 1;
+        const scaleY = mirror === 'vertical' || mirror === 'both' ? -1 : 1;
+
+        return `translate(${cx},${cy}) rotate(${rotate}) scale(${scaleX},${scaleY}) translate(${-cx},${-cy})`;
+    }
+
     /**
      * Normalize shape name
      */
@@ -241,6 +360,28 @@ class FinderProcessor extends BaseProcessor {
         };
     }
 
+    /**
+     * Generate an alignment pattern as a single unit
+     *
+     * The ring is one evenodd path (outer 5x5 minus inner 3x3), so it does
+     * not need a background-colored layer like the finder patterns.
+     *
+     * @param {string} shape - Alignment shape
+     * @param {number} x - Top-left X of the 5x5 pattern
+     * @param {number} y - Top-left Y of the 5x5 pattern
+     * @param {number} moduleSize
+     * @returns {Object} - { ringPath, dotPath }
+     */
+    generateAlignmentPattern(shape, x, y, moduleSize) {
+        const generators = this.alignmentShapes[shape] || this.alignmentShapes['square'];
+
+        return {
+            ringPath: generators.ring(x, y, moduleSize * 5) + ' ' +
+                generators.ring(x + moduleSize, y + moduleSize, moduleSize * 3),
+            dotPath: generators.dot(x + moduleSize * 2, y + moduleSize * 2, moduleSize),
+        };
+    }
+
     /**
      * Create a SOLID finder path from Laravel compound paths.
      *
@@ -312,7 +453,7 @@ class FinderProcessor extends BaseProcessor {
             const finalScale = baseScale * shapeScale;
 
             // Calculate the center of the viewBox
-            const viewBoxCenter = viewBoxSize / 2; // 350
+            const viewBoxCenter = viewBoxSize / 2; // 350 for the 700x700 viewBox
 
             // For proper centering at all positions, we need to:
             // 1. Translate to target position center
@@ -382,14 +523,15 @@ class FinderProcessor extends BaseProcessor {
             // But LaravelPath.dots usually has specific ones. 
             // In LaravelPaths.js I populated 'dots' specifically.
 
-            // Laravel viewBox is 700x700
-            const viewBoxSize = 700;
-            const baseScale = size / viewBoxSize;
-
             // IMPORTANT: Dots should NOT inherit scale from finder shapes!
             // Only use scale if it's defined specifically in LaravelPaths.dots
             // If we're using a finder as fallback, ignore its scale property
             const dotConfig = LaravelPaths.dots[shapeName];
+
+            // Laravel viewBox is 700x700 (unless the dot defines its own) and
+            // spans the whole 7-module finder, while 'size' is the 3-module dot
+            const viewBoxSize = (dotConfig && dotConfig.viewBox) || 700;
+            const baseScale = (size * 7 / 3) / viewBoxSize;
             const shapeScale = (dotConfig && dotConfig.scale) || 1.0;
             const finalScale = baseScale * shapeScale;
 
@@ -397,10 +539,10 @@ class FinderProcessor extends BaseProcessor {
             // not at (0,0). To center the dot in the target area, we need to:
             // 1. translate(x, y) - move to target position  
             // 2. translate(size/2, size/2) - move to center of target area
-            // 3. scale(finalScale) - scale down from 700x700
+            // 3. scale(finalScale) - scale down from the viewBox
             // 4. translate(-350, -350) - center the viewBox content
 
-            const viewBoxCenter = viewBoxSize / 2; // 350
+            const viewBoxCenter = viewBoxSize / 2; // 350 for the 700x700 viewBox
 
             let transform = `translate(${x + size / 2},${y + size / 2}) scale(${finalScale}) translate(-${viewBoxCenter},-${viewBoxCenter})`;
 
@@ -408,10 +550,9 @@ class FinderProcessor extends BaseProcessor {
                 transform = `translate(${x + size / 2},${y + size / 2}) scale(-${finalScale},${finalScale}) translate(-${viewBoxCenter},-${viewBoxCenter})`;
             }
 
-            // Careful: if config wasn't found in dots but used finder fallback, it might be large. 
-            // But 'size' passed here is dotSize (3 modules). 
-            // Laravel paths are 700x700 relative units. Scaling by size/700 makes it fit 'size'.
-            // So logical reuse is fine.
+            // Careful: a finder used as fallback fills its whole viewBox, so it
+            // comes out 7/3 of the dot size. Every registered dot shape has its
+            // own entry in LaravelPaths.dots, so this does not happen in practice.
 
             return {
                 d: (config || LaravelPaths.finders[shapeName] || {}).path || '',
@@ -918,6 +1059,13 @@ class FinderProcessor extends BaseProcessor {
         ];
     }
 
+    /**
+     * Get list of supported alignment pattern shapes
+     */
+    static getSupportedAlignmentShapes() {
+        return ['square', 'rounded', 'extra-rounded', 'circle', 'dot', 'diamond'];
+    }
+
     /**
      * Get list of supported finder dot shapes
      */
@@ -942,4 +1090,8 @@ class FinderProcessor extends BaseProcessor {
     }
 }
 
+FinderProcessor.EYE_POSITIONS = EYE_POSITIONS;
+FinderProcessor.ASYMMETRIC_SHAPES = ASYMMETRIC_SHAPES;
+FinderProcessor.MIRROR_MODES = MIRROR_MODES;
+
 module.exports = FinderProcessor;
@@ -117,7 +117,9 @@ const LaravelPaths = {
         },
         'whirlpool': {
             path: 'm 466.66602,151.98438 c 173.79199,0 314.68359,140.8916 314.68359,314.68164 0,173.79004 -140.8916,314.68359 -314.68359,314.68359 C 292.87597,781.34961 151.98438,640.45766 151.98438,466.66602 c 0,-173.79004 140.89159,-314.68164 314.68164,-314.68164 z',
-            shouldFlip: false
+            shouldFlip: false,
+            viewBox: 2800 / 3,
+            scale: 0.64
         },
         'zigzag': {
             path: 'M 466.66211,180.78516 C 442.27092,180.78516 422.30234,195.73364 414.73633,215.11133 L 414.73242,215.11133 C 413.48768,218.85427 407.95593,227.36211 406.06445,229.25586 C 404.79975,230.19838 393.43577,222.09139 390.28125,219.56641 C 379.3496,211.15545 376.19524,213.67926 362.3125,218.09375 C 348.42976,222.50821 346.53676,238.91893 346.53676,260.99805 L 346.53676,267.30664 C 346.53676,281.1894 346.53612,284.34375 342.12109,298.22656 C 337.70776,312.10931 321.2964,314.00227 299.21484,314.00227 L 292.9082,314.00227 C 279.02545,314.00227 275.87109,314.00353 261.98828,318.41797 C 248.10547,322.83244 246.21247,339.24316 246.21247,361.32227 L 246.21247,363.8418 C 246.21247,385.92091 248.10547,402.33161 261.98828,406.74609 C 275.87109,411.16056 279.02545,411.16179 292.9082,411.16179 L 299.21484,411.16179 C 321.2964,411.16179 337.70776,413.05475 342.12109,426.9375 C 346.53612,440.82031 346.53676,443.97466 346.53676,457.85742 L 346.53676,464.16602 C 346.53676,486.24513 348.42976,502.65585 362.3125,507.07031 C 376.19524,511.48479 379.3496,514.00863 390.28125,505.59766 C 393.43577,503.07267 404.79975,494.96568 406.06445,495.9082 C 407.95593,497.80195 413.48768,506.30978 414.73242,510.05273 L 414.73633,510.05273 C 422.30234,529.43042 442.27092,544.37891 466.66211,544.37891 C 491.0533,544.37891 511.02188,529.43042 518.58789,510.05273 L 518.5918,510.05273 C 519.83654,506.30979 525.36829,497.80195 527.25977,495.9082 C 528.52445,494.96568 539.88846,503.07268 543.04297,505.59766 C 553.97463,514.00863 557.12898,511.48479 571.01172,507.07031 C 584.89447,502.65585 586.78747,486.24513 586.78746,464.16602 L 586.78746,457.85742 C 586.78746,443.97466 586.7881,440.82031 591.20312,426.9375 C 595.61647,413.05476 612.02783,411.16179 634.10938,411.16179 L 640.41602,411.16179 C 654.29877,411.16179 657.45312,411.16056 671.33594,406.74609 C 685.21875,402.33161 687.11175,385.92091 687.11175,363.8418 L 687.11175,361.32227 C 687.11175,339.24316 685.21875,322.83244 671.33594,318.41797 C 657.45312,314.00353 654.29877,314.00227 640.41602,314.00227 L 634.10938,314.00227 C 612.02783,314.00227 595.61647,312.10931 591.20312,298.22656 C 586.7881,284.34375 586.78746,281.1894 586.78746,267.30664 L 586.78746,260.99805 C 586.78747,238.91893 584.89447,222.50821 571.01172,218.09375 C 557.12898,213.67926 553.97463,211.15545 543.04297,219.56641 C 539.88846,222.09139 528.52445,230.19838 527.25977,229.25586 C 525.36829,227.36211 519.83654,218.85427 518.5918,215.11133 L 518.58789,215.11133 C 511.02188,195.73364 491.0533,180.78516 466.66211,180.78516 z',
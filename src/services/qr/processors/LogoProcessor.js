@@ -9,6 +9,7 @@
  * - Scale logo relative to QR size
  * - Rotate logo
  * - Add background behind logo (circle, square, rounded)
+ * - Excavate: modules under the logo are left out of the QR path (see QRCodeGenerator.excavateMatrix)
  * - Supports PNG, JPG, SVG logos
  */
 const BaseProcessor = require('./BaseProcessor');
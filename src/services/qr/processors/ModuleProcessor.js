@@ -102,6 +102,11 @@ class ModuleProcessor extends BaseProcessor {
         payload.moduleShape = shape;
         payload.modulePathGenerator = this.getPathGenerator(shape);
 
+        // Optional plain shape for timing/format/version modules
+        payload.functionModuleShape = design.functionModuleShape
+            ? this.normalizeShape(design.functionModuleShape)
+            : null;
+
         console.log(`[ModuleProcessor] Final module shape: ${shape}, generator exists: ${!!payload.modulePathGenerator}`);
         this.log(`Module shape set to: ${shape}`);
 
@@ -590,22 +595,24 @@ class ModuleProcessor extends BaseProcessor {
 
     /**
      * Get neighbor information for a module
-     * @param {Array} matrix - QR matrix
+     * @param {Array} matrix - QR matrix (rMQR matrices are wider than high)
      * @param {number} row
      * @param {number} col
-     * @param {number} size - Matrix size
      * @returns {Object}
      */
-    static getNeighborContext(matrix, row, col, size) {
+    static getNeighborContext(matrix, row, col) {
+        const lastRow = matrix.length - 1;
+        const lastCol = matrix[0].length - 1;
+
         return {
             hasTop: row > 0 && matrix[row - 1][col] === 1,
-            hasRight: col < size - 1 && matrix[row][col + 1] === 1,
-            hasBottom: row < size - 1 && matrix[row + 1][col] === 1,
+            hasRight: col < lastCol && matrix[row][col + 1] === 1,
+            hasBottom: row < lastRow && matrix[row + 1][col] === 1,
             hasLeft: col > 0 && matrix[row][col - 1] === 1,
             hasTopLeft: row > 0 && col > 0 && matrix[row - 1][col - 1] === 1,
-            hasTopRight: row > 0 && col < size - 1 && matrix[row - 1][col + 1] === 1,
-            hasBottomRight: row < size - 1 && col < size - 1 && matrix[row + 1][col + 1] === 1,
-            hasBottomLeft: row < size - 1 && col > 0 && matrix[row + 1][col - 1] === 1,
+            hasTopRight: row > 0 && col < lastCol && matrix[row - 1][col + 1] === 1,
+            hasBottomRight: row < lastRow && col < lastCol && matrix[row + 1][col + 1] === 1,
+            hasBottomLeft: row < lastRow && col > 0 && matrix[row + 1][col - 1] === 1,
         };
     }
 
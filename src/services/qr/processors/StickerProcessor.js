@@ -20,6 +20,7 @@
  * - location-pin (location marker)
  * - qr-details (QR info overlay)
  * - pincode-protected (lock/security overlay)
+ * - swiss-cross (Swiss QR-bill cross, sized to spec: 7/46 of the symbol)
  *
  * Features:
  * - Semi-transparent backgrounds
@@ -30,6 +31,13 @@
  */
 const BaseProcessor = require('./BaseProcessor');
 
+// Swiss QR-bill: 7 x 7 mm cross on a 46 x 46 mm symbol (quiet zone excluded);
+// 0.5 mm white border around a 6 mm black square, cross in Swiss flag proportions
+const SWISS_CROSS_RATIO = 7 / 46;
+const SWISS_CROSS_BORDER = 0.5 / 7;
+const SWISS_CROSS_ARM = 20 / 32;
+const SWISS_CROSS_BAR = 6 / 32;
+
 class StickerProcessor extends BaseProcessor {
     constructor() {
         super('StickerProcessor', 105);
@@ -63,6 +71,8 @@ class StickerProcessor extends BaseProcessor {
             'wifiBadge': this.createWifiBadgeSticker.bind(this),
             'scan-badge': this.createScanBadgeSticker.bind(this),
             'scanBadge': this.createScanBadgeSticker.bind(this),
+            'swiss-cross': this.createSwissCrossSticker.bind(this),
+            'swissCross': this.createSwissCrossSticker.bind(this),
         };
     }
 
@@ -89,13 +99,12 @@ class StickerProcessor extends BaseProcessor {
         const stickerColor = design.stickerColor || design.stickerBackgroundColor || '#FF4444';
         const stickerTextColor = design.stickerTextColor || '#FFFFFF';
         const stickerText = design.stickerText || this.getDefaultText(stickerType);
-        const stickerScale = design.stickerScale || 0.25; // 25% of QR size
-        const dropShadow = design.stickerDropShadow !== false;
+        const isSwissCross = stickerType === 'swiss-cross' || stickerType === 'swissCross';
+        const dropShadow = isSwissCross ? design.stickerDropShadow === true : design.stickerDropShadow !== false;
 
         // Calculate sticker dimensions
-        const stickerSize = size * stickerScale;
-        const stickerX = (size - stickerSize) / 2;
-        const stickerY = (size - stickerSize) / 2;
+        const symbolSize = payload.qrMatrix ? payload.qrMatrix.size * payload.moduleSize : null;
+        const { size: stickerSize, x: stickerX, y: stickerY } = this.getStickerBox(design, size, symbolSize);
 
         payload.sticker = {
             type: stickerType,
@@ -113,6 +122,32 @@ class StickerProcessor extends BaseProcessor {
         return payload;
     }
 
+    /**
+     * Get the sticker square, centered in the SVG
+     *
+     * Stickers scale with the whole image (stickerScale, default 25%); the
+     * Swiss cross is fixed by the QR-bill spec relative to the symbol
+     * without its quiet zone. Without a symbol size the whole image is used,
+     * which overestimates the cross slightly.
+     *
+     * @param {Object} design
+     * @param {number} size - SVG size
+     * @param {number|null} symbolSize - Module area width (moduleCount * moduleSize)
+     * @returns {Object} - { size, x, y }
+     */
+    getStickerBox(design, size, symbolSize = null) {
+        const stickerType = design.sticker || design.centerSticker || design.stickerType;
+        const stickerSize = stickerType === 'swiss-cross' || stickerType === 'swissCross' ?
+            (symbolSize || size) * SWISS_CROSS_RATIO :
+            size * (design.stickerScale || 0.25); // 25% of QR size
+
+        return {
+            size: stickerSize,
+            x: (size - stickerSize) / 2,
+            y: (size - stickerSize) / 2,
+        };
+    }
+
     /**
      * Get default text for sticker type
      * @param {string} stickerType
@@ -704,6 +739,35 @@ class StickerProcessor extends BaseProcessor {
         return { element, defs };
     }
 
+    /**
+     * Swiss QR-bill cross (white border, black square, white cross)
+     */
+    createSwissCrossSticker(info, svgSize) {
+        const { x, y, size, dropShadow } = info;
+        const border = size * SWISS_CROSS_BORDER;
+        const square = size - border * 2;
+        const cx = x + size / 2;
+        const cy = y + size / 2;
+        const arm = square * SWISS_CROSS_ARM;
+        const bar = square * SWISS_CROSS_BAR;
+
+        let defs = '';
+        if (dropShadow) {
+            defs = this.createDropShadowDef('stickerShadow');
+        }
+
+        const element = `
+            <g ${dropShadow ? 'filter="url(#stickerShadow)"' : ''}>
+                <rect x="${x}" y="${y}" width="${size}" height="${size}" fill="#FFFFFF"/>
+                <rect x="${x + border}" y="${y + border}" width="${square}" height="${square}" fill="#000000"/>
+                <rect x="${cx - bar / 2}" y="${cy - arm / 2}" width="${bar}" height="${arm}" fill="#FFFFFF"/>
+                <rect x="${cx - arm / 2}" y="${cy - bar / 2}" width="${arm}" height="${bar}" fill="#FFFFFF"/>
+            </g>
+        `;
+
+        return { element, defs };
+    }
+
     // ========================================
     // Helper Methods
     // ========================================
@@ -753,6 +817,7 @@ class StickerProcessor extends BaseProcessor {
             'pincode-protected',
             'wifi-badge',
             'scan-badge',
+            'swiss-cross',
         ];
     }
 }
@@ -0,0 +1,280 @@
+/**
+ * MicroQRGenerator - Micro QR Code symbols M1-M4 (ISO/IEC 18004, Micro QR)
+ *
+ * Micro QR has a single finder pattern in the top-left corner, timing
+ * patterns along the top row and left column and a 2-module quiet zone, so
+ * an M1 symbol is 11 x 11 modules against 21 x 21 for the smallest QR code.
+ *
+ *   M1  11 x 11   numeric only, error detection only (reported as level L)
+ *   M2  13 x 13   numeric, alphanumeric; L, M
+ *   M3  15 x 15   + byte; L, M
+ *   M4  17 x 17   + byte; L, M, Q
+ *
+ * Only four of the QR mask patterns are used; the one that puts the most
+ * dark modules on the right and bottom edges wins, as the standard scores it.
+ */
+const SymbolEncoding = require('./SymbolEncoding');
+
+const LEVELS = ['L', 'M', 'Q'];
+
+// Per version: data capacity and error correction codewords per level, header widths
+const VERSIONS = {
+    M1: {
+        size: 11,
+        dataBits: { L: 20 },
+        ecCodewords: { L: 2 },
+        terminatorBits: 3,
+        modeBits: 0,
+        countBits: { numeric: 3 },
+    },
+    M2: {
+        size: 13,
+        dataBits: { L: 40, M: 32 },
+        ecCodewords: { L: 5, M: 6 },
+        terminatorBits: 5,
+        modeBits: 1,
+        countBits: { numeric: 4, alphanumeric: 3 },
+    },
+    M3: {
+        size: 15,
+        dataBits: { L: 84, M: 68 },
+        ecCodewords: { L: 6, M: 8 },
+        terminatorBits: 7,
+        modeBits: 2,
+        countBits: { numeric: 5, alphanumeric: 4, byte: 4 },
+    },
+    M4: {
+        size: 17,
+        dataBits: { L: 128, M: 112, Q: 80 },
+        ecCodewords: { L: 8, M: 10, Q: 14 },
+        terminatorBits: 9,
+        modeBits: 3,
+        countBits: { numeric: 6, alphanumeric: 5, byte: 5 },
+    },
+};
+
+const MODE_INDICATORS = { numeric: 0, alphanumeric: 1, byte: 2 };
+
+// Symbol number written into the format information
+const SYMBOL_NUMBERS = {
+    M1: { L: 0 },
+    M2: { L: 1, M: 2 },
+    M3: { L: 3, M: 4 },
+    M4: { L: 5, M: 6, Q: 7 },
+};
+
+// Micro QR mask patterns 0-3 (QR patterns 1, 4, 6 and 7)
+const MASKS = [
+    (row) => row % 2 === 0,
+    (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+    (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+    (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0,
+];
+
+const FORMAT_GENERATOR = 0x537;
+const FORMAT_MASK = 0x4445;
+
+class MicroQRGenerator {
+    /**
+     * Generate a Micro QR matrix
+     *
+     * @param {string} content - Encoded payload
+     * @param {Object} options
+     * @param {string} options.errorCorrection - L | M | Q
+     * @param {string} options.version - M1-M4 (default: smallest that fits)
+     * @param {number} options.maskPattern - 0-3 (default: best scoring)
+     * @param {Array<Object>} options.segments - Manual segments
+     * @returns {Object} - qrMatrix (see SymbolEncoding.toQRMatrix)
+     */
+    static generate(content, options = {}) {
+        const level = options.errorCorrection || 'M';
+        const segments = SymbolEncoding.getSegments(content, options.segments || null);
+        const minimumVersion = this.getMinimumVersion(content, level, options.segments || null);
+        const version = options.version ? String(options.version).toUpperCase() : minimumVersion;
+
+        if (!minimumVersion || (options.version && Number(version[1]) < Number(minimumVersion[1]))) {
+            const error = new Error(minimumVersion
+                ? `The content needs Micro QR ${minimumVersion} at error correction ${level}; ${version} is too small`
+                : `The content does not fit any Micro QR symbol at error correction ${level}; use symbology rmqr or qr`);
+            error.code = 'VERSION_TOO_SMALL';
+            error.status = 422;
+            error.details = {
+                symbology: 'micro',
+                version: options.version || null,
+                minimumVersion,
+                errorCorrection: level,
+                bytes: Buffer.byteLength(content, 'utf8'),
+            };
+            throw error;
+        }
+
+        const spec = VERSIONS[version];
+        const bits = SymbolEncoding.padBits(this.encode(segments, version), spec.dataBits[level], spec.terminatorBits);
+        const ecCodewords = SymbolEncoding.errorCorrection(SymbolEncoding.toCodewords(bits), spec.ecCodewords[level]);
+
+        const { grid, roles } = this.buildFunctionPatterns(spec.size);
+        const reserved = roles.map(cells => cells.map(role => role !== 'data'));
+        SymbolEncoding.placeBits(grid, bits.concat(SymbolEncoding.toBits(ecCodewords)), spec.size - 1);
+
+        const maskPattern = Number.isInteger(options.maskPattern) ? options.maskPattern : this.chooseMask(grid, reserved);
+        const matrix = SymbolEncoding.applyMask(grid, reserved, MASKS[maskPattern]);
+        this.writeFormatInformation(matrix, SYMBOL_NUMBERS[version][level], maskPattern);
+
+        return SymbolEncoding.toQRMatrix({
+            symbology: 'micro',
+            matrix,
+            roles,
+            fields: {
+                version,
+                errorCorrection: level,
+                maskPattern,
+                finders: [{ key: 'topLeft', row: 0, col: 0 }],
+                alignmentCenters: [],
+            },
+        });
+    }
+
+    /**
+     * Smallest version that holds the content at a level
+     *
+     * @param {string} content
+     * @param {string} level - L | M | Q
+     * @param {Array<Object>|null} manual - Manual segments
+     * @returns {string|null} - M1-M4, or null when even M4 is too small
+     */
+    static getMinimumVersion(content, level, manual = null) {
+        const segments = SymbolEncoding.getSegments(content, manual);
+
+        return Object.keys(VERSIONS).find(version => {
+            const capacity = VERSIONS[version].dataBits[level];
+            const bits = capacity && this.encode(segments, version);
+            return bits && bits.length <= capacity;
+        }) || null;
+    }
+
+    /**
+     * Encode segments with the header widths of a version
+     *
+     * @param {Array<Object>} segments
+     * @param {string} version
+     * @returns {Array<number>|null} - null when the version lacks a mode or the count overflows
+     */
+    static encode(segments, version) {
+        const spec = VERSIONS[version];
+        return SymbolEncoding.encodeSegments(segments, {
+            modeBits: spec.modeBits,
+            modes: MODE_INDICATORS,
+            countBits: spec.countBits,
+        });
+    }
+
+    /**
+     * Place the finder, separator and timing patterns and reserve the format information
+     *
+     * @param {number} size
+     * @returns {Object} - { grid, roles }; free grid modules are null
+     */
+    static buildFunctionPatterns(size) {
+        const grid = Array.from({ length: size }, () => new Array(size).fill(null));
+        const roles = Array.from({ length: size }, () => new Array(size).fill('data'));
+        const set = (row, col, dark, role) => {
+            grid[row][col] = dark;
+            roles[row][col] = role;
+        };
+
+        // Finder pattern with its separator on the right and bottom
+        for (let row = 0; row <= 7; row++) {
+            for (let col = 0; col <= 7; col++) {
+                if (row === 7 || col === 7) {
+                    set(row, col, 0, 'separator');
+                } else {
+                    const ring = Math.max(Math.abs(row - 3), Math.abs(col - 3));
+                    set(row, col, ring === 2 ? 0 : 1, 'finder');
+                }
+            }
+        }
+
+        // Timing patterns along the top row and the left column
+        for (let i = 8; i < size; i++) {
+            set(0, i, i % 2 === 0 ? 1 : 0, 'timing');
+            set(i, 0, i % 2 === 0 ? 1 : 0, 'timing');
+        }
+
+        // Format information: row 8 and column 8 next to the finder
+        for (let i = 1; i <= 8; i++) {
+            set(8, i, 0, 'format');
+            set(i, 8, 0, 'format');
+        }
+
+        return { grid, roles };
+    }
+
+    /**
+     * Pick the mask with the most dark modules on the right and bottom edges
+     *
+     * Score = 16 x the smaller edge count + the larger one; highest wins.
+     *
+     * @param {Array<Array<number>>} grid - Unmasked modules
+     * @param {Array<Array<boolean>>} reserved
+     * @returns {number}
+     */
+    static chooseMask(grid, reserved) {
+        const size = grid.length;
+        let best = 0;
+        let bestScore = -1;
+
+        MASKS.forEach((mask, index) => {
+            const masked = SymbolEncoding.applyMask(grid, reserved, mask);
+            let right = 0;
+            let bottom = 0;
+            for (let i = 1; i < size; i++) {
+                right += masked[i][size - 1];
+                bottom += masked[size - 1][i];
+            }
+
+            const score = Math.min(right, bottom) * 16 + Math.max(right, bottom);
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Write the 15 format bits: row 8 left to right, then column 8 upwards
+     *
+     * @param {Array<Array<number>>} matrix - Filled in place
+     * @param {number} symbolNumber - 0-7
+     * @param {number} maskPattern - 0-3
+     */
+    static writeFormatInformation(matrix, symbolNumber, maskPattern) {
+        const format = SymbolEncoding.bch((symbolNumber << 2) | maskPattern, FORMAT_GENERATOR) ^ FORMAT_MASK;
+
+        for (let i = 0; i < 15; i++) {
+            const bit = (format >> (14 - i)) & 1;
+            if (i < 8) {
+                matrix[8][i + 1] = bit;
+            } else {
+                matrix[15 - i][8] = bit;
+            }
+        }
+    }
+
+    /**
+     * Error correction levels a version supports
+     *
+     * @param {string} version - M1-M4
+     * @returns {string[]}
+     */
+    static getLevels(version) {
+        return VERSIONS[version] ? Object.keys(VERSIONS[version].dataBits) : [];
+    }
+}
+
+MicroQRGenerator.LEVELS = LEVELS;
+MicroQRGenerator.VERSIONS = Object.keys(VERSIONS);
+MicroQRGenerator.MASK_PATTERNS = MASKS.length;
+
+module.exports = MicroQRGenerator;
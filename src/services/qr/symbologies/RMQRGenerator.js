@@ -0,0 +1,354 @@
+/**
+ * RMQRGenerator - Rectangular Micro QR Code symbols (ISO/IEC 23941, rMQR)
+ *
+ * rMQR symbols are 7 to 17 modules high and 27 to 139 wide, in 32 fixed
+ * sizes named R{rows}x{columns}, for narrow labels a square code cannot fit.
+ *
+ * Function patterns:
+ * - finder:     one 7x7 pattern in the top-left corner (clipped to the
+ *               symbol in R7, which has no separator below it)
+ * - sub-finder: a 5x5 pattern in the bottom-right corner, shaped like a QR
+ *               alignment pattern and reported as an alignment center
+ * - corners:    small L-shaped patterns in the other two corners
+ * - timing:     the top and bottom rows, the side columns and vertical
+ *               lines through the 3x3 alignment patterns on both edges
+ *
+ * The corner and 3x3 edge patterns are classed as timing modules, so only
+ * the finder and the sub-finder are drawn as units by the renderer.
+ *
+ * Error correction is M or H, and a single mask pattern is used.
+ */
+const SymbolEncoding = require('./SymbolEncoding');
+
+const LEVELS = ['M', 'H'];
+
+// [rows, columns, character count widths [numeric, alphanumeric, byte],
+//  M: [ec codewords, blocks, blocks with one more data codeword], H: [...]]
+const VERSIONS = [
+    [7, 43, [4, 3, 3], [7, 1, 0], [10, 1, 0]],
+    [7, 59, [5, 5, 4], [9, 1, 0], [14, 1, 0]],
+    [7, 77, [6, 5, 5], [12, 1, 0], [22, 1, 0]],
+    [7, 99, [7, 6, 5], [16, 1, 0], [30, 1, 0]],
+    [7, 139, [7, 6, 6], [24, 1, 0], [44, 2, 0]],
+    [9, 43, [5, 5, 4], [9, 1, 0], [14, 1, 0]],
+    [9, 59, [6, 5, 5], [12, 1, 0], [22, 1, 0]],
+    [9, 77, [7, 6, 5], [18, 1, 0], [32, 1, 1]],
+    [9, 99, [7, 6, 6], [24, 1, 0], [44, 2, 0]],
+    [9, 139, [8, 7, 6], [36, 1, 1], [66, 3, 0]],
+    [11, 27, [4, 4, 3], [8, 1, 0], [10, 1, 0]],
+    [11, 43, [6, 5, 5], [12, 1, 0], [20, 1, 0]],
+    [11, 59, [7, 6, 5], [16, 1, 0], [32, 1, 1]],
+    [11, 77, [7, 6, 6], [24, 1, 0], [44, 1, 1]],
+    [11, 99, [8, 7, 6], [32, 1, 1], [60, 1, 1]],
+    [11, 139, [8, 7, 7], [48, 2, 0], [90, 3, 0]],
+    [13, 27, [5, 5, 4], [9, 1, 0], [14, 1, 0]],
+    [13, 43, [6, 6, 5], [14, 1, 0], [28, 1, 0]],
+    [13, 59, [7, 6, 6], [22, 1, 0], [40, 2, 0]],
+    [13, 77, [7, 7, 6], [32, 1, 1], [56, 1, 1]],
+    [13, 99, [8, 7, 7], [40, 1, 1], [78, 1, 2]],
+    [13, 139, [8, 8, 7], [60, 2, 1], [112, 2, 2]],
+    [15, 43, [7, 6, 6], [18, 1, 0], [36, 1, 1]],
+    [15, 59, [7, 7, 6], [26, 1, 0], [48, 2, 0]],
+    [15, 77, [8, 7, 7], [36, 1, 1], [72, 2, 1]],
+    [15, 99, [8, 7, 7], [48, 2, 0], [88, 4, 0]],
+    [15, 139, [9, 8, 7], [72, 2, 1], [130, 1, 4]],
+    [17, 43, [7, 6, 6], [22, 1, 0], [40, 1, 1]],
+    [17, 59, [8, 7, 6], [32, 2, 0], [60, 2, 0]],
+    [17, 77, [8, 7, 7], [44, 2, 0], [84, 1, 2]],
+    [17, 99, [8, 8, 7], [60, 2, 1], [104, 4, 0]],
+    [17, 139, [9, 8, 8], [80, 4, 0], [156, 2, 4]],
+].map(([rows, columns, countBits, M, H], index) => ({
+    name: `R${rows}x${columns}`,
+    index,
+    rows,
+    columns,
+    countBits: { numeric: countBits[0], alphanumeric: countBits[1], byte: countBits[2] },
+    blocks: { M, H },
+}));
+
+// Center columns of the alignment patterns (and vertical timing lines) per width
+const ALIGNMENT_COLUMNS = {
+    27: [],
+    43: [21],
+    59: [19, 39],
+    77: [25, 51],
+    99: [23, 49, 75],
+    139: [27, 55, 83, 111],
+};
+
+const MODE_INDICATORS = { numeric: 1, alphanumeric: 2, byte: 3 };
+const MODE_BITS = 3;
+const TERMINATOR_BITS = 3;
+
+const FORMAT_GENERATOR = 0x1F25;
+const FORMAT_MASK_LEFT = 0x1FAB2;
+const FORMAT_MASK_RIGHT = 0x20A7B;
+
+const MASK = (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+
+class RMQRGenerator {
+    /**
+     * Generate an rMQR matrix
+     *
+     * @param {string} content - Encoded payload
+     * @param {Object} options
+     * @param {string} options.errorCorrection - M | H
+     * @param {string} options.version - R{rows}x{columns}, or R{rows} for the smallest width at that height
+     * @param {Array<Object>} options.segments - Manual segments
+     * @returns {Object} - qrMatrix (see SymbolEncoding.toQRMatrix)
+     */
+    static generate(content, options = {}) {
+        const level = options.errorCorrection || 'M';
+        const segments = SymbolEncoding.getSegments(content, options.segments || null);
+        const candidates = this.getCandidates(options.version);
+        const spec = candidates.find(candidate => this.fits(candidate, segments, level));
+
+        if (!spec) {
+            const minimumVersion = options.version ? this.getMinimumVersion(content, level, options.segments || null) : null;
+            const error = new Error(minimumVersion
+                ? `The content needs rMQR ${minimumVersion} at error correction ${level}; ${options.version} is too small`
+                : `The content does not fit ${options.version ? `rMQR ${options.version}` : 'any rMQR symbol'} at error correction ${level}; use symbology qr`);
+            error.code = 'VERSION_TOO_SMALL';
+            error.status = 422;
+            error.details = {
+                symbology: 'rmqr',
+                version: options.version || null,
+                minimumVersion,
+                errorCorrection: level,
+                bytes: Buffer.byteLength(content, 'utf8'),
+            };
+            throw error;
+        }
+
+        const { grid, roles } = this.buildFunctionPatterns(spec);
+        const reserved = roles.map(cells => cells.map(role => role !== 'data'));
+        const [ecCodewords, shortBlocks, longBlocks] = spec.blocks[level];
+        const dataBits = (this.getCodewordCount(roles) - ecCodewords) * 8;
+
+        const bits = SymbolEncoding.padBits(this.encode(segments, spec), dataBits, TERMINATOR_BITS);
+        const codewords = SymbolEncoding.interleave(SymbolEncoding.toCodewords(bits), ecCodewords, shortBlocks, longBlocks);
+        SymbolEncoding.placeBits(grid, SymbolEncoding.toBits(codewords), spec.columns - 2);
+
+        const matrix = SymbolEncoding.applyMask(grid, reserved, MASK);
+        this.writeFormatInformation(matrix, spec, level);
+
+        return SymbolEncoding.toQRMatrix({
+            symbology: 'rmqr',
+            matrix,
+            roles,
+            fields: {
+                version: spec.name,
+                errorCorrection: level,
+                maskPattern: null,
+                finders: [{ key: 'topLeft', row: 0, col: 0 }],
+                alignmentCenters: [[spec.rows - 3, spec.columns - 3]],
+            },
+        });
+    }
+
+    /**
+     * Smallest symbol (by area) that holds the content at a level
+     *
+     * @param {string} content
+     * @param {string} level - M | H
+     * @param {Array<Object>|null} manual - Manual segments
+     * @returns {string|null} - e.g. R11x43, or null when even R17x139 is too small
+     */
+    static getMinimumVersion(content, level, manual = null) {
+        const segments = SymbolEncoding.getSegments(content, manual);
+        const spec = this.getCandidates(null).find(candidate => this.fits(candidate, segments, level));
+        return spec ? spec.name : null;
+    }
+
+    /**
+     * Symbols to try, smallest area first
+     *
+     * @param {string|null} version - R{rows}x{columns}, R{rows} or null for all
+     * @returns {Array<Object>}
+     */
+    static getCandidates(version) {
+        const parsed = this.parseVersion(version);
+        return VERSIONS
+            .filter(spec => !parsed || (spec.rows === parsed.rows && (!parsed.columns || spec.columns === parsed.columns)))
+            .sort((a, b) => a.rows * a.columns - b.rows * b.columns || a.rows - b.rows);
+    }
+
+    /**
+     * Parse a version name
+     *
+     * @param {string|null} version
+     * @returns {Object|null} - { rows, columns } (columns null for R{rows}); null when absent or unknown
+     */
+    static parseVersion(version) {
+        const match = /^R(\d+)(?:X(\d+))?$/.exec(String(version || '').toUpperCase());
+        if (!match) return null;
+
+        const rows = Number(match[1]);
+        const columns = match[2] ? Number(match[2]) : null;
+        const known = VERSIONS.some(spec => spec.rows === rows && (!columns || spec.columns === columns));
+        return known ? { rows, columns } : null;
+    }
+
+    /**
+     * Check whether segments fit a symbol at a level
+     *
+     * @param {Object} spec
+     * @param {Array<Object>} segments
+     * @param {string} level
+     * @returns {boolean}
+     */
+    static fits(spec, segments, level) {
+        const bits = this.encode(segments, spec);
+        const capacity = (this.getCodewordCount(this.buildFunctionPatterns(spec).roles) - spec.blocks[level][0]) * 8;
+        return Boolean(bits) && bits.length <= capacity;
+    }
+
+    /**
+     * Encode segments with the header widths of a symbol
+     *
+     * @param {Array<Object>} segments
+     * @param {Object} spec
+     * @returns {Array<number>|null}
+     */
+    static encode(segments, spec) {
+        return SymbolEncoding.encodeSegments(segments, {
+            modeBits: MODE_BITS,
+            modes: MODE_INDICATORS,
+            countBits: spec.countBits,
+        });
+    }
+
+    /**
+     * Codewords the data modules hold (leftover modules are remainder bits)
+     *
+     * @param {Array<Array<string>>} roles
+     * @returns {number}
+     */
+    static getCodewordCount(roles) {
+        return Math.floor(roles.flat().filter(role => role === 'data').length / 8);
+    }
+
+    /**
+     * Place the function patterns and reserve the format information
+     *
+     * Later patterns overwrite earlier ones where they meet (the timing
+     * lines run into the finder and sub-finder).
+     *
+     * @param {Object} spec
+     * @returns {Object} - { grid, roles }; free grid modules are null
+     */
+    static buildFunctionPatterns(spec) {
+        const { rows, columns } = spec;
+        const grid = Array.from({ length: rows }, () => new Array(columns).fill(null));
+        const roles = Array.from({ length: rows }, () => new Array(columns).fill('data'));
+        const set = (row, col, dark, role) => {
+            if (row >= 0 && row < rows && col >= 0 && col < columns) {
+                grid[row][col] = dark;
+                roles[row][col] = role;
+            }
+        };
+        const alignmentColumns = ALIGNMENT_COLUMNS[columns];
+
+        // Timing: top and bottom rows, side columns, vertical lines through the alignment patterns
+        for (let col = 3; col <= columns - 4; col++) {
+            set(0, col, col % 2 === 0 ? 1 : 0, 'timing');
+            set(rows - 1, col, col % 2 === 0 ? 1 : 0, 'timing');
+        }
+        for (const col of [0, columns - 1, ...alignmentColumns]) {
+            for (let row = 3; row <= rows - 4; row++) {
+                set(row, col, row % 2 === 0 ? 1 : 0, 'timing');
+            }
+        }
+
+        // 3x3 alignment patterns (dark ring, light center) on the top and bottom edges
+        for (const center of alignmentColumns) {
+            for (const top of [0, rows - 3]) {
+                for (let r = 0; r < 3; r++) {
+                    for (let c = 0; c < 3; c++) {
+                        set(top + r, center - 1 + c, r === 1 && c === 1 ? 0 : 1, 'timing');
+                    }
+                }
+            }
+        }
+
+        // Corner patterns: top right and bottom left
+        for (const [row, col, dark] of [[0, 0, 1], [0, 1, 1], [0, 2, 1], [1, 0, 1], [1, 1, 0], [2, 0, 1]]) {
+            set(row, columns - 1 - col, dark, 'timing');
+            set(rows - 1 - row, col, dark, 'timing');
+        }
+
+        // Sub-finder pattern in the bottom-right corner
+        for (let r = 0; r < 5; r++) {
+            for (let c = 0; c < 5; c++) {
+                const ring = Math.max(Math.abs(r - 2), Math.abs(c - 2));
+                set(rows - 5 + r, columns - 5 + c, ring === 1 ? 0 : 1, 'alignment');
+            }
+        }
+
+        // Finder pattern with its separator (no separator row below it in R7)
+        for (let row = 0; row <= 7; row++) {
+            for (let col = 0; col <= 7; col++) {
+                if (row === 7 || col === 7) {
+                    set(row, col, 0, 'separator');
+                } else {
+                    const ring = Math.max(Math.abs(row - 3), Math.abs(col - 3));
+                    set(row, col, ring === 2 ? 0 : 1, 'finder');
+                }
+            }
+        }
+
+        // Format information beside the finder and beside the sub-finder
+        for (const [left, right] of this.getFormatPositions(spec)) {
+            set(left[0], left[1], 0, 'format');
+            set(right[0], right[1], 0, 'format');
+        }
+
+        return { grid, roles };
+    }
+
+    /**
+     * [row, col] of each format bit (most significant first) in both copies
+     *
+     * @param {Object} spec
+     * @returns {Array<Array<Array<number>>>} - [[left, right], ...] for the 18 bits
+     */
+    static getFormatPositions(spec) {
+        const { rows, columns } = spec;
+        const positions = [];
+
+        for (let row = 3; row >= 1; row--) {
+            positions.push([[row, 11], [rows - 6, columns - 6 + row]]);
+        }
+        for (let col = 10; col >= 8; col--) {
+            for (let row = 5; row >= 1; row--) {
+                positions.push([[row, col], [rows - 7 + row, columns - 16 + col]]);
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Write both copies of the 18 format bits (error correction level + version index)
+     *
+     * @param {Array<Array<number>>} matrix - Filled in place
+     * @param {Object} spec
+     * @param {string} level - M | H
+     */
+    static writeFormatInformation(matrix, spec, level) {
+        const format = SymbolEncoding.bch((LEVELS.indexOf(level) << 5) | spec.index, FORMAT_GENERATOR);
+        const left = format ^ FORMAT_MASK_LEFT;
+        const right = format ^ FORMAT_MASK_RIGHT;
+
+        this.getFormatPositions(spec).forEach(([leftPosition, rightPosition], i) => {
+            matrix[leftPosition[0]][leftPosition[1]] = (left >> (17 - i)) & 1;
+            matrix[rightPosition[0]][rightPosition[1]] = (right >> (17 - i)) & 1;
+        });
+    }
+}
+
+RMQRGenerator.LEVELS = LEVELS;
+RMQRGenerator.VERSIONS = VERSIONS.map(spec => spec.name);
+RMQRGenerator.HEIGHTS = [...new Set(VERSIONS.map(spec => spec.rows))];
+
+module.exports = RMQRGenerator;
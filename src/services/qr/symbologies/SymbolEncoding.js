@@ -0,0 +1,294 @@
+/**
+ * SymbolEncoding - Bit stream, Reed-Solomon and placement shared by the
+ * Micro QR and rMQR generators
+ *
+ * Both symbologies reuse the QR Code building blocks: the numeric,
+ * alphanumeric and byte segment encodings, the GF(256) Reed-Solomon code
+ * and the two-column zig-zag module placement. What differs per symbology
+ * (mode indicator and character count widths, symbol tables, function
+ * patterns, format information) stays in MicroQRGenerator / RMQRGenerator.
+ *
+ * Matrices are built as [row][col] grids where null marks a module that is
+ * still free for data.
+ */
+const ReedSolomonEncoder = require('qrcode/lib/core/reed-solomon-encoder');
+const QRCapacity = require('../QRCapacity');
+
+const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+const PAD_CODEWORDS = [0xEC, 0x11];
+
+class SymbolEncoding {
+    /**
+     * Segments for a payload: the manual list as given, or the whole
+     * payload in the tightest single mode that can hold it
+     *
+     * @param {string} content
+     * @param {Array<Object>|null} manual - [{ mode, data }] checked by QRCapacity.validateSegments()
+     * @returns {Array<Object>} - [{ mode, data }]
+     */
+    static getSegments(content, manual = null) {
+        if (manual) {
+            return manual.map(segment => ({ mode: segment.mode.toLowerCase(), data: segment.data }));
+        }
+
+        const mode = ['numeric', 'alphanumeric'].find(candidate => QRCapacity.SEGMENT_PATTERNS[candidate].test(content)) || 'byte';
+        return [{ mode, data: content }];
+    }
+
+    /**
+     * Encode segments as mode indicator + character count + data bits
+     *
+     * @param {Array<Object>} segments - [{ mode, data }]
+     * @param {Object} header
+     * @param {number} header.modeBits - Width of the mode indicator (0 when the symbol has one mode)
+     * @param {Object} header.modes - Mode indicator value per mode
+     * @param {Object} header.countBits - Character count width per mode
+     * @returns {Array<number>|null} - Bits, or null when a mode or a count does not fit the header
+     */
+    static encodeSegments(segments, header) {
+        const bits = [];
+
+        for (const segment of segments) {
+            const countBits = header.countBits[segment.mode];
+            if (!countBits) {
+                return null;
+            }
+
+            const bytes = segment.mode === 'byte' ? [...Buffer.from(segment.data, 'utf8')] : null;
+            const count = bytes ? bytes.length : segment.data.length;
+            if (count >= 2 ** countBits) {
+                return null;
+            }
+
+            this.pushBits(bits, header.modes[segment.mode], header.modeBits);
+            this.pushBits(bits, count, countBits);
+
+            if (segment.mode === 'numeric') {
+                for (let i = 0; i < segment.data.length; i += 3) {
+                    const group = segment.data.slice(i, i + 3);
+                    this.pushBits(bits, Number(group), [0, 4, 7, 10][group.length]);
+                }
+            } else if (segment.mode === 'alphanumeric') {
+                for (let i = 0; i < segment.data.length; i += 2) {
+                    const first = ALPHANUMERIC_CHARS.indexOf(segment.data[i]);
+                    if (i + 1 < segment.data.length) {
+                        this.pushBits(bits, first * 45 + ALPHANUMERIC_CHARS.indexOf(segment.data[i + 1]), 11);
+                    } else {
+                        this.pushBits(bits, first, 6);
+                    }
+                }
+            } else {
+                bytes.forEach(byte => this.pushBits(bits, byte, 8));
+            }
+        }
+
+        return bits;
+    }
+
+    /**
+     * Complete the message with the terminator and pad codewords
+     *
+     * A data capacity that is not a multiple of 8 (Micro QR M1 and M3) ends
+     * in a 4-bit codeword, which is padded with 0000.
+     *
+     * @param {Array<number>} bits - Encoded segments
+     * @param {number} dataBits - Data capacity of the symbol in bits
+     * @param {number} terminatorBits - Terminator width of the symbol
+     * @returns {Array<number>} - Exactly dataBits bits
+     */
+    static padBits(bits, dataBits, terminatorBits) {
+        const padded = bits.concat(new Array(Math.min(terminatorBits, dataBits - bits.length)).fill(0));
+
+        while (padded.length % 8 !== 0 && padded.length < dataBits) {
+            padded.push(0);
+        }
+
+        for (let i = 0; padded.length + 8 <= dataBits; i++) {
+            this.pushBits(padded, PAD_CODEWORDS[i % 2], 8);
+        }
+
+        while (padded.length < dataBits) {
+            padded.push(0);
+        }
+
+        return padded;
+    }
+
+    /**
+     * Group bits into codewords; a short final group keeps its high-order position
+     *
+     * @param {Array<number>} bits
+     * @returns {Array<number>}
+     */
+    static toCodewords(bits) {
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            const group = bits.slice(i, i + 8);
+            codewords.push(group.reduce((value, bit) => (value << 1) | bit, 0) << (8 - group.length));
+        }
+        return codewords;
+    }
+
+    /**
+     * Expand codewords into bits (most significant bit first)
+     *
+     * @param {Array<number>} codewords
+     * @returns {Array<number>}
+     */
+    static toBits(codewords) {
+        const bits = [];
+        codewords.forEach(codeword => this.pushBits(bits, codeword, 8));
+        return bits;
+    }
+
+    /**
+     * Split data codewords into Reed-Solomon blocks and interleave them
+     *
+     * The first `shortBlocks` blocks hold one data codeword less than the
+     * `longBlocks` that follow; every block gets the same number of error
+     * correction codewords.
+     *
+     * @param {Array<number>} data - Data codewords
+     * @param {number} ecCodewords - Error correction codewords over all blocks
+     * @param {number} shortBlocks
+     * @param {number} longBlocks
+     * @returns {Array<number>} - Interleaved data codewords followed by interleaved error correction codewords
+     */
+    static interleave(data, ecCodewords, shortBlocks, longBlocks) {
+        const blockCount = shortBlocks + longBlocks;
+        const shortLength = Math.floor(data.length / blockCount);
+        const encoder = new ReedSolomonEncoder(ecCodewords / blockCount);
+
+        const dataBlocks = [];
+        let offset = 0;
+        for (let block = 0; block < blockCount; block++) {
+            const length = shortLength + (block < shortBlocks ? 0 : 1);
+            dataBlocks.push(data.slice(offset, offset + length));
+            offset += length;
+        }
+        const ecBlocks = dataBlocks.map(block => [...encoder.encode(Uint8Array.from(block))]);
+
+        const result = [];
+        for (let i = 0; i <= shortLength; i++) {
+            dataBlocks.forEach(block => i < block.length && result.push(block[i]));
+        }
+        for (let i = 0; i < ecCodewords / blockCount; i++) {
+            ecBlocks.forEach(block => result.push(block[i]));
+        }
+
+        return result;
+    }
+
+    /**
+     * Reed-Solomon error correction codewords for a single block
+     *
+     * @param {Array<number>} data
+     * @param {number} ecCodewords
+     * @returns {Array<number>}
+     */
+    static errorCorrection(data, ecCodewords) {
+        return [...new ReedSolomonEncoder(ecCodewords).encode(Uint8Array.from(data))];
+    }
+
+    /**
+     * BCH code for format information: the data followed by the remainder of
+     * its division by the generator polynomial
+     *
+     * @param {number} data
+     * @param {number} generator - e.g. 0x537 (BCH(15,5)) or 0x1F25 (BCH(18,6))
+     * @returns {number}
+     */
+    static bch(data, generator) {
+        const degree = Math.floor(Math.log2(generator));
+        let remainder = data << degree;
+
+        while (remainder !== 0 && Math.floor(Math.log2(remainder)) >= degree) {
+            remainder ^= generator << (Math.floor(Math.log2(remainder)) - degree);
+        }
+
+        return (data << degree) | remainder;
+    }
+
+    /**
+     * Fill the free modules with a bit stream, two columns at a time from
+     * the right, moving up and down alternately; leftover modules get 0
+     *
+     * @param {Array<Array<number|null>>} grid - Free modules are null; filled in place
+     * @param {Array<number>} bits
+     * @param {number} startCol - Right-hand column of the first column pair
+     */
+    static placeBits(grid, bits, startCol) {
+        const rows = grid.length;
+        let index = 0;
+        let upward = true;
+
+        for (let right = startCol; right >= 1; right -= 2) {
+            for (let step = 0; step < rows; step++) {
+                const row = upward ? rows - 1 - step : step;
+                for (const col of [right, right - 1]) {
+                    if (grid[row][col] === null) {
+                        grid[row][col] = index < bits.length ? bits[index] : 0;
+                        index++;
+                    }
+                }
+            }
+            upward = !upward;
+        }
+    }
+
+    /**
+     * Copy of a grid with a data mask applied to the data modules
+     *
+     * @param {Array<Array<number>>} grid
+     * @param {Array<Array<boolean>>} reserved - true for function modules
+     * @param {Function} mask - (row, col) => true where the module is inverted
+     * @returns {Array<Array<number>>}
+     */
+    static applyMask(grid, reserved, mask) {
+        return grid.map((cells, row) => cells.map((dark, col) => (
+            !reserved[row][col] && mask(row, col) ? dark ^ 1 : dark
+        )));
+    }
+
+    /**
+     * Append the low `length` bits of a value, most significant first
+     *
+     * @param {Array<number>} bits
+     * @param {number} value
+     * @param {number} length
+     */
+    static pushBits(bits, value, length) {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >> i) & 1);
+        }
+    }
+
+    /**
+     * Build the qrMatrix object QRCodeGenerator and the processors consume
+     *
+     * @param {Object} symbol
+     * @param {string} symbol.symbology - micro | rmqr
+     * @param {Array<Array<number>>} symbol.matrix - Final (masked) modules
+     * @param {Array<Array<string>>} symbol.roles - ModuleRoles role per module
+     * @param {Object} symbol.fields - version, errorCorrection, maskPattern, finders, alignmentCenters
+     * @returns {Object}
+     */
+    static toQRMatrix({ symbology, matrix, roles, fields }) {
+        const height = matrix.length;
+        const width = matrix[0].length;
+
+        return {
+            symbology,
+            size: width,
+            width,
+            height,
+            data: Uint8Array.from(matrix.flat()),
+            reserved: Uint8Array.from(roles.flat().map(role => (role === 'data' ? 0 : 1))),
+            matrix,
+            roles,
+            ...fields,
+        };
+    }
+}
+
+module.exports = SymbolEncoding;
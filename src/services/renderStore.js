@@ -0,0 +1,208 @@
+/**
+ * Render Store
+ *
+ * Persistent, content-addressed storage for generated QR images.
+ *
+ * A render is identified by the SHA-256 of its canonical request
+ * (QRCodeGenerator.canonicalizeRequest: renderer version, type, data,
+ * design and the render options; not the output format), so every format
+ * of one render shares a hash and a renderer-version bump starts new ones:
+ *
+ *   <hash>.json   meta of the render
+ *   <hash>.svg    <hash>.png    <hash>.pdf ...   one object per format
+ *
+ * Objects are written once and never change, which makes their URLs
+ * (/api/v2/qr/r/<hash>.<ext>) permanent and safe to cache forever.
+ *
+ * Backends: the local file system (default) or S3 / any S3-compatible
+ * service. Storage failures are logged and never fail a generation.
+ */
+
+const crypto = require('crypto');
+const FileSystemStorage = require('./storage/FileSystemStorage');
+const S3Storage = require('./storage/S3Storage');
+const logger = require('../utils/logger');
+const stableStringify = require('../utils/stableStringify');
+
+// Path the stored objects are served under (GET /api/v2/qr/r/:hash.:ext)
+const DEFAULT_PUBLIC_PATH = '/api/v2/qr/r';
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Stored objects never change, so clients and CDNs may keep them for a year
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+class RenderStore {
+    constructor() {
+        this.enabled = process.env.RENDER_STORE_ENABLED !== 'false';
+        this.publicUrl = (process.env.RENDER_STORE_PUBLIC_URL || DEFAULT_PUBLIC_PATH).replace(/\/+$/, '');
+        this.cacheControl = IMMUTABLE_CACHE_CONTROL;
+        this.storage = null;
+
+        if (this.enabled) {
+            this.initStorage();
+        }
+    }
+
+    /**
+     * Create the configured backend (RENDER_STORE_BACKEND: fs | s3)
+     */
+    initStorage() {
+        const backend = (process.env.RENDER_STORE_BACKEND || 'fs').toLowerCase();
+
+        try {
+            if (backend === 's3') {
+                this.storage = new S3Storage({
+                    bucket: process.env.RENDER_STORE_S3_BUCKET,
+                    region: process.env.RENDER_STORE_S3_REGION,
+                    endpoint: process.env.RENDER_STORE_S3_ENDPOINT,
+                    forcePathStyle: process.env.RENDER_STORE_S3_FORCE_PATH_STYLE
+                        ? process.env.RENDER_STORE_S3_FORCE_PATH_STYLE === 'true'
+                        : undefined,
+                    prefix: process.env.RENDER_STORE_S3_PREFIX,
+                    accessKeyId: process.env.RENDER_STORE_S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.RENDER_STORE_S3_SECRET_ACCESS_KEY,
+                    sessionToken: process.env.RENDER_STORE_S3_SESSION_TOKEN,
+                });
+            } else {
+                this.storage = new FileSystemStorage({
+                    directory: process.env.RENDER_STORE_DIR || './storage/renders',
+                });
+            }
+            logger.info(`Render store: ${backend}`);
+        } catch (error) {
+            logger.warn(`Render store disabled: ${error.message}`);
+            this.enabled = false;
+            this.storage = null;
+        }
+    }
+
+    /**
+     * Hash identifying a render
+     *
+     * @param {Object} request - Canonical { renderer, type, data, design, options } without the output format
+     * @returns {string} - 64 hex characters
+     */
+    hashRequest(request) {
+        return crypto
+            .createHash('sha256')
+            .update(stableStringify(request))
+            .digest('hex');
+    }
+
+    /**
+     * Load a stored render when every requested format is present
+     *
+     * @param {string} hash
+     * @param {Array<string>} formats - e.g. ['svg', 'png']
+     * @returns {Promise<Object|null>} - { meta, images: { format: Buffer } }
+     */
+    async load(hash, formats) {
+        if (!this.enabled) return null;
+
+        try {
+            const metaJson = await this.storage.get(`${hash}.json`);
+            if (!metaJson) return null;
+
+            const images = {};
+            for (const format of formats) {
+                const image = await this.storage.get(`${hash}.${format}`);
+                if (!image) return null;
+                images[format] = image;
+            }
+
+            logger.debug(`Render store hit: ${hash}`);
+            return { meta: JSON.parse(metaJson.toString('utf8')), images };
+        } catch (error) {
+            logger.warn(`Render store read error: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store the images of a render (formats already stored are kept)
+     *
+     * @param {string} hash
+     * @param {Object} images - { format: Buffer }
+     * @param {Object} meta - Render meta
+     * @param {Object} contentTypes - { format: MIME type }
+     * @returns {Promise<Object|null>} - { format: URL } of the stored images, or null when not stored
+     */
+    async save(hash, images, meta, contentTypes = {}) {
+        if (!this.enabled) return null;
+
+        try {
+            for (const [format, body] of Object.entries(images)) {
+                await this.storage.put(`${hash}.${format}`, body, {
+                    contentType: contentTypes[format],
+                    cacheControl: this.cacheControl,
+                });
+            }
+            // Meta last: a render counts as stored once its meta exists
+            await this.storage.put(`${hash}.json`, Buffer.from(JSON.stringify(meta)), { contentType: 'application/json' });
+
+            return this.getUrls(hash, Object.keys(images));
+        } catch (error) {
+            logger.warn(`Render store write error: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Read one stored image
+     *
+     * @param {string} hash
+     * @param {string} format
+     * @returns {Promise<Buffer|null>}
+     */
+    async getObject(hash, format) {
+        if (!this.enabled || !this.isValidHash(hash)) return null;
+        return this.storage.get(`${hash}.${format}`);
+    }
+
+    /**
+     * Check whether an image is stored
+     *
+     * @param {string} hash
+     * @param {string} format
+     * @returns {Promise<boolean>}
+     */
+    async hasObject(hash, format) {
+        if (!this.enabled || !this.isValidHash(hash)) return false;
+        return this.storage.exists(`${hash}.${format}`);
+    }
+
+    /**
+     * Permanent URLs of stored formats
+     *
+     * @param {string} hash
+     * @param {Array<string>} formats
+     * @returns {Object} - { format: URL }
+     */
+    getUrls(hash, formats) {
+        return Object.fromEntries(formats.map(format => [format, `${this.publicUrl}/${hash}.${format}`]));
+    }
+
+    /**
+     * Describe the store for /capabilities
+     *
+     * @returns {Object}
+     */
+    getInfo() {
+        return {
+            enabled: this.enabled,
+            ...(this.storage && this.storage.describe()),
+            urlPattern: `${this.publicUrl}/:hash.:ext`,
+        };
+    }
+
+    /**
+     * @param {string} hash
+     * @returns {boolean}
+     */
+    isValidHash(hash) {
+        return HASH_PATTERN.test(hash);
+    }
+}
+
+module.exports = new RenderStore();
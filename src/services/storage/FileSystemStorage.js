@@ -0,0 +1,91 @@
+/**
+ * File System Storage
+ *
+ * Render store backend keeping objects as files under one directory.
+ * Keys are "<hash>.<ext>"; files are spread over subdirectories named
+ * after the first two hash characters so no directory grows too large.
+ * Objects are written once: a temporary file renamed into place, so
+ * readers never see half-written images.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileSystemStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Root directory (created on first write)
+     */
+    constructor({ directory }) {
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Read an object
+     *
+     * @param {string} key - "<hash>.<ext>"
+     * @returns {Promise<Buffer|null>} Contents, or null when absent
+     */
+    async get(key) {
+        try {
+            return await fs.readFile(this.getPath(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an object exists
+     *
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        try {
+            await fs.access(this.getPath(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Write an object unless it already exists
+     *
+     * @param {string} key
+     * @param {Buffer} body
+     */
+    async put(key, body) {
+        const file = this.getPath(key);
+        if (await this.exists(key)) return;
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.writeFile(temporary, body);
+        await fs.rename(temporary, file);
+    }
+
+    /**
+     * Path of an object's file
+     *
+     * @param {string} key
+     * @returns {string}
+     */
+    getPath(key) {
+        return path.join(this.directory, key.slice(0, 2), key);
+    }
+
+    /**
+     * Backend description for logs and /capabilities
+     *
+     * @returns {Object}
+     */
+    describe() {
+        return { backend: 'fs' };
+    }
+}
+
+module.exports = FileSystemStorage;
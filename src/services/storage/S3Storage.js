@@ -0,0 +1,236 @@
+/**
+ * S3 Storage
+ *
+ * Render store backend for Amazon S3 and S3-compatible services (MinIO,
+ * Cloudflare R2, Ceph, a local stand-in). Only GetObject, HeadObject and
+ * PutObject are used, signed with AWS Signature Version 4, so no AWS SDK
+ * is needed.
+ *
+ * Objects live under <prefix><first two hash characters>/<hash>.<ext>,
+ * like the file system backend.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Hash of an empty payload (GET / HEAD)
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+class S3Storage {
+    /**
+     * @param {Object} options
+     * @param {string} options.bucket
+     * @param {string} options.region - e.g. eu-central-1 (S3-compatible services often accept us-east-1)
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {string} options.sessionToken - For temporary credentials
+     * @param {string} options.endpoint - Custom endpoint, e.g. http://localhost:9000 (default AWS)
+     * @param {boolean} options.forcePathStyle - <endpoint>/<bucket>/<key> instead of <bucket>.<host>/<key>
+     * @param {string} options.prefix - Key prefix, e.g. "renders/"
+     * @param {number} options.timeout - Request timeout in ms
+     */
+    constructor(options) {
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.sessionToken = options.sessionToken || null;
+        this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+        this.forcePathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint);
+        this.prefix = options.prefix || '';
+        this.timeout = options.timeout || 10000;
+
+        if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+            throw new Error('S3 storage needs a bucket, an access key id and a secret access key');
+        }
+    }
+
+    /**
+     * Read an object
+     *
+     * @param {string} key - "<hash>.<ext>"
+     * @returns {Promise<Buffer|null>} Contents, or null when absent
+     */
+    async get(key) {
+        const response = await this.request('GET', key);
+        if (response.status === 404) return null;
+        this.assertOk(response, 'GET', key);
+        return Buffer.from(response.data);
+    }
+
+    /**
+     * Check whether an object exists
+     *
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        const response = await this.request('HEAD', key);
+        if (response.status === 404) return false;
+        this.assertOk(response, 'HEAD', key);
+        return true;
+    }
+
+    /**
+     * Write an object unless it already exists
+     *
+     * @param {string} key
+     * @param {Buffer} body
+     * @param {Object} options - { contentType, cacheControl } stored with the object
+     */
+    async put(key, body, options = {}) {
+        if (await this.exists(key)) return;
+
+        const headers = {};
+        if (options.contentType) headers['content-type'] = options.contentType;
+        if (options.cacheControl) headers['cache-control'] = options.cacheControl;
+
+        const response = await this.request('PUT', key, body, headers);
+        this.assertOk(response, 'PUT', key);
+    }
+
+    /**
+     * Send a signed request for one object
+     *
+     * @param {string} method - GET | HEAD | PUT
+     * @param {string} key
+     * @param {Buffer} body - PUT body
+     * @param {Object} extraHeaders - Lowercase header names
+     * @returns {Promise<Object>} axios response (any status)
+     */
+    async request(method, key, body = null, extraHeaders = {}) {
+        const url = this.getObjectUrl(key);
+        const headers = this.signRequest({
+            method,
+            url,
+            headers: extraHeaders,
+            payloadHash: body ? crypto.createHash('sha256').update(body).digest('hex') : EMPTY_PAYLOAD_HASH,
+        });
+
+        return axios({
+            method,
+            url: url.toString(),
+            data: body || undefined,
+            headers,
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxBodyLength: Infinity,
+            validateStatus: () => true,
+            // The URL is already encoded; nothing may be rewritten after signing
+            transformRequest: [data => data],
+        });
+    }
+
+    /**
+     * @param {Object} response - axios response
+     * @param {string} method
+     * @param {string} key
+     * @throws {Error} S3_ERROR for any status other than 2xx
+     */
+    assertOk(response, method, key) {
+        if (response.status >= 200 && response.status < 300) return;
+
+        const body = response.data ? Buffer.from(response.data).toString('utf8') : '';
+        const code = (body.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+        const error = new Error(`S3 ${method} ${key} failed: ${response.status}${code ? ` ${code}` : ''}`);
+        error.code = 'S3_ERROR';
+        error.status = 502;
+        throw error;
+    }
+
+    /**
+     * URL of an object, path-style or virtual-hosted
+     *
+     * @param {string} key
+     * @returns {URL}
+     */
+    getObjectUrl(key) {
+        const objectKey = `${this.prefix}${key.slice(0, 2)}/${key}`;
+        const encodedKey = objectKey.split('/').map(S3Storage.encodeRfc3986).join('/');
+        const endpoint = new URL(this.endpoint);
+
+        if (this.forcePathStyle) {
+            return new URL(`${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${this.bucket}/${encodedKey}`);
+        }
+        return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodedKey}`);
+    }
+
+    /**
+     * Sign a request with AWS Signature Version 4
+     *
+     * @param {Object} request
+     * @param {string} request.method
+     * @param {URL} request.url
+     * @param {Object} request.headers - Headers to send and sign (lowercase names)
+     * @param {string} request.payloadHash - Hex SHA-256 of the body
+     * @param {Date} request.date - Signing time (default now)
+     * @returns {Object} - Headers including host, x-amz-date, x-amz-content-sha256 and authorization
+     */
+    signRequest({ method, url, headers = {}, payloadHash, date = new Date() }) {
+        const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const day = amzDate.slice(0, 8);
+        const scope = `${day}/${this.region}/s3/aws4_request`;
+
+        const signed = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+            ...(this.sessionToken && { 'x-amz-security-token': this.sessionToken }),
+        };
+        const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+        const values = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+
+        const query = [...url.searchParams.entries()]
+            .map(([name, value]) => [S3Storage.encodeRfc3986(name), S3Storage.encodeRfc3986(value)])
+            .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            query,
+            names.map(name => `${name}:${String(values[name]).trim().replace(/\s+/g, ' ')}\n`).join(''),
+            names.join(';'),
+            payloadHash,
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+        ].join('\n');
+
+        const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.secretAccessKey}`, day), this.region));
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            ...values,
+            authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+        };
+    }
+
+    /**
+     * Percent-encode everything but RFC 3986 unreserved characters
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    static encodeRfc3986(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * Backend description for logs and /capabilities
+     *
+     * @returns {Object}
+     */
+    describe() {
+        return { backend: 's3' };
+    }
+}
+
+module.exports = S3Storage;
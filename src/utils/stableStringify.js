@@ -0,0 +1,27 @@
+/**
+ * Stable Stringify
+ *
+ * JSON with object keys sorted and undefined values left out, so equal
+ * values always produce the same string whatever their key order. Used
+ * to build cache keys and render store hashes.
+ */
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = stableStringify;
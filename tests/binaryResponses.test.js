@@ -0,0 +1,127 @@
+const sharp = require('sharp');
+const { startApi } = require('./helpers/api');
+
+const BODY = { type: 'url', data: { url: 'https://example.com/binary' }, options: { size: 256 } };
+
+let api;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = await startApi();
+});
+
+afterAll(async () => {
+    await api.close();
+});
+
+describe('POST /generate content negotiation', () => {
+    it('returns JSON by default', async () => {
+        const { status, headers, body } = await api.request('POST', '/api/v2/qr/generate', { body: BODY });
+
+        expect(status).toBe(200);
+        expect(headers.get('vary')).toMatch(/Accept/);
+        expect(body.success).toBe(true);
+        expect(body.data.images.pngBase64).toBeDefined();
+    });
+
+    it('streams a PNG with the meta in headers', async () => {
+        const { status, headers, body } = await api.request('POST', '/api/v2/qr/generate', {
+            body: BODY,
+            headers: { Accept: 'image/png' },
+        });
+
+        expect(status).toBe(200);
+        expect(headers.get('content-type')).toBe('image/png');
+        expect(Number(headers.get('content-length'))).toBe(body.length);
+        expect(headers.get('x-qr-type')).toBe('url');
+        expect(headers.get('x-qr-size')).toBe('256');
+        expect(headers.get('x-qr-scannable')).toBe('true');
+        expect(headers.get('content-location')).toMatch(/^\/api\/v2\/qr\/r\/[a-f0-9]{64}\.png$/);
+        expect((await sharp(body).metadata()).width).toBe(256);
+    });
+
+    it('streams SVG', async () => {
+        const { headers, body } = await api.request('POST', '/api/v2/qr/generate', {
+            body: BODY,
+            headers: { Accept: 'image/svg+xml' },
+        });
+
+        expect(headers.get('content-type')).toMatch(/^image\/svg\+xml/);
+        expect(body.toString('utf8')).toMatch(/<svg[\s\S]*<\/svg>\s*$/);
+    });
+
+    it('streams PDF', async () => {
+        const { headers, body } = await api.request('POST', '/api/v2/qr/generate', {
+            body: BODY,
+            headers: { Accept: 'application/pdf' },
+        });
+
+        expect(headers.get('content-type')).toBe('application/pdf');
+        expect(body.subarray(0, 5).toString('latin1')).toBe('%PDF-');
+    });
+
+    it('keeps JSON when it is preferred', async () => {
+        const { headers } = await api.request('POST', '/api/v2/qr/generate', {
+            body: BODY,
+            headers: { Accept: 'application/json, image/png;q=0.5' },
+        });
+
+        expect(headers.get('content-type')).toMatch(/^application\/json/);
+    });
+
+    it('rejects Structured Append as a single image', async () => {
+        const { status, body } = await api.request('POST', '/api/v2/qr/generate', {
+            body: { ...BODY, options: { size: 256, structuredAppend: true } },
+            headers: { Accept: 'image/png' },
+        });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_FORMAT');
+    });
+});
+
+describe('GET /generate', () => {
+    const query = 'type=url&url=https%3A%2F%2Fexample.com%2Fbinary';
+
+    it('returns a cacheable image usable as <img src>', async () => {
+        const { status, headers, body } = await api.request('GET', `/api/v2/qr/generate?${query}&size=200`);
+
+        expect(status).toBe(200);
+        expect(headers.get('content-type')).toBe('image/png');
+        expect(headers.get('cache-control')).toBe('public, max-age=86400');
+        expect(headers.get('cross-origin-resource-policy')).toBe('cross-origin');
+        expect((await sharp(body).metadata()).width).toBe(200);
+    });
+
+    it('takes data and design as JSON', async () => {
+        const data = encodeURIComponent(JSON.stringify({ text: 'From JSON' }));
+        const design = encodeURIComponent(JSON.stringify({ foregroundColor: '#003366' }));
+        const { status, headers, body } = await api.request('GET', `/api/v2/qr/generate?type=text&data=${data}&design=${design}&format=svg`);
+
+        expect(status).toBe(200);
+        expect(headers.get('content-type')).toMatch(/^image\/svg\+xml/);
+        expect(body.toString('utf8')).toContain('#003366');
+    });
+
+    it.each(['abc', '', '10', '300.5'])('rejects size=%p instead of falling back to the default', async (size) => {
+        const { status, body } = await api.request('GET', `/api/v2/qr/generate?${query}&size=${size}`);
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_SIZE');
+        expect(body.details[0].field).toBe('size');
+    });
+
+    it('rejects format=both', async () => {
+        const { status, body } = await api.request('GET', `/api/v2/qr/generate?${query}&format=both`);
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_FORMAT');
+    });
+
+    it('rejects data that is not JSON', async () => {
+        const { status, body } = await api.request('GET', '/api/v2/qr/generate?type=text&data=%7Bnope');
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_QUERY');
+    });
+});
@@ -0,0 +1,59 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const renderStore = require('../src/services/renderStore');
+
+const generator = new QRCodeGenerator();
+
+function hash(design, extra = {}) {
+    return renderStore.hashRequest(generator.canonicalizeRequest({
+        type: 'url',
+        data: { url: 'https://example.com' },
+        design,
+        size: 512,
+        ...extra,
+    }));
+}
+
+describe('canonical render keys', () => {
+    it('match for equivalent spellings of a color', () => {
+        const expected = hash({ foregroundColor: '#FF0000' });
+
+        expect(hash({ foregroundColor: 'red' })).toBe(expected);
+        expect(hash({ foregroundColor: '#f00' })).toBe(expected);
+        expect(hash({ foregroundColor: 'rgb(255, 0, 0)' })).toBe(expected);
+        expect(hash({ foregroundColor: ' #ff0000 ' })).toBe(expected);
+    });
+
+    it('match whatever the key order and key spelling', () => {
+        const expected = hash({ foregroundColor: '#000000', backgroundColor: '#FFFFFF' });
+
+        expect(hash({ backgroundColor: '#FFFFFF', foregroundColor: '#000000' })).toBe(expected);
+        expect(hash({ foreground_color: '#000000', background_color: '#ffffff' })).toBe(expected);
+    });
+
+    it('differ for different named colors', () => {
+        expect(hash({ foregroundColor: 'red' })).not.toBe(hash({ foregroundColor: 'blue' }));
+        expect(hash({ advancedShapeFrameColor: 'navy' })).not.toBe(hash({ advancedShapeFrameColor: 'teal' }));
+    });
+
+    it('keep colors the parser does not know apart', () => {
+        expect(generator.canonicalizeColor('rebeccapurple')).toBe('rebeccapurple');
+        expect(hash({ advancedShapeFrameColor: 'rebeccapurple' }))
+            .not.toBe(hash({ advancedShapeFrameColor: 'cornflowerblue' }));
+    });
+
+    it('canonicalize gradient stops', () => {
+        const expected = hash({ gradientFill: { type: 'LINEAR', colors: ['#FF0000', '#0000FF'] } });
+
+        expect(hash({ gradientFill: { type: 'LINEAR', colors: ['red', 'blue'] } })).toBe(expected);
+        expect(hash({ gradientFill: { type: 'LINEAR', colors: ['red', 'navy'] } })).not.toBe(expected);
+    });
+
+    it('differ for different render options', () => {
+        expect(hash({}, { size: 512 })).not.toBe(hash({}, { size: 1024 }));
+    });
+
+    it('include the renderer version', () => {
+        expect(generator.canonicalizeRequest({ type: 'url', data: {}, design: {} }).renderer)
+            .toBe(QRCodeGenerator.RENDERER_VERSION);
+    });
+});
@@ -0,0 +1,176 @@
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+const QRCapacity = require('../src/services/qr/QRCapacity');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+
+const JANE = {
+    firstName: 'Jane',
+    lastName: 'Doe',
+    phone: '+1 (555) 123-4567',
+    email: 'jane@example.com',
+    organization: 'Acme, Inc.',
+};
+
+// A contact with every optional field compact mode knows about
+const FULL = {
+    ...JANE,
+    jobTitle: 'Engineer',
+    department: 'R&D',
+    work_phone: '+1 555 765 4321',
+    fax: '+1 555 000 0000',
+    website: 'https://example.com/jane',
+    address: { street: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701', country: 'USA' },
+    birthday: '1990-04-01',
+    note: 'Met at the spring conference; ask about the QR project',
+    photo: 'https://example.com/photos/jane.jpg',
+    linkedin: 'https://linkedin.com/in/janedoe',
+    github: 'https://github.com/janedoe',
+};
+
+function encodeError(data) {
+    try {
+        QRDataEncoder.encodeDetailed('vcard', data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the contact to be rejected');
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('vCard', () => {
+    it('writes vCard 3.0 by default', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('vcard', JANE);
+
+        expect(content.split('\r\n')).toEqual([
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            'FN:Jane Doe',
+            'N:Doe;Jane;;;',
+            'ORG:Acme\\, Inc.',
+            'TEL;TYPE=CELL:+1 (555) 123-4567',
+            'EMAIL;TYPE=INTERNET:jane@example.com',
+            'END:VCARD',
+        ]);
+        expect(meta.contactFormat).toBe('vcard3');
+        expect(meta.droppedFields).toBeUndefined();
+    });
+
+    it('writes vCard 4.0 with tel URIs', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('vcard', { ...JANE, format: 'vcard4' });
+
+        expect(content).toContain('VERSION:4.0');
+        expect(content).toContain('TEL;TYPE=cell;VALUE=uri:tel:+15551234567');
+        expect(content).toContain('EMAIL;TYPE=internet:jane@example.com');
+        expect(meta.contactFormat).toBe('vcard4');
+    });
+
+    it('still reads the legacy version field', () => {
+        expect(QRDataEncoder.getContactFormat({ version: '4.0' })).toBe('vcard4');
+        expect(QRDataEncoder.getContactFormat({ format: 'vCard' })).toBe('vcard3');
+    });
+
+    it('links a photo by URL with its media type', () => {
+        const photo = 'https://example.com/photos/jane.jpg?size=small';
+
+        expect(QRDataEncoder.encode('vcard', { ...JANE, photo }))
+            .toContain(`PHOTO;VALUE=uri;TYPE=JPEG:${photo}`);
+        expect(QRDataEncoder.encode('vcard', { ...JANE, photo, format: 'vcard4' }))
+            .toContain(`PHOTO;MEDIATYPE=image/jpeg:${photo}`);
+    });
+
+    it('embeds a photo given as a data URI', () => {
+        const photo = 'data:image/png;base64,iVBORw0KGgo=';
+
+        expect(QRDataEncoder.encode('vcard', { ...JANE, photo })).toContain('PHOTO;ENCODING=b;TYPE=PNG:iVBORw0KGgo=');
+        expect(QRDataEncoder.encode('vcard', { ...JANE, photo, format: 'vcard4' })).toContain(`PHOTO:${photo}`);
+    });
+
+    it('leaves out photos that are neither a URL nor a data URI', () => {
+        expect(QRDataEncoder.encode('vcard', { ...JANE, photo: 'jane.jpg' })).not.toContain('PHOTO');
+    });
+
+    it('takes a string address as the street line', () => {
+        const content = QRDataEncoder.encode('vcard', { ...JANE, address: '1 Main St', city: 'Springfield' });
+
+        expect(content).toContain('ADR;TYPE=HOME:;;1 Main St;Springfield;;;');
+    });
+
+    it('rejects unknown formats', () => {
+        const error = encodeError({ ...JANE, format: 'hcard' });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data.format' })]);
+    });
+});
+
+describe('MeCard', () => {
+    it('writes the short MECARD form', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('vcard', {
+            ...JANE, format: 'mecard', address: { street: '1 Main St', city: 'Springfield' }, birthday: '1990-04-01',
+        });
+
+        expect(content).toBe(
+            'MECARD:N:Doe,Jane;ORG:Acme\\, Inc.;TEL:+1 (555) 123-4567;EMAIL:jane@example.com;'
+            + 'ADR:,,1 Main St,Springfield,,,;BDAY:19900401;;'
+        );
+        expect(meta.contactFormat).toBe('mecard');
+    });
+
+    it('reports the fields MeCard cannot carry as dropped', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('vcard', { ...FULL, format: 'mecard' });
+
+        expect(meta.droppedFields).toEqual(['photo', 'socialProfiles', 'fax', 'jobTitle', 'department']);
+        expect(content).not.toMatch(/PHOTO|linkedin|Engineer/);
+    });
+});
+
+describe('compact mode', () => {
+    it('drops optional fields in order until the contact fits the target version', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('vcard', { ...FULL, compact: { targetVersion: 8 } }, { errorCorrection: 'M' });
+
+        expect(Buffer.byteLength(content, 'utf8')).toBeLessThanOrEqual(QRCapacity.getByteCapacity(8, 'M'));
+        expect(meta).toMatchObject({ contactFormat: 'vcard3', targetVersion: 8 });
+        expect(meta.droppedFields.slice(0, 3)).toEqual(['photo', 'socialProfiles', 'note']);
+        expect(content).toContain('FN:Jane Doe');
+        expect(content).toContain('TEL;TYPE=CELL:');
+        expect(content).toContain('EMAIL;TYPE=INTERNET:jane@example.com');
+    });
+
+    it('drops nothing when the contact already fits', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('vcard', { ...JANE, compact: true });
+
+        expect(content).toBe(QRDataEncoder.encode('vcard', JANE));
+        expect(meta).toMatchObject({ targetVersion: 10, droppedFields: [] });
+    });
+
+    it('keeps more fields at a lower error correction level', () => {
+        const data = { ...FULL, compact: { targetVersion: 10 } };
+        const atL = QRDataEncoder.encodeDetailed('vcard', data, { errorCorrection: 'L' });
+        const atQ = QRDataEncoder.encodeDetailed('vcard', data, { errorCorrection: 'Q' });
+
+        expect(atL.meta.droppedFields.length).toBeLessThan(atQ.meta.droppedFields.length);
+    });
+
+    it('rejects a target the required fields cannot fit', () => {
+        const error = encodeError({ ...JANE, compact: { targetVersion: 2 } });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data.compact.targetVersion', message: expect.stringMatching(/bytes/) })]);
+    });
+
+    it('rejects target versions outside 1 to 40', () => {
+        expect(encodeError({ ...JANE, compact: { targetVersion: 41 } }).details[0].field).toBe('data.compact.targetVersion');
+    });
+
+    it('reports the dropped fields in the generation meta', async () => {
+        const generator = new QRCodeGenerator();
+        const { meta } = await generator.generate('vcard', { ...FULL, compact: { targetVersion: 8 } }, {}, { size: 512 });
+
+        expect(meta.contactFormat).toBe('vcard3');
+        expect(meta.droppedFields).toEqual(expect.arrayContaining(['photo', 'socialProfiles']));
+        expect(meta.version).toBeLessThanOrEqual(8);
+        expect(meta.scannable).toBe(true);
+    });
+});
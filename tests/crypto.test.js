@@ -0,0 +1,175 @@
+const CryptoEncoder = require('../src/services/qr/encoders/CryptoEncoder');
+const CryptoAddress = require('../src/services/qr/encoders/CryptoAddress');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+
+// First invoice of the BOLT11 specification examples
+const INVOICE = 'lnbc1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjypeh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq8rkx3yf5tcsyz3d73gafnh3cax9rn449d9p5uxz9ezhhypd0elx87sjle52x86fux2ypatgddc6k63n7erqz25le42c4u4ecky03ylcqca784w';
+
+const SOLANA_PAY_RECIPIENT = 'mvines9iiHiQTysrwkJjGf2gb9Ex9jXJX8ns3qwf2kN';
+const MONERO_ADDRESS = '44AFFq5kSiGBoZ4NMDwYtN18obc8AemS33DBLWs3H7otXft3XjrpDtQGv7SqSsaBYBb98uNbr2VBBEt7f2wfn3RVGQBEP3A';
+
+function encodeError(data) {
+    try {
+        CryptoEncoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the payment to be rejected');
+}
+
+describe('addresses', () => {
+    it('checks EIP-55 checksums', () => {
+        for (const address of [
+            '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+            '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+            '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+            '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+        ]) {
+            expect(CryptoAddress.toChecksumAddress(address.toLowerCase())).toBe(address);
+            expect(CryptoAddress.toChecksumAddress(address)).toBe(address);
+        }
+        expect(CryptoAddress.toChecksumAddress('0x5aAeb6053F3E94C9b9A09f33669435e7Ef1BeAed')).toBeNull();
+    });
+
+    it('checks Bech32 and Bech32m segwit addresses', () => {
+        expect(CryptoEncoder.encode({ address: 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4' }))
+            .toBe('bitcoin:bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+        expect(CryptoEncoder.encode({ address: 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0' }))
+            .toBe('bitcoin:bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0');
+        expect(encodeError({ address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5' }).details).toEqual([
+            { field: 'data.address', message: 'Invalid Bitcoin address: must be Base58Check or Bech32/Bech32m (bc1..., tb1...) with a valid checksum' },
+        ]);
+    });
+
+    it('checks Base58Check, including the example address of BIP-21 whose checksum is wrong', () => {
+        expect(CryptoEncoder.encode({ address: '1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu' })).toBe('bitcoin:1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu');
+        expect(encodeError({ address: '175tWpb8K1S7NmH4Zx6rewF9WQrcZv245W' }).details[0].field).toBe('data.address');
+        expect(encodeError({ currency: 'doge', address: '1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu' }).details[0].field).toBe('data.address');
+    });
+
+    it('writes Bitcoin Cash addresses in CashAddr form', () => {
+        expect(CryptoEncoder.encode({ currency: 'bch', address: 'qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a' }))
+            .toBe('bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a');
+        expect(CryptoEncoder.encode({ currency: 'bch', address: 'bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a' }))
+            .toBe('bitcoincash:qpm2qsznhks23z7629mms6s4cwef74vcwvy22gdx6a');
+    });
+});
+
+describe('BIP-21', () => {
+    it('writes amount, label and message as in the specification', () => {
+        const uri = CryptoEncoder.encode({
+            address: '1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu', amount: 50, label: 'Luke-Jr', message: 'Donation for project xyz',
+        });
+
+        expect(uri).toBe('bitcoin:1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu?amount=50&label=Luke-Jr&message=Donation%20for%20project%20xyz');
+    });
+
+    it('writes amounts without float or exponent artifacts', () => {
+        expect(CryptoEncoder.encode({ address: '1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu', amount: 1e-7 })).toMatch(/\?amount=0\.0000001$/);
+        expect(CryptoEncoder.encode({ address: '1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu', amount: '0.10000000' })).toMatch(/\?amount=0\.1$/);
+        expect(encodeError({ address: '1BpEi6DfDAUFd7GtittLSdBeYJvcoaVggu', amount: '0.000000001' }).details).toEqual([
+            { field: 'data.amount', message: 'Amount must have at most 8 decimal places' },
+        ]);
+    });
+
+    it('adds a Lightning invoice as the fallback', () => {
+        const uri = CryptoEncoder.encode({ address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', amount: 0.001, lightning: `LIGHTNING:${INVOICE.toUpperCase()}` });
+
+        expect(uri).toBe(`bitcoin:bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4?amount=0.001&lightning=${INVOICE}`);
+    });
+
+    it('keeps Lightning to Bitcoin', () => {
+        expect(encodeError({ currency: 'ltc', address: 'LaMT348PWRnrqeeWArpwQPbuanpXDZGEUz', lightning: INVOICE }).details).toEqual([
+            { field: 'data.lightning', message: 'Litecoin payment URIs cannot carry a Lightning invoice' },
+        ]);
+    });
+});
+
+describe('EIP-681', () => {
+    it('writes native amounts in wei with the chain id', () => {
+        expect(CryptoEncoder.encode({ currency: 'polygon', address: '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', amount: 1.5 }))
+            .toBe('ethereum:0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed@137?value=1500000000000000000');
+    });
+
+    it('calls transfer on the token contract, as in the specification example', () => {
+        const uri = CryptoEncoder.encode({
+            currency: 'eth',
+            address: '0x8e23ee67d1332ad560396262c48ffbb01f93d052',
+            token: { address: '0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7', decimals: 0 },
+            amount: 1,
+        });
+
+        expect(uri).toBe('ethereum:0x89205A3A3b2A69De6Dbf7f01ED13B2108B2c43e7@1/transfer?address=0x8e23Ee67d1332aD560396262C48ffbB01F93D052&uint256=1');
+    });
+
+    it('converts listed token amounts to base units', () => {
+        expect(CryptoEncoder.encode({ currency: 'eth', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', token: 'usdc', amount: '2.5' }))
+            .toBe('ethereum:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48@1/transfer?address=0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed&uint256=2500000');
+    });
+
+    it('needs the decimals of unlisted tokens to convert an amount', () => {
+        const error = encodeError({
+            currency: 'base', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', token: { address: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359' }, amount: 3,
+        });
+
+        expect(error.details).toEqual([{ field: 'data.token.decimals', message: 'Required with an amount for tokens that are not listed' }]);
+    });
+
+    it('rejects fields EVM URIs cannot carry', () => {
+        const error = encodeError({ currency: 'eth', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', label: 'Shop', memo: 'x' });
+
+        expect(error.details.map(detail => detail.field)).toEqual(['data.label', 'data.memo']);
+    });
+});
+
+describe('other chains', () => {
+    it('builds Solana Pay transfer requests as in the specification', () => {
+        expect(CryptoEncoder.encode({
+            currency: 'sol', address: SOLANA_PAY_RECIPIENT, amount: 1, label: 'Michael', message: 'Thanks for all the fish', memo: 'OrderId12345',
+        })).toBe(`solana:${SOLANA_PAY_RECIPIENT}?amount=1&label=Michael&message=Thanks%20for%20all%20the%20fish&memo=OrderId12345`);
+
+        expect(CryptoEncoder.encode({ currency: 'sol', address: SOLANA_PAY_RECIPIENT, amount: 0.01, token: 'USDC' }))
+            .toBe(`solana:${SOLANA_PAY_RECIPIENT}?amount=0.01&spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v`);
+    });
+
+    it('checks Solana Pay references', () => {
+        const error = encodeError({ currency: 'sol', address: SOLANA_PAY_RECIPIENT, reference: [SOLANA_PAY_RECIPIENT, '0OIl'] });
+
+        expect(error.details).toEqual([{ field: 'data.reference[1]', message: 'Reference must be a base58 public key' }]);
+    });
+
+    it('uses the Monero parameter names', () => {
+        expect(CryptoEncoder.encode({ currency: 'xmr', address: MONERO_ADDRESS, amount: 0.25, label: 'Shop', message: 'Order 7' }))
+            .toBe(`monero:${MONERO_ADDRESS}?tx_amount=0.25&recipient_name=Shop&tx_description=Order%207`);
+        expect(encodeError({ currency: 'xmr', address: `${MONERO_ADDRESS.slice(0, -1)}B` }).details[0].field).toBe('data.address');
+    });
+
+    it('sends Zcash memos base64url-encoded, to shielded addresses only', () => {
+        // Synthetic Sapling address (Bech32, HRP zs) and the transparent burn address
+        const shielded = 'zs1qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qursw9krx8s';
+
+        expect(CryptoEncoder.encode({ currency: 'zec', address: shielded, amount: 1, memo: 'This is a simple memo.' }))
+            .toBe(`zcash:${shielded}?amount=1&memo=VGhpcyBpcyBhIHNpbXBsZSBtZW1vLg`);
+        expect(encodeError({ currency: 'zec', address: 't1Hsc1LR8yKnbbe3twRp88p6vFfC5t7DLbs', memo: 'hi' }).details).toEqual([
+            { field: 'data.memo', message: 'Memos can only be sent to shielded (zs) addresses' },
+        ]);
+    });
+
+    it('writes a bare Lightning invoice', () => {
+        expect(CryptoEncoder.encode({ lightning: INVOICE })).toBe(`lightning:${INVOICE}`);
+        expect(encodeError({ lightning: INVOICE, amount: 1 }).details).toEqual([
+            { field: 'data.amount', message: 'A Lightning invoice carries its own amount' },
+        ]);
+        expect(encodeError({ lightning: `${INVOICE.slice(0, -1)}x` }).details[0].field).toBe('data.lightning');
+    });
+
+    it('rejects unknown currencies', () => {
+        expect(encodeError({ currency: 'dogwifhat', address: 'x' }).details[0].field).toBe('data.currency');
+    });
+
+    it('is what the crypto type encodes to', () => {
+        const data = { currency: 'eth', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', amount: 1 };
+
+        expect(QRDataEncoder.encode('crypto', data)).toBe(CryptoEncoder.encode(data));
+    });
+});
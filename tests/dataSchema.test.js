@@ -0,0 +1,162 @@
+const QRDataSchema = require('../src/services/qr/QRDataSchema');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+const { startApi } = require('./helpers/api');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('QRDataSchema.validate', () => {
+    it('names missing required fields instead of encoding empty payloads', () => {
+        expect(QRDataSchema.validate('phone', {})).toEqual([{ field: 'data.phone', message: 'Required' }]);
+        expect(QRDataSchema.validate('upi', { payeeName: 'Shop' })).toEqual([{ field: 'data.vpa', message: 'Required' }]);
+        expect(QRDataSchema.validate('whatsapp', { message: 'Hi' })).toEqual([{ field: 'data.phone', message: 'Required' }]);
+    });
+
+    it('reports a value under the alias it was given as', () => {
+        expect(QRDataSchema.validate('phone', { number: '12' })).toEqual([
+            { field: 'data.number', message: 'Must be an international phone number (E.164), e.g. +14155550123' },
+        ]);
+        expect(QRDataSchema.validate('upi', { upi_id: 'not a vpa' })).toEqual([
+            { field: 'data.upi_id', message: 'Must be a UPI ID (VPA), e.g. name@bank' },
+        ]);
+    });
+
+    it('accepts phone numbers with the separators people type', () => {
+        expect(QRDataSchema.validate('phone', { phone: '+1 (415) 555-0123' })).toEqual([]);
+    });
+
+    it('takes a plain string for the primary field', () => {
+        expect(QRDataSchema.validate('url', 'https://example.com')).toEqual([]);
+        expect(QRDataSchema.validate('url', 'not a url')).toEqual([expect.objectContaining({ field: 'data.url' })]);
+        expect(QRDataSchema.validate('wifi', 'MyNetwork')).toEqual([{ field: 'data', message: 'Must be an object with the Wi-Fi fields' }]);
+    });
+
+    it('checks number ranges, reading numeric strings as numbers', () => {
+        expect(QRDataSchema.validate('location', { latitude: '47.37', longitude: 8.54 })).toEqual([]);
+        expect(QRDataSchema.validate('location', { lat: 91, lng: -181 })).toEqual([
+            { field: 'data.lat', message: 'Must be between -90 and 90' },
+            { field: 'data.lng', message: 'Must be between -180 and 180' },
+        ]);
+    });
+
+    it('names what a started group still needs', () => {
+        expect(QRDataSchema.validate('location', { latitude: 47.37 })).toEqual([
+            { field: 'data.longitude', message: 'Required together with latitude' },
+        ]);
+        expect(QRDataSchema.validate('location', {})).toEqual([
+            { field: 'data.latitude', message: 'Required: latitude and longitude, or query' },
+        ]);
+    });
+
+    it('walks nested objects and arrays', () => {
+        const errors = QRDataSchema.validate('vcard', {
+            firstName: 'Ana',
+            phones: [{ number: '+55 11 99999-0000' }, { type: 'work' }],
+            emails: [{ address: 'ana@' }],
+            address: { city: 'x'.repeat(101) },
+        });
+
+        expect(errors).toEqual([
+            { field: 'data.phones[1].number', message: 'Required' },
+            { field: 'data.emails[0].address', message: 'Must be an e-mail address' },
+            { field: 'data.address.city', message: 'Must be at most 100 characters (got 101)' },
+        ]);
+    });
+
+    it('takes a string contact address as the street line', () => {
+        expect(QRDataSchema.validate('vcard', { firstName: 'Ana', address: 'Rua Augusta 100' })).toEqual([]);
+        expect(QRDataSchema.validate('vcard', { firstName: 'Ana', address: 'x'.repeat(101) })).toEqual([
+            { field: 'data.address', message: 'Must be at most 100 characters (got 101)' },
+        ]);
+        expect(QRDataEncoder.encode('vcard', { firstName: 'Ana', address: 'Rua Augusta 100' })).toContain('ADR;TYPE=HOME:;;Rua Augusta 100;;;;');
+    });
+
+    it('checks types, enums and check digits', () => {
+        expect(QRDataSchema.validate('wifi', { ssid: 'Cafe', encryption: 'wpa9', hidden: 'yes' })).toEqual([
+            { field: 'data.encryption', message: expect.stringMatching(/^Must be one of: WPA, WPA2/) },
+            { field: 'data.hidden', message: 'Must be true or false' },
+        ]);
+        expect(QRDataSchema.validate('epc', { name: 'Shop', iban: 'DE89 3704 0044 0532 0130 00' })).toEqual([]);
+        expect(QRDataSchema.validate('epc', { name: 'Shop', iban: 'DE88 3704 0044 0532 0130 00' })).toEqual([
+            { field: 'data.iban', message: 'Must be a valid IBAN' },
+        ]);
+    });
+
+    it('skips the fields of a finished payload', () => {
+        expect(QRDataSchema.validate('pix', { emv: '000201...' })).toEqual([]);
+        expect(QRDataSchema.validate('pix', { emv: 42 })).toEqual([{ field: 'data.emv', message: 'Must be a string' }]);
+    });
+
+    it('makes the encoder reject what the schema rejects', () => {
+        expect(() => QRDataEncoder.encodeDetailed('location', {})).toThrow(expect.objectContaining({
+            code: 'INVALID_DATA',
+            status: 400,
+            details: [{ field: 'data.latitude', message: 'Required: latitude and longitude, or query' }],
+        }));
+    });
+
+    it('publishes every schema as JSON', () => {
+        const { formats, types } = QRDataSchema.describe();
+
+        expect(Object.keys(types)).toEqual(QRDataSchema.getTypes());
+        expect(formats.iban).toMatchObject({ ignore: '\\s', checkDigit: true, message: 'Must be a valid IBAN' });
+        expect(types.swissqr.fields.reference).toMatchObject({ maxLength: 27, ignore: '\\s' });
+        expect(types.phone.fields.phone).toEqual({ label: 'Phone number', aliases: ['number', 'tel'], required: true, format: 'e164' });
+    });
+});
+
+describe('API', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await startApi();
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    it('lists field errors from /validate', async () => {
+        const { status, body } = await api.request('POST', '/api/v2/qr/validate', {
+            body: { type: 'sms', data: { number: 'call me', message: 'x'.repeat(1601) } },
+        });
+
+        expect(status).toBe(200);
+        expect(body.data.valid).toBe(false);
+        expect(body.data.errors).toEqual([
+            { field: 'data.number', message: expect.stringMatching(/E\.164/) },
+            { field: 'data.message', message: 'Must be at most 1600 characters (got 1601)' },
+        ]);
+    });
+
+    it('rejects invalid data from POST /generate', async () => {
+        const { status, body } = await api.request('POST', '/api/v2/qr/generate', { body: { type: 'upi', data: { vpa: '' } } });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_DATA');
+        expect(body.details).toEqual([{ field: 'data.vpa', message: 'Required' }]);
+    });
+
+    it('rejects invalid data from GET /generate', async () => {
+        const { status, body } = await api.request('GET', '/api/v2/qr/generate?type=location&lat=100&lng=8');
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_DATA');
+        expect(body.details).toEqual([{ field: 'data.lat', message: 'Must be between -90 and 90' }]);
+    });
+
+    it('rejects invalid data from /preview', async () => {
+        const { status, body } = await api.request('POST', '/api/v2/qr/preview', { body: { type: 'phone', data: { phone: 'abc' } } });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_DATA');
+        expect(body.details).toEqual([expect.objectContaining({ field: 'data.phone' })]);
+    });
+
+    it('publishes the schemas in /capabilities', async () => {
+        const { body } = await api.request('GET', '/api/v2/qr/capabilities');
+
+        expect(body.data.dataSchemas).toEqual(QRDataSchema.describe());
+    });
+});
@@ -0,0 +1,135 @@
+const EMVCoMerchantEncoder = require('../src/services/qr/encoders/EMVCoMerchantEncoder');
+const EMVCoEncoder = require('../src/services/qr/encoders/EMVCoEncoder');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+
+function encodeError(data) {
+    try {
+        EMVCoMerchantEncoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the payload to be rejected');
+}
+
+// Payload without its CRC, after checking that the CRC matches
+function withoutCrc(payload) {
+    expect(EMVCoEncoder.verifyCrc(payload)).toBe(true);
+    return payload.slice(0, -8);
+}
+
+describe('presets', () => {
+    it('builds PayNow for a UEN with proxy type 2', () => {
+        const payload = EMVCoMerchantEncoder.encode({ preset: 'paynow', uen: '201403121W', merchantName: 'ACME PTE LTD', amount: 12.5 });
+
+        expect(withoutCrc(payload)).toBe(
+            '000201' + '010212'
+            + '2637' + '0009SG.PAYNOW' + '01012' + '0210201403121W' + '03011'
+            + '52040000' + '5303702' + '540512.50' + '5802SG' + '5912ACME PTE LTD' + '6009Singapore'
+        );
+    });
+
+    it('builds PayNow for a mobile number with proxy type 0', () => {
+        const payload = EMVCoMerchantEncoder.encode({ preset: 'paynow', mobile: '+6591234567', merchantName: 'ACME', editable: false });
+        const account = EMVCoEncoder.parse(EMVCoEncoder.parse(payload)['26']);
+
+        expect(account).toEqual({ '00': 'SG.PAYNOW', '01': '0', '02': '+6591234567', '03': '0' });
+    });
+
+    it('takes an explicit PayNow proxy type', () => {
+        const payload = EMVCoMerchantEncoder.encode({ preset: 'paynow', proxyType: 'uen', proxyValue: '201403121W', merchantName: 'ACME' });
+
+        expect(EMVCoEncoder.parse(EMVCoEncoder.parse(payload)['26'])['01']).toBe('2');
+        expect(encodeError({ preset: 'paynow', proxyType: 'vpa', proxyValue: 'x', merchantName: 'ACME' }).details)
+            .toEqual([expect.objectContaining({ field: 'data.proxyType' })]);
+    });
+
+    it('builds PromptPay with the mobile number in 0066 form', () => {
+        const payload = EMVCoMerchantEncoder.encode({ preset: 'promptpay', mobile: '081-234-5678', merchantName: 'SHOP', merchantCity: 'Bangkok' });
+
+        expect(withoutCrc(payload)).toBe(
+            '000201' + '010211'
+            + '2937' + '0016A000000677010111' + '01130066812345678'
+            + '52040000' + '5303764' + '5802TH' + '5904SHOP' + '6007Bangkok'
+        );
+    });
+
+    it('lets an explicit currency override the preset', () => {
+        const payload = EMVCoMerchantEncoder.encode({
+            preset: 'raast', iban: 'PK36SCBL0000001123456702', merchantName: 'Shop', merchantCity: 'Karachi', currency: 'KES',
+        });
+
+        expect(EMVCoEncoder.parse(payload)['53']).toBe('404');
+    });
+
+    it('names the missing preset fields', () => {
+        const error = encodeError({ preset: 'duitnow', merchantName: 'Kedai', merchantCity: 'Kuala Lumpur' });
+
+        expect(error.details).toEqual([{
+            field: 'data.accountId',
+            message: 'Required for DuitNow (Malaysia): accountId or proxyValue',
+        }]);
+    });
+
+    it('rejects unknown presets', () => {
+        expect(encodeError({ preset: 'venmo', merchantName: 'A', merchantCity: 'B' }).details[0].field).toBe('data.preset');
+    });
+});
+
+describe('explicit templates', () => {
+    it('writes card network accounts, tips and additional data', () => {
+        const payload = EMVCoMerchantEncoder.encode({
+            merchantAccounts: [{ id: '04', value: '4111111111111111' }],
+            currency: '840',
+            country: 'us',
+            merchantName: 'A',
+            merchantCity: 'B',
+            tip: { type: 'percentage', value: 10 },
+            additionalData: { billNumber: 'INV-1' },
+        });
+
+        expect(withoutCrc(payload)).toBe(
+            '000201' + '010211' + '04164111111111111111'
+            + '52040000' + '5303840' + '550203' + '570210' + '5802US' + '5901A' + '6001B' + '62090105INV-1'
+        );
+    });
+
+    it('is what the emvco type encodes to', () => {
+        const data = { preset: 'paynow', uen: '201403121W', merchantName: 'ACME' };
+
+        expect(QRDataEncoder.encode('emvco', data)).toBe(EMVCoMerchantEncoder.encode(data));
+    });
+
+    it.each([
+        ['USD', '840'], ['eur', '978'], ['KES', '404'], ['XCG', '532'], ['702', '702'],
+    ])('resolves currency %s to %s', (currency, numeric) => {
+        expect(EMVCoMerchantEncoder.resolveCurrency(currency)).toBe(numeric);
+    });
+
+    it('reports every scheme field error at once', () => {
+        const error = encodeError({
+            payloadFormatIndicator: '02',
+            merchantAccounts: [{ id: '26', gui: 'COM.EXAMPLE', fields: { '01': '123' } }, { id: '26', gui: 'COM.EXAMPLE' }, { id: '60', value: 'x' }],
+            mcc: '12',
+            currency: 'XYZ',
+            country: 'ZZ',
+            merchantName: 'A',
+            merchantCity: 'B',
+        });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details.map(detail => detail.field)).toEqual([
+            'data.payloadFormatIndicator',
+            'data.merchantAccounts[1].id',
+            'data.merchantAccounts[2].id',
+            'data.mcc',
+            'data.currency',
+            'data.country',
+        ]);
+    });
+
+    it('requires a merchant account', () => {
+        const error = encodeError({ currency: 'SGD', country: 'SG', merchantName: 'A', merchantCity: 'B' });
+
+        expect(error.details[0].field).toBe('data.merchantAccounts');
+    });
+});
@@ -0,0 +1,100 @@
+const EPCEncoder = require('../src/services/qr/encoders/EPCEncoder');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+
+const RED_CROSS = {
+    version: '001',
+    bic: 'BPOTBEB1',
+    name: 'Red Cross of Belgium',
+    iban: 'BE72000000001616',
+    amount: 1,
+    purpose: 'CHAR',
+    text: 'Urgency fund',
+};
+
+function encodeError(data) {
+    try {
+        EPCEncoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the payload to be rejected');
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('EPC069-12 payload', () => {
+    it('matches the example of the EPC guidelines', () => {
+        // The guidelines write the amount as "EUR1"; two decimals are equally valid
+        expect(EPCEncoder.encode(RED_CROSS)).toBe([
+            'BCD', '001', '1', 'SCT', 'BPOTBEB1', 'Red Cross of Belgium', 'BE72000000001616', 'EUR1.00', 'CHAR', '', 'Urgency fund',
+        ].join('\n'));
+    });
+
+    it('leaves out the BIC and the trailing lines in version 002', () => {
+        const { content, meta } = QRDataEncoder.encodeDetailed('epc', { name: 'Red Cross of Belgium', iban: 'BE72 0000 0000 1616' });
+
+        expect(content).toBe('BCD\n002\n1\nSCT\n\nRed Cross of Belgium\nBE72000000001616');
+        expect(meta).toMatchObject({ errorCorrection: 'M' });
+    });
+
+    it('puts a creditor reference before the text line', () => {
+        const payload = EPCEncoder.encode({ name: 'Shop', iban: 'DE89370400440532013000', reference: 'RF18 5390 0754 7034' });
+
+        expect(payload.split('\n').slice(7)).toEqual(['', '', 'RF18539007547034']);
+    });
+});
+
+describe('validation', () => {
+    it('checks the IBAN with mod-97', () => {
+        expect(EPCEncoder.isValidIban('DE89370400440532013000')).toBe(true);
+        expect(EPCEncoder.isValidIban('DE88370400440532013000')).toBe(false);
+        expect(encodeError({ name: 'Shop', iban: 'DE88370400440532013000' }).details)
+            .toEqual([expect.objectContaining({ field: 'data.iban' })]);
+    });
+
+    it('checks the creditor reference', () => {
+        expect(EPCEncoder.isValidCreditorReference('RF18539007547034')).toBe(true);
+        expect(EPCEncoder.isValidCreditorReference('RF19539007547034')).toBe(false);
+    });
+
+    it('requires a BIC in version 001', () => {
+        const error = encodeError({ ...RED_CROSS, bic: '' });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data.bic' })]);
+    });
+
+    it('reports every field error at once', () => {
+        const error = encodeError({
+            name: 'x'.repeat(71), iban: '', amount: 1000000000, purpose: 'CHARITY', reference: 'RF00', text: 'both',
+        });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details.map(detail => detail.field)).toEqual([
+            'data.name', 'data.iban', 'data.amount', 'data.purpose', 'data.text', 'data.reference',
+        ]);
+    });
+
+    it('limits the payload to 331 bytes', () => {
+        const error = encodeError({
+            name: 'é'.repeat(70), iban: 'DE89370400440532013000', text: 'é'.repeat(140), information: 'é'.repeat(30),
+        });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data', message: expect.stringMatching(/331/) })]);
+    });
+});
+
+describe('generation', () => {
+    it('uses error correction M and warns when another level is forced', async () => {
+        const generator = new QRCodeGenerator();
+        const data = { name: 'Red Cross of Belgium', iban: 'BE72000000001616', amount: 10 };
+
+        const { meta } = await generator.generate('epc', data, {}, { size: 512 });
+        expect(meta).toMatchObject({ errorCorrection: 'M', recommendedErrorCorrection: 'M', scannable: true });
+
+        const forced = await generator.generate('epc', data, { errorCorrection: 'L' }, { size: 512, verifyScannability: false });
+        expect(forced.meta.warnings).toEqual(expect.arrayContaining([expect.stringMatching(/requires error correction M/)]));
+    });
+});
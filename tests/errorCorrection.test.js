@@ -0,0 +1,72 @@
+const sharp = require('sharp');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const OcclusionAnalyzer = require('../src/services/qr/OcclusionAnalyzer');
+
+const generator = new QRCodeGenerator();
+const DATA = { url: 'https://example.com/some/long/path' };
+let LOGO;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toBuffer();
+    LOGO = `data:image/png;base64,${png.toString('base64')}`;
+});
+
+describe('block capacity', () => {
+    // ISO/IEC 18004 Table 9: errors each block corrects, after the
+    // codewords reserved for misdecode protection in versions 1-3
+    it.each([
+        [1, 'L', 2],
+        [1, 'M', 4],
+        [1, 'Q', 6],
+        [1, 'H', 8],
+        [2, 'L', 4],
+        [3, 'L', 7],
+        [5, 'L', 13],
+        [10, 'H', 14],
+    ])('version %i-%s corrects %i codewords per block', (version, level, correctable) => {
+        expect(OcclusionAnalyzer.getBlockLayout(version, level).correctablePerBlock).toBe(correctable);
+    });
+});
+
+describe('escalation', () => {
+    it('keeps the requested level when nothing covers the code', async () => {
+        const { meta } = await generator.generate('url', DATA, { errorCorrection: 'L' }, { size: 512, verifyScannability: false });
+
+        expect(meta.errorCorrection).toBe('L');
+        expect(meta.occlusion).toBeUndefined();
+    });
+
+    it.each([
+        [0.1, 'M'],
+        [0.15, 'Q'],
+        [0.2, 'H'],
+    ])('raises L to the level a %f logo needs (%s)', async (logoScale, level) => {
+        const { meta } = await generator.generate('url', DATA, { logo: LOGO, logoScale, errorCorrection: 'L' }, { size: 512 });
+
+        expect(meta.errorCorrection).toBe(level);
+        expect(meta.occlusion).toMatchObject({ requestedLevel: 'L', escalated: true, sources: ['logo'] });
+        expect(meta.scannable).toBe(true);
+    });
+});
+
+describe('occlusion rejection', () => {
+    it('does not name a version when none was set', async () => {
+        const error = await generator.generate('url', DATA, { logo: LOGO, logoScale: 0.45 }, { size: 512 })
+            .catch(caught => caught);
+
+        expect(error.code).toBe('OCCLUSION_TOO_LARGE');
+        expect(error.message).toMatch(/level H can recover$/);
+        expect(error.message).not.toMatch(/undefined|null/);
+    });
+
+    it('names the fixed version that capped the escalation', async () => {
+        const error = await generator.generate('url', DATA, { logo: LOGO, logoScale: 0.3, version: 3, errorCorrection: 'L' }, { size: 512 })
+            .catch(caught => caught);
+
+        expect(error.code).toBe('OCCLUSION_TOO_LARGE');
+        expect(error.status).toBe(422);
+        expect(error.message).toMatch(/level [LMQ] can recover at version 3$/);
+    });
+});
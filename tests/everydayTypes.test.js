@@ -0,0 +1,264 @@
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+const AppLinkEncoder = require('../src/services/qr/encoders/AppLinkEncoder');
+const { startApi } = require('./helpers/api');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Mobile Safari/537.36';
+
+function encode(type, data) {
+    return QRDataEncoder.encodeDetailed(type, data).content;
+}
+
+function encodeError(type, data) {
+    try {
+        encode(type, data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the data to be rejected');
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('app links', () => {
+    it('links straight to the only store listed', () => {
+        expect(encode('app', { ios: 'id284882215' })).toBe('https://apps.apple.com/app/id284882215');
+        expect(encode('app', { googlePlay: 'https://play.google.com/store/apps/details?id=com.facebook.katana&hl=en' }))
+            .toBe('https://play.google.com/store/apps/details?id=com.facebook.katana');
+    });
+
+    it('points both stores at the smart-link endpoint', () => {
+        const data = { ios: 'https://apps.apple.com/us/app/facebook/id284882215', android: 'com.facebook.katana' };
+
+        expect(encode('app', { ...data, baseUrl: 'https://qr.example.com/api/v2/qr/app' }))
+            .toBe('https://qr.example.com/api/v2/qr/app?ios=284882215&android=com.facebook.katana');
+        expect(encode('app', { ...data, baseUrl: 'https://qr.example.com/app?src=qr' }))
+            .toBe('https://qr.example.com/app?src=qr&ios=284882215&android=com.facebook.katana');
+    });
+
+    it('falls back to APP_LINK_BASE_URL, and needs one for both stores', () => {
+        const data = { ios: '284882215', android: 'com.facebook.katana' };
+
+        expect(encodeError('app', data).details).toEqual([
+            { field: 'data.url', message: 'Both store links need a smart link: give data.url, or configure APP_LINK_BASE_URL' },
+        ]);
+
+        process.env.APP_LINK_BASE_URL = 'https://qr.example.com/api/v2/qr/app';
+        try {
+            expect(encode('app', data)).toBe('https://qr.example.com/api/v2/qr/app?ios=284882215&android=com.facebook.katana');
+            expect(AppLinkEncoder.getInfo()).toEqual({ stores: ['ios', 'android'], smartLink: true });
+        } finally {
+            delete process.env.APP_LINK_BASE_URL;
+        }
+    });
+
+    it('encodes an own smart link as is', () => {
+        expect(encode('app', { url: 'https://example.com/get', ios: '284882215', android: 'com.facebook.katana' })).toBe('https://example.com/get');
+    });
+
+    it('only accepts store addresses', () => {
+        const error = encodeError('app', { ios: 'https://evil.example.com/id284882215', playStore: 'not a package' });
+
+        expect(error.details.map(detail => detail.field)).toEqual(['data.ios', 'data.playStore']);
+        expect(encodeError('app', {}).details).toEqual([{ field: 'data.ios', message: 'Required: ios, or android, or url' }]);
+    });
+
+    it('sends each device to its store', () => {
+        const query = { ios: '284882215', android: 'com.facebook.katana' };
+
+        expect(AppLinkEncoder.resolve(query, IPHONE)).toEqual({ location: 'https://apps.apple.com/app/id284882215' });
+        expect(AppLinkEncoder.resolve(query, ANDROID)).toEqual({ location: 'https://play.google.com/store/apps/details?id=com.facebook.katana' });
+        expect(AppLinkEncoder.resolve(query, 'Mozilla/5.0 (Windows NT 10.0)')).toEqual({
+            links: { ios: 'https://apps.apple.com/app/id284882215', android: 'https://play.google.com/store/apps/details?id=com.facebook.katana' },
+        });
+    });
+
+    it('never redirects outside the stores', () => {
+        expect(AppLinkEncoder.resolve({ ios: '284882215', android: 'https://evil.example.com/?id=com.x' }, ANDROID)).toEqual({
+            links: { ios: 'https://apps.apple.com/app/id284882215' },
+        });
+        expect(() => AppLinkEncoder.resolve({ ios: 'https://evil.example.com' }, IPHONE)).toThrow(expect.objectContaining({ code: 'INVALID_DATA' }));
+    });
+});
+
+describe('Wi-Fi Enterprise', () => {
+    it('writes the EAP method, phase 2 and identities', () => {
+        const content = encode('wifi', {
+            ssid: 'Corp;Net',
+            encryption: 'WPA2-EAP',
+            eap: 'PEAP',
+            phase2: 'MSCHAPV2',
+            identity: 'ana@corp.example',
+            anonymousIdentity: 'anonymous@corp.example',
+            password: 'p:ss',
+        });
+
+        expect(content).toBe('WIFI:T:WPA2-EAP;S:Corp\\;Net;E:PEAP;PH2:MSCHAPV2;A:anonymous@corp.example;I:ana@corp.example;P:p\\:ss;H:false;;');
+    });
+
+    it('writes WPA3-Enterprise as WPA2-EAP that disables the transition', () => {
+        expect(encode('wifi', { ssid: 'Corp', encryption: 'WPA3-EAP', eap: 'TTLS', username: 'ana', password: 'x'.repeat(80) }))
+            .toBe(`WIFI:T:WPA2-EAP;S:Corp;E:TTLS;I:ana;P:${'x'.repeat(80)};R:4;H:false;;`);
+    });
+
+    it('implies Enterprise from an EAP method', () => {
+        expect(encode('wifi', { ssid: 'Corp', eap: 'peap', identity: 'ana' })).toBe('WIFI:T:WPA2-EAP;S:Corp;E:PEAP;I:ana;H:false;;');
+        expect(encode('wifi', { ssid: 'Carrier', eap: 'SIM' })).toBe('WIFI:T:WPA2-EAP;S:Carrier;E:SIM;H:false;;');
+    });
+
+    it('rejects settings the method cannot use', () => {
+        expect(encodeError('wifi', { ssid: 'Corp', encryption: 'WPA2-EAP', eap: 'PEAP' }).details).toEqual([
+            { field: 'data.identity', message: 'Required for EAP method PEAP' },
+        ]);
+        expect(encodeError('wifi', { ssid: 'Corp', encryption: 'WPA2-EAP', eap: 'TLS', identity: 'device-7', phase2: 'GTC' }).details).toEqual([
+            { field: 'data.phase2', message: 'Phase 2 authentication only applies to PEAP and TTLS' },
+        ]);
+        expect(encodeError('wifi', { ssid: 'Corp', encryption: 'WPA2', eap: 'PEAP', identity: 'ana' }).details).toEqual([
+            { field: 'data.eap', message: 'EAP settings need encryption WPA2-EAP or WPA3-EAP' },
+        ]);
+        expect(encodeError('wifi', { ssid: 'Corp', eap: 'md5', identity: 'ana' }).details).toEqual([
+            { field: 'data.eap', message: "Must be one of: PEAP, TLS, TTLS, PWD, SIM, AKA, AKA'" },
+        ]);
+    });
+
+    it('keeps pre-shared keys to 63 characters', () => {
+        expect(encodeError('wifi', { ssid: 'Home', password: 'x'.repeat(64) }).details).toEqual([
+            { field: 'data.password', message: 'Must be at most 63 characters' },
+        ]);
+    });
+});
+
+describe('messaging and meetings', () => {
+    it('links Telegram usernames and phone numbers', () => {
+        expect(encode('telegram', { username: '@durov', message: 'Hi there' })).toBe('https://t.me/durov?text=Hi%20there');
+        expect(encode('telegram', { phone: '+44 7700 900123' })).toBe('https://t.me/+447700900123');
+        expect(encodeError('telegram', { username: 'ab' }).details).toEqual([
+            { field: 'data.username', message: 'Must be a Telegram username: 5 to 32 letters, digits or underscores' },
+        ]);
+    });
+
+    it('links Signal numbers and passes on invites', () => {
+        expect(encode('signal', { phone: '+1 415 555 0123' })).toBe('https://signal.me/#p/+14155550123');
+        expect(encode('signal', { url: 'https://signal.group/#CjQKIA' })).toBe('https://signal.group/#CjQKIA');
+        expect(encodeError('signal', { url: 'https://evil.example.com/' }).details).toEqual([
+            { field: 'data.url', message: 'Must be a signal.me or signal.group link' },
+        ]);
+    });
+
+    it('opens a Viber chat with a draft', () => {
+        expect(encode('viber', { number: '+380 50 123 4567', text: 'Hello & bye' }))
+            .toBe('viber://chat?number=%2B380501234567&draft=Hello%20%26%20bye');
+    });
+
+    it('builds Zoom and Meet join links', () => {
+        expect(encode('meeting', { meetingId: '123 456 7890', pwd: 'aB3/x' })).toBe('https://zoom.us/j/1234567890?pwd=aB3%2Fx');
+        expect(encode('meeting', { meetingId: 1234567890, domain: 'acme.zoom.us' })).toBe('https://acme.zoom.us/j/1234567890');
+        expect(encode('meeting', { platform: 'meet', code: 'ABCDEFGHIJ' })).toBe('https://meet.google.com/abc-defg-hij');
+    });
+
+    it('only takes join links of the platform', () => {
+        expect(encode('meeting', { url: 'https://acme.zoom.us/j/1234567890?pwd=x' })).toBe('https://acme.zoom.us/j/1234567890?pwd=x');
+        expect(encodeError('meeting', { platform: 'meet', url: 'https://acme.zoom.us/j/1234567890' }).details).toEqual([
+            { field: 'data.url', message: 'Must be a Google Meet join link' },
+        ]);
+        expect(encodeError('meeting', { url: 'https://meet.google.com.evil.com/abc' }).details[0].field).toBe('data.url');
+        expect(encodeError('meeting', { meetingId: '1234567890', domain: 'zoom.evil.com' }).details[0].field).toBe('data.domain');
+        expect(encodeError('meeting', { platform: 'meet', code: 'abc-defg-hi' }).details[0].field).toBe('data.meetingId');
+    });
+});
+
+describe('PayPal.me and e-mail', () => {
+    it('builds PayPal.me links with amount and currency', () => {
+        expect(encode('paypal', { username: 'https://www.paypal.me/Shop', amount: 12.5, currency: 'eur' })).toBe('https://paypal.me/Shop/12.50EUR');
+        expect(encode('paypal', { username: 'Shop', amount: '10' })).toBe('https://paypal.me/Shop/10');
+        expect(encode('paypal', { username: 'Shop' })).toBe('https://paypal.me/Shop');
+    });
+
+    it('rejects amounts PayPal.me cannot take', () => {
+        expect(encodeError('paypal', { username: 'Shop', currency: 'EUR' }).details).toEqual([
+            { field: 'data.currency', message: 'A currency needs an amount' },
+        ]);
+        expect(encodeError('paypal', { username: 'Shop', amount: -3 }).details).toEqual([{ field: 'data.amount', message: 'Must be at least 0.01' }]);
+        expect(encodeError('paypal', { username: 'Shop', amount: 5, currency: 'EURO' }).details[0].field).toBe('data.currency');
+    });
+
+    it('writes several recipients, Cc and Bcc into mailto', () => {
+        const content = encode('email', {
+            email: ['a@x.com', 'b+tag@y.com'], cc: 'c@x.com, d@x.com', bcc: ['e@x.com'], subject: 'Hi & bye', body: 'Line 1\nLine 2',
+        });
+
+        expect(content).toBe('mailto:a@x.com,b%2Btag@y.com?subject=Hi%20%26%20bye&body=Line%201%0ALine%202&cc=c@x.com,d@x.com&bcc=e@x.com');
+    });
+
+    it('writes MATMSG for one recipient', () => {
+        expect(encode('email', { to: 'a@x.com', subject: 'Re: a;b', body: 'x:y', format: 'MATMSG' }))
+            .toBe('MATMSG:TO:a@x.com;SUB:Re\\: a\\;b;BODY:x\\:y;;');
+        expect(encodeError('email', { to: 'a@x.com,b@x.com', format: 'matmsg' }).details[0].field).toBe('data.email');
+        expect(encodeError('email', { to: 'a@x.com', bcc: 'b@x.com', format: 'matmsg' }).details).toEqual([
+            { field: 'data.bcc', message: 'MATMSG has no Cc / Bcc; use format mailto' },
+        ]);
+    });
+
+    it('checks every address', () => {
+        expect(encodeError('email', { to: ['a@x.com', 'nope'], cc: 'c@x.com, bad' }).details).toEqual([
+            { field: 'data.to[1]', message: 'Must be an e-mail address' },
+            { field: 'data.cc', message: 'Must be one or more e-mail addresses, separated by commas' },
+        ]);
+    });
+});
+
+describe('API', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await startApi();
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    it('redirects phones to their store', async () => {
+        const { status, headers } = await api.request('GET', '/api/v2/qr/app?ios=284882215&android=com.facebook.katana', {
+            headers: { 'User-Agent': ANDROID },
+        });
+
+        expect(status).toBe(302);
+        expect(headers.get('location')).toBe('https://play.google.com/store/apps/details?id=com.facebook.katana');
+        expect(headers.get('vary')).toMatch(/User-Agent/i);
+        expect(headers.get('cache-control')).toBe('public, max-age=3600');
+    });
+
+    it('shows other devices both stores', async () => {
+        const { status, headers, body } = await api.request('GET', '/api/v2/qr/app?ios=284882215&android=com.facebook.katana', {
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0)' },
+        });
+
+        expect(status).toBe(200);
+        expect(headers.get('content-type')).toMatch(/^text\/html/);
+        expect(body.toString()).toContain('<a href="https://play.google.com/store/apps/details?id=com.facebook.katana">Google Play</a>');
+        expect(body.toString()).toContain('<a href="https://apps.apple.com/app/id284882215">App Store</a>');
+    });
+
+    it('answers links without a valid store with 400', async () => {
+        const { status, body } = await api.request('GET', '/api/v2/qr/app?ios=https://evil.example.com/');
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_DATA');
+    });
+
+    it('lists the new types in /capabilities', async () => {
+        const { body } = await api.request('GET', '/api/v2/qr/capabilities');
+
+        expect(body.data.types).toEqual(expect.arrayContaining(['app', 'telegram', 'signal', 'viber', 'meeting', 'paypal']));
+        expect(body.data.features.wifi).toEqual({
+            enterprise: ['WPA2-EAP', 'WPA3-EAP'],
+            eapMethods: QRDataEncoder.EAP_METHODS,
+            phase2Methods: QRDataEncoder.EAP_PHASE2_METHODS,
+        });
+        expect(body.data.features.meetings).toEqual(['zoom', 'meet']);
+        expect(body.data.features.email.formats).toEqual(['mailto', 'matmsg']);
+    });
+});
@@ -0,0 +1,71 @@
+const sharp = require('sharp');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const ModuleRoles = require('../src/services/qr/ModuleRoles');
+
+const generator = new QRCodeGenerator();
+const DATA = { url: 'https://example.com/excavate' };
+let LOGO;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const png = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#CC3300' } }).png().toBuffer();
+    LOGO = `data:image/png;base64,${png.toString('base64')}`;
+});
+
+async function excavate(logoDesign) {
+    const design = generator.mergeDesign({ logo: LOGO, logoExcavate: true, version: 7, errorCorrection: 'H', ...logoDesign });
+    const qrMatrix = await generator.generateQRMatrix('https://example.com/excavate', design);
+    const size = 512;
+    const moduleSize = generator.calculateModuleSize(qrMatrix.size, size, design.margin);
+    const payload = {
+        qrMatrix, design, size, moduleSize, startX: moduleSize * design.margin, startY: moduleSize * design.margin,
+    };
+
+    return { qrMatrix, payload, matrix: generator.excavateMatrix(payload) };
+}
+
+describe('logo excavation', () => {
+    it('clears only dark data modules', async () => {
+        const { qrMatrix, payload, matrix } = await excavate({ logoScale: 0.25 });
+        const roles = ModuleRoles.classify(qrMatrix);
+
+        let cleared = 0;
+        qrMatrix.matrix.forEach((cells, row) => cells.forEach((dark, col) => {
+            if (dark && !matrix[row][col]) {
+                expect(roles[row][col]).toBe('data');
+                cleared++;
+            }
+            if (!dark) {
+                expect(matrix[row][col]).toBeFalsy();
+            }
+        }));
+
+        expect(cleared).toBeGreaterThan(0);
+        expect(payload.excavatedModules).toBe(cleared);
+    });
+
+    it('keeps function patterns under a logo moved over them', async () => {
+        const { qrMatrix, matrix } = await excavate({ logoScale: 0.3, logoPositionX: 0.2, logoPositionY: 0.2 });
+        const roles = ModuleRoles.classify(qrMatrix);
+
+        qrMatrix.matrix.forEach((cells, row) => cells.forEach((dark, col) => {
+            if (roles[row][col] !== 'data') {
+                expect(matrix[row][col]).toBe(dark);
+            }
+        }));
+    });
+
+    it('leaves the matrix alone without logoExcavate', async () => {
+        const { qrMatrix, matrix } = await excavate({ logoExcavate: false });
+
+        expect(matrix).toBe(qrMatrix.matrix);
+    });
+
+    it('reports the excavated modules and still scans', async () => {
+        const { meta } = await generator.generate('url', DATA, { logo: LOGO, logoExcavate: true, logoScale: 0.2 }, { size: 512 });
+
+        expect(meta.excavatedModules).toBeGreaterThan(0);
+        expect(meta.scannable).toBe(true);
+    });
+});
@@ -0,0 +1,116 @@
+const VectorExporter = require('../src/services/qr/exporters/VectorExporter');
+const PrintLayout = require('../src/services/qr/exporters/PrintLayout');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+
+const SVG = [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">',
+    '<defs><linearGradient id="g"><stop offset="0" stop-color="#00FF00"/><stop offset="1" stop-color="#0000FF"/></linearGradient></defs>',
+    '<rect width="100" height="100" fill="url(#g)"/>',
+    '<rect x="10" y="10" width="20" height="20" fill="#FF0000"/>',
+    '</svg>',
+].join('');
+
+const exporter = new VectorExporter();
+const generator = new QRCodeGenerator();
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+async function renderEps(colorSpace) {
+    const eps = await exporter.toEPS(SVG, { colorSpace, bleedColor: '#FFFF00', print: { bleed: 3 } });
+    return eps.toString('latin1');
+}
+
+describe('EPS export', () => {
+    it('writes fills, bleed and gradient stops in RGB', async () => {
+        const eps = await renderEps('rgb');
+
+        expect(eps).toContain('1 0 0 setrgbcolor');
+        expect(eps).toContain('1 1 0 setrgbcolor');
+        expect(eps).toContain('/C0 [0 1 0] /C1 [0 0 1]');
+    });
+
+    it('writes fills, bleed and gradient stops in CMYK', async () => {
+        const eps = await renderEps('cmyk');
+
+        expect(eps).toContain('0 1 1 0 setcmykcolor');
+        expect(eps).toContain('0 0 1 0 setcmykcolor');
+        expect(eps).toContain('/C0 [1 0 1 0] /C1 [1 1 0 0]');
+    });
+});
+
+describe('PDF bleed color', () => {
+    it('converts to CMYK', () => {
+        expect(exporter.convertColor('#FF0000', true)).toEqual([0, 100, 100, 0]);
+        expect(exporter.convertColor('#FFFF00', true)).toEqual([0, 0, 100, 0]);
+    });
+
+    it('keeps RGB colors as they are', () => {
+        expect(exporter.convertColor('#FF0000', false)).toBe('#FF0000');
+    });
+
+    it('rejects colors it cannot parse', () => {
+        expect(() => exporter.convertColor('not-a-color', true)).toThrow(expect.objectContaining({ code: 'INVALID_COLOR' }));
+    });
+});
+
+describe('PrintLayout', () => {
+    it('converts the physical size to points', () => {
+        const layout = PrintLayout.compute(400, 400, { width: 1, unit: 'in' });
+
+        expect(layout).toMatchObject({ pageWidth: 72, pageHeight: 72, bleed: 0, cropMarks: [] });
+    });
+
+    it('keeps the aspect ratio of the SVG and defaults to 96 DPI', () => {
+        const layout = PrintLayout.compute(192, 96, {});
+
+        expect(layout.trim).toEqual({ x: 0, y: 0, width: 144, height: 72 });
+    });
+
+    it('puts the bleed and crop marks outside the trim box', () => {
+        const layout = PrintLayout.compute(400, 400, { width: 25.4, unit: 'mm', bleed: 25.4 / 72 * 9, cropMarks: true });
+
+        expect(layout.bleed).toBeCloseTo(9);
+        expect(layout.trim.x).toBeCloseTo(9 + 3 + 12);
+        expect(layout.bleedBox.width).toBeCloseTo(72 + 18);
+        expect(layout.pageWidth).toBeCloseTo(72 + 2 * 24);
+        expect(layout.cropMarks).toHaveLength(8);
+
+        for (const [x1, y1, x2, y2] of layout.cropMarks) {
+            const outsideBleed = [x1, x2].every(x => x <= layout.bleedBox.x || x >= layout.bleedBox.x + layout.bleedBox.width)
+                || [y1, y2].every(y => y <= layout.bleedBox.y || y >= layout.bleedBox.y + layout.bleedBox.height);
+            expect(outsideBleed).toBe(true);
+        }
+    });
+});
+
+describe('print formats', () => {
+    const options = { size: 400, verifyScannability: false };
+
+    it('exports a PDF with trim and bleed boxes', async () => {
+        const result = await generator.generate('text', { text: 'Print' }, {}, {
+            ...options, format: 'pdf', print: { width: 30, bleed: 3, cropMarks: true },
+        });
+        const pdf = result.pdf.toString('latin1');
+        const box = name => pdf.match(new RegExp(`/${name} \\[([^\\]]*)\\]`))[1].split(' ').map(Number);
+        const [trimX1, , trimX2] = box('TrimBox');
+        const [bleedX1, , bleedX2] = box('BleedBox');
+
+        expect(pdf.startsWith('%PDF-')).toBe(true);
+        expect((trimX2 - trimX1) * 25.4 / 72).toBeCloseTo(30);
+        expect((bleedX2 - bleedX1) * 25.4 / 72).toBeCloseTo(36);
+        expect(result.meta.print).toEqual({ widthMm: 30, heightMm: 30, bleedMm: 3, cropMarks: true, colorSpace: 'cmyk' });
+        expect(result.png).toBeUndefined();
+    });
+
+    it('exports an EPS with its bounding box', async () => {
+        const result = await generator.generate('text', { text: 'Print' }, {}, {
+            ...options, format: 'eps', print: { width: 1, unit: 'in' },
+        });
+        const eps = result.eps.toString('latin1');
+
+        expect(eps.startsWith('%!PS-Adobe-3.0 EPSF-3.0')).toBe(true);
+        expect(eps).toContain('%%BoundingBox: 0 0 72 72');
+    });
+});
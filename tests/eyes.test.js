@@ -0,0 +1,94 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const FinderProcessor = require('../src/services/qr/processors/FinderProcessor');
+const ColorProcessor = require('../src/services/qr/processors/ColorProcessor');
+const SVGBuilder = require('../src/services/qr/SVGBuilder');
+
+const generator = new QRCodeGenerator();
+const finderProcessor = new FinderProcessor();
+const colorProcessor = new ColorProcessor();
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('per-eye shapes', () => {
+    it('overrides the global shapes for one eye', () => {
+        const eyes = finderProcessor.resolveEyes({
+            eyes: { topRight: { finder: 'circle', finderDot: 'circle', rotate: -90 } },
+        }, 'square', 'square');
+
+        expect(eyes.topLeft).toEqual({ finderShape: 'square', finderDotShape: 'square', rotate: 0, mirror: 'none' });
+        expect(eyes.topRight).toEqual({ finderShape: 'circle', finderDotShape: 'circle', rotate: 270, mirror: 'none' });
+        expect(eyes.bottomLeft.finderShape).toBe('square');
+    });
+
+    it('mirrors asymmetric shapes toward the center with eyeAutoOrient', () => {
+        const eyes = finderProcessor.resolveEyes({ eyeAutoOrient: true }, 'leaf', 'square');
+
+        expect(eyes.topLeft.mirror).toBe('none');
+        expect(eyes.topRight.mirror).toBe('horizontal');
+        expect(eyes.bottomLeft.mirror).toBe('vertical');
+    });
+
+    it('keeps an explicit mirror over eyeAutoOrient', () => {
+        const eyes = finderProcessor.resolveEyes({ eyeAutoOrient: true, eyes: { topRight: { mirror: 'both' } } }, 'leaf', 'square');
+
+        expect(eyes.topRight.mirror).toBe('both');
+    });
+
+    it('resolves the single finder of small symbols only', () => {
+        const eyes = finderProcessor.resolveEyes({ eyes: { topRight: { finder: 'circle' } } }, 'square', 'square', ['topLeft']);
+
+        expect(Object.keys(eyes)).toEqual(['topLeft']);
+    });
+
+    it.each(['circle', 'rounded', 'octagon', 'whirlpool'])('scans with a %s finder dot', async (finderDot) => {
+        const { meta } = await generator.generate('text', { text: 'Finder dots' }, { finderDot }, { size: 512 });
+
+        expect(meta.scannable).toBe(true);
+    });
+});
+
+describe('per-eye colors', () => {
+    function fills(design) {
+        const merged = { ...design };
+        return colorProcessor.resolveEyeFills(new SVGBuilder(512, 512), merged, colorProcessor.parseColors(merged));
+    }
+
+    it('falls back to the global eye colors', () => {
+        const result = fills({ eyes: { bottomLeft: { externalColor: 'red', internalColor: '#00f' } } });
+
+        expect(result.bottomLeft).toEqual({ external: '#FF0000', internal: '#0000FF' });
+        expect(result.topLeft).toEqual({ external: null, internal: null });
+    });
+
+    it('draws each eye in its own colors', async () => {
+        const design = {
+            eyeExternalColor: '#111111',
+            eyes: {
+                topLeft: { externalColor: '#AA0000', internalColor: '#00AA00' },
+                topRight: { externalColor: '#0000AA' },
+            },
+        };
+        const { svg, meta } = await generator.generate('text', { text: 'Per-eye colors' }, design, { size: 512 });
+
+        expect(svg).toContain('#AA0000');
+        expect(svg).toContain('#00AA00');
+        expect(svg).toContain('#0000AA');
+        expect(svg).toContain('#111111');
+        expect(meta.scannable).toBe(true);
+    });
+
+    it('scans with a different shape on every eye', async () => {
+        const design = {
+            eyes: {
+                topLeft: { finder: 'circle', finderDot: 'circle' },
+                topRight: { finder: 'rounded', finderDot: 'square' },
+                bottomLeft: { finder: 'square', finderDot: 'octagon' },
+            },
+        };
+        const { meta } = await generator.generate('text', { text: 'Per-eye shapes' }, design, { size: 512 });
+
+        expect(meta.scannable).toBe(true);
+    });
+});
@@ -0,0 +1,136 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const ColorProcessor = require('../src/services/qr/processors/ColorProcessor');
+const SVGBuilder = require('../src/services/qr/SVGBuilder');
+const { startApi } = require('./helpers/api');
+
+const generator = new QRCodeGenerator();
+const colorProcessor = new ColorProcessor();
+const DATA = { text: 'Gradients' };
+
+const RED_BLUE = { type: 'LINEAR', angle: 90, colors: [{ color: '#CC0000', stop: 0 }, { color: '#0000CC', stop: 100 }] };
+const GREEN_RADIAL = { type: 'RADIAL', colors: ['#006600', '#003300'] };
+const PALE = { type: 'RADIAL', colors: ['#FFFFFF', '#E0ECFF'] };
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+function gradientIds(svg) {
+    return [...svg.matchAll(/<(?:linear|radial)Gradient id="([^"]+)"/g)].map(match => match[1]);
+}
+
+describe('eye gradients', () => {
+    it('defines the ring and dot gradients once for all eyes', async () => {
+        const design = { eyeExternalGradient: RED_BLUE, eyeInternalGradient: GREEN_RADIAL };
+        const { svg, meta } = await generator.generate('text', DATA, design, { size: 512 });
+
+        expect(gradientIds(svg)).toEqual(['eyeExternalGradient', 'eyeInternalGradient']);
+        expect(svg).toContain('<radialGradient id="eyeInternalGradient"');
+        expect(svg.match(/fill="url\(#eyeExternalGradient\)"/g)).toHaveLength(3);
+        expect(svg.match(/fill="url\(#eyeInternalGradient\)"/g)).toHaveLength(3);
+        expect(meta.scannable).toBe(true);
+    });
+
+    it('gives every per-eye gradient its own id', async () => {
+        const design = {
+            gradientFill: RED_BLUE,
+            fillType: 'gradient',
+            eyes: {
+                topLeft: { gradient: GREEN_RADIAL },
+                topRight: { externalGradient: RED_BLUE, internalGradient: GREEN_RADIAL },
+            },
+        };
+        const { svg } = await generator.generate('text', DATA, design, { size: 512 });
+        const ids = gradientIds(svg);
+
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ids).toEqual(expect.arrayContaining([
+            'qrGradient', 'eyeGradientTopLeft', 'eyeExternalGradientTopRight', 'eyeInternalGradientTopRight',
+        ]));
+    });
+
+    it('prefers a part gradient, then the eye gradient, then the eye color, then the global gradient', () => {
+        const design = {
+            eyeExternalGradient: RED_BLUE,
+            eyes: {
+                topLeft: { gradient: GREEN_RADIAL, externalGradient: RED_BLUE },
+                topRight: { gradient: GREEN_RADIAL, externalColor: '#123456' },
+                bottomLeft: { externalColor: '#123456' },
+            },
+        };
+        const fills = colorProcessor.resolveEyeFills(new SVGBuilder(512, 512), design, colorProcessor.parseColors(design));
+
+        expect(fills.topLeft).toEqual({
+            external: 'url(#eyeExternalGradientTopLeft)',
+            internal: 'url(#eyeGradientTopLeft)',
+        });
+        expect(fills.topRight.external).toBe('url(#eyeGradientTopRight)');
+        expect(fills.bottomLeft).toEqual({ external: '#123456', internal: null });
+    });
+});
+
+describe('background gradient', () => {
+    it('spans the canvas in user space', async () => {
+        const { svg, meta } = await generator.generate('text', DATA, { backgroundGradient: PALE }, { size: 512 });
+
+        expect(svg).toMatch(/<radialGradient id="backgroundGradient"[^>]*gradientUnits="userSpaceOnUse"/);
+        expect(svg).toMatch(/<rect[^>]*width="512"[^>]*fill="url\(#backgroundGradient\)"/);
+        expect(meta.scannable).toBe(true);
+    });
+
+    it('is left out when the background is disabled', async () => {
+        const design = { backgroundGradient: RED_BLUE, backgroundEnabled: false };
+        const { svg } = await generator.generate('text', DATA, design, { size: 512, verifyScannability: false });
+
+        expect(gradientIds(svg)).not.toContain('backgroundGradient');
+    });
+});
+
+describe('validation', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await startApi();
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    async function validate(design) {
+        const { status, body } = await api.request('POST', '/api/v2/qr/validate', {
+            body: { type: 'text', data: DATA, design },
+        });
+
+        expect(status).toBe(200);
+        return body.data;
+    }
+
+    it('accepts well-formed gradients', async () => {
+        const result = await validate({
+            eyeExternalGradient: RED_BLUE,
+            eyeInternalGradient: GREEN_RADIAL,
+            backgroundGradient: RED_BLUE,
+            eyes: { topLeft: { gradient: GREEN_RADIAL } },
+        });
+
+        expect(result).toMatchObject({ valid: true, errors: [] });
+    });
+
+    it('reports each broken gradient under its own field', async () => {
+        const result = await validate({
+            eyeExternalGradient: { type: 'CONIC', colors: ['#000', '#FFF'] },
+            eyeInternalGradient: { colors: ['#000'] },
+            backgroundGradient: { colors: ['#000', 'not-a-color'] },
+            eyes: { topRight: { internalGradient: { colors: [{ color: '#000', stop: 150 }, '#FFF'] } } },
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(error => error.field)).toEqual([
+            'design.eyeExternalGradient.type',
+            'design.eyeInternalGradient.colors',
+            'design.backgroundGradient.colors[1]',
+            'design.eyes.topRight.internalGradient.colors[0].stop',
+        ]);
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { prepareZXingModule, readBarcodes } = require('zxing-wasm/reader');
+const GS1Encoder = require('../src/services/qr/encoders/GS1Encoder');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+
+// Example product of the GS1 Digital Link standard
+const PRODUCT = { gtin: '09506000134352', batch: 'ABC123', expiry: '251231', serial: 'SN42' };
+
+function encodeError(data) {
+    try {
+        GS1Encoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the data to be rejected');
+}
+
+// Decode an SVG with zxing-cpp, which reports GS1 symbols (the generator skips verifying them)
+async function decode(svg) {
+    const { data, info } = await sharp(Buffer.from(svg)).flatten({ background: '#ffffff' }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const [symbol] = await readBarcodes(
+        { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height, colorSpace: 'srgb' },
+        { formats: ['QRCode'], tryHarder: true, maxNumberOfSymbols: 1 }
+    );
+    return symbol;
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await prepareZXingModule({
+        overrides: { wasmBinary: fs.readFileSync(require.resolve('zxing-wasm/reader/zxing_reader.wasm')) },
+        fireImmediately: true,
+    });
+});
+
+describe('Digital Link', () => {
+    it('puts the GTIN and its qualifiers in the path and other AIs in the query', () => {
+        expect(GS1Encoder.encode(PRODUCT)).toBe('https://id.gs1.org/01/09506000134352/10/ABC123/21/SN42?17=251231');
+    });
+
+    it('orders the path as the standard does, whatever the input order', () => {
+        const uri = GS1Encoder.encode({ ais: { 21: '7', 10: 'L1', 22: 'V2', '01': '09506000134352' } });
+
+        expect(uri).toBe('https://id.gs1.org/01/09506000134352/22/V2/10/L1/21/7');
+    });
+
+    it('uses a configured resolver domain', () => {
+        expect(GS1Encoder.encode({ gtin: '9506000134352', domain: 'brand.example.com/gs1/' }))
+            .toBe('https://brand.example.com/gs1/01/09506000134352');
+        expect(encodeError({ gtin: '9506000134352', domain: 'ftp://example.com' }).details)
+            .toEqual([expect.objectContaining({ field: 'data.domain' })]);
+    });
+
+    it('falls back to GS1_RESOLVER_DOMAIN', () => {
+        process.env.GS1_RESOLVER_DOMAIN = 'https://resolver.example.com';
+        try {
+            expect(GS1Encoder.encode({ gtin: '9506000134352' })).toBe('https://resolver.example.com/01/09506000134352');
+        } finally {
+            delete process.env.GS1_RESOLVER_DOMAIN;
+        }
+    });
+
+    it('percent-encodes values outside the unreserved characters', () => {
+        expect(GS1Encoder.encode({ gtin: '09506000134352', batch: "A/B'C" }))
+            .toBe('https://id.gs1.org/01/09506000134352/10/A%2FB%27C');
+    });
+
+    it('keys a logistic unit by its SSCC', () => {
+        expect(GS1Encoder.encode({ sscc: '106141411234567897', ais: { 400: 'PO-1' } }))
+            .toBe('https://id.gs1.org/00/106141411234567897?400=PO-1');
+    });
+
+    it('needs a primary key', () => {
+        expect(encodeError({ expiry: '251231' }).details).toEqual([
+            expect.objectContaining({ field: 'data.gtin', message: expect.stringMatching(/primary key/) }),
+        ]);
+    });
+});
+
+describe('element string', () => {
+    it('writes fixed-length AIs first and separates variable-length values', () => {
+        const { content, meta } = GS1Encoder.encodeDetailed({ ...PRODUCT, format: 'element-string' });
+
+        expect(content).toBe('0109506000134352' + '17251231' + '10ABC123\x1D' + '21SN42');
+        expect(meta).toEqual({
+            gs1Format: 'element-string',
+            humanReadable: '(01)09506000134352(10)ABC123(17)251231(21)SN42',
+            fnc1: true,
+        });
+    });
+
+    it('needs no separator after predefined-length measures', () => {
+        const content = GS1Encoder.encode({ format: 'element-string', gtin: '09506000134352', ais: { 3103: '000525', 10: 'L1' } });
+
+        expect(content).toBe('0109506000134352' + '3103000525' + '10L1');
+    });
+
+    it('is generated in FNC1 mode', async () => {
+        const generator = new QRCodeGenerator();
+        const { svg, meta } = await generator.generate('gs1', { ...PRODUCT, format: 'element-string' }, {}, { size: 512 });
+        const symbol = await decode(svg);
+
+        expect(meta).toMatchObject({ fnc1: true, gs1Format: 'element-string', humanReadable: '(01)09506000134352(10)ABC123(17)251231(21)SN42' });
+        // ]Q3: QR Code in FNC1 first position
+        expect(symbol).toMatchObject({ isValid: true, symbologyIdentifier: ']Q3', contentType: 'GS1' });
+        expect(symbol.text).toBe('(01)09506000134352(17)251231(10)ABC123(21)SN42');
+    });
+});
+
+describe('validation', () => {
+    it('pads GTIN-8, -12 and -13 to 14 digits', () => {
+        expect(GS1Encoder.encode({ gtin: '9506000134352' })).toBe('https://id.gs1.org/01/09506000134352');
+        expect(GS1Encoder.encode({ gtin: '96385074' })).toBe('https://id.gs1.org/01/00000096385074');
+        expect(GS1Encoder.encode({ gtin: '036000291452' })).toBe('https://id.gs1.org/01/00036000291452');
+    });
+
+    it('checks GTIN, SSCC and GLN check digits', () => {
+        expect(encodeError({ gtin: '09506000134353' }).details).toEqual([
+            { field: 'data.gtin', message: 'Invalid GTIN check digit: expected 2, got 3' },
+        ]);
+        expect(encodeError({ sscc: '106141411234567890' }).details[0].field).toBe('data.sscc');
+        expect(encodeError({ gln: '9506000134353' }).details[0].field).toBe('data.gln');
+    });
+
+    it('takes ISO dates and rejects impossible ones', () => {
+        expect(GS1Encoder.encode({ gtin: '09506000134352', expiry: '2025-12-31' })).toBe('https://id.gs1.org/01/09506000134352?17=251231');
+        // Day 00 means the end of the month
+        expect(GS1Encoder.encode({ gtin: '09506000134352', expiry: '251200' })).toMatch(/17=251200$/);
+        expect(encodeError({ gtin: '09506000134352', expiry: '250230' }).details[0].field).toBe('data.expiry');
+        expect(encodeError({ gtin: '09506000134352', expiry: '251331' }).details[0].field).toBe('data.expiry');
+    });
+
+    it('checks the format of every AI', () => {
+        const error = encodeError({
+            gtin: '0950600013435',
+            batch: 'lot with spaces',
+            serial: 'x'.repeat(21),
+            ais: { 3103: '52.5', 9999: 'x', 422: '76' },
+        });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details.map(detail => detail.field)).toEqual([
+            'data.gtin', 'data.batch', 'data.serial', 'data.ais.422', 'data.ais.3103', 'data.ais.9999',
+        ]);
+    });
+
+    it('requires a GTIN for batch and serial', () => {
+        const error = encodeError({ format: 'element-string', sscc: '106141411234567897', batch: 'L1' });
+
+        expect(error.details).toEqual([{ field: 'data.batch', message: 'AI 10 (BATCH/LOT) requires a GTIN' }]);
+    });
+
+    it('rejects the same AI twice', () => {
+        const error = encodeError({ batch: 'A', lot: 'B', gtin: '09506000134352' });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data.lot', message: expect.stringMatching(/more than once/) })]);
+    });
+
+    it('is what the gs1 type encodes to', () => {
+        expect(QRDataEncoder.encode('gs1', PRODUCT)).toBe(GS1Encoder.encode(PRODUCT));
+    });
+});
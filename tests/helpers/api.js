@@ -0,0 +1,70 @@
+/**
+ * API test helper
+ *
+ * Mounts the routes on a fresh Express app listening on a random local
+ * port. Renders are stored in a temporary directory, so every test file
+ * starts with an empty render store.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Start the API
+ * @returns {Promise<Object>} - { request(method, path, { body, headers }), close() }
+ */
+async function startApi() {
+    const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qr-renders-'));
+    process.env.RENDER_STORE_DIR = storeDir;
+
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', require('../../src/routes'));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Send a request; redirects are returned, not followed
+     * @param {string} method
+     * @param {string} url - Path and query, e.g. /api/v2/qr/validate
+     * @param {Object} options - { body, headers }
+     * @returns {Promise<Object>} - { status, headers, body } (parsed JSON, or a Buffer)
+     */
+    async function request(method, url, { body, headers = {} } = {}) {
+        const response = await fetch(base + url, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual',
+        });
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson ? JSON.parse(buffer.toString('utf8')) : buffer,
+        };
+    }
+
+    /**
+     * Stop the server and remove the stored renders
+     */
+    async function close() {
+        await new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        });
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    }
+
+    return { request, close };
+}
+
+module.exports = { startApi };
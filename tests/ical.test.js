@@ -0,0 +1,226 @@
+const ICalEncoder = require('../src/services/qr/encoders/ICalEncoder');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+
+// Weekly class in Berlin; 2026-10-20 is a Tuesday
+const CLASS = {
+    uid: 'class-42@example.com',
+    summary: 'Pottery class',
+    start: '2026-10-20T09:00',
+    end: '2026-10-20T10:30',
+    timezone: 'Europe/Berlin',
+};
+
+// Unfolded content lines
+function lines(payload) {
+    return payload.replace(/\r\n /g, '').split('\r\n');
+}
+
+// Content lines of one block, e.g. VTIMEZONE
+function block(payload, name) {
+    const all = lines(payload);
+    return all.slice(all.indexOf(`BEGIN:${name}`), all.indexOf(`END:${name}`) + 1);
+}
+
+function encodeError(data) {
+    try {
+        ICalEncoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the event to be rejected');
+}
+
+describe('time zones', () => {
+    it('writes wall-clock times with a TZID and embeds the VTIMEZONE', () => {
+        const payload = ICalEncoder.encode(CLASS);
+
+        expect(lines(payload)).toEqual(expect.arrayContaining([
+            'DTSTART;TZID=Europe/Berlin:20261020T090000',
+            'DTEND;TZID=Europe/Berlin:20261020T103000',
+        ]));
+        expect(block(payload, 'VTIMEZONE')).toEqual([
+            'BEGIN:VTIMEZONE',
+            'TZID:Europe/Berlin',
+            'BEGIN:DAYLIGHT',
+            'DTSTART:20260329T020000',
+            'TZOFFSETFROM:+0100',
+            'TZOFFSETTO:+0200',
+            'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+            'END:DAYLIGHT',
+            'BEGIN:STANDARD',
+            'DTSTART:20261025T030000',
+            'TZOFFSETFROM:+0200',
+            'TZOFFSETTO:+0100',
+            'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+            'END:STANDARD',
+            'END:VTIMEZONE',
+        ]);
+    });
+
+    it('converts instants to the wall clock of the zone', () => {
+        const payload = ICalEncoder.encode({ ...CLASS, start: '2026-10-20T07:00:00Z', end: '2026-10-20T10:30:00+02:00' });
+
+        expect(lines(payload)).toEqual(expect.arrayContaining([
+            'DTSTART;TZID=Europe/Berlin:20261020T090000',
+            'DTEND;TZID=Europe/Berlin:20261020T103000',
+        ]));
+    });
+
+    it('writes UTC without a zone', () => {
+        const payload = ICalEncoder.encode({ ...CLASS, timezone: undefined, start: '2026-10-20T07:00:00Z', end: '2026-10-20T08:30:00Z' });
+
+        expect(payload).not.toContain('VTIMEZONE');
+        expect(lines(payload)).toEqual(expect.arrayContaining(['DTSTART:20261020T070000Z', 'DTEND:20261020T083000Z']));
+    });
+
+    it('describes a zone without daylight saving by its fixed offset', () => {
+        const payload = ICalEncoder.encode({ ...CLASS, timezone: 'Asia/Kolkata' });
+
+        expect(block(payload, 'VTIMEZONE')).toEqual([
+            'BEGIN:VTIMEZONE',
+            'TZID:Asia/Kolkata',
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0530',
+            'TZOFFSETTO:+0530',
+            'END:STANDARD',
+            'END:VTIMEZONE',
+        ]);
+    });
+
+    it('rejects names that are not IANA time zones', () => {
+        expect(encodeError({ ...CLASS, timezone: 'Mars/Olympus' }).details)
+            .toEqual([expect.objectContaining({ field: 'data.timezone' })]);
+    });
+});
+
+describe('recurrence', () => {
+    it('builds the RRULE with UNTIL at the end of the day in UTC', () => {
+        const payload = ICalEncoder.encode({
+            ...CLASS,
+            recurrence: { frequency: 'weekly', interval: 1, byDay: ['TU', 'TH'], until: '2026-12-18', weekStart: 'mo' },
+        });
+
+        expect(lines(payload)).toContain('RRULE:FREQ=WEEKLY;UNTIL=20261218T225959Z;INTERVAL=1;BYDAY=TU,TH;WKST=MO');
+    });
+
+    it('takes an RRULE string', () => {
+        const payload = ICalEncoder.encode({ ...CLASS, recurrence: 'RRULE:freq=monthly;byday=-1fr;count=6' });
+
+        expect(lines(payload)).toContain('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6');
+    });
+
+    it('skips the occurrence of an excluded day at the start time', () => {
+        const payload = ICalEncoder.encode({
+            ...CLASS,
+            recurrence: { frequency: 'weekly', count: 12 },
+            exdates: ['2026-11-03', '2026-11-10T09:00'],
+        });
+
+        expect(lines(payload)).toContain('EXDATE;TZID=Europe/Berlin:20261103T090000,20261110T090000');
+    });
+
+    it('reports recurrence errors per field', () => {
+        const error = encodeError({
+            ...CLASS,
+            recurrence: { frequency: 'weekly', count: 3, until: '2026-12-18', byDay: ['XX'], byMonth: [13] },
+        });
+
+        expect(error.details.map(detail => detail.field)).toEqual([
+            'data.recurrence.until', 'data.recurrence.month', 'data.recurrence.day',
+        ]);
+    });
+
+    it('requires a rule for excluded dates', () => {
+        expect(encodeError({ ...CLASS, exdates: ['2026-11-03'] }).details)
+            .toEqual([expect.objectContaining({ field: 'data.exdates' })]);
+    });
+});
+
+describe('all-day events', () => {
+    it('ends the day after the last day', () => {
+        const payload = ICalEncoder.encode({ summary: 'Fair', start: '2026-10-20', end: '2026-10-22', allDay: true, timezone: 'Europe/Berlin' });
+
+        expect(payload).not.toContain('VTIMEZONE');
+        expect(lines(payload)).toEqual(expect.arrayContaining(['DTSTART;VALUE=DATE:20261020', 'DTEND;VALUE=DATE:20261023']));
+    });
+
+    it('lasts one day without an end', () => {
+        const payload = ICalEncoder.encode({ summary: 'Holiday', start: '2026-12-31', allDay: true });
+
+        expect(lines(payload)).toEqual(expect.arrayContaining(['DTSTART;VALUE=DATE:20261231', 'DTEND;VALUE=DATE:20270101']));
+    });
+
+    it('writes a date UNTIL', () => {
+        const payload = ICalEncoder.encode({ summary: 'Standup', start: '2026-10-20', allDay: true, recurrence: { frequency: 'daily', until: '2026-10-30' } });
+
+        expect(lines(payload)).toContain('RRULE:FREQ=DAILY;UNTIL=20261030');
+    });
+});
+
+describe('components and participants', () => {
+    it('builds a VTODO with a due date, status and priority', () => {
+        const payload = ICalEncoder.encode({
+            component: 'todo', summary: 'File taxes', due: '2027-05-31T18:00', timezone: 'Europe/Berlin', status: 'needs-action', priority: 1,
+        });
+
+        expect(block(payload, 'VTODO')).toEqual(expect.arrayContaining([
+            'DUE;TZID=Europe/Berlin:20270531T180000',
+            'STATUS:NEEDS-ACTION',
+            'PRIORITY:1',
+        ]));
+        expect(payload).not.toContain('DTSTART;');
+    });
+
+    it('checks the status against the component', () => {
+        expect(encodeError({ ...CLASS, status: 'COMPLETED' }).details)
+            .toEqual([expect.objectContaining({ field: 'data.status' })]);
+    });
+
+    it('writes attendees and several alarms', () => {
+        const payload = ICalEncoder.encode({
+            ...CLASS,
+            attendees: ['anna@example.com', { email: 'ben@example.com', name: 'Ben, the teacher', role: 'chair', rsvp: true }],
+            alarms: [60, { minutes: 10, action: 'audio' }],
+        });
+        const all = lines(payload);
+
+        expect(all).toEqual(expect.arrayContaining([
+            'ATTENDEE:mailto:anna@example.com',
+            'ATTENDEE;CN="Ben, the teacher";ROLE=CHAIR;RSVP=TRUE:mailto:ben@example.com',
+        ]));
+        expect(all.filter(line => line.startsWith('TRIGGER:'))).toEqual(['TRIGGER:-PT60M', 'TRIGGER:-PT10M']);
+        expect(all.filter(line => line.startsWith('ACTION:'))).toEqual(['ACTION:DISPLAY', 'ACTION:AUDIO']);
+    });
+
+    it('reports every field error at once', () => {
+        const error = encodeError({
+            component: 'journal',
+            start: '2026-10-20T10:00',
+            end: '2026-10-20T09:00',
+            attendees: ['not-an-email'],
+            alarms: [-5],
+        });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details.map(detail => detail.field)).toEqual([
+            'data.component', 'data.end', 'data.attendees[0].email', 'data.alarms[0].minutes',
+        ]);
+    });
+});
+
+describe('content lines', () => {
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const payload = ICalEncoder.encode({ ...CLASS, description: 'Töpfern für Anfänger und Fortgeschrittene — bitte Schürze mitbringen; Ton wird gestellt.' });
+
+        for (const line of payload.split('\r\n')) {
+            expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+        }
+        expect(lines(payload)).toContain('DESCRIPTION:Töpfern für Anfänger und Fortgeschrittene — bitte Schürze mitbringen\\; Ton wird gestellt.');
+    });
+
+    it('is what the event type encodes to', () => {
+        expect(QRDataEncoder.encode('event', CLASS).split('\r\n')[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines(QRDataEncoder.encode('event', CLASS))).toContain('DTSTART;TZID=Europe/Berlin:20261020T090000');
+    });
+});
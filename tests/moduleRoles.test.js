@@ -0,0 +1,86 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const ModuleRoles = require('../src/services/qr/ModuleRoles');
+
+const generator = new QRCodeGenerator();
+const DATA = { url: 'https://example.com/function-patterns' };
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+async function classify(version) {
+    const design = generator.mergeDesign({ version, errorCorrection: 'M' });
+    const qrMatrix = await generator.generateQRMatrix(DATA.url, design);
+
+    return { qrMatrix, roles: ModuleRoles.classify(qrMatrix) };
+}
+
+function countRoles(roles) {
+    const counts = {};
+    roles.flat().forEach(role => {
+        counts[role] = (counts[role] || 0) + 1;
+    });
+    return counts;
+}
+
+describe('ModuleRoles', () => {
+    it('classifies the function patterns of a version 7 symbol', async () => {
+        const { qrMatrix, roles } = await classify(7);
+        const counts = countRoles(roles);
+
+        expect(qrMatrix.size).toBe(45);
+        expect(counts).toMatchObject({
+            finder: 3 * 49,
+            separator: 3 * 15,
+            alignment: 6 * 25,
+            timing: 2 * (29 - 5),
+            format: 31,
+            version: 2 * 18,
+        });
+    });
+
+    it('has no version information below version 7', async () => {
+        const { roles } = await classify(6);
+
+        expect(countRoles(roles).version).toBeUndefined();
+    });
+
+    it('matches the modules the patterns put in the matrix', async () => {
+        const { qrMatrix, roles } = await classify(7);
+        const { matrix } = qrMatrix;
+
+        roles.forEach((cells, row) => cells.forEach((role, col) => {
+            if (role === 'timing') {
+                expect(Boolean(matrix[row][col])).toBe((row + col) % 2 === 0);
+            }
+            if (role === 'separator') {
+                expect(matrix[row][col]).toBeFalsy();
+            }
+        }));
+
+        for (const [row, col] of ModuleRoles.getAlignmentCenters(qrMatrix)) {
+            if (roles[row][col] !== 'alignment') continue;
+
+            expect(matrix[row][col]).toBeTruthy();
+            expect(matrix[row - 1][col]).toBeFalsy();
+            expect(matrix[row - 2][col]).toBeTruthy();
+        }
+    });
+});
+
+describe('function module styling', () => {
+    it('keeps a decorative module shape scannable with safe function modules', async () => {
+        const design = {
+            module: 'star',
+            version: 7,
+            errorCorrection: 'H',
+            alignmentShape: 'circle',
+            alignmentColor: '#AA3300',
+            functionModuleShape: 'square',
+        };
+        const { svg, meta } = await generator.generate('url', DATA, design, { size: 768 });
+
+        expect(svg).toContain('#AA3300');
+        expect(meta.scannable).toBe(true);
+    });
+});
@@ -0,0 +1,103 @@
+const PixEncoder = require('../src/services/qr/encoders/PixEncoder');
+const EMVCoEncoder = require('../src/services/qr/encoders/EMVCoEncoder');
+const QRDataEncoder = require('../src/services/qr/QRDataEncoder');
+
+const STATIC = { key: '123e4567-e12b-12d1-a456-426655440000', name: 'Fulano de Tal', city: 'BRASILIA' };
+
+function encodeError(data) {
+    try {
+        PixEncoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the payload to be rejected');
+}
+
+describe('CRC16', () => {
+    it('is CRC-16/CCITT-FALSE', () => {
+        expect(EMVCoEncoder.crc16('123456789')).toBe('29B1');
+    });
+});
+
+describe('static PIX', () => {
+    it('matches the BR Code example of the Banco Central manual', () => {
+        expect(PixEncoder.encode(STATIC)).toBe(
+            '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR'
+            + '5913Fulano de Tal6008BRASILIA62070503***63041D3D'
+        );
+    });
+
+    it('is what the pix type encodes to', () => {
+        expect(QRDataEncoder.encode('pix', STATIC)).toBe(PixEncoder.encode(STATIC));
+    });
+
+    it('carries amount, txid, description and a normalized key', () => {
+        const payload = PixEncoder.encode({
+            key: '123.456.789-09', name: 'Padaria São João', city: 'São Paulo', amount: 12.5, txid: 'PEDIDO42', description: 'Pedido 42',
+        });
+        const objects = EMVCoEncoder.parse(payload);
+
+        expect(EMVCoEncoder.verifyCrc(payload)).toBe(true);
+        expect(objects['01']).toBeUndefined();
+        expect(EMVCoEncoder.parse(objects['26'])).toEqual({ '00': 'br.gov.bcb.pix', '01': '12345678909', '02': 'Pedido 42' });
+        expect(objects).toMatchObject({ 52: '0000', 53: '986', 54: '12.50', 58: 'BR', 59: 'Padaria Sao Joao', 60: 'Sao Paulo' });
+        expect(EMVCoEncoder.parse(objects['62'])).toEqual({ '05': 'PEDIDO42' });
+    });
+
+    it('marks single-use codes', () => {
+        const objects = EMVCoEncoder.parse(PixEncoder.encode({ ...STATIC, singleUse: true }));
+
+        expect(objects['01']).toBe('12');
+    });
+});
+
+describe('dynamic PIX', () => {
+    it('carries the charge location without the scheme', () => {
+        const payload = PixEncoder.encode({
+            url: 'https://qrcodepix.bcb.gov.br/qr/v2/9d36b84f-c70b-478f-b95c-12729b90ca25', name: 'Fulano de Tal', city: 'BRASILIA', amount: 10,
+        });
+        const objects = EMVCoEncoder.parse(payload);
+
+        expect(EMVCoEncoder.verifyCrc(payload)).toBe(true);
+        expect(objects['01']).toBe('12');
+        expect(EMVCoEncoder.parse(objects['26'])).toEqual({
+            '00': 'br.gov.bcb.pix',
+            '25': 'qrcodepix.bcb.gov.br/qr/v2/9d36b84f-c70b-478f-b95c-12729b90ca25',
+        });
+        expect(EMVCoEncoder.parse(objects['62'])).toEqual({ '05': '***' });
+    });
+
+    it('takes the txid from the charge', () => {
+        const error = encodeError({ url: 'pix.example.com/qr/1', name: 'Loja', city: 'Recife', txid: 'ABC' });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data.txid' })]);
+    });
+});
+
+describe('validation', () => {
+    it('reports every field error at once', () => {
+        const error = encodeError({
+            key: 'not a key', name: 'A merchant name that is far too long', city: '', txid: 'has spaces', postalCode: '123',
+        });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details.map(detail => detail.field)).toEqual(expect.arrayContaining([
+            'data.key', 'data.name', 'data.city', 'data.txid', 'data.postalCode',
+        ]));
+    });
+
+    it('requires a key or a url, not both', () => {
+        expect(encodeError({ name: 'Loja', city: 'Recife' }).details[0].field).toBe('data.key');
+        expect(encodeError({ ...STATIC, url: 'pix.example.com/qr/1' }).details[0].field).toBe('data.url');
+    });
+
+    it('limits key and description to the merchant account template', () => {
+        const error = encodeError({ ...STATIC, description: 'x'.repeat(50) });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'data.description' })]);
+    });
+
+    it.each(['12345678909', '12345678000195', '+5561912345678', 'pagamentos@example.com.br'])('accepts the key %s', (key) => {
+        expect(() => PixEncoder.encode({ ...STATIC, key })).not.toThrow();
+    });
+});
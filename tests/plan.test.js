@@ -0,0 +1,165 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const QRCapacity = require('../src/services/qr/QRCapacity');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+function plan(body) {
+    return api.request('POST', '/api/v2/qr/plan', { body });
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = await startApi();
+});
+
+afterAll(async () => {
+    await api.close();
+});
+
+describe('POST /plan', () => {
+    it('reports bytes, segments and the minimum version per level', async () => {
+        const { status, body } = await plan({ type: 'text', data: { text: 'HELLO WORLD' } });
+
+        expect(status).toBe(200);
+        expect(body.data).toMatchObject({
+            type: 'text',
+            bytes: 11,
+            characters: 11,
+            errorCorrection: 'M',
+            segments: [{ mode: 'alphanumeric', text: 'HELLO WORLD', length: 11, bits: 61 }],
+            warnings: [],
+        });
+        expect(body.data.versions.L).toMatchObject({ version: 1, moduleCount: 21, fits: true });
+        expect(body.data.versions.Q).toMatchObject({ version: 1, moduleCount: 21, fits: true });
+        // Version 1-H holds 10 alphanumeric characters
+        expect(body.data.versions.H).toMatchObject({ version: 2, moduleCount: 25, fits: true });
+    });
+
+    it('splits mixed content into the modes qrcode will use', async () => {
+        const { body } = await plan({ type: 'text', data: { text: 'Order 12345678901234567890' } });
+
+        expect(body.data.segments.map(segment => segment.mode)).toEqual(['byte', 'numeric']);
+        expect(body.data.segments[1]).toMatchObject({ text: '12345678901234567890', length: 20 });
+    });
+
+    it('predicts the version the generator picks', async () => {
+        const data = { firstName: 'Ana', lastName: 'Souza', phone: '+5511999990000', email: 'ana@example.com', organization: 'Padaria' };
+        const { body } = await plan({ type: 'vcard', data, design: { errorCorrection: 'Q' } });
+        const { meta } = await new QRCodeGenerator().generate('vcard', data, { errorCorrection: 'Q' }, { size: 256, verifyScannability: false });
+
+        expect(body.data.errorCorrection).toBe('Q');
+        expect(meta.version).toBe(body.data.versions.Q.version);
+        expect(meta.moduleCount).toBe(body.data.versions.Q.moduleCount);
+    });
+
+    it('sizes the print for a scanning distance', async () => {
+        const { body } = await plan({ type: 'text', data: { text: 'HELLO WORLD' } });
+
+        // 30 cm away a module needs 1 mm: 21 modules, 29 with the quiet zone
+        expect(body.data.scan).toEqual({ distance: 30, unit: 'cm', moduleSize: 0.1 });
+        expect(body.data.versions.M.minPrintSize).toEqual({ symbol: 2.1, withQuietZone: 2.9 });
+    });
+
+    it('takes the distance unit and margin', async () => {
+        const { body } = await plan({
+            type: 'text', data: { text: 'HELLO WORLD' }, design: { margin: 2 }, options: { scanDistance: 1.5, unit: 'm' },
+        });
+
+        // 1.5 m away a module needs 5 mm
+        expect(body.data.scan).toEqual({ distance: 1.5, unit: 'm', moduleSize: 0.005 });
+        expect(body.data.versions.M.minPrintSize).toEqual({ symbol: 0.105, withQuietZone: 0.125 });
+    });
+
+    it('never plans modules below what a printer resolves', async () => {
+        const { body } = await plan({ type: 'text', data: { text: 'HELLO WORLD' }, options: { scanDistance: 20, unit: 'mm' } });
+
+        expect(body.data.scan.moduleSize).toBe(0.25);
+    });
+
+    it('marks levels the payload does not fit', async () => {
+        const text = 'x'.repeat(QRCapacity.getByteCapacity(40, 'H') + 1);
+        const { body } = await plan({ type: 'text', data: { text }, design: { errorCorrection: 'H' } });
+
+        expect(body.data.versions.H).toEqual({ version: null, moduleCount: null, fits: false });
+        expect(body.data.versions.L).toMatchObject({ fits: true });
+        expect(body.data.warnings).toEqual([expect.stringMatching(/fits at L/)]);
+    });
+
+    it('warns when the design version is too small', async () => {
+        const { body } = await plan({ type: 'url', data: { url: 'https://example.com/a/long/enough/path' }, design: { version: 1 } });
+
+        expect(body.data.warnings).toEqual([expect.stringMatching(/design\.version 1 is too small/)]);
+    });
+
+    it('warns about dense symbols', async () => {
+        const { body } = await plan({ type: 'text', data: { text: 'x'.repeat(600) } });
+
+        expect(body.data.warnings).toEqual([expect.stringMatching(/hard to scan from print/)]);
+    });
+
+    it('uses the level a payment standard requires', async () => {
+        const { body } = await plan({ type: 'epc', data: { name: 'Red Cross of Belgium', iban: 'BE72000000001616' } });
+
+        expect(body.data).toMatchObject({ errorCorrection: 'M', recommendedErrorCorrection: 'M' });
+    });
+
+    it('reports fields left out of compact contacts', async () => {
+        const { body } = await plan({
+            type: 'vcard',
+            data: { firstName: 'Ana', phone: '+5511999990000', photo: 'https://example.com/ana.jpg', note: 'x'.repeat(200), compact: { targetVersion: 5 } },
+        });
+
+        expect(body.data.droppedFields).toEqual(['photo', 'note']);
+        expect(body.data.warnings).toContain('Left out of the vcard3 payload: photo, note');
+    });
+
+    it('plans manual segments', async () => {
+        const { body } = await plan({
+            type: 'text',
+            data: { text: 'ID 0012345678' },
+            design: { segments: [{ mode: 'alphanumeric', data: 'ID ' }, { mode: 'numeric', data: '0012345678' }] },
+        });
+
+        expect(body.data.segments.map(segment => [segment.mode, segment.text])).toEqual([
+            ['alphanumeric', 'ID '], ['numeric', '0012345678'],
+        ]);
+    });
+
+    it('rejects segments that do not match the content', async () => {
+        const { status, body } = await plan({
+            type: 'text',
+            data: { text: 'ID 0012345678' },
+            design: { segments: [{ mode: 'numeric', data: 'ID ' }, { mode: 'numeric', data: '0012345678' }] },
+        });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_SEGMENTS');
+        expect(body.details).toEqual([expect.objectContaining({ field: 'design.segments[0].data' })]);
+    });
+
+    it('rejects invalid options field by field', async () => {
+        const { status, body } = await plan({
+            type: 'text', data: { text: 'hi' }, design: { margin: -1 }, options: { scanDistance: 0, unit: 'ft' },
+        });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_OPTIONS');
+        expect(body.details.map(detail => detail.field)).toEqual(['options.unit', 'options.scanDistance', 'design.margin']);
+    });
+
+    it('rejects invalid data as /generate does', async () => {
+        const { status, body } = await plan({ type: 'epc', data: { name: 'Shop', iban: 'DE88370400440532013000' } });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_DATA');
+        expect(body.details).toEqual([expect.objectContaining({ field: 'data.iban' })]);
+    });
+
+    it('requires type and data', async () => {
+        const { status, body } = await plan({ type: 'text' });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('MISSING_FIELDS');
+    });
+});
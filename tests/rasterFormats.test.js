@@ -0,0 +1,62 @@
+const sharp = require('sharp');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+
+const generator = new QRCodeGenerator();
+const DATA = { text: 'Raster formats' };
+const OPTIONS = { size: 300, verifyScannability: false };
+
+// Format names as sharp reports them
+const SHARP_FORMATS = { png: 'png', jpeg: 'jpeg', webp: 'webp', avif: 'heif', tiff: 'tiff', gif: 'gif' };
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('raster formats', () => {
+    it.each(QRCodeGenerator.RASTER_FORMATS)('encodes %s', async (format) => {
+        const result = await generator.generate('text', DATA, {}, { ...OPTIONS, format });
+        const metadata = await sharp(result[format]).metadata();
+
+        expect(metadata).toMatchObject({ format: SHARP_FORMATS[format], width: 300, height: 300 });
+        expect(result[`${format}Base64`]).toBe(result[format].toString('base64'));
+    });
+
+    it('keeps the alpha channel of a transparent PNG', async () => {
+        const { png } = await generator.generate('text', DATA, { backgroundEnabled: false }, { ...OPTIONS, transparent: true });
+        const { data } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+
+        expect((await sharp(png).metadata()).hasAlpha).toBe(true);
+        expect(data[3]).toBe(0);
+    });
+
+    it('rejects a transparent JPEG', async () => {
+        const error = await generator.generate('text', DATA, {}, { ...OPTIONS, format: 'jpeg', transparent: true })
+            .catch(caught => caught);
+
+        expect(error).toMatchObject({ code: 'INVALID_OPTIONS', status: 400 });
+        expect(error.details[0].field).toBe('options.transparent');
+    });
+});
+
+describe('DPI', () => {
+    it.each(['png', 'jpeg', 'tiff'])('writes the resolution into %s', async (format) => {
+        const result = await generator.generate('text', DATA, {}, { ...OPTIONS, format, dpi: 300 });
+
+        expect((await sharp(result[format]).metadata()).density).toBe(300);
+        expect(result.meta).toMatchObject({ dpi: 300, physicalSizeMm: 25.4 });
+    });
+
+    it('keeps the pixel size', async () => {
+        const { png } = await generator.generate('text', DATA, {}, { ...OPTIONS, dpi: 600 });
+
+        expect((await sharp(png).metadata()).width).toBe(300);
+    });
+
+    it.each([0, 50, 5000, 'high'])('rejects %p', async (dpi) => {
+        const error = await generator.generate('text', DATA, {}, { ...OPTIONS, dpi })
+            .catch(caught => caught);
+
+        expect(error.code).toBe('INVALID_OPTIONS');
+        expect(error.details[0].field).toBe('options.dpi');
+    });
+});
@@ -0,0 +1,63 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const ScannabilityVerifier = require('../src/services/qr/ScannabilityVerifier');
+
+const generator = new QRCodeGenerator();
+const verifier = new ScannabilityVerifier();
+const DATA = { url: 'https://example.com/menu' };
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('ScannabilityVerifier', () => {
+    it('decodes a plain code in every rendition', async () => {
+        const { svg } = await generator.generate('url', DATA, {}, { size: 512, verifyScannability: false });
+        const scan = await verifier.verify(svg, 'https://example.com/menu', { size: 512 });
+
+        expect(scan.scannable).toBe(true);
+        expect(scan.decoded).toBe('https://example.com/menu');
+        expect(scan.matched).toBe(ScannabilityVerifier.DEFAULT_PASSES.length);
+        expect(scan.confidence).toBe(1);
+    });
+
+    it('reports content that decodes to something else', async () => {
+        const { svg } = await generator.generate('url', DATA, {}, { size: 512, verifyScannability: false });
+        const scan = await verifier.verify(svg, 'https://example.com/other', { size: 512 });
+
+        expect(scan.scannable).toBe(false);
+        expect(scan.decoded).toBe('https://example.com/menu');
+        expect(scan.confidence).toBe(0);
+    });
+
+    it('reports a blank image as unscannable', async () => {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><rect width="100" height="100" fill="#FFFFFF"/></svg>';
+        const scan = await verifier.verify(svg, 'anything', { size: 100 });
+
+        expect(scan).toMatchObject({ scannable: false, decoded: null, matched: 0 });
+    });
+});
+
+describe('generation', () => {
+    it('adds the verification result to meta', async () => {
+        const { meta } = await generator.generate('url', DATA, {}, { size: 512 });
+
+        expect(meta.scannable).toBe(true);
+        expect(meta.scanConfidence).toBeGreaterThan(0);
+    });
+
+    it('skips verification when asked to', async () => {
+        const { meta } = await generator.generate('url', DATA, {}, { size: 512, verifyScannability: false });
+
+        expect(meta.scannable).toBeUndefined();
+    });
+
+    it('fails with UNSCANNABLE when requireScannable is set', async () => {
+        const design = { foregroundColor: '#F4F4F4', backgroundColor: '#FFFFFF' };
+        const error = await generator.generate('url', DATA, design, { size: 512, requireScannable: true })
+            .catch(caught => caught);
+
+        expect(error.code).toBe('UNSCANNABLE');
+        expect(error.status).toBe(422);
+        expect(error.details.scannable).toBe(false);
+    });
+});
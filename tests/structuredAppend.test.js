@@ -0,0 +1,68 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const ScannabilityVerifier = require('../src/services/qr/ScannabilityVerifier');
+const StructuredAppend = require('../src/services/qr/StructuredAppend');
+
+const generator = new QRCodeGenerator();
+const verifier = new ScannabilityVerifier();
+
+const TEXT = 'Structured Append links up to sixteen QR symbols. '.repeat(5) + 'é€';
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('Structured Append', () => {
+    let result;
+    let plan;
+
+    beforeAll(async () => {
+        result = await generator.generateStructuredAppend('text', { text: TEXT }, { version: 5 }, { size: 512 });
+        plan = StructuredAppend.split(TEXT, { errorCorrection: 'M', version: 5 });
+    });
+
+    it('splits the content across linked symbols', () => {
+        expect(result.meta.symbols).toBe(plan.parts.length);
+        expect(result.meta.symbols).toBeGreaterThan(1);
+        expect(result.meta.parity).toBe(StructuredAppend.getParity(TEXT));
+        expect(plan.parts.map(part => part.content).join('')).toBe(TEXT);
+
+        result.symbols.forEach((symbol, index) => {
+            expect(symbol.meta.structuredAppend).toEqual({ index, total: plan.parts.length, parity: plan.parity });
+        });
+    });
+
+    it('verifies every symbol while generating', () => {
+        for (const symbol of result.symbols) {
+            expect(symbol.meta.scannable).toBe(true);
+        }
+    });
+
+    it('decodes each part with its sequence header', async () => {
+        for (const part of plan.parts) {
+            const scan = await verifier.verify(result.symbols[part.index].svg, part.content, {
+                size: 512,
+                structuredAppend: { index: part.index, total: part.total, parity: part.parity },
+            });
+
+            expect(scan.decoded).toBe(part.content);
+            expect(scan.scannable).toBe(true);
+        }
+    });
+
+    it('rejects a symbol whose header does not match', async () => {
+        const [first] = plan.parts;
+        const scan = await verifier.verify(result.symbols[0].svg, first.content, {
+            size: 512,
+            structuredAppend: { index: 1, total: first.total, parity: first.parity },
+        });
+
+        expect(scan.decoded).toBe(first.content);
+        expect(scan.scannable).toBe(false);
+    });
+
+    it('accepts requireScannable', async () => {
+        const strict = await generator.generateStructuredAppend('text', { text: TEXT }, { version: 5 }, { size: 512, requireScannable: true });
+
+        expect(strict.meta.symbols).toBe(plan.parts.length);
+    });
+});
@@ -0,0 +1,120 @@
+const SwissQREncoder = require('../src/services/qr/encoders/SwissQREncoder');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+
+const generator = new QRCodeGenerator();
+
+// Example bill of the Swiss Implementation Guidelines for the QR-bill
+const BILL = {
+    iban: 'CH44 3199 9123 0008 8901 2',
+    creditor: { name: 'Robert Schneider AG', street: 'Rue du Lac', buildingNumber: '1268', postalCode: '2501', town: 'Biel', country: 'CH' },
+    amount: 1949.75,
+    currency: 'CHF',
+    debtor: { name: 'Pia-Maria Rutschmann-Schnyder', street: 'Grosse Marktgasse', buildingNumber: '28', postalCode: '9400', town: 'Rorschach', country: 'CH' },
+    reference: '21 00000 00003 13947 14300 09017',
+    message: 'Order of 15 June 2020',
+    billingInformation: '//S1/10/10201409/11/200701/20/140.000-53/30/102673831/31/200615/32/7.7/33/7.7:139.40/40/0:30',
+    alternativeSchemes: ['Name AV1: UV;UltraPay005;12345', 'Name AV2: XY;XYService;54321'],
+};
+
+const CREDITOR = BILL.creditor;
+
+function encodeError(data) {
+    try {
+        SwissQREncoder.encode(data);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the payload to be rejected');
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('QR-bill payload', () => {
+    it('matches the example of the implementation guidelines', () => {
+        expect(SwissQREncoder.encode(BILL)).toBe([
+            'SPC', '0200', '1', 'CH4431999123000889012',
+            'S', 'Robert Schneider AG', 'Rue du Lac', '1268', '2501', 'Biel', 'CH',
+            '', '', '', '', '', '', '',
+            '1949.75', 'CHF',
+            'S', 'Pia-Maria Rutschmann-Schnyder', 'Grosse Marktgasse', '28', '9400', 'Rorschach', 'CH',
+            'QRR', '210000000003139471430009017',
+            'Order of 15 June 2020',
+            'EPD',
+            '//S1/10/10201409/11/200701/20/140.000-53/30/102673831/31/200615/32/7.7/33/7.7:139.40/40/0:30',
+            'Name AV1: UV;UltraPay005;12345',
+            'Name AV2: XY;XYService;54321',
+        ].join('\n'));
+    });
+
+    it('ends with EPD and leaves the debtor empty when there is none', () => {
+        const lines = SwissQREncoder.encode({ iban: 'CH9300762011623852957', creditor: CREDITOR }).split('\n');
+
+        expect(lines).toHaveLength(31);
+        expect(lines.slice(18, 20)).toEqual(['', 'CHF']);
+        expect(lines.slice(20, 27)).toEqual(['', '', '', '', '', '', '']);
+        expect(lines.slice(27)).toEqual(['NON', '', '', 'EPD']);
+    });
+
+    it('derives SCOR from a creditor reference', () => {
+        const lines = SwissQREncoder.encode({ iban: 'CH9300762011623852957', creditor: CREDITOR, reference: 'RF18 5390 0754 7034' }).split('\n');
+
+        expect(lines.slice(27, 29)).toEqual(['SCOR', 'RF18539007547034']);
+    });
+});
+
+describe('references', () => {
+    it('computes the recursive mod-10 check digit', () => {
+        expect(SwissQREncoder.mod10Recursive('21000000000313947143000901')).toBe(7);
+        expect(SwissQREncoder.isValidQrReference('210000000003139471430009017')).toBe(true);
+        expect(SwissQREncoder.isValidQrReference('210000000003139471430009018')).toBe(false);
+    });
+
+    it('recognizes QR-IBANs by their institution id', () => {
+        expect(SwissQREncoder.isQrIban('CH4431999123000889012')).toBe(true);
+        expect(SwissQREncoder.isQrIban('CH9300762011623852957')).toBe(false);
+    });
+
+    it('pairs QR references with QR-IBANs only', () => {
+        const withoutQrIban = encodeError({ ...BILL, iban: 'CH9300762011623852957' });
+        const withoutQrReference = encodeError({ ...BILL, reference: '', referenceType: 'NON' });
+
+        expect(withoutQrIban.details).toEqual([expect.objectContaining({ field: 'data.reference', message: 'A QR reference requires a QR-IBAN' })]);
+        expect(withoutQrReference.details).toEqual([expect.objectContaining({ field: 'data.referenceType' })]);
+    });
+
+    it('reports every field error at once', () => {
+        const error = encodeError({
+            iban: 'DE89370400440532013000',
+            creditor: { name: 'Shop', street: 'Street', town: 'Zürich', country: 'Switzerland' },
+            currency: 'USD',
+            message: 'Emoji 🙂',
+        });
+
+        expect(error.code).toBe('INVALID_DATA');
+        expect(error.details.map(detail => detail.field)).toEqual([
+            'data.iban', 'data.creditor.postalCode', 'data.creditor.country', 'data.currency', 'data.message',
+        ]);
+    });
+});
+
+describe('Swiss cross', () => {
+    it('is drawn at 7/46 of the symbol with error correction M', async () => {
+        const { svg, meta } = await generator.generate('swissqr', BILL, {}, { size: 1024 });
+        const cross = svg.match(/<rect x="([\d.]+)" y="[\d.]+" width="([\d.]+)" height="[\d.]+" fill="#FFFFFF"\/>\s*<rect[^>]*fill="#000000"/);
+        const moduleSize = generator.calculateModuleSize(meta.moduleCount, 1024, generator.mergeDesign({}).margin);
+
+        expect(meta.errorCorrection).toBe('M');
+        expect(meta.scannable).toBe(true);
+        expect(Number(cross[2])).toBeCloseTo(meta.moduleCount * moduleSize * 7 / 46, 5);
+        expect(Number(cross[1]) + Number(cross[2]) / 2).toBeCloseTo(512, 5);
+    });
+
+    it('prints the symbol at 46 mm without its quiet zone', async () => {
+        const { meta } = await generator.generate('swissqr', BILL, {}, { size: 1024, format: 'pdf', verifyScannability: false });
+        const margin = generator.mergeDesign({}).margin;
+
+        expect(meta.print.widthMm * meta.moduleCount / (meta.moduleCount + 2 * margin)).toBeCloseTo(46, 1);
+    });
+});
@@ -0,0 +1,68 @@
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const MicroQRGenerator = require('../src/services/qr/symbologies/MicroQRGenerator');
+const RMQRGenerator = require('../src/services/qr/symbologies/RMQRGenerator');
+
+const generator = new QRCodeGenerator();
+const TEXT = '12345';
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+async function generate(design, size) {
+    return generator.generate('text', { text: TEXT }, design, { format: 'png', size, verifyScannability: true });
+}
+
+describe('Micro QR', () => {
+    const cases = MicroQRGenerator.VERSIONS.flatMap(version =>
+        MicroQRGenerator.getLevels(version).map(level => [version, level]));
+
+    it.each(cases)('%s-%s decodes', async (version, errorCorrection) => {
+        const { meta } = await generate({ symbology: 'micro', version, errorCorrection }, 512);
+
+        expect(meta.version).toBe(version);
+        expect(meta.scannable).toBe(true);
+    });
+});
+
+describe('rMQR', () => {
+    const cases = RMQRGenerator.VERSIONS.flatMap(version =>
+        RMQRGenerator.LEVELS.map(level => [version, level]));
+
+    it.each(cases)('%s-%s decodes', async (version, errorCorrection) => {
+        const { meta } = await generate({ symbology: 'rmqr', version, errorCorrection }, 2048);
+
+        expect(meta.version).toBe(version);
+        expect(meta.errorCorrection).toBe(errorCorrection);
+        expect(meta.scannable).toBe(true);
+    });
+
+    // Longest byte-mode text the symbol holds at level H
+    function fill(version) {
+        const fits = length => {
+            try {
+                RMQRGenerator.generate('r'.repeat(length), { version, errorCorrection: 'H' });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        };
+
+        let low = 0;
+        let high = 256;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (fits(middle)) low = middle;
+            else high = middle - 1;
+        }
+        return 'rmqr'.repeat(64).slice(0, low);
+    }
+
+    it.each(RMQRGenerator.VERSIONS)('%s-H decodes when filled', async (version) => {
+        const text = fill(version);
+        const { meta } = await generator.generate('text', { text }, { symbology: 'rmqr', version, errorCorrection: 'H' }, { size: 2048 });
+
+        expect(text.length).toBeGreaterThan(0);
+        expect(meta.scannable).toBe(true);
+    });
+});
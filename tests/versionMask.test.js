@@ -0,0 +1,153 @@
+const FormatInfo = require('qrcode/lib/core/format-info');
+const ECLevel = require('qrcode/lib/core/error-correction-level');
+const QRCodeGenerator = require('../src/services/qr/QRCodeGenerator');
+const QRCapacity = require('../src/services/qr/QRCapacity');
+const { startApi } = require('./helpers/api');
+
+const generator = new QRCodeGenerator();
+const URL = 'HTTPS://EX.COM/P/12345678901234567890';
+
+// Format information as written down column 8 (bit i at row i, skipping the timing row)
+function readFormatBits(matrix) {
+    const size = matrix.length;
+    let bits = 0;
+    for (let i = 0; i < 15; i++) {
+        const row = i < 6 ? i : i < 8 ? i + 1 : size - 15 + i;
+        bits |= matrix[row][8] << i;
+    }
+    return bits;
+}
+
+async function generateError(data, design) {
+    try {
+        await generator.generate('text', data, design, { size: 256, verifyScannability: false });
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the design to be rejected');
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('fixed version', () => {
+    it('gives every code in a series the same module grid', async () => {
+        const metas = await Promise.all(['A1', 'A2-LONGER-LABEL', 'https://example.com/a/much/longer/label/3'].map(async (text) => {
+            const { meta } = await generator.generate('text', { text }, { version: 6 }, { size: 512 });
+            return meta;
+        }));
+
+        for (const meta of metas) {
+            expect(meta).toMatchObject({ version: 6, moduleCount: 41, scannable: true });
+        }
+    });
+
+    it('fails with the version the content needs', async () => {
+        const text = 'x'.repeat(QRCapacity.getByteCapacity(2, 'M') + 1);
+        const error = await generateError({ text }, { version: 2 });
+
+        expect(error.code).toBe('VERSION_TOO_SMALL');
+        expect(error.status).toBe(422);
+        expect(error.details).toEqual({ version: 2, minimumVersion: 3, errorCorrection: 'M', bytes: text.length });
+    });
+
+    it.each([0, 41, 2.5, '5'])('rejects version %p', async (version) => {
+        const error = await generateError({ text: 'hi' }, { version });
+
+        expect(error.code).toBe('INVALID_DESIGN');
+        expect(error.details).toEqual([expect.objectContaining({ field: 'design.version' })]);
+    });
+});
+
+describe('mask pattern', () => {
+    it.each([0, 1, 2, 3, 4, 5, 6, 7])('writes mask %i into the format information', async (maskPattern) => {
+        const merged = generator.mergeDesign({ maskPattern, errorCorrection: 'Q' });
+        const qrMatrix = await generator.generateQRMatrix(URL, merged);
+
+        expect(qrMatrix.maskPattern).toBe(maskPattern);
+        expect(readFormatBits(qrMatrix.matrix)).toBe(FormatInfo.getEncodedBits(ECLevel.Q, maskPattern));
+    });
+
+    it('makes the output reproducible', async () => {
+        const first = await generator.generate('text', { text: URL }, { maskPattern: 5 }, { size: 256 });
+        const second = await generator.generate('text', { text: URL }, { maskPattern: 5 }, { size: 256 });
+        const other = await generator.generate('text', { text: URL }, { maskPattern: 6 }, { size: 256 });
+
+        expect(first.meta).toMatchObject({ maskPattern: 5, scannable: true });
+        expect(second.svg).toBe(first.svg);
+        expect(other.svg).not.toBe(first.svg);
+        expect(other.meta.scannable).toBe(true);
+    });
+
+    it.each([-1, 8, 1.5])('rejects mask %p', async (maskPattern) => {
+        const error = await generateError({ text: 'hi' }, { maskPattern });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'design.maskPattern' })]);
+    });
+});
+
+describe('manual segments', () => {
+    const segments = [{ mode: 'alphanumeric', data: 'HTTPS://EX.COM/P/' }, { mode: 'numeric', data: '12345678901234567890' }];
+
+    it('encodes the digits of a URL as a numeric segment', async () => {
+        const manual = await generator.generate('text', { text: URL }, { segments, errorCorrection: 'H' }, { size: 512 });
+        const allBytes = await generator.generate('text', { text: URL }, { segments: [{ mode: 'byte', data: URL }], errorCorrection: 'H' }, { size: 512 });
+
+        expect(manual.meta.scannable).toBe(true);
+        expect(allBytes.meta.scannable).toBe(true);
+        expect(manual.meta.version).toBeLessThan(allBytes.meta.version);
+    });
+
+    it('rejects segments that do not join to the content', async () => {
+        const error = await generateError({ text: URL }, { segments: segments.slice(1) });
+
+        expect(error.code).toBe('INVALID_SEGMENTS');
+        expect(error.details).toEqual([expect.objectContaining({ field: 'design.segments' })]);
+    });
+
+    it('rejects characters the mode cannot encode', async () => {
+        const error = await generateError({ text: 'https://ex.com/1' }, { segments: [{ mode: 'alphanumeric', data: 'https://ex.com/' }, { mode: 'numeric', data: '1' }] });
+
+        expect(error.details).toEqual([expect.objectContaining({ field: 'design.segments[0].data' })]);
+    });
+});
+
+describe('API', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await startApi();
+    });
+
+    afterAll(async () => {
+        await api.close();
+    });
+
+    it('answers a version that is too small with 422', async () => {
+        const { status, body } = await api.request('POST', '/api/v2/qr/generate', {
+            body: { type: 'url', data: { url: 'https://example.com/a/rather/long/path/for/version/one' }, design: { version: 1 } },
+        });
+
+        expect(status).toBe(422);
+        expect(body.code).toBe('VERSION_TOO_SMALL');
+        expect(body.details).toMatchObject({ version: 1, errorCorrection: 'M' });
+    });
+
+    it('validates version and mask without generating', async () => {
+        const { body } = await api.request('POST', '/api/v2/qr/validate', {
+            body: { type: 'url', data: { url: 'https://example.com/a/rather/long/path/for/version/one' }, design: { version: 1, maskPattern: 9 } },
+        });
+
+        expect(body.data.valid).toBe(false);
+        expect(body.data.errors.map(error => error.field)).toEqual(['design.maskPattern']);
+    });
+
+    it('reports the version the content needs from /validate', async () => {
+        const { body } = await api.request('POST', '/api/v2/qr/validate', {
+            body: { type: 'url', data: { url: 'https://example.com/a/rather/long/path/for/version/one' }, design: { version: 1 } },
+        });
+
+        expect(body.data.errors).toEqual([{ field: 'design.version', message: expect.stringMatching(/needs version \d+ at error correction M/) }]);
+    });
+});